@@ -0,0 +1,22 @@
+// data/criticalValueDefaults.js
+// Starter critical value catalog, loaded from Critical Values > Load Defaults.
+// PCR entries match detected target or marker names case-insensitively as whole
+// words; list alternatives separated by commas.
+module.exports = [
+  { name: 'MRSA', ruleType: 'pcr_target', match: 'MRSA' },
+  { name: 'VRE', ruleType: 'pcr_target', match: 'VRE' },
+  { name: 'Carbapenem-resistant Enterobacterales', ruleType: 'pcr_target', match: 'CRE' },
+  { name: 'Carbapenem-resistant organism', ruleType: 'pcr_target', match: 'Carbapenem-resistant' },
+  { name: 'Clostridioides difficile', ruleType: 'pcr_target', match: 'Clostridioides difficile' },
+  { name: 'ESBL', ruleType: 'resistance_marker', match: 'ESBL' },
+  { name: 'KPC carbapenemase', ruleType: 'resistance_marker', match: 'KPC' },
+  { name: 'NDM carbapenemase', ruleType: 'resistance_marker', match: 'NDM' },
+  { name: 'mecA (methicillin resistance)', ruleType: 'resistance_marker', match: 'mecA' },
+  { name: 'vanA/vanB (vancomycin resistance)', ruleType: 'resistance_marker', match: 'vanA, vanB' },
+  { name: 'Potassium', ruleType: 'numeric', parameter: 'Potassium', unit: 'mmol/L', criticalLow: 2.8, criticalHigh: 6.2 },
+  { name: 'Sodium', ruleType: 'numeric', parameter: 'Sodium', unit: 'mmol/L', criticalLow: 120, criticalHigh: 160 },
+  { name: 'Glucose', ruleType: 'numeric', parameter: 'Glucose', unit: 'mg/dL', criticalLow: 40, criticalHigh: 450 },
+  { name: 'Hemoglobin', ruleType: 'numeric', parameter: 'Hemoglobin', unit: 'g/dL', criticalLow: 6, criticalHigh: 20 },
+  { name: 'Platelets', ruleType: 'numeric', parameter: 'Platelets', unit: 'x10^3/uL', criticalLow: 20, criticalHigh: 1000 },
+  { name: 'WBC', ruleType: 'numeric', parameter: 'WBC', unit: 'x10^3/uL', criticalLow: 2, criticalHigh: 30 }
+];
@@ -0,0 +1,33 @@
+// data/reportableConditions.js
+// Pathogens that must be reported to public health when detected. `pattern` is
+// matched against PCRResult target names; `loinc` is the organism-specific
+// NAA test code and `snomed` the organism code reported as the OBX value.
+// Conditions without codes are reported with the panel LOINC and a local code.
+const reportableConditions = [
+  // Respiratory
+  { condition: 'COVID-19', pathogen: 'SARS-CoV-2', pattern: /sars-cov-2/i, loinc: '94500-6', snomed: '840533007' },
+  { condition: 'Influenza', pathogen: 'Influenza A virus', pattern: /influenza a/i, loinc: '92142-9', snomed: '407479009' },
+  { condition: 'Influenza', pathogen: 'Influenza B virus', pattern: /influenza b/i, loinc: '92141-1', snomed: '407480007' },
+  { condition: 'Respiratory syncytial virus infection', pathogen: 'Respiratory syncytial virus', pattern: /^rsv\b|respiratory syncytial/i, loinc: '92131-2', snomed: '6415009' },
+  { condition: 'Pertussis', pathogen: 'Bordetella pertussis', pattern: /bordetella pertussis/i, loinc: '43913-3', snomed: '5247005' },
+  { condition: 'Legionellosis', pathogen: 'Legionella pneumophila', pattern: /legionella/i },
+
+  // Sexually transmitted infections
+  { condition: 'Chlamydia trachomatis infection', pathogen: 'Chlamydia trachomatis', pattern: /chlamydia trachomatis/i, loinc: '21613-5', snomed: '63938009' },
+  { condition: 'Gonorrhea', pathogen: 'Neisseria gonorrhoeae', pattern: /neisseria gonorrhoeae/i, loinc: '24111-7', snomed: '68704007' },
+  { condition: 'Syphilis', pathogen: 'Treponema pallidum', pattern: /treponema pallidum/i, snomed: '72904005' },
+  { condition: 'Chancroid', pathogen: 'Haemophilus ducreyi', pattern: /haemophilus ducreyi/i },
+
+  // Enteric
+  { condition: 'Salmonellosis', pathogen: 'Salmonella', pattern: /salmonella/i, snomed: '27268008' },
+  { condition: 'Shigellosis', pathogen: 'Shigella', pattern: /shigella/i, snomed: '77352002' },
+  { condition: 'Campylobacteriosis', pathogen: 'Campylobacter', pattern: /campylobacter/i },
+  { condition: 'Shiga toxin-producing E. coli (STEC)', pathogen: 'Shiga toxin-producing Escherichia coli', pattern: /o157|stec|shiga toxin/i },
+  { condition: 'Cholera', pathogen: 'Vibrio cholerae', pattern: /vibrio cholerae/i, snomed: '75953000' },
+  { condition: 'Yersiniosis', pathogen: 'Yersinia enterocolitica', pattern: /yersinia/i },
+  { condition: 'Cryptosporidiosis', pathogen: 'Cryptosporidium', pattern: /cryptosporidium/i },
+  { condition: 'Cyclosporiasis', pathogen: 'Cyclospora cayetanensis', pattern: /cyclospora/i },
+  { condition: 'Giardiasis', pathogen: 'Giardia', pattern: /giardia/i }
+];
+
+module.exports = reportableConditions;
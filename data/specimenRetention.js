@@ -0,0 +1,25 @@
+// data/specimenRetention.js
+// Days a specimen is kept for repeat testing after collection, by
+// Order.specimenType. Specimens past this date appear on the daily discard list.
+const specimenRetention = {
+  blood: 7,
+  serum: 7,
+  plasma: 7,
+  urine: 7,
+  stool: 7,
+  swab: 14,
+  nasopharyngeal_swab: 14,
+  wound_swab: 14,
+  sputum: 7,
+  tissue: 30,
+  nail_clipping: 30,
+  other: 14
+};
+
+// Used when the specimen type is not recorded
+const DEFAULT_RETENTION_DAYS = 14;
+
+module.exports = {
+  specimenRetention,
+  DEFAULT_RETENTION_DAYS
+};
@@ -1,6 +1,33 @@
 // models/Accession.js
 const mongoose = require('mongoose');
 
+// Position in a storage box, used for the primary specimen and each aliquot
+const storageSchema = {
+  status: {
+    type: String,
+    enum: ['stored', 'checked_out', 'discarded']
+  },
+  box: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageLocation'
+  },
+  // e.g. "B4"; kept while checked out so the specimen returns to its place
+  position: String,
+  // Snapshot of the box path when checked in
+  path: String,
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkedOutAt: Date,
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkedOutReason: String
+};
+
 const accessionSchema = new mongoose.Schema({
   order: {
     type: mongoose.Schema.Types.ObjectId,
@@ -55,7 +82,7 @@ const accessionSchema = new mongoose.Schema({
   chainOfCustody: [{
     action: {
       type: String,
-      enum: ['received', 'accessioned', 'transferred', 'processed', 'stored', 'discarded']
+      enum: ['received', 'accessioned', 'transferred', 'processed', 'stored', 'checked_in', 'checked_out', 'discarded']
     },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -68,9 +95,30 @@ const accessionSchema = new mongoose.Schema({
     location: String,
     notes: String
   }],
-  // Storage information
-  storageLocation: {
-    type: String
+  // Storage information - a position in a box of the storage hierarchy
+  storage: storageSchema,
+  // Primary specimen volume as received; remainingVolume drops as aliquots are taken
+  volume: {
+    type: Number,
+    min: 0
+  },
+  volumeUnit: {
+    type: String,
+    default: 'mL'
+  },
+  remainingVolume: {
+    type: Number
+  },
+  // Keep for repeat testing until this date, then discard
+  retainUntil: {
+    type: Date
+  },
+  discardedAt: {
+    type: Date
+  },
+  discardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
   storageTemperature: {
     type: String,
@@ -79,14 +127,41 @@ const accessionSchema = new mongoose.Schema({
   // Aliquot tracking
   aliquots: [{
     aliquotId: String,
+    // Volume taken from the primary specimen
     volume: Number,
+    remainingVolume: Number,
     unit: String,
+    status: {
+      type: String,
+      enum: ['available', 'consumed', 'discarded'],
+      default: 'available'
+    },
+    // Free-text location; box storage is in storage
     location: String,
+    storage: storageSchema,
+    usage: [{
+      volume: Number,
+      purpose: String,
+      usedAt: {
+        type: Date,
+        default: Date.now
+      },
+      usedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
     createdDate: Date,
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    discardedAt: Date,
+    discardedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    discardReason: String
   }]
 }, {
   timestamps: true
@@ -96,6 +171,23 @@ const accessionSchema = new mongoose.Schema({
 accessionSchema.index({ accessionDate: -1 });
 accessionSchema.index({ status: 1, accessionDate: -1 });
 accessionSchema.index({ order: 1 });
+accessionSchema.index({ 'storage.box': 1, 'storage.position': 1 });
+accessionSchema.index({ 'storage.status': 1, retainUntil: 1 });
+accessionSchema.index({ 'aliquots.aliquotId': 1 });
+accessionSchema.index({ 'aliquots.storage.box': 1, 'aliquots.storage.position': 1 });
+
+// Volumes can be used up but never overdrawn
+accessionSchema.pre('validate', function(next) {
+  if (this.remainingVolume < 0) {
+    this.invalidate('remainingVolume', `${this.accessionNumber} does not have that much volume left`);
+  }
+  this.aliquots.forEach((aliquot, i) => {
+    if (aliquot.remainingVolume < 0) {
+      this.invalidate(`aliquots.${i}.remainingVolume`, `${aliquot.aliquotId} does not have that much volume left`);
+    }
+  });
+  next();
+});
 
 // Virtual for age of specimen
 accessionSchema.virtual('specimenAge').get(function() {
@@ -123,18 +215,23 @@ accessionSchema.methods.addChainOfCustody = function(action, userId, location, n
   return this.save();
 };
 
-// Method to create aliquot
+// Method to create aliquot. Takes the volume from the primary specimen when
+// its volume is known; the caller saves.
 accessionSchema.methods.createAliquot = function(volume, unit, location, userId) {
   const aliquotId = `${this.accessionNumber}-${this.aliquots.length + 1}`;
+  if (this.remainingVolume !== undefined && this.remainingVolume !== null) {
+    this.remainingVolume = Math.round((this.remainingVolume - volume) * 1000) / 1000;
+  }
   this.aliquots.push({
     aliquotId,
     volume,
-    unit,
+    remainingVolume: volume,
+    unit: unit || this.volumeUnit,
     location,
     createdDate: new Date(),
     createdBy: userId
   });
-  return this.save();
+  return this.aliquots[this.aliquots.length - 1];
 };
 
 // Static method to get daily accession statistics
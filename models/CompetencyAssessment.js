@@ -0,0 +1,93 @@
+// models/CompetencyAssessment.js
+const mongoose = require('mongoose');
+
+// The six competency assessment elements of 42 CFR 493.1451(b)(8)
+const COMPETENCY_ELEMENTS = {
+  direct_observation: 'Direct observation of routine patient test performance, including specimen handling, processing and testing',
+  result_reporting: 'Monitoring the recording and reporting of test results',
+  record_review: 'Review of intermediate results or worksheets, QC records, proficiency testing results and preventive maintenance records',
+  instrument_checks: 'Direct observation of instrument maintenance and function checks',
+  blind_testing: 'Testing previously analyzed specimens, internal blind samples or external proficiency testing samples',
+  problem_solving: 'Assessment of problem-solving skills'
+};
+
+const elementSchema = new mongoose.Schema({
+  element: {
+    type: String,
+    enum: Object.keys(COMPETENCY_ELEMENTS),
+    required: true
+  },
+  satisfactory: {
+    type: Boolean,
+    required: true
+  },
+  // How it was assessed, e.g. the specimens observed or the blind sample IDs
+  method: {
+    type: String,
+    trim: true
+  },
+  assessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  assessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, { _id: false });
+
+// Competency of one user on one test system. Assessors record the six
+// elements; the laboratory director signs off, which starts the validity
+// period (six months for initial and semiannual, twelve for annual).
+const competencyAssessmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'testModel',
+    required: true
+  },
+  testModel: {
+    type: String,
+    enum: ['Test', 'PCRTest'],
+    default: 'PCRTest'
+  },
+  assessmentType: {
+    type: String,
+    enum: ['initial', 'semiannual', 'annual', 'retraining'],
+    required: true
+  },
+  elements: [elementSchema],
+  status: {
+    type: String,
+    enum: ['in_progress', 'awaiting_signoff', 'competent', 'not_competent'],
+    default: 'in_progress'
+  },
+  assessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  signedOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signedOffAt: Date,
+  signOffComment: String,
+  // Required when the user is not competent: retraining plan etc.
+  correctiveAction: String,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+competencyAssessmentSchema.index({ user: 1, test: 1, signedOffAt: -1 });
+competencyAssessmentSchema.index({ status: 1, expiresAt: 1 });
+
+competencyAssessmentSchema.statics.COMPETENCY_ELEMENTS = COMPETENCY_ELEMENTS;
+
+module.exports = mongoose.model('CompetencyAssessment', competencyAssessmentSchema);
@@ -0,0 +1,20 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Last value issued for a sequence. The _id is the sequence name plus its
+// formatted prefix and date part (e.g. "order:241019"), so date-based
+// sequences restart each period and a new prefix starts a new counter.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,125 @@
+// models/CriticalNotification.js
+const mongoose = require('mongoose');
+
+const contactSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['physician', 'office', 'supervisor']
+  },
+  name: String,
+  method: {
+    type: String,
+    enum: ['phone', 'email', 'both']
+  },
+  phone: String,
+  email: String
+}, { _id: false });
+
+// Call-back for the critical findings on one result. It stays open until
+// someone at the ordering end is reached and reads the values back; past
+// dueAt it escalates physician -> medical office -> laboratory director.
+const criticalNotificationSchema = new mongoose.Schema({
+  result: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resultModel',
+    required: true
+  },
+  resultModel: {
+    type: String,
+    enum: ['PCRResult', 'Result'],
+    required: true
+  },
+  resultNumber: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  findings: [{
+    description: String,
+    value: String,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CriticalValueRule'
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'cancelled'],
+    default: 'open'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notifyWithinMinutes: {
+    type: Number,
+    default: 30
+  },
+  dueAt: Date,
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  currentContact: contactSchema,
+  escalations: [{
+    from: contactSchema,
+    to: contactSchema,
+    reason: String,
+    escalatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  attempts: [{
+    contactRole: {
+      type: String,
+      enum: ['physician', 'office', 'supervisor', 'other']
+    },
+    contactName: String,
+    method: {
+      type: String,
+      enum: ['phone', 'email', 'fax', 'in_person']
+    },
+    outcome: {
+      type: String,
+      enum: ['reached', 'no_answer', 'left_message', 'wrong_number', 'email_sent']
+    },
+    readBack: Boolean,
+    notes: String,
+    attemptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Completed call-back
+  notifiedTo: String,
+  notificationMethod: String,
+  readBackConfirmed: Boolean,
+  notifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notifiedAt: Date,
+  minutesToNotify: Number,
+  cancelReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+criticalNotificationSchema.index({ status: 1, dueAt: 1 });
+criticalNotificationSchema.index({ result: 1 });
+criticalNotificationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CriticalNotification', criticalNotificationSchema);
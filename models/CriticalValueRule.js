@@ -0,0 +1,99 @@
+// models/CriticalValueRule.js
+const mongoose = require('mongoose');
+
+// One entry in the critical value catalog. A rule without a test applies to every test.
+const criticalValueRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ruleType: {
+    type: String,
+    enum: ['pcr_target', 'resistance_marker', 'numeric'],
+    required: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'testModel'
+  },
+  testModel: {
+    type: String,
+    enum: ['PCRTest', 'Test']
+  },
+  // Target or marker names to look for, comma separated. Each matches as a
+  // whole word or phrase, case-insensitively (see nameMatches)
+  match: {
+    type: String,
+    trim: true
+  },
+  // Numeric rules: parameter name and limits at or beyond which the value is critical
+  parameter: {
+    type: String,
+    trim: true
+  },
+  criticalLow: Number,
+  criticalHigh: Number,
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Call-back must be completed within this many minutes before escalation
+  notifyWithinMinutes: {
+    type: Number,
+    default: 30,
+    min: 5
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+criticalValueRuleSchema.pre('validate', function(next) {
+  if (this.ruleType === 'numeric') {
+    if (!this.parameter) this.invalidate('parameter', 'Numeric rules need a parameter name');
+    if (typeof this.criticalLow !== 'number' && typeof this.criticalHigh !== 'number') {
+      this.invalidate('criticalLow', 'Numeric rules need a critical low or high limit');
+    }
+  } else if (!this.match) {
+    this.invalidate('match', 'Target and marker rules need a name to match');
+  }
+  if (this.test && !this.testModel) {
+    this.testModel = this.ruleType === 'numeric' ? 'Test' : 'PCRTest';
+  }
+  next();
+});
+
+// Active rules that apply to the given test
+criticalValueRuleSchema.statics.activeFor = function(testId) {
+  return this.find({
+    active: true,
+    $or: [{ test: null }, { test: testId }]
+  }).lean();
+};
+
+// Whether a target or marker name contains one of the comma-separated names
+// in match as a whole word: "CRE" matches "CRE (KPC)" but not "Acremonium"
+criticalValueRuleSchema.statics.nameMatches = function(match, name) {
+  if (!match || !name) return false;
+  return match.split(',').map(alias => alias.trim()).filter(Boolean).some(alias => {
+    const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i').test(name);
+  });
+};
+
+criticalValueRuleSchema.index({ active: 1, test: 1 });
+
+module.exports = mongoose.model('CriticalValueRule', criticalValueRuleSchema);
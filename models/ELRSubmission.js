@@ -0,0 +1,80 @@
+// models/ELRSubmission.js
+const mongoose = require('mongoose');
+
+// One electronic lab report (HL7 2.5.1 ORU^R01) for a public health jurisdiction
+const elrSubmissionSchema = new mongoose.Schema({
+  pcrResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRResult',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Two-letter state code of the receiving health department. Blank on a
+  // failed report when neither patient, office nor laboratory has a state.
+  jurisdiction: {
+    type: String,
+    default: '',
+    uppercase: true,
+    trim: true
+  },
+  jurisdictionSource: {
+    type: String,
+    enum: ['patient', 'provider', 'laboratory', null],
+    default: 'patient'
+  },
+  conditions: [{
+    condition: String,
+    pathogen: String,
+    targetName: String,
+    interpretation: String,
+    loinc: String,
+    snomed: String
+  }],
+  // F = original report, C = correction after an amendment
+  resultStatus: {
+    type: String,
+    enum: ['F', 'C'],
+    default: 'F'
+  },
+  controlId: {
+    type: String,
+    required: true
+  },
+  raw: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'submitted', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  filename: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  submittedAt: Date,
+  errorMessage: String,
+  resubmittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+elrSubmissionSchema.index({ status: 1, jurisdiction: 1 });
+elrSubmissionSchema.index({ pcrResult: 1 });
+elrSubmissionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ELRSubmission', elrSubmissionSchema);
@@ -0,0 +1,91 @@
+// models/HL7Message.js
+const mongoose = require('mongoose');
+
+const hl7MessageSchema = new mongoose.Schema({
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  messageType: {
+    type: String, // e.g. "ORM^O01"
+    trim: true
+  },
+  controlId: {
+    type: String,
+    trim: true
+  },
+  sendingApplication: String,
+  sendingFacility: String,
+  remoteAddress: String,
+  raw: {
+    type: String,
+    required: true
+  },
+  // Inbound: received -> processed/error/rejected. Outbound: pending -> sent/failed
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'error', 'rejected', 'pending', 'sent', 'failed'],
+    default: 'received'
+  },
+  ackCode: {
+    type: String,
+    enum: ['AA', 'AE', 'AR']
+  },
+  ack: String,
+  errorMessage: String,
+  warnings: [String],
+  // Records created or touched while processing
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  medicalOffice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalOffice'
+  },
+  pcrResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRResult'
+  },
+  result: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Result'
+  },
+  processedAt: Date,
+  // Outbound delivery tracking
+  destination: {
+    method: {
+      type: String,
+      enum: ['mllp', 'file']
+    },
+    host: String,
+    port: Number,
+    directory: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  nextAttemptAt: Date,
+  sentAt: Date,
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+hl7MessageSchema.index({ direction: 1, createdAt: -1 });
+hl7MessageSchema.index({ controlId: 1 });
+hl7MessageSchema.index({ status: 1 });
+hl7MessageSchema.index({ order: 1 });
+hl7MessageSchema.index({ direction: 1, status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('HL7Message', hl7MessageSchema);
@@ -0,0 +1,126 @@
+// models/Instrument.js
+const mongoose = require('mongoose');
+
+// A recurring maintenance or calibration task. nextDueAt is recalculated
+// each time the task is logged as performed.
+const scheduleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['maintenance', 'calibration'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  intervalDays: {
+    type: Number,
+    required: true,
+    min: [1, 'Interval must be at least one day']
+  },
+  lastPerformedAt: Date,
+  nextDueAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// An analyzer, thermocycler or other piece of lab equipment
+const instrumentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['pcr_cycler', 'extraction', 'chemistry_analyzer', 'hematology_analyzer', 'immunoassay_analyzer', 'liquid_handler', 'other'],
+    default: 'other'
+  },
+  manufacturer: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  serialNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  // Tests the instrument is validated to run
+  assays: [{
+    test: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'assays.testModel'
+    },
+    testModel: {
+      type: String,
+      enum: ['Test', 'PCRTest'],
+      default: 'PCRTest'
+    }
+  }],
+  // Set by staff. Downtime is tracked separately (InstrumentEvent).
+  status: {
+    type: String,
+    enum: ['in_service', 'out_of_service', 'retired'],
+    default: 'in_service'
+  },
+  schedules: [scheduleSchema],
+  lastCalibrationDate: Date,
+  // Reported by the instrument or its middleware (POST /api/instruments/heartbeat)
+  heartbeat: {
+    lastSeenAt: Date,
+    state: {
+      type: String,
+      enum: ['idle', 'running', 'error']
+    },
+    message: String,
+    softwareVersion: String,
+    address: String
+  },
+  // Heartbeats are expected at least this often; twice this without one is offline
+  heartbeatIntervalSeconds: {
+    type: Number,
+    min: 10,
+    default: 300
+  },
+  // sha256 of the key the instrument sends; the key itself is shown once
+  heartbeatKeyHash: {
+    type: String,
+    select: false
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+instrumentSchema.index({ 'assays.test': 1 });
+instrumentSchema.index({ heartbeatKeyHash: 1 }, { sparse: true });
+
+// Connection state from the last heartbeat: never_connected, offline, error, online
+instrumentSchema.methods.connectionState = function(at = new Date()) {
+  const heartbeat = this.heartbeat || {};
+  if (!heartbeat.lastSeenAt) return 'never_connected';
+  if (at - heartbeat.lastSeenAt > this.heartbeatIntervalSeconds * 2000) return 'offline';
+  return heartbeat.state === 'error' ? 'error' : 'online';
+};
+
+module.exports = mongoose.model('Instrument', instrumentSchema);
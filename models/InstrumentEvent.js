@@ -0,0 +1,58 @@
+// models/InstrumentEvent.js
+const mongoose = require('mongoose');
+
+// Maintenance, calibration, repair or downtime on an instrument. Downtime
+// stays open (no endedAt) until the instrument is back in use.
+const instrumentEventSchema = new mongoose.Schema({
+  instrument: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instrument',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['maintenance', 'calibration', 'repair', 'downtime'],
+    required: true
+  },
+  // The schedule entry this satisfies, for maintenance and calibration
+  schedule: mongoose.Schema.Types.ObjectId,
+  description: {
+    type: String,
+    trim: true
+  },
+  // Calibration and repair outcome
+  outcome: {
+    type: String,
+    enum: ['pass', 'fail']
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  // Downtime: planned (maintenance window) or unplanned (failure). Heartbeat
+  // errors open unplanned downtime automatically and close it on recovery.
+  downtimeCategory: {
+    type: String,
+    enum: ['planned', 'unplanned']
+  },
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+instrumentEventSchema.index({ instrument: 1, startedAt: -1 });
+instrumentEventSchema.index({ type: 1, endedAt: 1 });
+
+module.exports = mongoose.model('InstrumentEvent', instrumentEventSchema);
@@ -0,0 +1,80 @@
+// models/InventoryItem.js
+const mongoose = require('mongoose');
+
+// A stocked reagent or consumable. Stock is held per lot (InventoryLot);
+// the reorder point applies to the total usable quantity across lots.
+const inventoryItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  catalogNumber: {
+    type: String,
+    trim: true
+  },
+  manufacturer: {
+    type: String,
+    trim: true
+  },
+  vendor: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['reagent', 'master_mix', 'extraction_kit', 'control', 'calibrator', 'consumable'],
+    default: 'reagent'
+  },
+  // Unit stock is counted in, e.g. "reactions", "kits", "boxes"
+  unit: {
+    type: String,
+    trim: true,
+    default: 'each'
+  },
+  storageTemperature: {
+    type: String,
+    enum: ['room', 'refrigerated', 'frozen', '-80']
+  },
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 0
+  },
+  // Tests the item is used for, to offer its lots when setting up a run
+  tests: [{
+    test: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'tests.testModel'
+    },
+    testModel: {
+      type: String,
+      enum: ['Test', 'PCRTest'],
+      default: 'PCRTest'
+    }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inventoryItemSchema.index({ name: 1 });
+inventoryItemSchema.index({ 'tests.test': 1 });
+
+module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
@@ -0,0 +1,66 @@
+// models/InventoryLot.js
+const mongoose = require('mongoose');
+
+// Stock of one manufacturer lot. quantityOnHand only changes through
+// InventoryTransaction entries (see services/inventory.js).
+const inventoryLotSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expirationDate: {
+    type: Date,
+    required: true
+  },
+  quantityReceived: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  quantityOnHand: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // quarantined lots cannot be used (e.g. failed acceptance testing or recalled)
+  status: {
+    type: String,
+    enum: ['active', 'quarantined', 'depleted'],
+    default: 'active'
+  },
+  statusReason: String,
+  storageLocation: {
+    type: String,
+    trim: true
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  openedDate: Date,
+  notes: String
+}, {
+  timestamps: true
+});
+
+inventoryLotSchema.index({ item: 1, lotNumber: 1 }, { unique: true });
+inventoryLotSchema.index({ expirationDate: 1, status: 1 });
+
+// Expired at the given time (end of the expiration day counts as still valid)
+inventoryLotSchema.methods.isExpired = function(at = new Date()) {
+  const end = new Date(this.expirationDate);
+  end.setHours(23, 59, 59, 999);
+  return at > end;
+};
+
+module.exports = mongoose.model('InventoryLot', inventoryLotSchema);
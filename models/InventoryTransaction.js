@@ -0,0 +1,48 @@
+// models/InventoryTransaction.js
+const mongoose = require('mongoose');
+
+// Stock movement for a lot. quantity is signed: receipts and returns are
+// positive, consumption and discards negative.
+const inventoryTransactionSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryLot',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'consumption', 'return', 'adjustment', 'discard'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: Number,
+  pcrRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRRun'
+  },
+  pcrResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRResult'
+  },
+  reason: String,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inventoryTransactionSchema.index({ lot: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ pcrRun: 1 });
+inventoryTransactionSchema.index({ pcrResult: 1 });
+
+module.exports = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
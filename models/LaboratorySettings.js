@@ -1,6 +1,26 @@
 // models/LaboratorySettings.js
 const mongoose = require('mongoose');
 
+// Format of a generated number: <prefix><date part><number>[check digit]
+const sequenceFormatSchema = new mongoose.Schema({
+  prefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{0,10}$/, 'Prefix may only contain letters, digits and dashes']
+  },
+  datePart: {
+    type: String,
+    enum: ['none', 'YYYY', 'YYMM', 'YYMMDD', 'YYYYMMDD']
+  },
+  width: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  checkDigit: Boolean
+}, { _id: false });
+
 const laboratorySettingsSchema = new mongoose.Schema({
   // Basic Laboratory Information
   labName: {
@@ -173,6 +193,40 @@ const laboratorySettingsSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Electronic lab reporting to public health. Messages are written to
+  // <outboundDirectory>/<jurisdiction>/ for pickup by the state's transport.
+  elr: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    outboundDirectory: {
+      type: String,
+      trim: true
+    },
+    receivingApplication: {
+      type: String,
+      trim: true
+    }
+  },
+  // Number formats (services/sequences.js). Unset fields keep the defaults.
+  sequences: {
+    order: sequenceFormatSchema,
+    accession: sequenceFormatSchema,
+    result: sequenceFormatSchema,
+    pcrResult: sequenceFormatSchema,
+    pcrRun: sequenceFormatSchema,
+    patient: sequenceFormatSchema,
+    manifest: sequenceFormatSchema
+  },
+  // Personnel competency (services/competency.js)
+  competency: {
+    // Only users with a current signed-off competency on a PCR test may approve its results
+    enforceForApproval: {
+      type: Boolean,
+      default: false
+    }
+  },
   // Accreditation Information
   accreditation: [{
     organization: {
@@ -0,0 +1,120 @@
+// models/Manifest.js
+const mongoose = require('mongoose');
+const { nextNumber } = require('../services/sequences');
+
+// Courier pickup manifest: the specimens an office hands to the courier.
+// At arrival each specimen is scanned against it; anything not scanned when
+// the manifest is closed is flagged missing.
+const manifestSchema = new mongoose.Schema({
+  manifestNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  medicalOffice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalOffice',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'in_transit', 'receiving', 'received'],
+    default: 'draft'
+  },
+  courier: {
+    name: String,
+    company: String,
+    phone: String,
+    trackingNumber: String
+  },
+  pickupTime: {
+    type: Date
+  },
+  transportTemperature: {
+    type: String,
+    enum: ['room', 'refrigerated', 'frozen', '-80']
+  },
+  items: [{
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderNumber: String,
+    specimenBarcode: String,
+    patientName: String,
+    specimenType: String,
+    status: {
+      type: String,
+      enum: ['expected', 'received', 'missing'],
+      default: 'expected'
+    },
+    receivedAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Specimens that arrived in the shipment but were not listed
+  unexpected: [{
+    barcode: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    scannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  receivingStartedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hasDiscrepancies: {
+    type: Boolean,
+    default: false
+  },
+  discrepancyNotes: String,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+manifestSchema.index({ medicalOffice: 1, createdAt: -1 });
+manifestSchema.index({ status: 1, createdAt: -1 });
+manifestSchema.index({ 'items.order': 1 });
+
+manifestSchema.virtual('summary').get(function() {
+  const count = status => this.items.filter(i => i.status === status).length;
+  return {
+    expected: this.items.length,
+    received: count('received'),
+    missing: count('missing'),
+    outstanding: count('expected'),
+    unexpected: this.unexpected.length
+  };
+});
+
+manifestSchema.set('toJSON', { virtuals: true });
+
+// Next manifest number (default MANYYMMDD001)
+manifestSchema.statics.generateManifestNumber = function() {
+  return nextNumber('manifest');
+};
+
+module.exports = mongoose.model('Manifest', manifestSchema);
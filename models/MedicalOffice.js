@@ -179,9 +179,42 @@ const medicalOfficeSchema = new mongoose.Schema({
   }],
   resultDeliveryPreference: {
     type: String,
-    enum: ['email', 'fax', 'portal', 'mail'],
+    enum: ['email', 'fax', 'portal', 'mail', 'hl7'],
     default: 'email'
   },
+  // Electronic result delivery (HL7 ORU^R01)
+  resultInterface: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    method: {
+      type: String,
+      enum: ['mllp', 'file'],
+      default: 'mllp'
+    },
+    host: {
+      type: String,
+      trim: true
+    },
+    port: {
+      type: Number,
+      min: 1,
+      max: 65535
+    },
+    directory: {
+      type: String,
+      trim: true
+    },
+    receivingApplication: {
+      type: String,
+      trim: true
+    },
+    receivingFacility: {
+      type: String,
+      trim: true
+    }
+  },
   criticalValueNotification: {
     enabled: {
       type: Boolean,
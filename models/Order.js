@@ -1,5 +1,6 @@
 // models/Order.js - Complete corrected version
 const mongoose = require('mongoose');
+const { nextNumber } = require('../services/sequences');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -40,7 +41,23 @@ const orderSchema = new mongoose.Schema({
     },
     processingStarted: Date,
     processingCompleted: Date,
-    notes: String
+    notes: String,
+    // Set when the item was added automatically by a reflex rule
+    reflex: {
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReflexRule'
+      },
+      sourceResult: mongoose.Schema.Types.ObjectId,
+      sourceResultModel: {
+        type: String,
+        enum: ['PCRResult', 'Result']
+      },
+      reason: String,
+      addedAt: Date
+    },
+    // The addOns entry this item was added by, if any
+    addOn: mongoose.Schema.Types.ObjectId
   }],
   orderingPhysician: {
     doctorId: {
@@ -152,10 +169,42 @@ const orderSchema = new mongoose.Schema({
   receivedDate: {
     type: Date
   },
+  // Temperature the specimen was transported at, declared at receipt
+  transportTemperature: {
+    type: String,
+    enum: ['room', 'refrigerated', 'frozen', '-80']
+  },
+  // Type and stability evaluation made at accession
+  stabilityCheck: {
+    status: {
+      type: String,
+      enum: ['passed', 'warning', 'failed', 'overridden']
+    },
+    specimenAgeHours: Number,
+    expiresAt: Date,
+    problems: [{
+      test: mongoose.Schema.Types.ObjectId,
+      testName: String,
+      rejectionReason: String,
+      message: String
+    }],
+    warnings: [String],
+    evaluatedAt: Date,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overrideReason: String
+  },
   receivedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Courier manifest the specimen was listed on or arrived with
+  manifest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Manifest'
+  },
   
   // Rejection tracking
   rejectionDate: {
@@ -171,6 +220,15 @@ const orderSchema = new mongoose.Schema({
   rejectionComments: {
     type: String
   },
+  // Order placed to recollect a rejected specimen, and the reverse link
+  recollectionOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recollectionOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
   
   // Hold tracking
   holdDate: {
@@ -196,7 +254,57 @@ const orderSchema = new mongoose.Schema({
   orderSource: {
     type: String
   },
+  // Order number assigned by the sending system (ORC-2 for HL7 orders)
+  placerOrderNumber: {
+    type: String,
+    trim: true
+  },
+  // Proficiency testing sample this order tests. PT orders are not billed,
+  // counted in dashboard statistics or reported to public health.
+  proficiencyTest: {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProficiencyEvent'
+    },
+    sampleId: String
+  },
   
+  // Tests added to the accessioned specimen after the fact
+  addOns: [{
+    tests: [{
+      test: mongoose.Schema.Types.ObjectId,
+      testModel: {
+        type: String,
+        enum: ['Test', 'PCRTest']
+      },
+      testCode: String,
+      testName: String
+    }],
+    requestedBy: {
+      name: {
+        type: String,
+        required: true
+      },
+      phone: String,
+      organization: String
+    },
+    requestMethod: {
+      type: String,
+      enum: ['phone', 'fax', 'email', 'portal', 'in_person'],
+      default: 'phone'
+    },
+    reason: String,
+    specimenAgeHours: Number,
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    enteredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Additional tracking
   accessionNotes: {
     type: String
@@ -219,56 +327,26 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate order number in format: YYMMDD001
-orderSchema.statics.generateOrderNumber = async function() {
-  const today = new Date();
-  const year = String(today.getFullYear()).slice(-2);
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  
-  const prefix = `${year}${month}${day}`;
-  
-  const lastOrder = await this.findOne({
-    orderNumber: new RegExp(`^${prefix}`)
-  }).sort({ orderNumber: -1 });
-  
-  let nextNumber = 1;
-  if (lastOrder) {
-    const lastNumber = parseInt(lastOrder.orderNumber.slice(6));
-    nextNumber = lastNumber + 1;
-  }
-  
-  return `${prefix}${String(nextNumber).padStart(3, '0')}`;
+// Next order number (format in settings, default YYMMDD001)
+orderSchema.statics.generateOrderNumber = function() {
+  return nextNumber('order');
 };
 
-// Generate accession number
-orderSchema.statics.generateAccessionNumber = async function() {
-  const today = new Date();
-  const year = String(today.getFullYear()).slice(-2);
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  
-  const prefix = `ACC${year}${month}${day}`;
-  
-  const lastAccession = await this.findOne({
-    accessionNumber: new RegExp(`^${prefix}`)
-  }).sort({ accessionNumber: -1 });
-  
-  let nextNumber = 1;
-  if (lastAccession) {
-    const lastNumber = parseInt(lastAccession.accessionNumber.slice(9));
-    nextNumber = lastNumber + 1;
-  }
-  
-  return `${prefix}${String(nextNumber).padStart(4, '0')}`;
+// Next accession number (default ACCYYMMDD0001)
+orderSchema.statics.generateAccessionNumber = function() {
+  return nextNumber('accession');
 };
 
-// Calculate total amount
+// Calculate total amount. Proficiency testing samples are not billable.
 orderSchema.methods.calculateTotal = async function() {
   const Test = require('./Test');
   const PCRTest = require('./PCRTest');
   
   let total = 0;
+  if (this.isProficiencyTest()) {
+    this.totalAmount = total;
+    return this.totalAmount;
+  }
   
   for (const testItem of this.tests) {
     let test = await Test.findById(testItem.test);
@@ -286,6 +364,11 @@ orderSchema.methods.calculateTotal = async function() {
   return this.totalAmount;
 };
 
+// Whether the order is a proficiency testing sample rather than patient work
+orderSchema.methods.isProficiencyTest = function() {
+  return !!(this.proficiencyTest && this.proficiencyTest.event);
+};
+
 // Update order status based on test statuses
 orderSchema.methods.updateStatus = function() {
   const testStatuses = this.tests.map(t => t.status);
@@ -337,8 +420,12 @@ orderSchema.virtual('specimenAge').get(function() {
   return null;
 });
 
-// Virtual for is specimen expired
+// Virtual for is specimen expired - uses the test-specific expiry worked out
+// at accession, falling back to 72 hours for specimens not yet evaluated
 orderSchema.virtual('isSpecimenExpired').get(function() {
+  if (this.stabilityCheck && this.stabilityCheck.expiresAt) {
+    return Date.now() > this.stabilityCheck.expiresAt.getTime();
+  }
   const maxAgeHours = 72;
   return this.specimenAge > maxAgeHours;
 });
@@ -351,5 +438,7 @@ orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'orderingPhysician.name': 1 });
 orderSchema.index({ accessionNumber: 1 });
 orderSchema.index({ specimenBarcode: 1 });
+orderSchema.index({ placerOrderNumber: 1, orderSource: 1 }, { sparse: true });
+orderSchema.index({ 'proficiencyTest.event': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -1,5 +1,7 @@
 // models/PCRResult.js
 const mongoose = require('mongoose');
+const CriticalValueRule = require('./CriticalValueRule');
+const { nextNumber } = require('../services/sequences');
 
 // Individual target result schema
 const targetResultSchema = new mongoose.Schema({
@@ -29,6 +31,9 @@ const targetResultSchema = new mongoose.Schema({
     enum: ['Detected', 'Not Detected', 'Indeterminate', 'Invalid', 'Inhibited'],
     required: true
   },
+  // Interpretation before a failed run control set it to Invalid; restored
+  // if the controls are re-recorded as passing
+  invalidatedInterpretation: String,
   clinicalSignificance: String
 });
 
@@ -48,6 +53,7 @@ const resistanceResultSchema = new mongoose.Schema({
     enum: ['Detected', 'Not Detected', 'Indeterminate', 'Invalid'],
     required: true
   },
+  invalidatedInterpretation: String,
   implication: String, // Clinical implication of the resistance
   affectedAntibiotics: [String] // List of antibiotics this resistance affects
 });
@@ -112,6 +118,27 @@ const pcrResultSchema = new mongoose.Schema({
     },
     sampleId: String
   },
+  // Plate the specimen was run on; run-level controls apply to this result
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRRun'
+  },
+  wellPosition: String,
+  // Lots used outside a run (results entered without a plate); run results
+  // are traced through PCRRun.reagentLots
+  reagentLots: [{
+    reagent: String,
+    lotNumber: String,
+    expirationDate: Date,
+    inventoryLot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryLot'
+    },
+    quantity: {
+      type: Number,
+      min: 0
+    }
+  }],
   // Test results
   targetResults: [targetResultSchema],
   resistanceResults: [resistanceResultSchema],
@@ -161,6 +188,43 @@ const pcrResultSchema = new mongoose.Schema({
     default: 'Preliminary'
   },
   rejectionReason: String,
+  // Outcome of the test's auto-verification rules
+  autoVerification: {
+    status: {
+      type: String,
+      enum: ['released', 'manual_review']
+    },
+    rule: String, // Name of the rule that released the result
+    ruleId: mongoose.Schema.Types.ObjectId,
+    reasons: [String], // Why no rule passed
+    evaluatedAt: Date
+  },
+  // Targets that changed against the patient's previous final result; a
+  // failed delta check holds the result until a technologist acknowledges it
+  deltaCheck: {
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'acknowledged']
+    },
+    failures: [{
+      targetName: String,
+      previousInterpretation: String,
+      currentInterpretation: String,
+      previousResult: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PCRResult'
+      },
+      previousResultNumber: String,
+      previousDate: Date
+    }],
+    evaluatedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedDate: Date,
+    comment: String
+  },
   // Personnel and dates
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -196,12 +260,17 @@ const pcrResultSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  // Critical values notification
+  // Critical values notification, filled in by the call-back workflow
   criticalValues: [{
     pathogen: String,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CriticalValueRule'
+    },
     notifiedTo: String,
     notificationTime: Date,
     notificationMethod: String,
+    readBack: Boolean,
     acknowledgment: String
   }],
   // Additional notes
@@ -230,25 +299,15 @@ const pcrResultSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate result number
-pcrResultSchema.statics.generateResultNumber = async function() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  
-  const prefix = `PCR${year}${month}${day}`;
-  const count = await this.countDocuments({
-    resultNumber: new RegExp(`^${prefix}`)
-  });
-  
-  return `${prefix}${String(count + 1).padStart(4, '0')}`;
+// Next result number (default PCRYYYYMMDD0001)
+pcrResultSchema.statics.generateResultNumber = function() {
+  return nextNumber('pcrResult');
 };
 
 // Method to determine overall status based on target results
 pcrResultSchema.methods.determineOverallStatus = function() {
   const hasPositive = this.targetResults.some(t => t.detected);
-  const hasInvalid = this.targetResults.some(t => t.interpretation === 'Invalid');
+  const hasInvalid = this.targetResults.some(t => ['Invalid', 'Inhibited'].includes(t.interpretation));
   const hasIndeterminate = this.targetResults.some(t => t.interpretation === 'Indeterminate');
   
   if (hasInvalid) return 'Invalid';
@@ -281,23 +340,26 @@ pcrResultSchema.methods.getResistanceProfile = function() {
     }));
 };
 
-// Method to check for critical values
-pcrResultSchema.methods.checkCriticalValues = function() {
-  const criticalPathogens = [
-    'MRSA', 'VRE', 'CRE', 'Carbapenem-resistant', 
-    'ESBL', 'KPC', 'NDM', 'Clostridioides difficile'
-  ];
-  
-  const detected = this.targetResults
-    .filter(t => t.detected)
-    .filter(t => criticalPathogens.some(cp => 
-      t.targetName.toLowerCase().includes(cp.toLowerCase())
-    ));
-  
-  return detected.map(t => ({
-    pathogen: t.targetName,
-    requiresNotification: true
-  }));
+// Method to check for critical values against the critical value catalog
+// (see CriticalValueRule.activeFor)
+pcrResultSchema.methods.checkCriticalValues = function(rules = []) {
+  const testId = String(this.test && this.test._id ? this.test._id : this.test);
+  const applicable = rules.filter(r => !r.test || String(r.test) === testId);
+  const matching = (type, name) => applicable.find(r =>
+    r.ruleType === type && CriticalValueRule.nameMatches(r.match, name)
+  );
+
+  const critical = [];
+  this.targetResults.filter(t => t.detected).forEach(t => {
+    const rule = matching('pcr_target', t.targetName);
+    if (rule) critical.push({ pathogen: t.targetName, rule: rule._id, requiresNotification: true });
+  });
+  this.resistanceResults.filter(r => r.detected).forEach(r => {
+    const rule = matching('resistance_marker', r.markerName);
+    if (rule) critical.push({ pathogen: r.markerName, rule: rule._id, requiresNotification: true });
+  });
+
+  return critical;
 };
 
 // Pre-save hook to update overall result
@@ -319,7 +381,11 @@ pcrResultSchema.index({ resultNumber: 1 });
 pcrResultSchema.index({ order: 1 });
 pcrResultSchema.index({ patient: 1 });
 pcrResultSchema.index({ test: 1 });
+pcrResultSchema.index({ run: 1 });
+pcrResultSchema.index({ 'reagentLots.inventoryLot': 1 });
 pcrResultSchema.index({ status: 1 });
+pcrResultSchema.index({ 'autoVerification.status': 1, status: 1 });
+pcrResultSchema.index({ patient: 1, test: 1, performedDate: -1 });
 pcrResultSchema.index({ 'overallResult.status': 1 });
 pcrResultSchema.index({ performedDate: -1 });
 
@@ -0,0 +1,162 @@
+// models/PCRRun.js
+const mongoose = require('mongoose');
+const { nextNumber } = require('../services/sequences');
+
+const PLATE_LAYOUTS = {
+  96: { rows: 8, columns: 12 },
+  384: { rows: 16, columns: 24 }
+};
+
+// One well on the plate
+const wellSchema = new mongoose.Schema({
+  position: {
+    type: String, // e.g. "A1"
+    required: true
+  },
+  wellType: {
+    type: String,
+    enum: ['specimen', 'positive_control', 'negative_control', 'ntc'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  sampleName: String, // Accession number for specimens, control label otherwise
+  pcrResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRResult'
+  }
+}, { _id: false });
+
+const pcrRunSchema = new mongoose.Schema({
+  runNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRTest',
+    required: true
+  },
+  plateFormat: {
+    type: Number,
+    enum: [96, 384],
+    default: 96
+  },
+  wells: [wellSchema],
+  // Run setup
+  instrument: {
+    // Set when the instrument is in the registry; name and serial are copied from it
+    registryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Instrument'
+    },
+    name: String,
+    serialNumber: String
+  },
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lots picked from inventory are checked for expiry and their quantity is
+  // consumed from stock; reagent/lotNumber/expirationDate are copied from the lot
+  reagentLots: [{
+    reagent: {
+      type: String,
+      required: true
+    },
+    lotNumber: {
+      type: String,
+      required: true
+    },
+    expirationDate: Date,
+    inventoryLot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryLot'
+    },
+    quantity: {
+      type: Number,
+      min: 0
+    }
+  }],
+  runDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Workflow
+  status: {
+    type: String,
+    enum: ['setup', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'setup'
+  },
+  // Shared run controls - applied to every result on the plate
+  controls: {
+    positiveControlResult: {
+      type: String,
+      enum: ['Pass', 'Fail', 'Not Run']
+    },
+    positiveControlCt: Number,
+    negativeControlResult: {
+      type: String,
+      enum: ['Pass', 'Fail', 'Not Run']
+    },
+    ntcResult: {
+      type: String,
+      enum: ['Pass', 'Fail', 'Not Run']
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedDate: Date
+  },
+  completedDate: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Next run number (default RUNYYYYMMDD001)
+pcrRunSchema.statics.generateRunNumber = function() {
+  return nextNumber('pcrRun');
+};
+
+// Well positions in cycler load order (down each column: A1, B1 ... H1, A2 ...)
+pcrRunSchema.statics.wellPositions = function(plateFormat = 96) {
+  const layout = PLATE_LAYOUTS[plateFormat];
+  if (!layout) return [];
+
+  const positions = [];
+  for (let column = 1; column <= layout.columns; column++) {
+    for (let row = 0; row < layout.rows; row++) {
+      positions.push(`${String.fromCharCode(65 + row)}${column}`);
+    }
+  }
+  return positions;
+};
+
+// True when a failed run control invalidates the plate
+pcrRunSchema.methods.hasFailedControls = function() {
+  const { positiveControlResult, negativeControlResult, ntcResult } = this.controls || {};
+  return [positiveControlResult, negativeControlResult, ntcResult].includes('Fail');
+};
+
+pcrRunSchema.methods.specimenWells = function() {
+  return this.wells.filter(w => w.wellType === 'specimen');
+};
+
+// Indexes
+pcrRunSchema.index({ test: 1, status: 1 });
+pcrRunSchema.index({ 'wells.order': 1 });
+pcrRunSchema.index({ runDate: -1 });
+pcrRunSchema.index({ 'reagentLots.inventoryLot': 1 });
+pcrRunSchema.index({ 'instrument.registryId': 1 });
+
+module.exports = mongoose.model('PCRRun', pcrRunSchema);
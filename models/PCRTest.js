@@ -24,6 +24,12 @@ const targetSchema = new mongoose.Schema({
   reportingThreshold: {
     type: Number, // CT value threshold for positive result
     default: 35
+  },
+  // Printed in the Reference column of the report, e.g. "Not Detected" or
+  // "< 1,000 copies/mL"; left blank when not set
+  referenceValue: {
+    type: String,
+    trim: true
   }
 });
 
@@ -147,6 +153,19 @@ const pcrTestSchema = new mongoose.Schema({
     stability: {
       type: String, // e.g., "7 days at 2-8°C"
     },
+    // Structured form of stability used at accession; parsed from the text
+    // above when empty (see services/specimenStability)
+    stabilityLimits: [{
+      temperature: {
+        type: String,
+        enum: ['room', 'refrigerated', 'frozen', '-80']
+      },
+      hours: {
+        type: Number,
+        min: 0,
+        required: true
+      }
+    }],
     rejectionCriteria: [{
       type: String
     }]
@@ -180,12 +199,79 @@ const pcrTestSchema = new mongoose.Schema({
     includeResistanceProfile: {
       type: Boolean,
       default: true
+    },
+    // Print the FDA disclaimer for laboratory-developed tests; off for
+    // FDA-cleared and EUA assays
+    laboratoryDevelopedTest: {
+      type: Boolean,
+      default: false
     }
   },
   interpretationGuidelines: {
     type: String,
     trim: true
   },
+  // Auto-verification: a Preliminary result meeting every criterion of any
+  // enabled rule is released without manual review
+  autoVerification: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    rules: [{
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      allowedResults: {
+        type: [{
+          type: String,
+          enum: ['Positive', 'Negative', 'Partially Positive']
+        }],
+        default: ['Negative']
+      },
+      requireInternalControlPass: {
+        type: Boolean,
+        default: true
+      },
+      internalControlCtMin: Number,
+      internalControlCtMax: Number,
+      requireRunControlsPass: {
+        type: Boolean,
+        default: true
+      },
+      disallowIndeterminate: {
+        type: Boolean,
+        default: true
+      },
+      disallowCriticalPathogens: {
+        type: Boolean,
+        default: true
+      },
+      requireAdequateSample: {
+        type: Boolean,
+        default: true
+      }
+    }]
+  },
+  // Delta check: flag a target that flips between Detected and Not Detected
+  // against the patient's previous final result within the window
+  deltaCheck: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    windowDays: {
+      type: Number,
+      default: 14,
+      min: 1
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../services/sequences');
 
 const patientSchema = new mongoose.Schema({
   patientId: {
@@ -82,6 +83,23 @@ const patientSchema = new mongoose.Schema({
       maxlength: 50
     }
   },
+  // Identifiers assigned by other systems (e.g. EMR medical record numbers)
+  externalIdentifiers: [{
+    value: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    assigningAuthority: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      trim: true,
+      default: 'MR'
+    }
+  }],
   emergencyContact: {
     name: {
       type: String,
@@ -485,6 +503,13 @@ const patientSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+
+  // The placeholder patient proficiency testing samples are accessioned on.
+  // It is not a real patient and is left out of patient counts.
+  proficiencyTesting: {
+    type: Boolean,
+    default: false
+  },
   
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -541,34 +566,9 @@ patientSchema.virtual('currentBalance').get(function() {
   return this.billing?.billingPreferences?.accountBalance || 0;
 });
 
-// Static method to generate patient ID
-patientSchema.statics.generatePatientId = async function() {
-  try {
-    // Find the highest patient ID number
-    const lastPatient = await this.findOne(
-      { patientId: { $regex: /^\d{5}$/ } }, // Only look for 5-digit IDs
-      { patientId: 1 }
-    ).sort({ patientId: -1 });
-    
-    let nextNumber = 10001; // Starting number
-    
-    if (lastPatient && lastPatient.patientId) {
-      // Extract number from patient ID and increment
-      const lastNumber = parseInt(lastPatient.patientId);
-      if (!isNaN(lastNumber)) {
-        nextNumber = lastNumber + 1;
-      }
-    }
-    
-    // Return as zero-padded 5-digit string (e.g., 01001, 01002)
-    return String(nextNumber).padStart(5, '0');
-    
-  } catch (error) {
-    console.error('Patient ID generation error:', error);
-    // Fallback: use a random number in the valid range
-    const randomNum = Math.floor(Math.random() * 89999) + 10000;
-    return String(randomNum);
-  }
+// Next patient ID (default 5 digits from 10001)
+patientSchema.statics.generatePatientId = function() {
+  return nextNumber('patient');
 };
 
 // Method to check insurance eligibility
@@ -643,6 +643,7 @@ patientSchema.index({ email: 1 }, { sparse: true });
 patientSchema.index({ isActive: 1 });
 patientSchema.index({ createdAt: -1 });
 patientSchema.index({ 'billing.primaryInsurance.provider': 1 });
+patientSchema.index({ 'externalIdentifiers.value': 1, 'externalIdentifiers.assigningAuthority': 1 });
 patientSchema.index({ 'billing.medicare.medicareNumber': 1 }, { sparse: true });
 patientSchema.index({ 'billing.medicaid.medicaidNumber': 1 }, { sparse: true });
 
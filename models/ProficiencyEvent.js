@@ -0,0 +1,139 @@
+// models/ProficiencyEvent.js
+const mongoose = require('mongoose');
+
+// One analyte (PCR target) of a PT sample: what the lab reported to the
+// provider and how the provider graded it
+const analyteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  submittedResult: {
+    type: String,
+    trim: true
+  },
+  // Intended response published by the provider with the evaluation
+  expectedResult: {
+    type: String,
+    trim: true
+  },
+  grade: {
+    type: String,
+    enum: ['pending', 'acceptable', 'unacceptable', 'not_graded'],
+    default: 'pending'
+  },
+  comment: String
+}, { _id: false });
+
+// A PT sample is accessioned as an order on the proficiency testing patient,
+// so it is tested through the normal order and PCR result workflow
+const sampleSchema = new mongoose.Schema({
+  sampleId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRTest',
+    required: true
+  },
+  specimenType: {
+    type: String,
+    default: 'other'
+  },
+  analytes: [analyteSchema],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  result: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRResult'
+  }
+});
+
+// Investigation of an unacceptable PT result
+const correctiveActionSchema = new mongoose.Schema({
+  sampleId: String,
+  analyte: String,
+  investigation: String,
+  rootCause: {
+    type: String,
+    enum: ['clerical', 'methodological', 'equipment', 'technical', 'pt_material', 'no_explanation']
+  },
+  action: String,
+  status: {
+    type: String,
+    enum: ['open', 'completed'],
+    default: 'open'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// A proficiency testing event (shipment) from an external provider.
+// registered -> received (samples accessioned) -> submitted -> graded -> closed
+const proficiencyEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  program: {
+    type: String,
+    trim: true
+  },
+  // The provider's event or shipment code, e.g. "2026-A"
+  eventId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['registered', 'received', 'submitted', 'graded', 'closed'],
+    default: 'registered'
+  },
+  receivedDate: Date,
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  samples: [sampleSchema],
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: Date,
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Percentage of graded analytes that were acceptable
+  score: Number,
+  correctiveActions: [correctiveActionSchema],
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+proficiencyEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+proficiencyEventSchema.index({ status: 1, dueDate: 1 });
+proficiencyEventSchema.index({ 'samples.order': 1 });
+
+module.exports = mongoose.model('ProficiencyEvent', proficiencyEventSchema);
@@ -0,0 +1,120 @@
+// models/QCMaterial.js
+const mongoose = require('mongoose');
+
+const WESTGARD_RULES = ['1-2s', '1-3s', '2-2s', 'R-4s', '4-1s', '10x'];
+
+// One lot of the material with its assigned target values
+const qcLotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expirationDate: Date,
+  mean: {
+    type: Number,
+    required: true
+  },
+  sd: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'SD must be greater than zero']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A control material run for a test (e.g. "Chemistry Level 2" or the PCR
+// positive control). PCR materials can be fed automatically from the run
+// positive control Ct or each result's internal control Ct.
+const qcMaterialSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  manufacturer: {
+    type: String,
+    trim: true
+  },
+  level: {
+    type: String,
+    trim: true
+  },
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'testModel',
+    required: true
+  },
+  testModel: {
+    type: String,
+    enum: ['Test', 'PCRTest'],
+    required: true
+  },
+  // What is measured, e.g. a result parameter or "Ct"
+  analyte: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // manual: values are entered; the others are recorded from PCR runs/results
+  source: {
+    type: String,
+    enum: ['manual', 'positive_control_ct', 'internal_control_ct'],
+    default: 'manual'
+  },
+  lots: [qcLotSchema],
+  // Rules evaluated for this material; 1-2s only warns, the rest reject
+  rules: {
+    type: [{ type: String, enum: WESTGARD_RULES }],
+    default: () => [...WESTGARD_RULES]
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+qcMaterialSchema.index({ test: 1, active: 1 });
+
+qcMaterialSchema.pre('validate', function(next) {
+  if (this.source !== 'manual' && this.testModel !== 'PCRTest') {
+    this.invalidate('source', 'Ct values can only be recorded automatically for PCR tests');
+  }
+  const lotNumbers = this.lots.map(lot => lot.lotNumber);
+  if (new Set(lotNumbers).size !== lotNumbers.length) {
+    this.invalidate('lots', 'Lot numbers must be unique within a material');
+  }
+  next();
+});
+
+// The lot currently in use: the most recently started active lot
+qcMaterialSchema.methods.currentLot = function() {
+  return this.lots
+    .filter(lot => lot.active)
+    .sort((a, b) => b.startedAt - a.startedAt)[0] || null;
+};
+
+qcMaterialSchema.statics.WESTGARD_RULES = WESTGARD_RULES;
+
+module.exports = mongoose.model('QCMaterial', qcMaterialSchema);
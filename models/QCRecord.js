@@ -0,0 +1,86 @@
+// models/QCRecord.js
+const mongoose = require('mongoose');
+
+// One QC value for a material lot, with the Westgard rules it violated. A
+// rejected record locks result release for the test until it is resolved.
+const qcRecordSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QCMaterial',
+    required: true
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  lotNumber: String,
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'testModel',
+    required: true
+  },
+  testModel: {
+    type: String,
+    enum: ['Test', 'PCRTest'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  // Target values at the time of the run, so later lot edits don't rewrite history
+  mean: Number,
+  sd: Number,
+  zScore: Number,
+  runDate: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'positive_control_ct', 'internal_control_ct'],
+    default: 'manual'
+  },
+  pcrRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRRun'
+  },
+  pcrResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PCRResult'
+  },
+  violations: [{
+    rule: String,
+    severity: {
+      type: String,
+      enum: ['warning', 'rejection']
+    },
+    message: String
+  }],
+  status: {
+    type: String,
+    enum: ['accepted', 'warning', 'rejected'],
+    default: 'accepted'
+  },
+  // Rejections stay open (and release stays locked) until resolved
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  correctiveAction: String,
+  comment: String,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+qcRecordSchema.index({ material: 1, lot: 1, runDate: -1 });
+qcRecordSchema.index({ test: 1, status: 1, resolvedAt: 1 });
+qcRecordSchema.index({ material: 1, pcrRun: 1 });
+qcRecordSchema.index({ material: 1, pcrResult: 1 });
+
+module.exports = mongoose.model('QCRecord', qcRecordSchema);
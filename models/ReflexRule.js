@@ -0,0 +1,99 @@
+// models/ReflexRule.js
+const mongoose = require('mongoose');
+
+// When a released result of triggerTest meets every condition, reflexTest is
+// added to the same order (see services/reflexTesting)
+const reflexRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  triggerTest: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'triggerTestModel',
+    required: true
+  },
+  triggerTestModel: {
+    type: String,
+    enum: ['PCRTest', 'Test'],
+    default: 'PCRTest'
+  },
+  conditions: {
+    // PCR: overall interpretation, e.g. Positive
+    overallResult: {
+      type: String,
+      enum: ['Positive', 'Negative', 'Indeterminate', 'Invalid', 'Partially Positive']
+    },
+    // PCR: detected target/marker names (case-insensitive substring)
+    targetsDetected: [{
+      type: String,
+      trim: true
+    }],
+    targetMatch: {
+      type: String,
+      enum: ['all', 'any'],
+      default: 'all'
+    },
+    markersDetected: [{
+      type: String,
+      trim: true
+    }],
+    // General tests: a parameter carrying one of these flags
+    parameter: {
+      type: String,
+      trim: true
+    },
+    parameterFlags: [{
+      type: String,
+      enum: ['high', 'low', 'critical_high', 'critical_low', 'abnormal']
+    }]
+  },
+  reflexTest: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'reflexTestModel',
+    required: true
+  },
+  reflexTestModel: {
+    type: String,
+    enum: ['PCRTest', 'Test'],
+    default: 'PCRTest'
+  },
+  // Recorded on the added order item
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reflexRuleSchema.pre('validate', function(next) {
+  const c = this.conditions || {};
+  const hasCondition = c.overallResult || (c.targetsDetected || []).length > 0 ||
+    (c.markersDetected || []).length > 0 || (c.parameter && (c.parameterFlags || []).length > 0);
+  if (!hasCondition) {
+    this.invalidate('conditions', 'A reflex rule needs at least one condition');
+  }
+  if (this.triggerTest && this.reflexTest && String(this.triggerTest) === String(this.reflexTest)) {
+    this.invalidate('reflexTest', 'A test cannot reflex to itself');
+  }
+  next();
+});
+
+reflexRuleSchema.index({ triggerTest: 1, active: 1 });
+
+module.exports = mongoose.model('ReflexRule', reflexRuleSchema);
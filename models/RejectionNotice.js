@@ -0,0 +1,74 @@
+// models/RejectionNotice.js
+const mongoose = require('mongoose');
+
+// Notice to the ordering office that a specimen was rejected, and the
+// recollection it asks for. Email notices are sent automatically; fax notices
+// wait in the fax queue and phone notices until staff record the call.
+const rejectionNoticeSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  medicalOffice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalOffice'
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  comments: String,
+  contact: {
+    method: {
+      type: String,
+      enum: ['email', 'fax', 'phone'],
+      required: true
+    },
+    name: String,
+    email: String,
+    fax: String,
+    phone: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date,
+  // Who faxed or phoned the notice (automatic emails have none)
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentNotes: String,
+  recollectionOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recollectionStatus: {
+    type: String,
+    enum: ['outstanding', 'received', 'cancelled'],
+    default: 'outstanding'
+  },
+  recollectionReceivedAt: Date,
+  recollectionCancelReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+rejectionNoticeSchema.index({ status: 1, 'contact.method': 1 });
+rejectionNoticeSchema.index({ medicalOffice: 1, recollectionStatus: 1 });
+rejectionNoticeSchema.index({ recollectionOrder: 1 });
+
+module.exports = mongoose.model('RejectionNotice', rejectionNoticeSchema);
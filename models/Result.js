@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../services/sequences');
 
 const resultSchema = new mongoose.Schema({
   order: {
@@ -34,7 +35,23 @@ const resultSchema = new mongoose.Schema({
     referenceRange: {
       min: Number,
       max: Number,
-      text: String
+      criticalLow: Number,
+      criticalHigh: Number,
+      text: String,
+      // Snapshot of the Test.normalRanges entry chosen for this patient
+      source: {
+        type: String,
+        enum: ['test', 'client']
+      },
+      rangeId: mongoose.Schema.Types.ObjectId,
+      gender: String,
+      ageGroup: String,
+      ageMin: Number,
+      ageMax: Number,
+      ageUnit: String,
+      patientAge: String,
+      patientGender: String,
+      appliedAt: Date
     },
     flag: {
       type: String,
@@ -66,7 +83,12 @@ const resultSchema = new mongoose.Schema({
       }
     }],
     calibrationDate: Date,
-    instrumentId: String
+    instrumentId: String,
+    // Registry entry matched from instrumentId (services/instruments.js)
+    instrument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Instrument'
+    }
   },
   status: {
     type: String,
@@ -109,10 +131,45 @@ const resultSchema = new mongoose.Schema({
   criticalValues: [{
     parameter: String,
     value: String,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CriticalValueRule'
+    },
     notifiedTo: String,
     notificationTime: Date,
+    notificationMethod: String,
+    readBack: Boolean,
     acknowledgment: String
   }],
+  // Parameters that changed beyond the test's delta limits; a failed delta
+  // check holds the result until a technologist acknowledges it
+  deltaCheck: {
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'acknowledged']
+    },
+    failures: [{
+      parameter: String,
+      previousValue: Number,
+      currentValue: Number,
+      change: Number,
+      percentChange: Number,
+      limit: String,
+      previousResult: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Result'
+      },
+      previousResultNumber: String,
+      previousDate: Date
+    }],
+    evaluatedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedDate: Date,
+    comment: String
+  },
   attachments: [{
     filename: String,
     originalName: String,
@@ -131,30 +188,37 @@ const resultSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate result number
-resultSchema.statics.generateResultNumber = async function() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  
-  const prefix = `RES${year}${month}${day}`;
-  const count = await this.countDocuments({
-    resultNumber: new RegExp(`^${prefix}`)
-  });
-  
-  return `${prefix}${String(count + 1).padStart(4, '0')}`;
+// Next result number (default RESYYYYMMDD0001)
+resultSchema.statics.generateResultNumber = function() {
+  return nextNumber('result');
 };
 
-// Check for critical values
-resultSchema.methods.checkCriticalValues = function() {
+// Check for critical values: parameters flagged critical, plus numeric limits
+// from the critical value catalog (see CriticalValueRule.activeFor)
+resultSchema.methods.checkCriticalValues = function(rules = []) {
+  const testId = String(this.test && this.test._id ? this.test._id : this.test);
+  const numericRules = rules.filter(r => r.ruleType === 'numeric' && (!r.test || String(r.test) === testId));
   const critical = [];
   
   this.parameters.forEach(param => {
-    if (param.flag === 'critical_high' || param.flag === 'critical_low') {
+    const numericValue = parseFloat(param.value);
+    const rule = isNaN(numericValue) ? null : numericRules.find(r =>
+      r.parameter.toLowerCase() === param.name.toLowerCase() &&
+      ((typeof r.criticalLow === 'number' && numericValue <= r.criticalLow) ||
+       (typeof r.criticalHigh === 'number' && numericValue >= r.criticalHigh))
+    );
+
+    if (rule) {
       critical.push({
         parameter: param.name,
-        value: param.value,
+        value: String(param.value),
+        flag: typeof rule.criticalLow === 'number' && numericValue <= rule.criticalLow ? 'critical_low' : 'critical_high',
+        rule: rule._id
+      });
+    } else if (param.flag === 'critical_high' || param.flag === 'critical_low') {
+      critical.push({
+        parameter: param.name,
+        value: String(param.value),
         flag: param.flag
       });
     }
@@ -163,23 +227,106 @@ resultSchema.methods.checkCriticalValues = function() {
   return critical;
 };
 
-// Automatically flag parameters
+// Build a cumulative (trending) view of a patient's final/amended results,
+// with one row per test parameter and one column per result date. Rows are
+// keyed by test as well, so e.g. Glucose in a chemistry panel and in a
+// urinalysis (different units and ranges) are trended separately.
+resultSchema.statics.getCumulative = async function(patientId, options = {}) {
+  const query = {
+    patient: patientId,
+    status: { $in: ['final', 'amended'] }
+  };
+  if (options.test) query.test = options.test;
+  if (options.startDate || options.endDate) {
+    query.performedDate = {};
+    if (options.startDate) query.performedDate.$gte = new Date(options.startDate);
+    if (options.endDate) query.performedDate.$lte = new Date(options.endDate);
+  }
+
+  const results = await this.find(query)
+    .sort({ performedDate: 1 })
+    .populate('test', 'testName testCode category')
+    .lean();
+
+  const columns = results.map(result => ({
+    resultId: result._id,
+    resultNumber: result.resultNumber,
+    date: result.performedDate,
+    status: result.status,
+    test: result.test ? result.test.testName : null
+  }));
+
+  const rows = new Map();
+  results.forEach((result, columnIndex) => {
+    const testName = result.test ? result.test.testName : null;
+    (result.parameters || []).forEach(param => {
+      const key = `${result.test ? result.test._id : ''}:${param.name}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          parameter: param.name,
+          label: testName ? `${param.name} (${testName})` : param.name,
+          unit: param.unit,
+          test: testName,
+          values: new Array(results.length).fill(null)
+        });
+      }
+      const row = rows.get(key);
+      if (!row.unit && param.unit) row.unit = param.unit;
+
+      const range = param.referenceRange || {};
+      let referenceRange = range.text || null;
+      if (!referenceRange && range.min !== undefined && range.max !== undefined) {
+        referenceRange = `${range.min}-${range.max}`;
+      }
+
+      row.values[columnIndex] = {
+        value: param.value,
+        flag: param.flag,
+        referenceRange
+      };
+    });
+  });
+
+  return {
+    columns,
+    rows: Array.from(rows.values()).sort((a, b) =>
+      (a.test || '').localeCompare(b.test || '') || a.parameter.localeCompare(b.parameter)
+    )
+  };
+};
+
+// Automatically flag parameters against the (resolved) reference range,
+// with critical limits taking precedence over low/high
 resultSchema.pre('save', function(next) {
   this.parameters.forEach(param => {
-    if (param.referenceRange && param.referenceRange.min !== undefined && param.referenceRange.max !== undefined) {
-      const numericValue = parseFloat(param.value);
-      
-      if (!isNaN(numericValue)) {
-        if (numericValue < param.referenceRange.min) {
-          param.flag = 'low';
-        } else if (numericValue > param.referenceRange.max) {
-          param.flag = 'high';
-        } else {
-          param.flag = 'normal';
-        }
-      }
+    const range = param.referenceRange || {};
+    const numericValue = parseFloat(param.value);
+    if (isNaN(numericValue)) return;
+
+    const hasRange = range.min !== undefined && range.min !== null && range.max !== undefined && range.max !== null;
+    const hasCritical = typeof range.criticalLow === 'number' || typeof range.criticalHigh === 'number';
+    if (!hasRange && !hasCritical) return;
+
+    if (typeof range.criticalLow === 'number' && numericValue <= range.criticalLow) {
+      param.flag = 'critical_low';
+    } else if (typeof range.criticalHigh === 'number' && numericValue >= range.criticalHigh) {
+      param.flag = 'critical_high';
+    } else if (hasRange && numericValue < range.min) {
+      param.flag = 'low';
+    } else if (hasRange && numericValue > range.max) {
+      param.flag = 'high';
+    } else {
+      param.flag = 'normal';
     }
   });
+
+  // Critical follows the current flags: raised by a critical parameter and
+  // lowered again once amended values are no longer critical
+  if (this.parameters.some(p => p.flag === 'critical_low' || p.flag === 'critical_high')) {
+    this.overallResult = 'critical';
+  } else if (this.overallResult === 'critical') {
+    this.overallResult = this.parameters.some(p => p.flag && p.flag !== 'normal') ? 'abnormal' : 'normal';
+  }
   
   next();
 });
@@ -191,5 +338,6 @@ resultSchema.index({ patient: 1 });
 resultSchema.index({ test: 1 });
 resultSchema.index({ status: 1 });
 resultSchema.index({ performedDate: -1 });
+resultSchema.index({ patient: 1, status: 1, performedDate: -1 });
 
 module.exports = mongoose.model('Result', resultSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+// models/StorageLocation.js
+const mongoose = require('mongoose');
+
+// Storage hierarchy, outermost first. A location's parent must be of an
+// earlier level, so e.g. a refrigerator box can sit directly on a shelf.
+const LEVELS = ['site', 'unit', 'shelf', 'rack', 'box'];
+
+const storageLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  level: {
+    type: String,
+    enum: LEVELS,
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageLocation'
+  },
+  // "Main Lab / Freezer 2 / Shelf 1 / Rack A / Box 3", maintained on save
+  path: {
+    type: String,
+    index: true
+  },
+  // Set on units (freezer, refrigerator, room shelf); inherited below them
+  temperatureClass: {
+    type: String,
+    enum: ['room', 'refrigerated', 'frozen', '-80']
+  },
+  // Maximum child locations; boxes hold rows x columns positions instead
+  capacity: {
+    type: Number,
+    min: 1
+  },
+  rows: {
+    type: Number,
+    min: 1,
+    max: 26
+  },
+  columns: {
+    type: Number,
+    min: 1,
+    max: 50
+  },
+  barcode: {
+    type: String,
+    trim: true,
+    sparse: true,
+    unique: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+storageLocationSchema.pre('validate', async function(next) {
+  try {
+    if (this.level === 'site') {
+      if (this.parent) this.invalidate('parent', 'A site cannot have a parent location');
+      this.path = this.name;
+      return next();
+    }
+
+    const parent = this.parent && await this.constructor.findById(this.parent);
+    if (!parent) {
+      this.invalidate('parent', `A ${this.level} must be inside another location`);
+      return next();
+    }
+    if (LEVELS.indexOf(parent.level) >= LEVELS.indexOf(this.level)) {
+      this.invalidate('parent', `A ${this.level} cannot be placed inside a ${parent.level}`);
+    }
+
+    this.path = `${parent.path} / ${this.name}`;
+    if (this.level !== 'unit' && parent.temperatureClass) {
+      this.temperatureClass = parent.temperatureClass;
+    }
+    if (this.level === 'unit' && !this.temperatureClass) {
+      this.invalidate('temperatureClass', 'A storage unit needs a temperature class');
+    }
+    if (this.level === 'box' && (!this.rows || !this.columns)) {
+      this.invalidate('rows', 'A box needs rows and columns');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Position labels run A1, A2 ... across each row
+storageLocationSchema.methods.positionLabels = function() {
+  const labels = [];
+  for (let r = 0; r < (this.rows || 0); r++) {
+    for (let c = 1; c <= (this.columns || 0); c++) {
+      labels.push(`${String.fromCharCode(65 + r)}${c}`);
+    }
+  }
+  return labels;
+};
+
+storageLocationSchema.statics.LEVELS = LEVELS;
+
+storageLocationSchema.index({ parent: 1, name: 1 });
+
+module.exports = mongoose.model('StorageLocation', storageLocationSchema);
@@ -52,22 +52,57 @@ const testSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Reference ranges, resolved per patient when a result is saved (see
+  // services/referenceRanges). ageMin/ageMax give a precise band in ageUnit
+  // (inclusive min, exclusive max) and take precedence over ageGroup.
   normalRanges: [{
     parameter: String,
     minValue: Number,
     maxValue: Number,
+    criticalLow: Number,
+    criticalHigh: Number,
     unit: String,
+    text: String,
     ageGroup: {
       type: String,
-      enum: ['pediatric', 'adult', 'geriatric', 'all'],
+      enum: ['neonatal', 'pediatric', 'adult', 'geriatric', 'all'],
       default: 'all'
     },
+    ageMin: Number,
+    ageMax: Number,
+    ageUnit: {
+      type: String,
+      enum: ['days', 'months', 'years'],
+      default: 'years'
+    },
     gender: {
       type: String,
       enum: ['male', 'female', 'all'],
       default: 'all'
     }
   }],
+  // Delta checks: a parameter changing by more than either limit against the
+  // patient's most recent final value (within windowDays) holds the result
+  deltaChecks: [{
+    parameter: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    absolute: {
+      type: Number,
+      min: 0
+    },
+    percent: {
+      type: Number,
+      min: 0
+    },
+    windowDays: {
+      type: Number,
+      default: 30,
+      min: 1
+    }
+  }],
   prerequisites: [{
     type: String,
     trim: true
@@ -0,0 +1,37 @@
+// models/TrainingRecord.js
+const mongoose = require('mongoose');
+
+// Completion of a required training by a user
+const trainingRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requirement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingRequirement',
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  // From the requirement's renewal period; empty for one-time training
+  expiresAt: Date,
+  trainer: {
+    type: String,
+    trim: true
+  },
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+trainingRecordSchema.index({ user: 1, requirement: 1, completedAt: -1 });
+
+module.exports = mongoose.model('TrainingRecord', trainingRecordSchema);
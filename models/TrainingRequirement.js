@@ -0,0 +1,44 @@
+// models/TrainingRequirement.js
+const mongoose = require('mongoose');
+
+// A training every user in the listed departments/roles must complete (e.g.
+// bloodborne pathogens, biosafety). Empty lists apply to everyone.
+const trainingRequirementSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  departments: [{
+    type: String,
+    enum: ['hematology', 'biochemistry', 'microbiology', 'immunology', 'pathology', 'radiology', 'general']
+  }],
+  roles: [{
+    type: String,
+    enum: ['admin', 'lab_technician', 'doctor', 'receptionist']
+  }],
+  // Months until the training must be repeated; empty for one-time training
+  renewalMonths: {
+    type: Number,
+    min: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Whether the requirement applies to the user
+trainingRequirementSchema.methods.appliesTo = function(user) {
+  return (this.departments.length === 0 || this.departments.includes(user.department)) &&
+    (this.roles.length === 0 || this.roles.includes(user.role));
+};
+
+module.exports = mongoose.model('TrainingRequirement', trainingRequirementSchema);
@@ -50,6 +50,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Laboratory director (or delegate) who signs off competency assessments
+  labDirector: {
+    type: Boolean,
+    default: false
+  },
+  // Start of testing duties; CLIA requires semiannual competency in the first year
+  testingStartDate: Date,
   lastLogin: {
     type: Date
   },
@@ -83,6 +90,26 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Get (or create) a non-login account used to attribute automated actions,
+// e.g. orders received over an interface. The account is inactive so it can
+// never authenticate.
+userSchema.statics.getSystemUser = async function(username = 'system', firstName = 'System', lastName = 'Process') {
+  let user = await this.findOne({ username });
+  if (!user) {
+    user = new this({
+      username,
+      email: `${username}@system.local`,
+      password: require('crypto').randomBytes(32).toString('hex'),
+      firstName,
+      lastName,
+      role: 'lab_technician',
+      isActive: false
+    });
+    await user.save();
+  }
+  return user;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
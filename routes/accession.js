@@ -5,7 +5,14 @@ const Order = require('../models/Order');
 const Patient = require('../models/Patient');
 const Test = require('../models/Test');
 const PCRTest = require('../models/PCRTest');
-const { authenticateToken } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const Accession = require('../models/Accession');
+const { AddOnError, addOnTests } = require('../services/addOnTests');
+const { AliquotError, createAliquots, useAliquot, discardAliquot } = require('../services/aliquots');
+const { RejectionError, rejectSpecimen, renderNotice, markRecollectionReceived } = require('../services/rejections');
+const RejectionNotice = require('../models/RejectionNotice');
+const { TEMPERATURES, loadOrderTests, evaluateSpecimen } = require('../services/specimenStability');
+const { authenticateToken, authorize } = require('../middleware/auth');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -327,9 +334,23 @@ router.get('/status/:status', async (req, res) => {
 });
 
 // POST /api/accession/:id/accession - Complete accession process
-router.post('/:id/accession', async (req, res) => {
+// Specimens that fail a test's type, temperature or stability requirements
+// are refused with the rejection reason to use; an admin may override with
+// a documented reason.
+router.post('/:id/accession', [
+  body('receivedDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Received date must be a valid date')
+], async (req, res) => {
   try {
-    const { specimenCondition, accessionNotes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { specimenCondition, accessionNotes, transportTemperature, override, overrideReason } = req.body;
+
+    if (transportTemperature && !TEMPERATURES.includes(transportTemperature)) {
+      return res.status(400).json({ message: `Transport temperature must be one of: ${TEMPERATURES.join(', ')}` });
+    }
 
     const order = await Order.findById(req.params.id);
     
@@ -337,6 +358,47 @@ router.post('/:id/accession', async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (req.body.receivedDate) {
+      // The receipt time drives the stability check, so it cannot be moved
+      // into the future or before collection
+      const receivedDate = new Date(req.body.receivedDate);
+      if (receivedDate > new Date()) {
+        return res.status(400).json({ message: 'Received date cannot be in the future' });
+      }
+      if (order.collectionDate && receivedDate < order.collectionDate) {
+        return res.status(400).json({ message: 'Received date cannot be before the collection date' });
+      }
+      order.receivedDate = receivedDate;
+    }
+    if (transportTemperature) order.transportTemperature = transportTemperature;
+    if (!order.receivedDate) order.receivedDate = new Date();
+
+    // Stability runs from collection to receipt at the declared temperature
+    const stabilityCheck = evaluateSpecimen(order, await loadOrderTests(order), {
+      temperature: order.transportTemperature,
+      at: order.receivedDate
+    });
+
+    if (stabilityCheck.status === 'failed') {
+      if (!override) {
+        return res.status(422).json({
+          message: 'Specimen does not meet test requirements and should be rejected',
+          rejectionReason: stabilityCheck.problems[0].rejectionReason,
+          stabilityCheck
+        });
+      }
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only an admin can accept a specimen that fails its requirements' });
+      }
+      if (!overrideReason || !String(overrideReason).trim()) {
+        return res.status(400).json({ message: 'An override reason is required' });
+      }
+      stabilityCheck.status = 'overridden';
+      stabilityCheck.overriddenBy = req.user._id || req.user.userId;
+      stabilityCheck.overrideReason = String(overrideReason).trim();
+    }
+    order.stabilityCheck = stabilityCheck;
+
     // Generate accession number
     const accessionNumber = await Order.generateAccessionNumber();
 
@@ -358,10 +420,12 @@ router.post('/:id/accession', async (req, res) => {
     });
 
     await order.save();
+    await markRecollectionReceived(order);
 
     res.json({
       message: 'Specimen accessioned successfully',
       accessionNumber: accessionNumber,
+      warnings: stabilityCheck.warnings,
       order: order
     });
 
@@ -424,7 +488,8 @@ router.get('/statistics', async (req, res) => {
   }
 });
 
-// POST /api/accession/:id/reject - Reject a specimen
+// POST /api/accession/:id/reject - Reject a specimen, notify the office and
+// place a recollection order
 router.post('/:id/reject', async (req, res) => {
   try {
     const { reason, comments } = req.body;
@@ -435,20 +500,21 @@ router.post('/:id/reject', async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    order.status = 'rejected';
-    order.rejectionDate = new Date();
-    order.rejectedBy = req.user._id || req.user.id || req.user.userId;
-    order.rejectionReason = reason;
-    order.rejectionComments = comments;
-
-    await order.save();
+    const { notice, recollection } = await rejectSpecimen(order, { reason, comments }, req.user._id || req.user.id || req.user.userId);
 
     res.json({
-      message: 'Specimen rejected',
-      order: order
+      message: notice.contact.method === 'email'
+        ? `Specimen rejected; notice is being emailed to ${notice.contact.email}`
+        : `Specimen rejected; notice queued to ${notice.contact.method === 'fax' ? `fax ${notice.contact.fax}` : `phone ${notice.contact.phone || notice.contact.name || 'the office'}`}`,
+      order: order,
+      notice,
+      recollectionOrder: recollection
     });
 
   } catch (error) {
+    if (error instanceof RejectionError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Reject specimen error:', error);
     res.status(500).json({ 
       message: 'Failed to reject specimen',
@@ -457,6 +523,212 @@ router.post('/:id/reject', async (req, res) => {
   }
 });
 
+// GET /api/accession/:id/rejection-notice - Rejection notice PDF
+router.get('/:id/rejection-notice', async (req, res) => {
+  try {
+    const notice = await RejectionNotice.findOne({ order: req.params.id }).sort({ createdAt: -1 });
+    if (!notice) {
+      return res.status(404).json({ message: 'No rejection notice for this order' });
+    }
+
+    const { pdf, order } = await renderNotice(notice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="rejection-${order.orderNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    if (error instanceof RejectionError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Rejection notice PDF error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/accession/:id/add-ons - Add-on history for a specimen
+router.get('/:id/add-ons', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber accessionNumber addOns')
+      .populate('addOns.enteredBy', 'firstName lastName username');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({ addOns: order.addOns });
+  } catch (error) {
+    console.error('Get add-ons error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/accession/:id/add-ons - Add tests to an accessioned specimen
+router.post('/:id/add-ons', authorize('admin', 'lab_technician', 'receptionist'), [
+  body('tests').isArray({ min: 1 }).withMessage('At least one test is required'),
+  body('tests.*').isMongoId().withMessage('Invalid test ID'),
+  body('requestedBy.name').trim().notEmpty().withMessage('Requester name is required'),
+  body('requestedBy.phone').optional().trim(),
+  body('requestedBy.organization').optional().trim(),
+  body('requestMethod').optional().isIn(['phone', 'fax', 'email', 'portal', 'in_person']),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const addOn = await addOnTests(order, {
+      tests: req.body.tests,
+      requestedBy: req.body.requestedBy,
+      requestMethod: req.body.requestMethod || 'phone',
+      reason: req.body.reason
+    }, req.user._id || req.user.userId);
+    order.modifiedBy = req.user._id || req.user.userId;
+    await order.save();
+
+    res.status(201).json({
+      message: `${addOn.tests.length} add-on test(s) added to ${order.accessionNumber}`,
+      addOn,
+      totalAmount: order.totalAmount,
+      labelUrl: `/label-print?orderId=${order._id}&addOn=${addOn._id}`
+    });
+  } catch (error) {
+    if (error instanceof AddOnError) {
+      return res.status(400).json({ message: error.message, problems: error.problems });
+    }
+    console.error('Add-on tests error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/accession/:id/aliquots - Primary volume and aliquots of a specimen
+router.get('/:id/aliquots', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber accessionNumber');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const accession = order.accessionNumber && await Accession.findOne({ accessionNumber: order.accessionNumber })
+      .select('accessionNumber volume volumeUnit remainingVolume storage.status aliquots')
+      .populate('aliquots.createdBy', 'firstName lastName username')
+      .lean();
+
+    res.json({
+      accessionNumber: order.accessionNumber,
+      volume: accession ? accession.volume : undefined,
+      volumeUnit: accession ? accession.volumeUnit : 'mL',
+      remainingVolume: accession ? accession.remainingVolume : undefined,
+      aliquots: accession ? accession.aliquots : []
+    });
+  } catch (error) {
+    console.error('Get aliquots error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/accession/:id/aliquots - Split a specimen into aliquots
+router.post('/:id/aliquots', authorize('admin', 'lab_technician'), [
+  body('volume').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).toFloat()
+    .withMessage('Primary volume must be greater than 0'),
+  body('unit').optional().trim().isIn(['mL', 'uL', 'g', 'mg']),
+  body('aliquots').isArray({ min: 1, max: 50 }).withMessage('At least one aliquot is required'),
+  body('aliquots.*.volume').isFloat({ gt: 0 }).toFloat().withMessage('Aliquot volume must be greater than 0'),
+  body('aliquots.*.location').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { accession, aliquots } = await createAliquots(order, {
+      volume: req.body.volume,
+      unit: req.body.unit,
+      aliquots: req.body.aliquots
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: `${aliquots.length} aliquot(s) created from ${accession.accessionNumber}`,
+      aliquots,
+      remainingVolume: accession.remainingVolume,
+      volumeUnit: accession.volumeUnit,
+      labelUrl: `/label-print?orderId=${order._id}&aliquots=${aliquots.map(a => a.aliquotId).join(',')}`
+    });
+  } catch (error) {
+    if (error instanceof AliquotError || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create aliquots error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/accession/aliquots/:aliquotId/use - Record volume used from an aliquot
+router.post('/aliquots/:aliquotId/use', authorize('admin', 'lab_technician'), [
+  body('volume').isFloat({ gt: 0 }).toFloat().withMessage('Volume must be greater than 0'),
+  body('purpose').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { aliquot } = await useAliquot(req.params.aliquotId, req.body.volume, req.body.purpose, req.user._id || req.user.userId);
+
+    res.json({
+      message: aliquot.status === 'consumed'
+        ? `${aliquot.aliquotId} consumed`
+        : `${aliquot.remainingVolume} ${aliquot.unit} of ${aliquot.aliquotId} left`,
+      aliquot
+    });
+  } catch (error) {
+    if (error instanceof AliquotError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Use aliquot error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/accession/aliquots/:aliquotId/discard - Discard an aliquot
+router.post('/aliquots/:aliquotId/discard', authorize('admin', 'lab_technician'), [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { aliquot } = await discardAliquot(req.params.aliquotId, req.body.reason, req.user._id || req.user.userId);
+
+    res.json({
+      message: `${aliquot.aliquotId} discarded`,
+      aliquot
+    });
+  } catch (error) {
+    if (error instanceof AliquotError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Discard aliquot error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // GET /api/accession/search/:barcode - Search specimen by barcode
 router.get('/search/:barcode', async (req, res) => {
   try {
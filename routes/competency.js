@@ -0,0 +1,426 @@
+// routes/competency.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const TrainingRequirement = require('../models/TrainingRequirement');
+const TrainingRecord = require('../models/TrainingRecord');
+const CompetencyAssessment = require('../models/CompetencyAssessment');
+const {
+  COMPETENCY_ELEMENTS,
+  VALIDITY_MONTHS,
+  CompetencyError,
+  recordTraining,
+  trainingStatus,
+  startAssessment,
+  updateAssessment,
+  submitAssessment,
+  signOff,
+  latestCompetencies,
+  staffCompliance,
+  competencyAlerts
+} = require('../services/competency');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const DEPARTMENTS = ['hematology', 'biochemistry', 'microbiology', 'immunology', 'pathology', 'radiology', 'general'];
+const ROLES = ['admin', 'lab_technician', 'doctor', 'receptionist'];
+
+const requirementValidation = [
+  body('name').trim().notEmpty().withMessage('Training name is required'),
+  body('departments').optional().isArray(),
+  body('departments.*').isIn(DEPARTMENTS),
+  body('roles').optional().isArray(),
+  body('roles.*').isIn(ROLES),
+  body('renewalMonths').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 120 }),
+  body('active').optional().isBoolean()
+];
+
+const elementValidation = [
+  body('elements').optional().isArray(),
+  body('elements.*.element').isIn(Object.keys(COMPETENCY_ELEMENTS)).withMessage('Unknown competency element'),
+  body('elements.*.satisfactory').isBoolean().withMessage('Each element must be marked satisfactory or not'),
+  body('elements.*.method').optional().trim(),
+  body('elements.*.assessedAt').optional({ nullable: true, checkFalsy: true }).isISO8601()
+];
+
+// Respond with the service error, a validation error, or a 500
+function handleError(res, error, label) {
+  if (error instanceof CompetencyError) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Internal server error' });
+}
+
+// Full training and competency file for one user (what an inspector asks for)
+async function staffFile(user) {
+  const [trainings, competencies, trainingHistory, assessments] = await Promise.all([
+    trainingStatus(user),
+    latestCompetencies(user._id),
+    TrainingRecord.find({ user: user._id })
+      .populate('requirement', 'name')
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ completedAt: -1 }),
+    CompetencyAssessment.find({ user: user._id })
+      .populate('test', 'testName testCode')
+      .populate('assessedBy', 'firstName lastName')
+      .populate('signedOffBy', 'firstName lastName')
+      .populate('elements.assessedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+  ]);
+  return { user, trainings, competencies, trainingHistory, assessments };
+}
+
+router.get('/elements', (req, res) => {
+  res.json({ elements: COMPETENCY_ELEMENTS, validityMonths: VALIDITY_MONTHS });
+});
+
+// Overdue and soon-due training/competency, and assessments awaiting sign-off
+router.get('/alerts', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    res.json(await competencyAlerts());
+  } catch (error) {
+    handleError(res, error, 'Get competency alerts');
+  }
+});
+
+// ============= STAFF =============
+
+router.get('/staff', authorize('admin', 'lab_technician'), [
+  query('department').optional().isIn(DEPARTMENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.department) filter.department = req.query.department;
+
+    res.json({ staff: await staffCompliance(filter) });
+  } catch (error) {
+    handleError(res, error, 'Get staff competency');
+  }
+});
+
+// The signed-in user's own file
+router.get('/me', async (req, res) => {
+  try {
+    res.json(await staffFile(req.user));
+  } catch (error) {
+    handleError(res, error, 'Get own competency');
+  }
+});
+
+router.get('/staff/:userId', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select('firstName lastName username role department labDirector testingStartDate');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await staffFile(user));
+  } catch (error) {
+    handleError(res, error, 'Get staff file');
+  }
+});
+
+// Mark the laboratory director and record when testing duties started
+router.put('/staff/:userId', authorize('admin'), [
+  body('labDirector').optional().isBoolean(),
+  body('testingStartDate').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.body.labDirector !== undefined) user.labDirector = req.body.labDirector;
+    if (req.body.testingStartDate !== undefined) user.testingStartDate = req.body.testingStartDate || undefined;
+    await user.save();
+
+    res.json({
+      message: 'Staff record updated successfully',
+      user
+    });
+  } catch (error) {
+    handleError(res, error, 'Update staff record');
+  }
+});
+
+// ============= TRAINING =============
+
+router.get('/requirements', async (req, res) => {
+  try {
+    const requirements = await TrainingRequirement.find().sort({ active: -1, name: 1 });
+    res.json({ requirements });
+  } catch (error) {
+    handleError(res, error, 'Get training requirements');
+  }
+});
+
+router.post('/requirements', authorize('admin'), requirementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requirement = await TrainingRequirement.create({
+      name: req.body.name,
+      description: req.body.description,
+      departments: req.body.departments || [],
+      roles: req.body.roles || [],
+      renewalMonths: req.body.renewalMonths || undefined,
+      createdBy: req.user._id || req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Training requirement created successfully',
+      requirement
+    });
+  } catch (error) {
+    handleError(res, error, 'Create training requirement');
+  }
+});
+
+router.put('/requirements/:id', authorize('admin'), requirementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requirement = await TrainingRequirement.findById(req.params.id);
+    if (!requirement) {
+      return res.status(404).json({ message: 'Training requirement not found' });
+    }
+
+    requirement.name = req.body.name;
+    requirement.description = req.body.description;
+    requirement.departments = req.body.departments || [];
+    requirement.roles = req.body.roles || [];
+    requirement.renewalMonths = req.body.renewalMonths || undefined;
+    if (req.body.active !== undefined) requirement.active = req.body.active;
+    await requirement.save();
+
+    res.json({
+      message: 'Training requirement updated successfully',
+      requirement
+    });
+  } catch (error) {
+    handleError(res, error, 'Update training requirement');
+  }
+});
+
+router.post('/trainings', authorize('admin', 'lab_technician'), [
+  body('user').isMongoId().withMessage('Valid user is required'),
+  body('requirement').isMongoId().withMessage('Valid training requirement is required'),
+  body('completedAt').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('trainer').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [user, requirement] = await Promise.all([
+      User.findById(req.body.user),
+      TrainingRequirement.findById(req.body.requirement)
+    ]);
+    if (!user || !requirement) {
+      return res.status(404).json({ message: 'User or training requirement not found' });
+    }
+
+    const record = await recordTraining(user, requirement, {
+      completedAt: req.body.completedAt || undefined,
+      trainer: req.body.trainer,
+      notes: req.body.notes
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: `${requirement.name} recorded for ${user.firstName} ${user.lastName}`,
+      record
+    });
+  } catch (error) {
+    handleError(res, error, 'Record training');
+  }
+});
+
+// ============= ASSESSMENTS =============
+
+router.get('/assessments', authorize('admin', 'lab_technician'), [
+  query('status').optional().isIn(['in_progress', 'awaiting_signoff', 'competent', 'not_competent']),
+  query('user').optional().isMongoId(),
+  query('test').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    ['status', 'user', 'test'].forEach(key => {
+      if (req.query[key]) filter[key] = req.query[key];
+    });
+
+    const assessments = await CompetencyAssessment.find(filter)
+      .populate('user', 'firstName lastName')
+      .populate('test', 'testName testCode')
+      .populate('assessedBy', 'firstName lastName')
+      .populate('signedOffBy', 'firstName lastName')
+      .sort({ updatedAt: -1 })
+      .limit(200);
+
+    res.json({ assessments });
+  } catch (error) {
+    handleError(res, error, 'Get competency assessments');
+  }
+});
+
+router.get('/assessments/:id', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const assessment = await CompetencyAssessment.findById(req.params.id)
+      .populate('user', 'firstName lastName department')
+      .populate('test', 'testName testCode')
+      .populate('assessedBy', 'firstName lastName')
+      .populate('signedOffBy', 'firstName lastName')
+      .populate('elements.assessedBy', 'firstName lastName');
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    res.json({ assessment });
+  } catch (error) {
+    handleError(res, error, 'Get competency assessment');
+  }
+});
+
+// Start an assessment, optionally with elements already assessed
+router.post('/assessments', authorize('admin', 'lab_technician'), [
+  body('user').isMongoId().withMessage('Valid user is required'),
+  body('test').isMongoId().withMessage('Valid test is required'),
+  body('testModel').optional().isIn(['Test', 'PCRTest']),
+  body('assessmentType').isIn(['initial', 'semiannual', 'annual', 'retraining']).withMessage('Valid assessment type is required'),
+  ...elementValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.body.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const assessment = await startAssessment({
+      user,
+      test: req.body.test,
+      testModel: req.body.testModel || 'PCRTest',
+      assessmentType: req.body.assessmentType,
+      elements: req.body.elements
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: 'Competency assessment started',
+      assessment
+    });
+  } catch (error) {
+    handleError(res, error, 'Start competency assessment');
+  }
+});
+
+// Record or re-record elements
+router.put('/assessments/:id', authorize('admin', 'lab_technician'), elementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assessment = await CompetencyAssessment.findById(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    await updateAssessment(assessment, req.body.elements, req.user._id || req.user.userId);
+    res.json({
+      message: 'Assessment updated successfully',
+      assessment
+    });
+  } catch (error) {
+    handleError(res, error, 'Update competency assessment');
+  }
+});
+
+router.post('/assessments/:id/submit', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const assessment = await CompetencyAssessment.findById(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    await submitAssessment(assessment);
+    res.json({
+      message: 'Assessment submitted for director sign-off',
+      assessment
+    });
+  } catch (error) {
+    handleError(res, error, 'Submit competency assessment');
+  }
+});
+
+// Director sign-off (the director flag is checked in the service)
+router.post('/assessments/:id/signoff', [
+  body('competent').isBoolean().withMessage('Decision is required'),
+  body('comment').optional().trim(),
+  body('correctiveAction').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assessment = await CompetencyAssessment.findById(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    await signOff(assessment, req.user, {
+      competent: req.body.competent === true || req.body.competent === 'true',
+      comment: req.body.comment,
+      correctiveAction: req.body.correctiveAction
+    });
+
+    res.json({
+      message: assessment.status === 'competent'
+        ? `Signed off as competent until ${assessment.expiresAt.toLocaleDateString()}`
+        : 'Signed off as not competent',
+      assessment
+    });
+  } catch (error) {
+    handleError(res, error, 'Sign off competency assessment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+// routes/criticalValues.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const CriticalValueRule = require('../models/CriticalValueRule');
+const CriticalNotification = require('../models/CriticalNotification');
+const criticalValueDefaults = require('../data/criticalValueDefaults');
+const {
+  CriticalValueError,
+  contactChain,
+  recordAttempt,
+  escalate
+} = require('../services/criticalValues');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const ruleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('ruleType').isIn(['pcr_target', 'resistance_marker', 'numeric']).withMessage('Valid rule type is required'),
+  body('test').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('testModel').optional({ nullable: true, checkFalsy: true }).isIn(['PCRTest', 'Test']),
+  body('match').optional().trim(),
+  body('parameter').optional().trim(),
+  body('criticalLow').optional({ nullable: true, checkFalsy: true }).isFloat(),
+  body('criticalHigh').optional({ nullable: true, checkFalsy: true }).isFloat(),
+  body('notifyWithinMinutes').optional().isInt({ min: 5, max: 1440 }),
+  body('active').optional().isBoolean()
+];
+
+// Normalize blank optional fields from the form to "not set"
+function ruleFields(body) {
+  const fields = { ...body };
+  ['test', 'testModel', 'criticalLow', 'criticalHigh'].forEach(key => {
+    if (fields[key] === '' || fields[key] === null) fields[key] = undefined;
+  });
+  if (!fields.test) fields.testModel = undefined;
+  delete fields._id;
+  delete fields.createdBy;
+  return fields;
+}
+
+// ============= CRITICAL VALUE CATALOG =============
+
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await CriticalValueRule.find()
+      .populate('test', 'testName testCode')
+      .sort({ ruleType: 1, name: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get critical value rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/rules', authorize('admin'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = new CriticalValueRule({
+      ...ruleFields(req.body),
+      createdBy: req.user._id || req.user.userId
+    });
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Critical value rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create critical value rule error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/rules/:id', authorize('admin'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await CriticalValueRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Critical value rule not found' });
+    }
+
+    const fields = ruleFields(req.body);
+    ['test', 'testModel', 'match', 'parameter', 'criticalLow', 'criticalHigh', 'unit', 'notes'].forEach(key => {
+      rule.set(key, fields[key]);
+    });
+    ['name', 'ruleType', 'notifyWithinMinutes', 'active'].forEach(key => {
+      if (fields[key] !== undefined) rule.set(key, fields[key]);
+    });
+    rule.lastModifiedBy = req.user._id || req.user.userId;
+    await rule.save();
+
+    res.json({
+      message: 'Critical value rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update critical value rule error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/rules/:id', authorize('admin'), async (req, res) => {
+  try {
+    const rule = await CriticalValueRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Critical value rule not found' });
+    }
+
+    res.json({ message: 'Critical value rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete critical value rule error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Load the starter catalog; rules with the same name are left alone
+router.post('/rules/initialize', authorize('admin'), async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    let created = 0;
+
+    for (const entry of criticalValueDefaults) {
+      const existing = await CriticalValueRule.findOne({ name: entry.name, ruleType: entry.ruleType, test: null });
+      if (!existing) {
+        await CriticalValueRule.create({ ...entry, createdBy: userId });
+        created++;
+      }
+    }
+
+    res.json({
+      message: `${created} critical value rule${created === 1 ? '' : 's'} loaded`,
+      created
+    });
+  } catch (error) {
+    console.error('Initialize critical value rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ============= CALL-BACK WORKFLOW =============
+
+router.get('/notifications', authorize('admin', 'lab_technician'), [
+  query('status').optional().isIn(['open', 'acknowledged', 'cancelled']),
+  query('escalated').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+
+    let queryObj = {};
+    if (req.query.status) queryObj.status = req.query.status;
+    if (req.query.escalated === 'true') queryObj['escalations.0'] = { $exists: true };
+
+    const [notifications, total, openCount] = await Promise.all([
+      CriticalNotification.find(queryObj)
+        .sort({ status: -1, dueAt: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('patient', 'firstName lastName patientId')
+        .populate('order', 'orderNumber accessionNumber')
+        .populate('notifiedBy', 'firstName lastName'),
+      CriticalNotification.countDocuments(queryObj),
+      CriticalNotification.countDocuments({ status: 'open' })
+    ]);
+
+    res.json({
+      notifications,
+      openCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get critical notifications error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// A call-back with everyone who can be contacted for it
+router.get('/notifications/:id', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const notification = await CriticalNotification.findById(req.params.id)
+      .populate('patient', 'firstName lastName patientId dateOfBirth')
+      .populate('order', 'orderNumber accessionNumber orderingPhysician')
+      .populate('attempts.attemptedBy notifiedBy cancelledBy', 'firstName lastName');
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Critical value notification not found' });
+    }
+
+    const contacts = await contactChain(notification.order && notification.order._id);
+    res.json({ notification, contacts });
+  } catch (error) {
+    console.error('Get critical notification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/notifications/:id/attempts', authorize('admin', 'lab_technician'), [
+  body('contactRole').isIn(['physician', 'office', 'supervisor', 'other']).withMessage('Valid contact role is required'),
+  body('contactName').trim().notEmpty().withMessage('Name of the person contacted is required'),
+  body('method').isIn(['phone', 'email', 'fax', 'in_person']).withMessage('Valid contact method is required'),
+  body('outcome').isIn(['reached', 'no_answer', 'left_message', 'wrong_number', 'email_sent']).withMessage('Valid outcome is required'),
+  body('readBack').optional().isBoolean(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notification = await CriticalNotification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ message: 'Critical value notification not found' });
+    }
+
+    const { contactRole, contactName, method, outcome, readBack, notes } = req.body;
+    await recordAttempt(notification, {
+      contactRole, contactName, method, outcome, readBack: readBack === true || readBack === 'true', notes
+    }, req.user._id || req.user.userId);
+
+    res.json({
+      message: notification.status === 'acknowledged'
+        ? `Call-back completed in ${notification.minutesToNotify} minutes`
+        : 'Attempt recorded',
+      notification
+    });
+  } catch (error) {
+    if (error instanceof CriticalValueError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Record call-back attempt error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Escalate now instead of waiting for the timer, e.g. the physician is unreachable
+router.post('/notifications/:id/escalate', authorize('admin', 'lab_technician'), [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notification = await CriticalNotification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ message: 'Critical value notification not found' });
+    }
+    if (notification.status !== 'open') {
+      return res.status(400).json({ message: `This call-back is already ${notification.status}` });
+    }
+
+    await escalate(notification, req.body.reason);
+
+    res.json({
+      message: `Escalated to ${notification.currentContact.name}`,
+      notification
+    });
+  } catch (error) {
+    console.error('Escalate critical notification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Close a call-back that no longer applies, e.g. the result was corrected
+router.post('/notifications/:id/cancel', authorize('admin'), [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notification = await CriticalNotification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ message: 'Critical value notification not found' });
+    }
+    if (notification.status !== 'open') {
+      return res.status(400).json({ message: `This call-back is already ${notification.status}` });
+    }
+
+    notification.status = 'cancelled';
+    notification.cancelReason = req.body.reason;
+    notification.cancelledBy = req.user._id || req.user.userId;
+    await notification.save();
+
+    res.json({
+      message: 'Call-back cancelled',
+      notification
+    });
+  } catch (error) {
+    console.error('Cancel critical notification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const Patient = require('../models/Patient');
 const Order = require('../models/Order');
 const Result = require('../models/Result');
 const Test = require('../models/Test');
+const { PATIENT_ORDERS } = require('../services/proficiencyTesting');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
@@ -10,13 +11,16 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Proficiency testing samples are left out of everything below: the PT
+// patient is not counted and PT orders are matched out with PATIENT_ORDERS
+
 // Get dashboard statistics
 router.get('/statistics', async (req, res) => {
   try {
     // Basic counts
-    const totalPatients = await Patient.countDocuments({ isActive: true });
-    const pendingOrders = await Order.countDocuments({ status: 'pending' });
-    const completedTests = await Order.countDocuments({ status: 'completed' });
+    const totalPatients = await Patient.countDocuments({ isActive: true, proficiencyTesting: { $ne: true } });
+    const pendingOrders = await Order.countDocuments({ status: 'pending', ...PATIENT_ORDERS });
+    const completedTests = await Order.countDocuments({ status: 'completed', ...PATIENT_ORDERS });
     const criticalResults = await Result.countDocuments({ 
       overallResult: 'critical',
       status: { $in: ['preliminary', 'final'] }
@@ -28,11 +32,13 @@ router.get('/statistics', async (req, res) => {
 
     const newPatientsThisMonth = await Patient.countDocuments({
       isActive: true,
+      proficiencyTesting: { $ne: true },
       createdAt: { $gte: thirtyDaysAgo }
     });
 
     const ordersThisMonth = await Order.countDocuments({
-      createdAt: { $gte: thirtyDaysAgo }
+      createdAt: { $gte: thirtyDaysAgo },
+      ...PATIENT_ORDERS
     });
 
     const resultsThisMonth = await Result.countDocuments({
@@ -59,7 +65,7 @@ router.get('/statistics', async (req, res) => {
 // Get recent orders for dashboard
 router.get('/recent-orders', async (req, res) => {
   try {
-    const recentOrders = await Order.find()
+    const recentOrders = await Order.find(PATIENT_ORDERS)
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('patient', 'firstName lastName patientId')
@@ -98,7 +104,8 @@ router.get('/alerts', async (req, res) => {
 
     const overdueOrders = await Order.countDocuments({
       status: 'pending',
-      createdAt: { $lt: twoDaysAgo }
+      createdAt: { $lt: twoDaysAgo },
+      ...PATIENT_ORDERS
     });
 
     if (overdueOrders > 0) {
@@ -126,7 +133,8 @@ router.get('/alerts', async (req, res) => {
     // High priority orders
     const urgentOrders = await Order.countDocuments({
       priority: { $in: ['urgent', 'stat'] },
-      status: { $in: ['pending', 'partial'] }
+      status: { $in: ['pending', 'partial'] },
+      ...PATIENT_ORDERS
     });
 
     if (urgentOrders > 0) {
@@ -153,7 +161,8 @@ router.get('/workload', async (req, res) => {
 
     // Today's workload
     const ordersToday = await Order.countDocuments({
-      createdAt: { $gte: startOfDay, $lte: endOfDay }
+      createdAt: { $gte: startOfDay, $lte: endOfDay },
+      ...PATIENT_ORDERS
     });
 
     const resultsToday = await Result.countDocuments({
@@ -162,7 +171,7 @@ router.get('/workload', async (req, res) => {
 
     const pendingTests = await Order.aggregate([
       {
-        $match: { status: { $in: ['pending', 'partial'] } }
+        $match: { status: { $in: ['pending', 'partial'] }, ...PATIENT_ORDERS }
       },
       {
         $unwind: '$tests'
@@ -180,7 +189,7 @@ router.get('/workload', async (req, res) => {
     // Test category breakdown for pending work
     const categoryWorkload = await Order.aggregate([
       {
-        $match: { status: { $in: ['pending', 'partial'] } }
+        $match: { status: { $in: ['pending', 'partial'] }, ...PATIENT_ORDERS }
       },
       {
         $unwind: '$tests'
@@ -241,7 +250,8 @@ router.get('/performance', async (req, res) => {
         $match: {
           status: 'completed',
           createdAt: { $gte: last30Days },
-          actualCompletion: { $exists: true }
+          actualCompletion: { $exists: true },
+          ...PATIENT_ORDERS
         }
       },
       {
@@ -301,7 +311,8 @@ router.get('/performance', async (req, res) => {
     const dailyVolume = await Order.aggregate([
       {
         $match: {
-          createdAt: { $gte: last7Days }
+          createdAt: { $gte: last7Days },
+          ...PATIENT_ORDERS
         }
       },
       {
@@ -341,7 +352,8 @@ router.get('/activity', async (req, res) => {
 
     // Recent user activities
     const recentOrders = await Order.find({
-      createdAt: { $gte: last24Hours }
+      createdAt: { $gte: last24Hours },
+      ...PATIENT_ORDERS
     })
       .limit(10)
       .populate('createdBy', 'firstName lastName')
@@ -360,7 +372,7 @@ router.get('/activity', async (req, res) => {
     // Activity by user role
     const userActivity = await Order.aggregate([
       {
-        $match: { createdAt: { $gte: last24Hours } }
+        $match: { createdAt: { $gte: last24Hours }, ...PATIENT_ORDERS }
       },
       {
         $lookup: {
@@ -0,0 +1,160 @@
+// routes/elr.js
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const ELRSubmission = require('../models/ELRSubmission');
+const reportableConditions = require('../data/reportableConditions');
+const { ELRError, processQueue, resubmit, queueResultReport } = require('../services/elr');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+router.use(authorize('admin'));
+
+// Reportable condition catalog
+router.get('/conditions', (req, res) => {
+  res.json({
+    conditions: reportableConditions.map(({ pattern, ...condition }) => ({
+      ...condition,
+      pattern: pattern.source
+    }))
+  });
+});
+
+// Submission log
+router.get('/submissions', [
+  query('status').optional().isIn(['queued', 'submitted', 'failed', 'cancelled']),
+  query('jurisdiction').optional().trim().isLength({ min: 2, max: 2 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+
+    let queryObj = {};
+    if (req.query.status) queryObj.status = req.query.status;
+    if (req.query.jurisdiction) queryObj.jurisdiction = req.query.jurisdiction.toUpperCase();
+
+    const [submissions, total, queueCounts] = await Promise.all([
+      ELRSubmission.find(queryObj)
+        .select('-raw')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('pcrResult', 'resultNumber status')
+        .populate('order', 'orderNumber accessionNumber')
+        .populate('patient', 'firstName lastName patientId'),
+      ELRSubmission.countDocuments(queryObj),
+      ELRSubmission.aggregate([
+        { $match: { status: { $in: ['queued', 'failed'] } } },
+        { $group: { _id: { jurisdiction: '$jurisdiction', status: '$status' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      submissions,
+      queue: queueCounts.map(q => ({ jurisdiction: q._id.jurisdiction, status: q._id.status, count: q.count })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get ELR submissions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Single submission including the raw message
+router.get('/submissions/:id', async (req, res) => {
+  try {
+    const submission = await ELRSubmission.findById(req.params.id)
+      .populate('pcrResult', 'resultNumber status')
+      .populate('order', 'orderNumber accessionNumber')
+      .populate('patient', 'firstName lastName patientId')
+      .populate('resubmittedBy', 'firstName lastName');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'ELR submission not found' });
+    }
+
+    res.json({ submission });
+  } catch (error) {
+    console.error('Get ELR submission error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Write a submission out again now
+router.post('/submissions/:id/resubmit', async (req, res) => {
+  try {
+    const submission = await ELRSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'ELR submission not found' });
+    }
+    if (submission.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled submissions were superseded and cannot be resubmitted' });
+    }
+
+    const written = await resubmit(submission, req.user._id || req.user.userId);
+
+    res.json({
+      message: written.status === 'submitted'
+        ? `Written to ${written.filename}`
+        : `Submission failed: ${written.errorMessage}`,
+      submission: written
+    });
+  } catch (error) {
+    console.error('Resubmit ELR error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Queue (or re-queue) the report for a result, e.g. one finalized before ELR was enabled
+router.post('/results/:resultId', async (req, res) => {
+  try {
+    const submission = await queueResultReport(req.params.resultId);
+    if (!submission) {
+      return res.status(400).json({
+        message: 'Nothing to report: ELR is disabled, the result is not final, or it has no reportable findings'
+      });
+    }
+
+    res.status(201).json({
+      message: submission.jurisdiction
+        ? `Report queued for ${submission.jurisdiction}`
+        : `Report logged as failed: ${submission.errorMessage}`,
+      submission
+    });
+  } catch (error) {
+    if (error instanceof ELRError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Queue ELR error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Flush the queue now instead of waiting for the worker
+router.post('/process', async (req, res) => {
+  try {
+    const summary = await processQueue();
+    res.json({
+      message: `${summary.submitted} submitted, ${summary.failed} failed`,
+      summary
+    });
+  } catch (error) {
+    console.error('Process ELR queue error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
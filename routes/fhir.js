@@ -0,0 +1,646 @@
+// routes/fhir.js - FHIR R4 API (mounted at /fhir/R4)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Order = require('../models/Order');
+const Doctor = require('../models/Doctor');
+const PCRTest = require('../models/PCRTest');
+const Test = require('../models/Test');
+const PCRResult = require('../models/PCRResult');
+const Result = require('../models/Result');
+const fhir = require('../services/fhir');
+const { FhirError } = fhir;
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// FHIR clients send application/fhir+json, which the app-wide parser ignores
+router.use(express.json({ type: ['application/json', 'application/fhir+json'], limit: '10mb' }));
+
+// Observation search flattens result documents, so it scans at most this many
+// per collection; a search that reaches the cap carries a warning instead of a total
+const MAX_OBSERVATION_SCAN = 500;
+
+// ============= HELPERS =============
+
+function serverUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function fhirBase(req) {
+  return `${serverUrl(req)}/fhir/R4`;
+}
+
+function send(res, status, resource) {
+  res.status(status).type('application/fhir+json').json(resource);
+}
+
+function handleError(res, error, label) {
+  if (error instanceof FhirError) {
+    return send(res, error.status, fhir.operationOutcome('error', error.code, error.message));
+  }
+  if (error.name === 'ValidationError') {
+    return send(res, 422, fhir.operationOutcome('error', 'processing', error.message));
+  }
+  console.error(`${label} error:`, error);
+  send(res, 500, fhir.operationOutcome('fatal', 'exception', 'Internal server error'));
+}
+
+function notFound(type, id) {
+  return new FhirError(404, 'not-found', `${type}/${id} not found`);
+}
+
+function isObjectId(id) {
+  return /^[a-f0-9]{24}$/i.test(id || '') && mongoose.Types.ObjectId.isValid(id);
+}
+
+function paging(req) {
+  const count = Math.min(Math.max(parseInt(req.query._count) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query._offset) || 0, 0);
+  return { count, offset };
+}
+
+// Bundle links reuse the request's own query string with a new _offset.
+// total is the number of matches the next link pages through.
+function bundle(req, resources, total, { count, offset }, { outcome } = {}) {
+  const base = fhirBase(req);
+  const pathName = req.path;
+  const link = nextOffset => {
+    const params = new URLSearchParams(req.query);
+    params.set('_offset', nextOffset);
+    params.set('_count', count);
+    return `${base}${pathName}?${params}`;
+  };
+
+  return fhir.searchBundle(resources, {
+    total: outcome ? undefined : total,
+    baseUrl: base,
+    selfUrl: link(offset),
+    nextUrl: offset + count < total ? link(offset + count) : undefined,
+    outcome
+  });
+}
+
+// token search value: "system|value", "|value" or "value"
+function parseToken(raw) {
+  const value = String(raw);
+  const bar = value.indexOf('|');
+  if (bar === -1) return { system: undefined, value };
+  return { system: value.substring(0, bar) || undefined, value: value.substring(bar + 1) };
+}
+
+// reference search value: "Patient/<id>" or "<id>"
+function referenceId(raw, type) {
+  const value = String(raw);
+  const id = value.startsWith(`${type}/`) ? value.substring(type.length + 1) : value;
+  if (!isObjectId(id)) {
+    throw new FhirError(400, 'invalid', `Invalid ${type} reference: ${value}`);
+  }
+  return id;
+}
+
+function patientParam(req) {
+  const value = req.query.patient || req.query.subject;
+  return value ? referenceId(value, 'Patient') : null;
+}
+
+// date search values with optional eq/gt/ge/lt/le/sa/eb prefix, repeated for ranges
+function dateCondition(raw) {
+  const condition = {};
+  [].concat(raw).forEach(param => {
+    const match = /^(eq|gt|ge|lt|le|sa|eb)?(\d{4})(?:-(\d{2})(?:-(\d{2})(T[0-9:.]+(?:Z|[+-]\d{2}:\d{2})?)?)?)?$/.exec(param);
+    if (!match) {
+      throw new FhirError(400, 'invalid', `Invalid date search value: ${param}`);
+    }
+
+    const [, prefix = 'eq', year, month, day, time] = match;
+    let start;
+    let end;
+    if (time) {
+      start = new Date(`${year}-${month}-${day}${time}`);
+      end = new Date(start.getTime() + 1000);
+    } else if (day) {
+      start = new Date(Date.UTC(year, month - 1, day));
+      end = new Date(Date.UTC(year, month - 1, Number(day) + 1));
+    } else if (month) {
+      start = new Date(Date.UTC(year, month - 1, 1));
+      end = new Date(Date.UTC(year, month, 1));
+    } else {
+      start = new Date(Date.UTC(year, 0, 1));
+      end = new Date(Date.UTC(Number(year) + 1, 0, 1));
+    }
+    if (isNaN(start)) {
+      throw new FhirError(400, 'invalid', `Invalid date search value: ${param}`);
+    }
+
+    switch (prefix) {
+      case 'eq': condition.$gte = start; condition.$lt = end; break;
+      case 'gt':
+      case 'sa': condition.$gte = end; break;
+      case 'ge': condition.$gte = start; break;
+      case 'lt':
+      case 'eb': condition.$lt = start; break;
+      case 'le': condition.$lt = end; break;
+    }
+  });
+  return condition;
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Tests matching a code search value (local test code or LOINC)
+async function testIdsForCode(raw) {
+  const { system, value } = parseToken(raw);
+  const pcrQuery = system === fhir.SYSTEMS.loinc
+    ? { 'billingCodes.loincCode': value }
+    : system === fhir.SYSTEMS.testCode
+      ? { testCode: value.toUpperCase() }
+      : { $or: [{ testCode: value.toUpperCase() }, { 'billingCodes.loincCode': value }] };
+
+  const [pcrTests, tests] = await Promise.all([
+    PCRTest.find(pcrQuery).select('_id'),
+    system === fhir.SYSTEMS.loinc ? [] : Test.find({ testCode: value.toUpperCase() }).select('_id')
+  ]);
+  return { pcr: pcrTests.map(t => t._id), lab: tests.map(t => t._id) };
+}
+
+function populateOrder(query) {
+  return query
+    .populate('patient', 'firstName lastName')
+    .populate('tests.test')
+    .populate('orderingPhysician.doctorId', 'npiNumber firstName lastName');
+}
+
+function populateResult(query) {
+  return query
+    .populate('patient', 'firstName lastName')
+    .populate('test')
+    .populate('order', 'accessionNumber collectionDate')
+    .populate('approvedBy', 'firstName lastName');
+}
+
+// ============= CAPABILITY STATEMENT =============
+
+// Conformance must be readable without a token
+router.get('/metadata', (req, res) => {
+  send(res, 200, fhir.capabilityStatement(fhirBase(req)));
+});
+
+router.use(authenticateToken);
+
+// ============= PATIENT =============
+
+router.get('/Patient', async (req, res) => {
+  try {
+    const page = paging(req);
+    const query = {};
+
+    if (req.query._id) {
+      if (!isObjectId(req.query._id)) return send(res, 200, bundle(req, [], 0, page));
+      query._id = req.query._id;
+    }
+    if (req.query.identifier) {
+      const { system, value } = parseToken(req.query.identifier);
+      if (system === fhir.SYSTEMS.patientId) {
+        query.patientId = value;
+      } else if (system) {
+        query.externalIdentifiers = { $elemMatch: { value, assigningAuthority: system } };
+      } else {
+        query.$or = [{ patientId: value }, { 'externalIdentifiers.value': value }];
+      }
+    }
+    // string search matches from the start of the value, case-insensitively
+    if (req.query.name) {
+      const pattern = new RegExp(`^${escapeRegex(req.query.name)}`, 'i');
+      query.$and = [{ $or: [{ firstName: pattern }, { lastName: pattern }] }];
+    }
+    if (req.query.family) query.lastName = new RegExp(`^${escapeRegex(req.query.family)}`, 'i');
+    if (req.query.given) query.firstName = new RegExp(`^${escapeRegex(req.query.given)}`, 'i');
+    if (req.query.birthdate) query.dateOfBirth = dateCondition(req.query.birthdate);
+    if (req.query.gender) {
+      query.gender = ['male', 'female'].includes(req.query.gender) ? req.query.gender : 'other';
+    }
+
+    const [patients, total] = await Promise.all([
+      Patient.find(query).sort({ lastName: 1, firstName: 1 }).skip(page.offset).limit(page.count),
+      Patient.countDocuments(query)
+    ]);
+
+    send(res, 200, bundle(req, patients.map(fhir.toPatient), total, page));
+  } catch (error) {
+    handleError(res, error, 'FHIR Patient search');
+  }
+});
+
+router.get('/Patient/:id', async (req, res) => {
+  try {
+    const patient = isObjectId(req.params.id) ? await Patient.findById(req.params.id) : null;
+    if (!patient) throw notFound('Patient', req.params.id);
+
+    send(res, 200, fhir.toPatient(patient));
+  } catch (error) {
+    handleError(res, error, 'FHIR Patient read');
+  }
+});
+
+router.post('/Patient', authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
+  try {
+    const fields = fhir.fromPatient(req.body);
+
+    const patient = new Patient({
+      ...fields,
+      patientId: await Patient.generatePatientId(),
+      createdBy: req.user._id || req.user.userId
+    });
+    await patient.save();
+
+    res.location(`${fhirBase(req)}/Patient/${patient._id}`);
+    send(res, 201, fhir.toPatient(patient));
+  } catch (error) {
+    handleError(res, error, 'FHIR Patient create');
+  }
+});
+
+router.put('/Patient/:id', authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
+  try {
+    if (req.body && req.body.id && req.body.id !== req.params.id) {
+      throw new FhirError(400, 'invalid', 'Resource id does not match the request URL');
+    }
+
+    const patient = isObjectId(req.params.id) ? await Patient.findById(req.params.id) : null;
+    if (!patient) throw notFound('Patient', req.params.id);
+
+    const fields = fhir.fromPatient(req.body);
+    Object.assign(patient, fields);
+    if (req.body.active !== undefined) patient.isActive = req.body.active !== false;
+    patient.lastModifiedBy = req.user._id || req.user.userId;
+    await patient.save();
+
+    send(res, 200, fhir.toPatient(patient));
+  } catch (error) {
+    handleError(res, error, 'FHIR Patient update');
+  }
+});
+
+// ============= SERVICE REQUEST =============
+
+router.get('/ServiceRequest', async (req, res) => {
+  try {
+    const page = paging(req);
+    const query = {};
+
+    if (req.query._id) {
+      if (!isObjectId(req.query._id)) return send(res, 200, bundle(req, [], 0, page));
+      query._id = req.query._id;
+    }
+    const patientId = patientParam(req);
+    if (patientId) query.patient = patientId;
+    if (req.query.identifier) {
+      const { system, value } = parseToken(req.query.identifier);
+      if (system === fhir.SYSTEMS.orderNumber) {
+        query.orderNumber = value;
+      } else if (system) {
+        query.placerOrderNumber = value;
+        query.orderSource = system;
+      } else {
+        query.$or = [{ orderNumber: value }, { placerOrderNumber: value }];
+      }
+    }
+    if (req.query.status) {
+      query.status = { $in: String(req.query.status).split(',').reduce((all, s) => all.concat(fhir.orderStatusesFor(s)), []) };
+    }
+    if (req.query.authored) query.createdAt = dateCondition(req.query.authored);
+
+    const [orders, total] = await Promise.all([
+      populateOrder(Order.find(query).sort({ createdAt: -1 }).skip(page.offset).limit(page.count)),
+      Order.countDocuments(query)
+    ]);
+
+    send(res, 200, bundle(req, orders.map(fhir.toServiceRequest), total, page));
+  } catch (error) {
+    handleError(res, error, 'FHIR ServiceRequest search');
+  }
+});
+
+router.get('/ServiceRequest/:id', async (req, res) => {
+  try {
+    const order = isObjectId(req.params.id) ? await populateOrder(Order.findById(req.params.id)) : null;
+    if (!order) throw notFound('ServiceRequest', req.params.id);
+
+    send(res, 200, fhir.toServiceRequest(order));
+  } catch (error) {
+    handleError(res, error, 'FHIR ServiceRequest read');
+  }
+});
+
+// Create an order. Codings are matched to tests by LOINC or local test code;
+// several codings naming the same test count once.
+router.post('/ServiceRequest', authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
+  try {
+    const resource = req.body;
+    if (!resource || resource.resourceType !== 'ServiceRequest') {
+      throw new FhirError(400, 'invalid', 'Resource must be a ServiceRequest');
+    }
+    if (resource.intent && !['order', 'original-order'].includes(resource.intent)) {
+      throw new FhirError(422, 'business-rule', `ServiceRequest.intent ${resource.intent} is not supported`);
+    }
+
+    const patientRef = resource.subject && resource.subject.reference;
+    if (!patientRef) throw new FhirError(400, 'required', 'ServiceRequest.subject is required');
+    const patient = await Patient.findById(referenceId(patientRef, 'Patient'));
+    if (!patient) throw new FhirError(422, 'not-found', `${patientRef} not found`);
+
+    const tests = [];
+    const unknown = [];
+    for (const coding of (resource.code && resource.code.coding) || []) {
+      const query = coding.system === fhir.SYSTEMS.loinc
+        ? { 'billingCodes.loincCode': coding.code }
+        : { testCode: String(coding.code || '').toUpperCase() };
+      const pcrTest = await PCRTest.findOne({ ...query, isActive: true });
+      const test = pcrTest || (coding.system === fhir.SYSTEMS.loinc ? null : await Test.findOne({ ...query, isActive: true }));
+      if (!test) {
+        unknown.push(coding.code);
+        continue;
+      }
+      if (!tests.some(t => t.test.equals(test._id))) {
+        tests.push({ test: test._id, testModel: pcrTest ? 'PCRTest' : 'Test', status: 'pending' });
+      }
+    }
+    if (tests.length === 0) {
+      throw new FhirError(422, 'code-invalid', `ServiceRequest.code matched no orderable test${unknown.length ? ` (${unknown.join(', ')})` : ''}`);
+    }
+
+    const requester = resource.requester || {};
+    const npi = requester.identifier && requester.identifier.value;
+    const doctor = npi ? await Doctor.findOne({ npiNumber: npi }) : null;
+    const physicianName = doctor ? doctor.fullName : requester.display;
+    if (!physicianName) {
+      throw new FhirError(400, 'required', 'ServiceRequest.requester (NPI identifier or display name) is required');
+    }
+
+    const placer = (resource.identifier || []).find(identifier =>
+      identifier.type && (identifier.type.coding || []).some(c => c.code === 'PLAC')
+    );
+    const orderSource = placer && placer.system ? placer.system : 'FHIR';
+    if (placer) {
+      const existing = await populateOrder(Order.findOne({ placerOrderNumber: placer.value, orderSource }));
+      if (existing) {
+        res.location(`${fhirBase(req)}/ServiceRequest/${existing._id}`);
+        return send(res, 200, fhir.toServiceRequest(existing));
+      }
+    }
+
+    const priority = { routine: 'routine', urgent: 'urgent', asap: 'urgent', stat: 'stat' }[resource.priority] || 'routine';
+    tests.forEach(t => { t.priority = priority; });
+
+    const order = new Order({
+      orderNumber: await Order.generateOrderNumber(),
+      patient: patient._id,
+      tests,
+      orderingPhysician: {
+        doctorId: doctor ? doctor._id : undefined,
+        name: physicianName,
+        license: doctor ? doctor.licenseNumber : undefined,
+        phone: doctor ? doctor.phone.office : undefined,
+        email: doctor ? doctor.email.primary : undefined
+      },
+      medicalOffice: doctor ? doctor.primaryOffice : undefined,
+      clinicalInfo: {
+        diagnosis: (resource.reasonCode || []).map(r => r.text || (r.coding && r.coding[0] && r.coding[0].display)).filter(Boolean).join('; ') || undefined,
+        symptoms: (resource.note || []).map(n => n.text).filter(Boolean).join('; ') || undefined
+      },
+      priority,
+      collectionDate: resource.occurrenceDateTime ? new Date(resource.occurrenceDateTime) : undefined,
+      status: 'pending',
+      orderType: 'electronic',
+      orderSource,
+      placerOrderNumber: placer ? placer.value : undefined,
+      createdBy: req.user._id || req.user.userId
+    });
+    await order.calculateTotal();
+    await order.save();
+
+    const created = await populateOrder(Order.findById(order._id));
+    res.location(`${fhirBase(req)}/ServiceRequest/${order._id}`);
+    send(res, 201, fhir.toServiceRequest(created));
+  } catch (error) {
+    handleError(res, error, 'FHIR ServiceRequest create');
+  }
+});
+
+// ============= SPECIMEN =============
+
+router.get('/Specimen', async (req, res) => {
+  try {
+    const page = paging(req);
+    const query = { accessionNumber: { $exists: true, $ne: null } };
+
+    if (req.query._id) {
+      if (!isObjectId(req.query._id)) return send(res, 200, bundle(req, [], 0, page));
+      query._id = req.query._id;
+    }
+    const patientId = patientParam(req);
+    if (patientId) query.patient = patientId;
+    if (req.query.identifier || req.query.accession) {
+      const { value } = parseToken(req.query.identifier || req.query.accession);
+      query.$or = [{ accessionNumber: value }, { labBarcode: value }, { specimenBarcode: value }];
+    }
+    if (req.query.collected) query.collectionDate = dateCondition(req.query.collected);
+
+    const [orders, total] = await Promise.all([
+      Order.find(query).populate('patient', 'firstName lastName').sort({ accessionDate: -1 }).skip(page.offset).limit(page.count),
+      Order.countDocuments(query)
+    ]);
+
+    send(res, 200, bundle(req, orders.map(fhir.toSpecimen), total, page));
+  } catch (error) {
+    handleError(res, error, 'FHIR Specimen search');
+  }
+});
+
+router.get('/Specimen/:id', async (req, res) => {
+  try {
+    const order = isObjectId(req.params.id)
+      ? await Order.findById(req.params.id).populate('patient', 'firstName lastName')
+      : null;
+    if (!order || !order.accessionNumber) throw notFound('Specimen', req.params.id);
+
+    send(res, 200, fhir.toSpecimen(order));
+  } catch (error) {
+    handleError(res, error, 'FHIR Specimen read');
+  }
+});
+
+// ============= OBSERVATION / DIAGNOSTIC REPORT =============
+
+// Queries over PCRResult and Result for the shared search parameters.
+// Returns null for a collection that cannot match.
+async function resultQueries(req, { finalizedOnly }) {
+  const pcr = {};
+  const lab = {};
+
+  const patientId = patientParam(req);
+  if (patientId) {
+    pcr.patient = patientId;
+    lab.patient = patientId;
+  }
+
+  let pcrStatuses = finalizedOnly ? ['Final', 'Amended'] : null;
+  let labStatuses = finalizedOnly ? ['final', 'amended'] : null;
+  if (req.query.status) {
+    const requested = String(req.query.status).split(',');
+    const pcrRequested = requested.reduce((all, s) => all.concat(fhir.pcrStatusesFor(s)), []);
+    const labRequested = requested.map(s => (s === 'corrected' ? 'amended' : s));
+    pcrStatuses = pcrStatuses ? pcrStatuses.filter(s => pcrRequested.includes(s)) : pcrRequested;
+    labStatuses = labStatuses ? labStatuses.filter(s => labRequested.includes(s)) : labRequested;
+  }
+  if (pcrStatuses) pcr.status = { $in: pcrStatuses };
+  if (labStatuses) lab.status = { $in: labStatuses };
+
+  if (req.query.date) {
+    const range = dateCondition(req.query.date);
+    pcr['sampleInfo.collectionDate'] = range;
+    lab.performedDate = range;
+  }
+  if (req.query.identifier) {
+    const { value } = parseToken(req.query.identifier);
+    pcr.resultNumber = value;
+    lab.resultNumber = value;
+  }
+  if (req.query.code) {
+    const ids = await testIdsForCode(req.query.code);
+    pcr.test = { $in: ids.pcr };
+    lab.test = { $in: ids.lab };
+  }
+
+  return {
+    pcr: pcrStatuses && pcrStatuses.length === 0 ? null : pcr,
+    lab: labStatuses && labStatuses.length === 0 ? null : lab
+  };
+}
+
+function resultDate(doc, isPCR) {
+  return new Date(isPCR ? doc.sampleInfo.collectionDate : doc.performedDate);
+}
+
+router.get('/Observation', async (req, res) => {
+  try {
+    const page = paging(req);
+    const queries = await resultQueries(req, { finalizedOnly: false });
+
+    // One extra document tells whether a collection was cut off at the cap
+    const [pcrResults, labResults] = await Promise.all([
+      queries.pcr ? populateResult(PCRResult.find(queries.pcr).sort({ 'sampleInfo.collectionDate': -1 }).limit(MAX_OBSERVATION_SCAN + 1)) : [],
+      queries.lab ? populateResult(Result.find(queries.lab).sort({ performedDate: -1 }).limit(MAX_OBSERVATION_SCAN + 1)) : []
+    ]);
+
+    // Past the oldest document of a truncated collection the merged list
+    // would have gaps, so it stops there
+    let cutoff = null;
+    const scanned = [[pcrResults, true], [labResults, false]].reduce((all, [docs, isPCR]) => {
+      if (docs.length > MAX_OBSERVATION_SCAN) {
+        docs = docs.slice(0, MAX_OBSERVATION_SCAN);
+        const oldest = resultDate(docs[docs.length - 1], isPCR);
+        if (!cutoff || oldest > cutoff) cutoff = oldest;
+      }
+      return all.concat(docs.map(doc => ({ doc, isPCR })));
+    }, []);
+
+    const docs = scanned
+      .filter(({ doc, isPCR }) => !cutoff || resultDate(doc, isPCR) >= cutoff)
+      .sort((a, b) => resultDate(b.doc, b.isPCR) - resultDate(a.doc, a.isPCR));
+    const observations = docs.reduce((all, { doc, isPCR }) =>
+      all.concat(isPCR ? fhir.pcrObservations(doc) : fhir.labObservations(doc)), []);
+
+    const outcome = cutoff
+      ? fhir.operationOutcome('warning', 'too-costly',
+        `Only observations from ${cutoff.toISOString()} onwards are included; narrow the search with date to page through older results`)
+      : undefined;
+
+    send(res, 200, bundle(req, observations.slice(page.offset, page.offset + page.count), observations.length, page, { outcome }));
+  } catch (error) {
+    handleError(res, error, 'FHIR Observation search');
+  }
+});
+
+router.get('/Observation/:id', async (req, res) => {
+  try {
+    const parsed = fhir.parseObservationId(req.params.id);
+    if (!parsed) throw notFound('Observation', req.params.id);
+
+    let observations = [];
+    if (parsed.kind === 'p') {
+      const result = await populateResult(Result.findById(parsed.resultId));
+      if (result) observations = fhir.labObservations(result);
+    } else {
+      const result = await populateResult(PCRResult.findById(parsed.resultId));
+      if (result) observations = fhir.pcrObservations(result);
+    }
+
+    const observation = observations.find(o => o.id === req.params.id);
+    if (!observation) throw notFound('Observation', req.params.id);
+
+    send(res, 200, observation);
+  } catch (error) {
+    handleError(res, error, 'FHIR Observation read');
+  }
+});
+
+router.get('/DiagnosticReport', async (req, res) => {
+  try {
+    const page = paging(req);
+    const queries = await resultQueries(req, { finalizedOnly: true });
+    if (req.query._id) {
+      if (!isObjectId(req.query._id)) return send(res, 200, bundle(req, [], 0, page));
+      if (queries.pcr) queries.pcr._id = req.query._id;
+      if (queries.lab) queries.lab._id = req.query._id;
+    }
+
+    // Merge the newest offset+count of each collection, then take the page
+    const window = page.offset + page.count;
+    const [pcrResults, labResults, pcrTotal, labTotal] = await Promise.all([
+      queries.pcr ? populateResult(PCRResult.find(queries.pcr).sort({ 'sampleInfo.collectionDate': -1 }).limit(window)) : [],
+      queries.lab ? populateResult(Result.find(queries.lab).sort({ performedDate: -1 }).limit(window)) : [],
+      queries.pcr ? PCRResult.countDocuments(queries.pcr) : 0,
+      queries.lab ? Result.countDocuments(queries.lab) : 0
+    ]);
+
+    const baseUrl = serverUrl(req);
+    const reports = pcrResults.map(doc => ({ doc, isPCR: true }))
+      .concat(labResults.map(doc => ({ doc, isPCR: false })))
+      .sort((a, b) => resultDate(b.doc, b.isPCR) - resultDate(a.doc, a.isPCR))
+      .slice(page.offset, window)
+      .map(({ doc, isPCR }) => fhir.toDiagnosticReport(doc, { isPCR, baseUrl }));
+
+    send(res, 200, bundle(req, reports, pcrTotal + labTotal, page));
+  } catch (error) {
+    handleError(res, error, 'FHIR DiagnosticReport search');
+  }
+});
+
+router.get('/DiagnosticReport/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) throw notFound('DiagnosticReport', req.params.id);
+
+    const baseUrl = serverUrl(req);
+    const pcrResult = await populateResult(PCRResult.findOne({ _id: req.params.id, status: { $in: ['Final', 'Amended'] } }));
+    if (pcrResult) {
+      return send(res, 200, fhir.toDiagnosticReport(pcrResult, { isPCR: true, baseUrl }));
+    }
+
+    const result = await populateResult(Result.findOne({ _id: req.params.id, status: { $in: ['final', 'amended'] } }));
+    if (!result) throw notFound('DiagnosticReport', req.params.id);
+
+    send(res, 200, fhir.toDiagnosticReport(result, { isPCR: false, baseUrl }));
+  } catch (error) {
+    handleError(res, error, 'FHIR DiagnosticReport read');
+  }
+});
+
+// Anything else under /fhir/R4 is an unsupported interaction
+router.all('*', (req, res) => {
+  send(res, 404, fhir.operationOutcome('error', 'not-supported', `${req.method} ${req.path} is not supported`));
+});
+
+module.exports = router;
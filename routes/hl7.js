@@ -0,0 +1,104 @@
+// routes/hl7.js
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const HL7Message = require('../models/HL7Message');
+const { resendMessage } = require('../services/hl7Outbound');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get interface message log
+router.get('/messages', [
+  authorize('admin'),
+  query('direction').optional().isIn(['inbound', 'outbound']),
+  query('status').optional().trim(),
+  query('messageType').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+
+    let queryObj = {};
+    if (req.query.direction) queryObj.direction = req.query.direction;
+    if (req.query.status) queryObj.status = req.query.status;
+    if (req.query.messageType) queryObj.messageType = req.query.messageType;
+
+    const [messages, total] = await Promise.all([
+      HL7Message.find(queryObj)
+        .select('-raw -ack')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('order', 'orderNumber')
+        .populate('patient', 'firstName lastName patientId')
+        .populate('medicalOffice', 'name'),
+      HL7Message.countDocuments(queryObj)
+    ]);
+
+    res.json({
+      messages,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get HL7 messages error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get a single message including raw content and acknowledgment
+router.get('/messages/:id', authorize('admin'), async (req, res) => {
+  try {
+    const message = await HL7Message.findById(req.params.id)
+      .populate('order', 'orderNumber')
+      .populate('patient', 'firstName lastName patientId')
+      .populate('medicalOffice', 'name');
+
+    if (!message) {
+      return res.status(404).json({ message: 'HL7 message not found' });
+    }
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Get HL7 message error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Resend an outbound message now, regardless of its retry schedule
+router.post('/messages/:id/resend', authorize('admin'), async (req, res) => {
+  try {
+    const message = await HL7Message.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ message: 'HL7 message not found' });
+    }
+    if (message.direction !== 'outbound') {
+      return res.status(400).json({ message: 'Only outbound messages can be resent' });
+    }
+
+    await resendMessage(message, req.user._id || req.user.userId);
+
+    res.json({
+      message: message.status === 'sent' ? 'Message delivered' : `Delivery failed: ${message.errorMessage}`,
+      hl7Message: message
+    });
+  } catch (error) {
+    console.error('Resend HL7 message error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,458 @@
+// routes/instruments.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const Instrument = require('../models/Instrument');
+const InstrumentEvent = require('../models/InstrumentEvent');
+const {
+  InstrumentError,
+  issueHeartbeatKey,
+  scheduleNextDue,
+  recordHeartbeat,
+  logEvent,
+  startDowntime,
+  endDowntime,
+  unavailableReason,
+  dueTasks,
+  instrumentStates
+} = require('../services/instruments');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const INSTRUMENT_FIELDS = [
+  'name', 'type', 'manufacturer', 'model', 'serialNumber', 'location',
+  'assays', 'status', 'heartbeatIntervalSeconds', 'notes'
+];
+
+// Respond with the service error, a validation error, or a 500
+function handleError(res, error, label) {
+  if (error instanceof InstrumentError) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'An instrument with this serial number is already registered' });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Internal server error' });
+}
+
+async function findInstrument(req, res) {
+  const instrument = await Instrument.findById(req.params.id);
+  if (!instrument) {
+    res.status(404).json({ message: 'Instrument not found' });
+    return null;
+  }
+  return instrument;
+}
+
+// ============= HEARTBEAT =============
+
+// Called by instruments or their middleware with the key issued for them,
+// so it sits before user authentication
+router.post('/heartbeat', [
+  body('state').optional().isIn(['idle', 'running', 'error']).withMessage('State must be idle, running or error'),
+  body('message').optional().trim().isLength({ max: 500 }),
+  body('softwareVersion').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = await recordHeartbeat(req.get('X-Instrument-Key'), req.body, req.ip);
+    res.json({
+      instrument: instrument.name,
+      receivedAt: instrument.heartbeat.lastSeenAt,
+      nextHeartbeatSeconds: instrument.heartbeatIntervalSeconds
+    });
+  } catch (error) {
+    if (error instanceof InstrumentError) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Instrument heartbeat error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Apply authentication to all other routes
+router.use(authenticateToken);
+
+const instrumentValidation = [
+  body('name').trim().notEmpty().withMessage('Instrument name is required'),
+  body('serialNumber').trim().notEmpty().withMessage('Serial number is required'),
+  body('type').optional().isIn(['pcr_cycler', 'extraction', 'chemistry_analyzer', 'hematology_analyzer', 'immunoassay_analyzer', 'liquid_handler', 'other']),
+  body('status').optional().isIn(['in_service', 'out_of_service', 'retired']),
+  body('assays').optional().isArray(),
+  body('assays.*.test').optional().isMongoId(),
+  body('assays.*.testModel').optional().isIn(['Test', 'PCRTest']),
+  body('heartbeatIntervalSeconds').optional().isInt({ min: 10, max: 86400 })
+];
+
+const scheduleValidation = [
+  body('type').isIn(['maintenance', 'calibration']).withMessage('Type must be maintenance or calibration'),
+  body('name').trim().notEmpty().withMessage('Task name is required'),
+  body('intervalDays').isInt({ min: 1 }).withMessage('Interval must be at least one day'),
+  body('lastPerformedAt').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('active').optional().isBoolean()
+];
+
+// ============= REGISTRY =============
+
+// Instruments with connection state. assay= limits to instruments validated
+// for a test (or with no assays listed); available=true to those usable now.
+router.get('/', [
+  query('status').optional().isIn(['in_service', 'out_of_service', 'retired']),
+  query('assay').optional().isMongoId(),
+  query('available').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assay) {
+      filter.$or = [{ 'assays.test': req.query.assay }, { assays: { $size: 0 } }];
+    }
+    if (req.query.available === 'true') filter.status = 'in_service';
+
+    let instruments = await instrumentStates(filter);
+    if (req.query.available === 'true') {
+      instruments = instruments.filter(i => !i.openDowntime);
+    }
+
+    res.json({ instruments });
+  } catch (error) {
+    handleError(res, error, 'Get instruments');
+  }
+});
+
+// Maintenance and calibration due soon, instruments offline or in error, open downtime
+router.get('/alerts', [
+  query('days').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [tasks, instruments] = await Promise.all([
+      dueTasks(req.query.days ? parseInt(req.query.days) : undefined),
+      instrumentStates({ status: 'in_service' })
+    ]);
+
+    res.json({
+      dueTasks: tasks,
+      disconnected: instruments.filter(i => ['offline', 'error'].includes(i.connection)),
+      down: instruments.filter(i => i.openDowntime)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get instrument alerts');
+  }
+});
+
+// Downtime across instruments in a period, with minutes down per instrument
+router.get('/downtime', [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('instrument').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const start = req.query.startDate ? new Date(req.query.startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const filter = {
+      type: 'downtime',
+      startedAt: { $lte: end },
+      $or: [{ endedAt: null }, { endedAt: { $gte: start } }]
+    };
+    if (req.query.instrument) filter.instrument = req.query.instrument;
+
+    const events = await InstrumentEvent.find(filter)
+      .populate('instrument', 'name serialNumber')
+      .populate('performedBy', 'firstName lastName')
+      .populate('endedBy', 'firstName lastName')
+      .sort({ startedAt: -1 });
+
+    // Only the part of each downtime inside the period counts
+    const byInstrument = new Map();
+    events.forEach(event => {
+      if (!event.instrument) return;
+      const from = Math.max(event.startedAt.getTime(), start.getTime());
+      const to = Math.min((event.endedAt || new Date()).getTime(), end.getTime());
+      const key = String(event.instrument._id);
+      const entry = byInstrument.get(key) || { instrument: event.instrument, events: 0, minutes: 0, unplannedMinutes: 0 };
+      const minutes = Math.max(0, Math.round((to - from) / 60000));
+      entry.events++;
+      entry.minutes += minutes;
+      if (event.downtimeCategory === 'unplanned') entry.unplannedMinutes += minutes;
+      byInstrument.set(key, entry);
+    });
+
+    res.json({
+      period: { start, end },
+      events,
+      summary: Array.from(byInstrument.values()).sort((a, b) => b.minutes - a.minutes)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get downtime');
+  }
+});
+
+router.post('/downtime/:eventId/end', authorize('admin', 'lab_technician'), [
+  body('endedAt').optional({ nullable: true, checkFalsy: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await InstrumentEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Downtime not found' });
+    }
+
+    await endDowntime(event, req.user._id || req.user.userId, req.body.endedAt);
+    res.json({
+      message: 'Downtime ended',
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'End downtime');
+  }
+});
+
+// Instrument with its recent events
+router.get('/:id', async (req, res) => {
+  try {
+    const instrument = await Instrument.findById(req.params.id).populate('assays.test', 'testName testCode');
+    if (!instrument) {
+      return res.status(404).json({ message: 'Instrument not found' });
+    }
+
+    const events = await InstrumentEvent.find({ instrument: instrument._id })
+      .populate('performedBy', 'firstName lastName')
+      .populate('endedBy', 'firstName lastName')
+      .sort({ startedAt: -1 })
+      .limit(100);
+
+    res.json({
+      instrument,
+      connection: instrument.connectionState(),
+      unavailable: await unavailableReason(instrument),
+      events
+    });
+  } catch (error) {
+    handleError(res, error, 'Get instrument');
+  }
+});
+
+router.post('/', authorize('admin'), instrumentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = new Instrument({ createdBy: req.user._id || req.user.userId });
+    INSTRUMENT_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined && req.body[key] !== '') instrument.set(key, req.body[key]);
+    });
+    await instrument.save();
+
+    res.status(201).json({
+      message: 'Instrument registered successfully',
+      instrument
+    });
+  } catch (error) {
+    handleError(res, error, 'Create instrument');
+  }
+});
+
+router.put('/:id', authorize('admin'), instrumentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = await findInstrument(req, res);
+    if (!instrument) return;
+
+    INSTRUMENT_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) instrument.set(key, req.body[key] === '' ? undefined : req.body[key]);
+    });
+    instrument.lastModifiedBy = req.user._id || req.user.userId;
+    await instrument.save();
+
+    res.json({
+      message: 'Instrument updated successfully',
+      instrument
+    });
+  } catch (error) {
+    handleError(res, error, 'Update instrument');
+  }
+});
+
+// Issue (or replace) the key the instrument sends with its heartbeats
+router.post('/:id/heartbeat-key', authorize('admin'), async (req, res) => {
+  try {
+    const instrument = await findInstrument(req, res);
+    if (!instrument) return;
+
+    const key = await issueHeartbeatKey(instrument);
+    res.json({
+      message: 'Heartbeat key issued. It will not be shown again; any previous key stops working.',
+      key
+    });
+  } catch (error) {
+    handleError(res, error, 'Issue heartbeat key');
+  }
+});
+
+// ============= SCHEDULES =============
+
+router.post('/:id/schedules', authorize('admin'), scheduleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = await findInstrument(req, res);
+    if (!instrument) return;
+
+    const schedule = instrument.schedules.create({
+      type: req.body.type,
+      name: req.body.name,
+      intervalDays: parseInt(req.body.intervalDays),
+      lastPerformedAt: req.body.lastPerformedAt || undefined
+    });
+    // Never performed: due now
+    schedule.nextDueAt = schedule.lastPerformedAt ? scheduleNextDue(schedule, schedule.lastPerformedAt) : new Date();
+    instrument.schedules.push(schedule);
+    instrument.lastModifiedBy = req.user._id || req.user.userId;
+    await instrument.save();
+
+    res.status(201).json({
+      message: `${schedule.name} scheduled every ${schedule.intervalDays} days`,
+      instrument
+    });
+  } catch (error) {
+    handleError(res, error, 'Add instrument schedule');
+  }
+});
+
+router.put('/:id/schedules/:scheduleId', authorize('admin'), scheduleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = await findInstrument(req, res);
+    if (!instrument) return;
+    const schedule = instrument.schedules.id(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    schedule.type = req.body.type;
+    schedule.name = req.body.name;
+    schedule.intervalDays = parseInt(req.body.intervalDays);
+    if (req.body.active !== undefined) schedule.active = req.body.active;
+    if (schedule.lastPerformedAt) schedule.nextDueAt = scheduleNextDue(schedule, schedule.lastPerformedAt);
+    instrument.lastModifiedBy = req.user._id || req.user.userId;
+    await instrument.save();
+
+    res.json({
+      message: 'Schedule updated successfully',
+      instrument
+    });
+  } catch (error) {
+    handleError(res, error, 'Update instrument schedule');
+  }
+});
+
+// ============= EVENTS =============
+
+// Log maintenance, calibration or a repair
+router.post('/:id/events', authorize('admin', 'lab_technician'), [
+  body('type').isIn(['maintenance', 'calibration', 'repair']).withMessage('Type must be maintenance, calibration or repair'),
+  body('schedule').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('outcome').optional({ nullable: true, checkFalsy: true }).isIn(['pass', 'fail']),
+  body('performedAt').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('description').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = await findInstrument(req, res);
+    if (!instrument) return;
+
+    const event = await logEvent(instrument, {
+      type: req.body.type,
+      schedule: req.body.schedule || undefined,
+      description: req.body.description,
+      outcome: req.body.outcome || undefined,
+      performedAt: req.body.performedAt || undefined
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: event.outcome === 'fail'
+        ? `Failed ${event.type} recorded for ${instrument.name}`
+        : `${event.type.charAt(0).toUpperCase()}${event.type.slice(1)} recorded for ${instrument.name}`,
+      event,
+      instrument
+    });
+  } catch (error) {
+    handleError(res, error, 'Log instrument event');
+  }
+});
+
+// Take the instrument down; results and runs cannot use it until downtime ends
+router.post('/:id/downtime', authorize('admin', 'lab_technician'), [
+  body('downtimeCategory').optional().isIn(['planned', 'unplanned']),
+  body('description').trim().notEmpty().withMessage('Describe the reason for the downtime'),
+  body('startedAt').optional({ nullable: true, checkFalsy: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const instrument = await findInstrument(req, res);
+    if (!instrument) return;
+
+    const event = await startDowntime(instrument, {
+      downtimeCategory: req.body.downtimeCategory,
+      description: req.body.description,
+      startedAt: req.body.startedAt || undefined
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: `${instrument.name} marked down`,
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Start downtime');
+  }
+});
+
+module.exports = router;
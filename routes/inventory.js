@@ -0,0 +1,380 @@
+// routes/inventory.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const {
+  InventoryError,
+  receiveLot,
+  consumeLot,
+  adjustLot,
+  discardLot,
+  stockLevels,
+  lowStockWarning,
+  inventoryAlerts,
+  traceLot,
+  startOfToday
+} = require('../services/inventory');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const ITEM_FIELDS = [
+  'name', 'catalogNumber', 'manufacturer', 'vendor', 'category', 'unit',
+  'storageTemperature', 'reorderPoint', 'reorderQuantity', 'tests', 'active', 'notes'
+];
+
+const itemValidation = [
+  body('name').trim().notEmpty().withMessage('Item name is required'),
+  body('category').optional().isIn(['reagent', 'master_mix', 'extraction_kit', 'control', 'calibrator', 'consumable']),
+  body('storageTemperature').optional({ nullable: true, checkFalsy: true }).isIn(['room', 'refrigerated', 'frozen', '-80']),
+  body('reorderPoint').optional().isFloat({ min: 0 }).withMessage('Reorder point cannot be negative'),
+  body('reorderQuantity').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('tests').optional().isArray(),
+  body('tests.*.test').optional().isMongoId(),
+  body('active').optional().isBoolean()
+];
+
+// Respond with the service error, a validation error, or a 500
+function handleError(res, error, label) {
+  if (error instanceof InventoryError) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Internal server error' });
+}
+
+async function findLot(req, res) {
+  const lot = await InventoryLot.findById(req.params.id).populate('item', 'name unit reorderPoint');
+  if (!lot) {
+    res.status(404).json({ message: 'Lot not found' });
+    return null;
+  }
+  return lot;
+}
+
+// ============= ITEMS =============
+
+// Items with usable stock on hand and a low-stock flag
+router.get('/items', [
+  query('active').optional().isBoolean(),
+  query('category').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.category) filter.category = req.query.category;
+
+    const items = await stockLevels(filter);
+    res.json({ items });
+  } catch (error) {
+    handleError(res, error, 'Get inventory items');
+  }
+});
+
+// Item with its lots
+router.get('/items/:id', async (req, res) => {
+  try {
+    const item = await InventoryItem.findById(req.params.id).populate('tests.test', 'testName testCode');
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const lots = await InventoryLot.find({ item: item._id })
+      .populate('receivedBy', 'firstName lastName')
+      .sort({ expirationDate: 1 });
+
+    res.json({ item, lots });
+  } catch (error) {
+    handleError(res, error, 'Get inventory item');
+  }
+});
+
+router.post('/items', authorize('admin'), itemValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = new InventoryItem({ createdBy: req.user._id || req.user.userId });
+    ITEM_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined && req.body[key] !== '') item.set(key, req.body[key]);
+    });
+    await item.save();
+
+    res.status(201).json({
+      message: 'Inventory item created successfully',
+      item
+    });
+  } catch (error) {
+    handleError(res, error, 'Create inventory item');
+  }
+});
+
+router.put('/items/:id', authorize('admin'), itemValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await InventoryItem.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    ITEM_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) item.set(key, req.body[key] === '' ? undefined : req.body[key]);
+    });
+    item.lastModifiedBy = req.user._id || req.user.userId;
+    await item.save();
+
+    res.json({
+      message: 'Inventory item updated successfully',
+      item
+    });
+  } catch (error) {
+    handleError(res, error, 'Update inventory item');
+  }
+});
+
+// Receive a shipment into a new or existing lot
+router.post('/items/:id/receive', authorize('admin', 'lab_technician'), [
+  body('lotNumber').trim().notEmpty().withMessage('Lot number is required'),
+  body('expirationDate').isISO8601().withMessage('Expiration date is required'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+  body('storageLocation').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await InventoryItem.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const { lot, transaction } = await receiveLot(item, {
+      lotNumber: req.body.lotNumber,
+      expirationDate: new Date(req.body.expirationDate),
+      quantity: parseFloat(req.body.quantity),
+      storageLocation: req.body.storageLocation,
+      notes: req.body.notes
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: `Received ${transaction.quantity} ${item.unit} of ${item.name} lot ${lot.lotNumber}`,
+      lot,
+      transaction
+    });
+  } catch (error) {
+    handleError(res, error, 'Receive inventory');
+  }
+});
+
+// ============= LOTS =============
+
+// Lots for pickers: usable=true limits to unexpired, unquarantined lots with
+// stock; test= limits to items linked to that test
+router.get('/lots', [
+  query('item').optional().isMongoId(),
+  query('test').optional().isMongoId(),
+  query('usable').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.item) filter.item = req.query.item;
+    if (req.query.test) {
+      const items = await InventoryItem.find({ 'tests.test': req.query.test, active: true }).select('_id');
+      filter.item = { $in: items.map(i => i._id) };
+    }
+    if (req.query.usable === 'true') {
+      filter.status = 'active';
+      filter.quantityOnHand = { $gt: 0 };
+      filter.expirationDate = { $gte: startOfToday() };
+    }
+
+    const lots = await InventoryLot.find(filter)
+      .populate('item', 'name unit category')
+      .sort({ expirationDate: 1 })
+      .limit(200);
+
+    res.json({ lots });
+  } catch (error) {
+    handleError(res, error, 'Get inventory lots');
+  }
+});
+
+router.get('/lots/:id/transactions', async (req, res) => {
+  try {
+    const transactions = await InventoryTransaction.find({ lot: req.params.id })
+      .populate('performedBy', 'firstName lastName')
+      .populate('pcrRun', 'runNumber')
+      .populate('pcrResult', 'resultNumber')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({ transactions });
+  } catch (error) {
+    handleError(res, error, 'Get lot transactions');
+  }
+});
+
+// Draw stock outside a run (e.g. extraction kit used at the bench)
+router.post('/lots/:id/consume', authorize('admin', 'lab_technician'), [
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lot = await findLot(req, res);
+    if (!lot) return;
+
+    const outcome = await consumeLot(lot, parseFloat(req.body.quantity), { reason: req.body.reason }, req.user._id || req.user.userId);
+    const warning = await lowStockWarning(lot.item._id);
+
+    res.json({
+      message: `${req.body.quantity} ${lot.item.unit} used; ${outcome.lot.quantityOnHand} left in lot`,
+      warning,
+      lot: outcome.lot,
+      transaction: outcome.transaction
+    });
+  } catch (error) {
+    handleError(res, error, 'Consume inventory');
+  }
+});
+
+// Set the balance to a physical count
+router.post('/lots/:id/adjust', authorize('admin', 'lab_technician'), [
+  body('quantity').isFloat({ min: 0 }).withMessage('Counted quantity is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lot = await findLot(req, res);
+    if (!lot) return;
+
+    const outcome = await adjustLot(lot, parseFloat(req.body.quantity), req.body.reason, req.user._id || req.user.userId);
+    res.json({
+      message: `Lot ${lot.lotNumber} adjusted to ${outcome.lot.quantityOnHand}`,
+      lot: outcome.lot,
+      transaction: outcome.transaction
+    });
+  } catch (error) {
+    handleError(res, error, 'Adjust inventory');
+  }
+});
+
+router.post('/lots/:id/discard', authorize('admin', 'lab_technician'), [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lot = await findLot(req, res);
+    if (!lot) return;
+
+    const outcome = await discardLot(lot, req.body.reason, req.user._id || req.user.userId);
+    res.json({
+      message: `Lot ${lot.lotNumber} discarded`,
+      lot: outcome.lot,
+      transaction: outcome.transaction
+    });
+  } catch (error) {
+    handleError(res, error, 'Discard inventory');
+  }
+});
+
+// Quarantine a lot (e.g. pending a recall) or release it again
+router.post('/lots/:id/status', authorize('admin', 'lab_technician'), [
+  body('status').isIn(['active', 'quarantined']).withMessage('Status must be active or quarantined'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lot = await findLot(req, res);
+    if (!lot) return;
+    if (req.body.status === 'quarantined' && !req.body.reason) {
+      return res.status(400).json({ message: 'A reason is required to quarantine a lot' });
+    }
+
+    lot.status = req.body.status === 'active' && lot.quantityOnHand === 0 ? 'depleted' : req.body.status;
+    lot.statusReason = req.body.reason;
+    await lot.save();
+
+    res.json({
+      message: `Lot ${lot.lotNumber} is ${lot.status}`,
+      lot
+    });
+  } catch (error) {
+    handleError(res, error, 'Update lot status');
+  }
+});
+
+// Recall lookup: runs and patient results that used the lot
+router.get('/lots/:id/trace', async (req, res) => {
+  try {
+    const lot = await findLot(req, res);
+    if (!lot) return;
+
+    const trace = await traceLot(lot);
+    res.json({ lot, ...trace });
+  } catch (error) {
+    handleError(res, error, 'Trace lot');
+  }
+});
+
+// ============= ALERTS =============
+
+router.get('/alerts', [
+  query('days').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alerts = await inventoryAlerts(req.query.days ? parseInt(req.query.days) : undefined);
+    res.json(alerts);
+  } catch (error) {
+    handleError(res, error, 'Get inventory alerts');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+// routes/manifests.js
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Manifest = require('../models/Manifest');
+const Order = require('../models/Order');
+const {
+  ManifestError,
+  eligibleOrders,
+  createManifest,
+  updateManifest,
+  markPickedUp,
+  startReceiving,
+  scanSpecimen,
+  closeManifest
+} = require('../services/manifests');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const courierValidation = [
+  body('courier.name').optional().trim(),
+  body('courier.company').optional().trim(),
+  body('courier.phone').optional().trim(),
+  body('courier.trackingNumber').optional().trim(),
+  body('pickupTime').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('transportTemperature').optional({ nullable: true, checkFalsy: true }).isIn(['room', 'refrigerated', 'frozen', '-80']),
+  body('notes').optional().trim()
+];
+
+async function loadManifest(id) {
+  return Manifest.findById(id)
+    .populate('medicalOffice', 'name officeCode')
+    .populate('createdBy receivedBy closedBy', 'firstName lastName username');
+}
+
+function handleError(res, error, label) {
+  if (error instanceof ManifestError) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Internal server error' });
+}
+
+// GET /api/manifests - List manifests
+router.get('/', [
+  query('status').optional().isIn(['draft', 'in_transit', 'receiving', 'received']),
+  query('medicalOffice').optional().isMongoId(),
+  query('discrepancies').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.medicalOffice) filter.medicalOffice = req.query.medicalOffice;
+    if (req.query.discrepancies === 'true') filter.hasDiscrepancies = true;
+
+    const [manifests, total] = await Promise.all([
+      Manifest.find(filter)
+        .populate('medicalOffice', 'name officeCode')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Manifest.countDocuments(filter)
+    ]);
+
+    res.json({
+      manifests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get manifests error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/manifests/eligible-orders - Orders an office can still send
+router.get('/eligible-orders', [
+  query('medicalOffice').isMongoId().withMessage('Medical office is required'),
+  query('manifest').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const orders = await eligibleOrders(req.query.medicalOffice, req.query.manifest);
+    res.json({ orders });
+  } catch (error) {
+    console.error('Get eligible orders error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/manifests/number/:manifestNumber - Look up a scanned manifest
+router.get('/number/:manifestNumber', async (req, res) => {
+  try {
+    const manifest = await Manifest.findOne({ manifestNumber: req.params.manifestNumber.trim().toUpperCase() });
+    if (!manifest) {
+      return res.status(404).json({ message: `No manifest ${req.params.manifestNumber}` });
+    }
+
+    res.json({ manifest: await loadManifest(manifest._id) });
+  } catch (error) {
+    console.error('Get manifest by number error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const manifest = await loadManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+
+    res.json({ manifest });
+  } catch (error) {
+    console.error('Get manifest error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/manifests - Build a pickup manifest for an office
+router.post('/', authorize('admin', 'receptionist', 'lab_technician', 'doctor'), [
+  body('medicalOffice').isMongoId().withMessage('Medical office is required'),
+  body('orders').isArray({ min: 1 }).withMessage('At least one specimen is required'),
+  body('orders.*').isMongoId().withMessage('Invalid order ID'),
+  ...courierValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const manifest = await createManifest({
+      medicalOffice: req.body.medicalOffice,
+      orders: req.body.orders,
+      courier: req.body.courier,
+      pickupTime: req.body.pickupTime || undefined,
+      transportTemperature: req.body.transportTemperature || undefined,
+      notes: req.body.notes
+    }, req.user._id || req.user.userId);
+
+    res.status(201).json({
+      message: `Manifest ${manifest.manifestNumber} created with ${manifest.items.length} specimen(s)`,
+      manifest
+    });
+  } catch (error) {
+    handleError(res, error, 'Create manifest');
+  }
+});
+
+router.put('/:id', authorize('admin', 'receptionist', 'lab_technician', 'doctor'), [
+  body('orders').optional().isArray({ min: 1 }).withMessage('At least one specimen is required'),
+  body('orders.*').optional().isMongoId().withMessage('Invalid order ID'),
+  ...courierValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+
+    await updateManifest(manifest, {
+      orders: req.body.orders,
+      courier: req.body.courier,
+      pickupTime: req.body.pickupTime === undefined ? undefined : req.body.pickupTime || null,
+      transportTemperature: req.body.transportTemperature === undefined ? undefined : req.body.transportTemperature || null,
+      notes: req.body.notes
+    });
+
+    res.json({
+      message: 'Manifest updated successfully',
+      manifest
+    });
+  } catch (error) {
+    handleError(res, error, 'Update manifest');
+  }
+});
+
+// POST /api/manifests/:id/pickup - Courier has collected the specimens
+router.post('/:id/pickup', authorize('admin', 'receptionist', 'lab_technician', 'doctor'), courierValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+
+    await markPickedUp(manifest, {
+      courier: req.body.courier,
+      pickupTime: req.body.pickupTime ? new Date(req.body.pickupTime) : undefined
+    });
+
+    res.json({
+      message: `Manifest ${manifest.manifestNumber} picked up`,
+      manifest
+    });
+  } catch (error) {
+    handleError(res, error, 'Manifest pickup');
+  }
+});
+
+// POST /api/manifests/:id/receive - Manifest scanned on arrival
+router.post('/:id/receive', authorize('admin', 'lab_technician', 'receptionist'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+
+    await startReceiving(manifest, req.user._id || req.user.userId);
+
+    res.json({
+      message: `Receiving manifest ${manifest.manifestNumber}`,
+      manifest: await loadManifest(manifest._id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Start receiving manifest');
+  }
+});
+
+// POST /api/manifests/:id/scan - Specimen scanned against the manifest
+router.post('/:id/scan', authorize('admin', 'lab_technician', 'receptionist'), [
+  body('barcode').trim().notEmpty().withMessage('Barcode is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+
+    const { outcome, item, order } = await scanSpecimen(manifest, req.body.barcode, req.user._id || req.user.userId);
+    const messages = {
+      received: `${req.body.barcode} received`,
+      duplicate: `${req.body.barcode} was already scanned`,
+      unexpected: order
+        ? `${req.body.barcode} is not on this manifest (order ${order.orderNumber}); recorded as unexpected`
+        : `${req.body.barcode} is not on this manifest and matches no order; recorded as unexpected`
+    };
+
+    res.json({
+      message: messages[outcome],
+      outcome,
+      item,
+      summary: manifest.summary
+    });
+  } catch (error) {
+    handleError(res, error, 'Manifest scan');
+  }
+});
+
+// POST /api/manifests/:id/close - Finish reconciliation; unscanned items are missing
+router.post('/:id/close', authorize('admin', 'lab_technician', 'receptionist'), [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+
+    await closeManifest(manifest, req.user._id || req.user.userId, req.body.notes);
+    const { missing, unexpected } = manifest.summary;
+
+    res.json({
+      message: manifest.hasDiscrepancies
+        ? `Manifest ${manifest.manifestNumber} closed with ${missing} missing and ${unexpected} unexpected specimen(s)`
+        : `Manifest ${manifest.manifestNumber} reconciled - all specimens received`,
+      manifest: await loadManifest(manifest._id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Close manifest');
+  }
+});
+
+router.delete('/:id', authorize('admin', 'receptionist', 'lab_technician', 'doctor'), async (req, res) => {
+  try {
+    const manifest = await Manifest.findById(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ message: 'Manifest not found' });
+    }
+    if (manifest.status !== 'draft') {
+      return res.status(400).json({ message: 'Only a draft manifest can be deleted' });
+    }
+
+    await Order.updateMany({ manifest: manifest._id }, { $unset: { manifest: 1 } });
+    await manifest.deleteOne();
+
+    res.json({ message: 'Manifest deleted successfully' });
+  } catch (error) {
+    console.error('Delete manifest error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -217,7 +217,8 @@ router.get('/:id', async (req, res) => {
       .populate('medicalOffice')
       .populate('createdBy', 'firstName lastName username')
       .populate('modifiedBy', 'firstName lastName username')
-      .populate('labelPrintedBy', 'firstName lastName');
+      .populate('labelPrintedBy', 'firstName lastName')
+      .populate('recollectionOrder recollectionOf', 'orderNumber status accessionNumber');
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
@@ -405,9 +406,9 @@ router.put('/:id', async (req, res) => {
         return res.status(400).json({ message: 'One or more tests not found' });
       }
       
-      // Recalculate total amount
+      // Recalculate total amount (proficiency testing samples are not billed)
       const allTests = [...regularTests, ...pcrTests];
-      order.totalAmount = allTests.reduce((total, test) => {
+      order.totalAmount = order.isProficiencyTest() ? 0 : allTests.reduce((total, test) => {
         return total + (test.price || 0);
       }, 0);
     }
@@ -0,0 +1,396 @@
+// routes/pcrRuns.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const PCRRun = require('../models/PCRRun');
+const PCRTest = require('../models/PCRTest');
+const Order = require('../models/Order');
+const {
+  DEFAULT_CONTROL_WELLS,
+  PlateLayoutError,
+  findEligibleOrders,
+  buildPlateLayout,
+  buildPlateMap,
+  linkRunResults,
+  applyRunControls
+} = require('../services/pcrRuns');
+const { InventoryError, resolveReagentLots, syncConsumption } = require('../services/inventory');
+const { InstrumentError, applyRunInstrument } = require('../services/instruments');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const CONTROL_VALUES = ['Pass', 'Fail', 'Not Run'];
+
+// Accessioned specimens that can be placed on a new plate for a test
+router.get('/eligible', [
+  query('test').isMongoId().withMessage('Valid test ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const orders = await findEligibleOrders(req.query.test);
+    res.json({
+      specimens: orders.map(order => ({
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        accessionNumber: order.accessionNumber,
+        accessionDate: order.accessionDate,
+        patient: order.patient
+      }))
+    });
+  } catch (error) {
+    console.error('Get eligible specimens error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List runs
+router.get('/', [
+  query('status').optional().isIn(['setup', 'running', 'completed', 'failed', 'cancelled']),
+  query('test').optional().isMongoId(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const queryObj = {};
+    if (req.query.status) queryObj.status = req.query.status;
+    if (req.query.test) queryObj.test = req.query.test;
+    if (req.query.startDate || req.query.endDate) {
+      queryObj.runDate = {};
+      if (req.query.startDate) queryObj.runDate.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) queryObj.runDate.$lte = new Date(req.query.endDate);
+    }
+
+    const runs = await PCRRun.find(queryObj)
+      .populate('test', 'testCode testName panel')
+      .populate('operator createdBy', 'firstName lastName')
+      .sort({ runDate: -1 })
+      .limit(100);
+
+    res.json({ runs });
+  } catch (error) {
+    console.error('Get PCR runs error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get run with its plate
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await PCRRun.findById(req.params.id)
+      .populate('test', 'testCode testName panel targets resistanceMarkers qualityControl')
+      .populate('operator createdBy controls.recordedBy', 'firstName lastName')
+      .populate('wells.order', 'orderNumber accessionNumber status')
+      .populate('wells.pcrResult', 'resultNumber status overallResult.status qualityControl');
+
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    console.error('Get PCR run error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a run: reserve control wells and lay out the specimens.
+// Without an explicit order list every eligible specimen is placed, oldest first.
+router.post('/', authorize('admin', 'lab_technician'), [
+  body('test').isMongoId().withMessage('Valid test ID is required'),
+  body('plateFormat').optional().isIn([96, 384, '96', '384']).withMessage('Plate format must be 96 or 384'),
+  body('orders').optional().isArray({ min: 1 }).withMessage('Orders must be a non-empty array'),
+  body('reagentLots').optional().isArray(),
+  body('reagentLots.*.reagent').optional().trim().notEmpty(),
+  body('reagentLots.*.lotNumber').optional().trim().notEmpty(),
+  body('reagentLots.*.inventoryLot').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('reagentLots.*.quantity').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('instrument.registryId').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('runDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const test = await PCRTest.findById(req.body.test);
+    if (!test) {
+      return res.status(404).json({ message: 'PCR test not found' });
+    }
+
+    // Expired, quarantined or short reagent lots stop the run before anything is saved
+    const reagentLots = await resolveReagentLots(req.body.reagentLots, req.body.runDate ? new Date(req.body.runDate) : new Date());
+
+    const plateFormat = Number(req.body.plateFormat || 96);
+    const eligible = await findEligibleOrders(test._id);
+
+    let orders = eligible;
+    if (req.body.orders) {
+      const byId = new Map(eligible.map(o => [String(o._id), o]));
+      const missing = req.body.orders.filter(id => !byId.has(String(id)));
+      if (missing.length > 0) {
+        const found = await Order.find({ _id: { $in: missing } }).select('orderNumber');
+        return res.status(400).json({
+          message: 'Some specimens cannot be placed on this plate (not accessioned for this test, or already on a run)',
+          orders: missing.map(id => found.find(o => String(o._id) === String(id))?.orderNumber || id)
+        });
+      }
+      orders = req.body.orders.map(id => byId.get(String(id)));
+    } else {
+      const controlCount = Object.values({ ...DEFAULT_CONTROL_WELLS, ...req.body.controlWells }).filter(Boolean).length;
+      const capacity = PCRRun.wellPositions(plateFormat).length - controlCount;
+      orders = eligible.slice(0, Math.max(capacity, 0));
+    }
+
+    if (orders.length === 0) {
+      return res.status(400).json({ message: 'No accessioned specimens are waiting for this test' });
+    }
+
+    const wells = buildPlateLayout(plateFormat, orders, req.body.controlWells);
+    const userId = req.user._id || req.user.userId;
+
+    const run = new PCRRun({
+      runNumber: await PCRRun.generateRunNumber(),
+      test: test._id,
+      plateFormat,
+      wells,
+      instrument: req.body.instrument,
+      operator: req.body.operator || userId,
+      reagentLots,
+      runDate: req.body.runDate,
+      notes: req.body.notes,
+      createdBy: userId
+    });
+
+    // Registered instruments must be in service, not down and validated for the test
+    await applyRunInstrument(run);
+    await run.save();
+    await syncConsumption({ pcrRun: run._id }, run.reagentLots, userId);
+
+    res.status(201).json({
+      message: `Run ${run.runNumber} created with ${orders.length} specimens`,
+      run
+    });
+  } catch (error) {
+    if (error instanceof PlateLayoutError || error instanceof InventoryError || error instanceof InstrumentError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create PCR run error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update run details (instrument, operator, reagent lots, run date)
+router.put('/:id', authorize('admin', 'lab_technician'), [
+  body('reagentLots').optional().isArray(),
+  body('reagentLots.*.reagent').optional().trim().notEmpty(),
+  body('reagentLots.*.lotNumber').optional().trim().notEmpty(),
+  body('reagentLots.*.inventoryLot').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('reagentLots.*.quantity').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('instrument.registryId').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('runDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await PCRRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+    if (!['setup', 'running'].includes(run.status)) {
+      return res.status(400).json({ message: `Run is ${run.status} and can no longer be edited` });
+    }
+
+    ['instrument', 'operator', 'runDate', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) run[field] = req.body[field];
+    });
+    if (req.body.instrument !== undefined) {
+      await applyRunInstrument(run);
+    }
+    if (req.body.reagentLots !== undefined || req.body.runDate !== undefined) {
+      const entries = req.body.reagentLots !== undefined ? req.body.reagentLots : run.reagentLots.map(l => l.toObject());
+      run.reagentLots = await resolveReagentLots(entries, run.runDate || new Date(), { pcrRun: run._id });
+    }
+
+    await run.save();
+    await syncConsumption({ pcrRun: run._id }, run.reagentLots, req.user._id || req.user.userId);
+
+    res.json({
+      message: 'Run updated successfully',
+      run
+    });
+  } catch (error) {
+    if (error instanceof InventoryError || error instanceof InstrumentError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update PCR run error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Plate map export for the cycler's plate setup import
+router.get('/:id/plate-map', async (req, res) => {
+  try {
+    const run = await PCRRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+
+    const test = await PCRTest.findById(run.test);
+    if (!test) {
+      return res.status(404).json({ message: 'PCR test not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${run.runNumber}-plate-map.csv"`);
+    res.send(buildPlateMap(run, test));
+  } catch (error) {
+    console.error('Export plate map error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mark the plate as loaded on the instrument
+router.post('/:id/start', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const run = await PCRRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+    if (run.status !== 'setup') {
+      return res.status(400).json({ message: `Run is already ${run.status}` });
+    }
+
+    run.status = 'running';
+    run.runDate = req.body.runDate ? new Date(req.body.runDate) : new Date();
+    await run.save();
+
+    res.json({
+      message: 'Run started',
+      run
+    });
+  } catch (error) {
+    console.error('Start PCR run error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Record the run controls and apply them to every result on the plate.
+// Can be re-recorded (e.g. after a transcription error); results are re-evaluated.
+router.post('/:id/controls', authorize('admin', 'lab_technician'), [
+  body('positiveControlResult').isIn(CONTROL_VALUES).withMessage('Positive control result is required'),
+  body('negativeControlResult').isIn(CONTROL_VALUES).withMessage('Negative control result is required'),
+  body('ntcResult').optional().isIn(CONTROL_VALUES),
+  body('positiveControlCt').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await PCRRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+    if (run.status === 'cancelled') {
+      return res.status(400).json({ message: 'Run is cancelled' });
+    }
+
+    run.controls = {
+      positiveControlResult: req.body.positiveControlResult,
+      positiveControlCt: req.body.positiveControlCt || undefined,
+      negativeControlResult: req.body.negativeControlResult,
+      ntcResult: req.body.ntcResult || 'Not Run',
+      recordedBy: req.user._id || req.user.userId,
+      recordedDate: new Date()
+    };
+    run.status = run.hasFailedControls() ? 'failed' : 'completed';
+    run.completedDate = run.completedDate || new Date();
+    await run.save();
+
+    const summary = await applyRunControls(run);
+
+    res.json({
+      message: run.status === 'failed'
+        ? `Run failed controls; ${summary.invalidated} result(s) invalidated`
+        : `Run controls passed for ${summary.linked} result(s)${summary.restored ? `; ${summary.restored} invalidated result(s) restored` : ''}`,
+      run,
+      summary
+    });
+  } catch (error) {
+    console.error('Record run controls error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Re-link results entered or imported after the controls were recorded
+router.post('/:id/link-results', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const run = await PCRRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+
+    const summary = run.controls?.positiveControlResult
+      ? await applyRunControls(run)
+      : { linked: (await linkRunResults(run)).length };
+
+    res.json({
+      message: `${summary.linked} result(s) linked to run ${run.runNumber}`,
+      summary
+    });
+  } catch (error) {
+    console.error('Link run results error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Cancel a run that has not produced results; its specimens become eligible again
+router.post('/:id/cancel', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const run = await PCRRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'PCR run not found' });
+    }
+    if (!['setup', 'running'].includes(run.status)) {
+      return res.status(400).json({ message: `Run is ${run.status} and cannot be cancelled` });
+    }
+
+    const wasSetup = run.status === 'setup';
+    run.status = 'cancelled';
+    if (req.body.reason) {
+      run.notes = [run.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n');
+    }
+    await run.save();
+    // A run cancelled before it started used none of its reagents, so they go
+    // back to stock; a run cancelled while running keeps its consumption
+    if (wasSetup) {
+      await syncConsumption({ pcrRun: run._id }, [], req.user._id || req.user.userId);
+    }
+
+    res.json({
+      message: 'Run cancelled',
+      run
+    });
+  } catch (error) {
+    console.error('Cancel PCR run error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,40 @@
 // routes/pcrTests.js
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
 const { body, validationResult, query } = require('express-validator');
 const PCRTest = require('../models/PCRTest');
 const PCRResult = require('../models/PCRResult');
+const PCRRun = require('../models/PCRRun');
+const { deliverPCRResult } = require('../services/resultDelivery');
+const { autoVerifyResult, autoVerifyResults } = require('../services/autoVerification');
+const { raiseCriticalValues } = require('../services/criticalValues');
+const { DeltaCheckError, checkPCRDeltas, acknowledgeDelta, describeFailures } = require('../services/deltaChecks');
+const { parseRunFile, importRunResults, RunFileError } = require('../services/runFileImport');
+const { linkRunResults, applyRunControls } = require('../services/pcrRuns');
+const { recordInternalControl, releaseBlock } = require('../services/qualityControl');
+const { approvalBlock } = require('../services/competency');
+const { InventoryError, resolveReagentLots, syncConsumption } = require('../services/inventory');
 const { authenticateToken, authorize } = require('../middleware/auth');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Instrument run files are parsed in memory and never written to disk
+const runFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (['.csv', '.txt', '.tsv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new RunFileError('Run file must be .csv, .txt, .tsv or .xlsx'));
+  }
+});
+
 // ============= PCR TEST MANAGEMENT =============
 
 // Test route to verify model is working
@@ -212,6 +238,75 @@ router.put('/tests/:id', authorize('admin'), async (req, res) => {
   }
 });
 
+// Auto-verification rules for a test (Admin only)
+router.get('/tests/:id/auto-verification', authorize('admin'), async (req, res) => {
+  try {
+    const test = await PCRTest.findById(req.params.id).select('testName testCode autoVerification');
+    if (!test) {
+      return res.status(404).json({ message: 'PCR test not found' });
+    }
+
+    res.json({ test });
+  } catch (error) {
+    console.error('Get auto-verification rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/tests/:id/auto-verification', authorize('admin'), [
+  body('enabled').isBoolean().withMessage('enabled must be true or false'),
+  body('rules').isArray().withMessage('rules must be an array'),
+  body('rules.*.name').trim().notEmpty().withMessage('Each rule needs a name'),
+  body('rules.*.enabled').optional().isBoolean(),
+  body('rules.*.allowedResults').optional().isArray({ min: 1 }).withMessage('Each rule must allow at least one result'),
+  body('rules.*.allowedResults.*').optional().isIn(['Positive', 'Negative', 'Partially Positive']),
+  body('rules.*.internalControlCtMin').optional({ nullable: true }).isFloat({ min: 0, max: 50 }),
+  body('rules.*.internalControlCtMax').optional({ nullable: true }).isFloat({ min: 0, max: 50 }),
+  body('rules.*.requireInternalControlPass').optional().isBoolean(),
+  body('rules.*.requireRunControlsPass').optional().isBoolean(),
+  body('rules.*.disallowIndeterminate').optional().isBoolean(),
+  body('rules.*.disallowCriticalPathogens').optional().isBoolean(),
+  body('rules.*.requireAdequateSample').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invalidRange = req.body.rules.find(r =>
+      r.internalControlCtMin != null && r.internalControlCtMax != null &&
+      Number(r.internalControlCtMin) > Number(r.internalControlCtMax));
+    if (invalidRange) {
+      return res.status(400).json({ message: `Rule "${invalidRange.name}" has an internal control Ct minimum above its maximum` });
+    }
+
+    const test = await PCRTest.findById(req.params.id);
+    if (!test) {
+      return res.status(404).json({ message: 'PCR test not found' });
+    }
+
+    test.autoVerification = {
+      enabled: req.body.enabled,
+      rules: req.body.rules.map(r => ({
+        ...r,
+        internalControlCtMin: r.internalControlCtMin != null ? Number(r.internalControlCtMin) : undefined,
+        internalControlCtMax: r.internalControlCtMax != null ? Number(r.internalControlCtMax) : undefined
+      }))
+    };
+    test.lastModifiedBy = req.user._id || req.user.userId;
+    await test.save();
+
+    res.json({
+      message: 'Auto-verification rules updated successfully',
+      test: { _id: test._id, testName: test.testName, testCode: test.testCode, autoVerification: test.autoVerification }
+    });
+  } catch (error) {
+    console.error('Update auto-verification rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // ============= PCR RESULT MANAGEMENT =============
 
 // Create new PCR result
@@ -222,7 +317,9 @@ router.post('/results', [
   body('sampleInfo.sampleType').notEmpty().withMessage('Sample type is required'),
   body('sampleInfo.collectionDate').isISO8601().withMessage('Valid collection date required'),
   body('targetResults').isArray({ min: 1 }).withMessage('At least one target result is required'),
-  body('qualityControl.internalControlResult').isIn(['Pass', 'Fail', 'Invalid'])
+  body('qualityControl.internalControlResult').isIn(['Pass', 'Fail', 'Invalid']),
+  body('reagentLots').optional().isArray(),
+  body('reagentLots.*.inventoryLot').optional({ nullable: true, checkFalsy: true }).isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -230,35 +327,108 @@ router.post('/results', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const reagentLots = await resolveReagentLots(req.body.reagentLots);
+
     // Generate result number
     const resultNumber = await PCRResult.generateResultNumber();
 
     const result = new PCRResult({
       ...req.body,
+      reagentLots,
       resultNumber,
       performedBy: req.user._id || req.user.userId
     });
 
-    // Check for critical values
-    const criticalValues = result.checkCriticalValues();
-    if (criticalValues.length > 0) {
-      result.criticalValues = criticalValues;
-    }
-
+    await checkPCRDeltas(result);
     await result.save();
+    await syncConsumption({ pcrResult: result._id }, result.reagentLots, req.user._id || req.user.userId);
+    await recordInternalControl(result, req.user._id || req.user.userId);
+    // Critical values open a call-back before anything can be auto-released
+    const criticalNotification = await raiseCriticalValues(result);
+    await autoVerifyResult(result);
     await result.populate('patient test order performedBy', 'firstName lastName testName orderNumber');
 
     res.status(201).json({
       message: 'PCR result created successfully',
       result,
-      criticalValues: criticalValues.length > 0 ? criticalValues : null
+      criticalValues: criticalNotification ? result.criticalValues : null
     });
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Create PCR result error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// Import Ct values from a qPCR instrument run export (QuantStudio/CFX CSV or XLSX).
+// Send dryRun=true to preview the matches without saving anything, and run=<id>
+// to link the results to the plate they were run on.
+router.post('/results/import', authorize('admin', 'lab_technician'), (req, res, next) => {
+  runFileUpload.single('file')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Run file is required' });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    let run = null;
+    if (req.body.run) {
+      run = await PCRRun.findById(req.body.run);
+      if (!run) {
+        return res.status(404).json({ message: 'PCR run not found' });
+      }
+      if (run.status === 'cancelled') {
+        return res.status(400).json({ message: `Run ${run.runNumber} is cancelled` });
+      }
+    }
+
+    const { rows, controls } = await parseRunFile(req.file.buffer, req.file.originalname);
+    const outcome = await importRunResults(rows, {
+      userId: req.user._id || req.user.userId,
+      dryRun,
+      filename: req.file.originalname,
+      run
+    });
+
+    // Results imported after the run controls were recorded pick them up now;
+    // applying the controls also runs auto-verification
+    if (!dryRun) {
+      if (run) {
+        outcome.summary.run = run.runNumber;
+      }
+      if (run && run.controls?.positiveControlResult) {
+        outcome.summary.runControls = await applyRunControls(run);
+      } else {
+        if (run) await linkRunResults(run);
+        const resultIds = outcome.samples.flatMap(s => s.results.map(r => r.resultId)).filter(Boolean);
+        outcome.summary.autoVerification = await autoVerifyResults(resultIds);
+      }
+    }
+
+    res.json({
+      message: dryRun ? 'Run file preview' : 'Run file imported',
+      dryRun,
+      summary: { ...outcome.summary, wells: rows.length, controlWells: controls },
+      samples: outcome.samples
+    });
+  } catch (error) {
+    if (error instanceof RunFileError) {
+      return res.status(400).json({ message: error.message, samples: error.samples });
+    }
+    console.error('Import run file error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get PCR results with filters
 router.get('/results', [
   query('patient').optional().isMongoId(),
@@ -301,6 +471,27 @@ router.get('/results', [
   }
 });
 
+// Preliminary results auto-verification held back for a person to sign off
+router.get('/results/review-queue', async (req, res) => {
+  try {
+    const results = await PCRResult.find({
+      status: 'Preliminary',
+      'autoVerification.status': 'manual_review'
+    })
+      .populate('patient', 'firstName lastName patientId dateOfBirth gender')
+      .populate('test', 'testName testCode panel')
+      .populate('order', 'orderNumber accessionNumber priority')
+      .populate('run', 'runNumber status')
+      .populate('performedBy reviewedBy', 'firstName lastName')
+      .sort({ 'autoVerification.evaluatedAt': 1 });
+
+    res.json({ results });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get PCR result by ID
 router.get('/results/:id', async (req, res) => {
   try {
@@ -351,14 +542,40 @@ router.patch('/results/:id/status', [
         if (!result.reviewedBy) {
           return res.status(400).json({ message: 'Result must be reviewed before approval' });
         }
+        if (result.deltaCheck && result.deltaCheck.status === 'failed') {
+          return res.status(400).json({
+            message: `Delta check failed (${describeFailures(result.deltaCheck)}); acknowledge it before approval`
+          });
+        }
+        if (result.run) {
+          const run = await PCRRun.findById(result.run).select('runNumber status');
+          if (run && run.status === 'failed') {
+            return res.status(400).json({ message: `Run ${run.runNumber} failed its controls; re-run the specimen before approval` });
+          }
+        }
+        const qcBlock = await releaseBlock(result.test);
+        if (qcBlock) {
+          return res.status(400).json({ message: qcBlock });
+        }
+        const competencyBlock = await approvalBlock(userId, result.test);
+        if (competencyBlock) {
+          return res.status(403).json({ message: competencyBlock });
+        }
         result.approvedBy = userId;
         result.approvedDate = now;
         break;
       
       case 'finalize':
+        if (result.status !== 'Preliminary') {
+          return res.status(400).json({ message: `Result is already ${result.status}; amend it instead` });
+        }
         if (!result.approvedBy) {
           return res.status(400).json({ message: 'Result must be approved before finalizing' });
         }
+        const finalizeBlock = await releaseBlock(result.test);
+        if (finalizeBlock) {
+          return res.status(400).json({ message: finalizeBlock });
+        }
         result.status = 'Final';
         result.reportedDate = now;
         break;
@@ -367,6 +584,10 @@ router.patch('/results/:id/status', [
     await result.save();
     await result.populate('performedBy reviewedBy approvedBy', 'firstName lastName');
 
+    if (req.body.action === 'finalize') {
+      deliverPCRResult(result._id);
+    }
+
     res.json({
       message: `Result ${req.body.action}d successfully`,
       result
@@ -377,8 +598,72 @@ router.patch('/results/:id/status', [
   }
 });
 
+// Acknowledge a failed delta check (e.g. patient treated, specimen recollected)
+router.post('/results/:id/delta-check/acknowledge', authorize('admin', 'lab_technician'), [
+  body('comment').trim().notEmpty().withMessage('Explain why the change is expected')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PCRResult.findById(req.params.id);
+    if (!result) {
+      return res.status(404).json({ message: 'PCR result not found' });
+    }
+
+    acknowledgeDelta(result, req.user._id || req.user.userId, req.body.comment);
+    await result.save();
+    // The delta may have been the only thing holding the result back
+    await autoVerifyResult(result);
+
+    res.json({
+      message: result.status === 'Final'
+        ? 'Delta check acknowledged; result released by auto-verification'
+        : 'Delta check acknowledged',
+      deltaCheck: result.deltaCheck,
+      result
+    });
+  } catch (error) {
+    if (error instanceof DeltaCheckError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Acknowledge delta check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Re-run auto-verification, e.g. after the rules or the result were corrected
+router.post('/results/:id/auto-verify', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const result = await PCRResult.findById(req.params.id);
+    if (!result) {
+      return res.status(404).json({ message: 'PCR result not found' });
+    }
+
+    const outcome = await autoVerifyResult(result);
+    if (!outcome) {
+      return res.status(400).json({
+        message: 'Not evaluated: auto-verification is off for this test, or the result is no longer awaiting sign-off'
+      });
+    }
+
+    res.json({
+      message: outcome.status === 'released'
+        ? `Released by rule "${outcome.rule}"`
+        : 'Routed to manual review',
+      autoVerification: outcome,
+      result
+    });
+  } catch (error) {
+    console.error('Auto-verify result error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Amend PCR result
-router.post('/results/:id/amend', [
+router.post('/results/:id/amend', authorize('admin', 'lab_technician'), [
   body('reason').trim().notEmpty().withMessage('Amendment reason is required'),
   body('targetResults').optional().isArray(),
   body('resistanceResults').optional().isArray(),
@@ -394,6 +679,14 @@ router.post('/results/:id/amend', [
     if (!result) {
       return res.status(404).json({ message: 'PCR result not found' });
     }
+    // Only released results are amended; others go through review and approval
+    if (!['Final', 'Amended'].includes(result.status)) {
+      return res.status(400).json({ message: 'Only final or amended results can be amended' });
+    }
+    const qcBlock = await releaseBlock(result.test);
+    if (qcBlock) {
+      return res.status(400).json({ message: qcBlock });
+    }
 
     // Store previous values
     const amendment = {
@@ -427,6 +720,8 @@ router.post('/results/:id/amend', [
     result.status = 'Amended';
 
     await result.save();
+    await raiseCriticalValues(result);
+    deliverPCRResult(result._id);
 
     res.json({
       message: 'Result amended successfully',
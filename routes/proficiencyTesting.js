@@ -0,0 +1,378 @@
+// routes/proficiencyTesting.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const ProficiencyEvent = require('../models/ProficiencyEvent');
+const Order = require('../models/Order');
+const PCRTest = require('../models/PCRTest');
+const {
+  ProficiencyError,
+  accessionSamples,
+  collectResults,
+  recordResults,
+  submitResults,
+  recordGrades,
+  updateCorrectiveAction,
+  closeEvent,
+  proficiencyAlerts
+} = require('../services/proficiencyTesting');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const SPECIMEN_TYPES = Order.schema.path('specimenType').enumValues;
+
+const eventValidation = [
+  body('provider').trim().notEmpty().withMessage('Provider is required'),
+  body('program').optional().trim(),
+  body('eventId').trim().notEmpty().withMessage('Provider event ID is required'),
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('receivedDate').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('notes').optional().trim(),
+  body('samples').optional().isArray(),
+  body('samples.*.sampleId').trim().notEmpty().withMessage('Sample ID is required'),
+  body('samples.*.test').isMongoId().withMessage('Valid PCR test is required for each sample'),
+  body('samples.*.specimenType').optional().isIn(SPECIMEN_TYPES),
+  body('samples.*.analytes').optional().isArray()
+];
+
+// Respond with the service error, a validation error, or a 500
+function handleError(res, error, label) {
+  if (error instanceof ProficiencyError) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'This provider event is already registered' });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Internal server error' });
+}
+
+// Samples from the request. Analytes default to the test's targets.
+async function buildSamples(samples = []) {
+  const sampleIds = samples.map(s => s.sampleId.trim());
+  if (new Set(sampleIds).size !== sampleIds.length) {
+    throw new ProficiencyError('Sample IDs must be unique within the event');
+  }
+
+  const tests = await PCRTest.find({ _id: { $in: samples.map(s => s.test) } });
+  return samples.map(sample => {
+    const test = tests.find(t => String(t._id) === String(sample.test));
+    if (!test) {
+      throw new ProficiencyError(`PCR test for sample ${sample.sampleId} not found`);
+    }
+    const names = sample.analytes && sample.analytes.length > 0
+      ? sample.analytes.map(a => (typeof a === 'string' ? a : a.name)).filter(Boolean)
+      : test.targets.map(t => t.name);
+    if (names.length === 0) {
+      throw new ProficiencyError(`List the analytes for sample ${sample.sampleId}`);
+    }
+    return {
+      sampleId: sample.sampleId.trim(),
+      test: test._id,
+      specimenType: sample.specimenType || test.preferredSampleType || 'other',
+      analytes: names.map(name => ({ name: String(name).trim() }))
+    };
+  });
+}
+
+// Due and overdue events, and open corrective actions
+router.get('/alerts', async (req, res) => {
+  try {
+    res.json(await proficiencyAlerts());
+  } catch (error) {
+    handleError(res, error, 'Get proficiency testing alerts');
+  }
+});
+
+router.get('/', [
+  query('status').optional().isIn(['registered', 'received', 'submitted', 'graded', 'closed']),
+  query('provider').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.provider) filter.provider = req.query.provider;
+
+    const events = await ProficiencyEvent.find(filter)
+      .populate('samples.test', 'testName testCode')
+      .sort({ dueDate: -1 })
+      .limit(200);
+
+    res.json({ events });
+  } catch (error) {
+    handleError(res, error, 'Get proficiency testing events');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await ProficiencyEvent.findById(req.params.id)
+      .populate('samples.test', 'testName testCode targets.name')
+      .populate('samples.order', 'orderNumber accessionNumber status')
+      .populate('samples.result', 'resultNumber status')
+      .populate('submittedBy gradedBy closedBy createdBy', 'firstName lastName')
+      .populate('correctiveActions.completedBy', 'firstName lastName');
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    res.json({ event });
+  } catch (error) {
+    handleError(res, error, 'Get proficiency testing event');
+  }
+});
+
+router.post('/', authorize('admin', 'lab_technician'), eventValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await ProficiencyEvent.create({
+      provider: req.body.provider,
+      program: req.body.program,
+      eventId: req.body.eventId,
+      dueDate: req.body.dueDate,
+      receivedDate: req.body.receivedDate || undefined,
+      notes: req.body.notes,
+      samples: await buildSamples(req.body.samples),
+      createdBy: req.user._id || req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Proficiency testing event registered successfully',
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Create proficiency testing event');
+  }
+});
+
+// Samples can only be changed until they are accessioned
+router.put('/:id', authorize('admin', 'lab_technician'), eventValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+    if (event.status === 'closed') {
+      return res.status(400).json({ message: 'Closed events cannot be changed' });
+    }
+
+    event.provider = req.body.provider;
+    event.program = req.body.program;
+    event.eventId = req.body.eventId;
+    event.dueDate = req.body.dueDate;
+    event.receivedDate = req.body.receivedDate || event.receivedDate;
+    event.notes = req.body.notes;
+    if (req.body.samples) {
+      if (event.status !== 'registered') {
+        return res.status(400).json({ message: 'Samples cannot be changed after they are accessioned' });
+      }
+      event.samples = await buildSamples(req.body.samples);
+    }
+    await event.save();
+
+    res.json({
+      message: 'Proficiency testing event updated successfully',
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Update proficiency testing event');
+  }
+});
+
+// Accession the samples as orders on the proficiency testing patient
+router.post('/:id/accession', authorize('admin', 'lab_technician', 'receptionist'), [
+  body('receivedDate').optional({ nullable: true, checkFalsy: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    const orders = await accessionSamples(event, req.user._id || req.user.userId, req.body.receivedDate);
+    res.json({
+      message: `${orders.length} sample${orders.length === 1 ? '' : 's'} accessioned`,
+      orders: orders.map(o => ({ _id: o._id, orderNumber: o.orderNumber, accessionNumber: o.accessionNumber, sampleId: o.proficiencyTest.sampleId })),
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Accession proficiency testing samples');
+  }
+});
+
+// Pull submitted results from the released PCR results
+router.post('/:id/collect-results', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    const missing = await collectResults(event);
+    res.json({
+      message: missing.length > 0
+        ? `No released result yet for: ${missing.join(', ')}`
+        : 'Results collected from PCR results',
+      missing,
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Collect proficiency testing results');
+  }
+});
+
+router.put('/:id/results', authorize('admin', 'lab_technician'), [
+  body('samples').isArray().withMessage('Samples are required'),
+  body('samples.*.sampleId').notEmpty(),
+  body('samples.*.analytes').isArray(),
+  body('samples.*.analytes.*.name').notEmpty(),
+  body('samples.*.analytes.*.submittedResult').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    await recordResults(event, req.body.samples);
+    res.json({
+      message: 'Results saved',
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Record proficiency testing results');
+  }
+});
+
+router.post('/:id/submit', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    await submitResults(event, req.user._id || req.user.userId);
+    res.json({
+      message: event.submittedAt > event.dueDate
+        ? 'Results marked as submitted after the due date'
+        : 'Results marked as submitted',
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Submit proficiency testing results');
+  }
+});
+
+// Enter the provider's evaluation
+router.post('/:id/grades', authorize('admin', 'lab_technician'), [
+  body('grades').isArray({ min: 1 }).withMessage('Grades are required'),
+  body('grades.*.sampleId').notEmpty(),
+  body('grades.*.name').notEmpty(),
+  body('grades.*.grade').isIn(['acceptable', 'unacceptable', 'not_graded']).withMessage('Grade must be acceptable, unacceptable or not graded'),
+  body('grades.*.expectedResult').optional().trim(),
+  body('grades.*.comment').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    await recordGrades(event, req.body.grades, req.user._id || req.user.userId);
+    const open = event.correctiveActions.filter(a => a.status === 'open').length;
+    res.json({
+      message: open > 0
+        ? `Graded ${event.score}% - ${open} unacceptable result${open === 1 ? '' : 's'} need corrective action`
+        : `Graded ${event.score === null ? 'without a score' : `${event.score}%`}`,
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Grade proficiency testing event');
+  }
+});
+
+router.put('/:id/corrective-actions/:actionId', authorize('admin', 'lab_technician'), [
+  body('investigation').optional().trim(),
+  body('rootCause').optional({ checkFalsy: true }).isIn(['clerical', 'methodological', 'equipment', 'technical', 'pt_material', 'no_explanation']),
+  body('action').optional().trim(),
+  body('complete').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    const correctiveAction = await updateCorrectiveAction(event, req.params.actionId, {
+      investigation: req.body.investigation,
+      rootCause: req.body.rootCause,
+      action: req.body.action,
+      complete: req.body.complete === true
+    }, req.user._id || req.user.userId);
+
+    res.json({
+      message: correctiveAction.status === 'completed' ? 'Corrective action completed' : 'Corrective action saved',
+      correctiveAction
+    });
+  } catch (error) {
+    handleError(res, error, 'Update PT corrective action');
+  }
+});
+
+router.post('/:id/close', authorize('admin'), async (req, res) => {
+  try {
+    const event = await ProficiencyEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Proficiency testing event not found' });
+    }
+
+    await closeEvent(event, req.user._id || req.user.userId);
+    res.json({
+      message: 'Proficiency testing event closed',
+      event
+    });
+  } catch (error) {
+    handleError(res, error, 'Close proficiency testing event');
+  }
+});
+
+module.exports = router;
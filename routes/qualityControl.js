@@ -0,0 +1,389 @@
+// routes/qualityControl.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const QCMaterial = require('../models/QCMaterial');
+const QCRecord = require('../models/QCRecord');
+const {
+  QCError,
+  recordValue,
+  openRejections,
+  resolveRejection,
+  leveyJennings
+} = require('../services/qualityControl');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const materialValidation = [
+  body('name').trim().notEmpty().withMessage('Material name is required'),
+  body('test').isMongoId().withMessage('Test is required'),
+  body('testModel').isIn(['Test', 'PCRTest']).withMessage('Valid test type is required'),
+  body('source').optional().isIn(['manual', 'positive_control_ct', 'internal_control_ct']),
+  body('rules').optional().isArray(),
+  body('rules.*').isIn(QCMaterial.WESTGARD_RULES).withMessage('Unknown Westgard rule'),
+  body('active').optional().isBoolean()
+];
+
+const lotValidation = [
+  body('lotNumber').trim().notEmpty().withMessage('Lot number is required'),
+  body('mean').isFloat().withMessage('Target mean is required'),
+  body('sd').isFloat({ gt: 0 }).withMessage('Target SD must be greater than zero'),
+  body('expirationDate').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('active').optional().isBoolean()
+];
+
+// ============= MATERIALS AND LOTS =============
+
+router.get('/materials', [
+  query('test').optional().isMongoId(),
+  query('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.test) filter.test = req.query.test;
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const [materials, locked] = await Promise.all([
+      QCMaterial.find(filter)
+        .populate('test', 'testName testCode')
+        .sort({ name: 1, level: 1 }),
+      QCRecord.distinct('material', { status: 'rejected', resolvedAt: null })
+    ]);
+
+    const lockedIds = new Set(locked.map(String));
+    res.json({
+      materials: materials.map(m => ({ ...m.toObject(), openRejection: lockedIds.has(String(m._id)) }))
+    });
+  } catch (error) {
+    console.error('Get QC materials error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/materials/:id', async (req, res) => {
+  try {
+    const material = await QCMaterial.findById(req.params.id).populate('test', 'testName testCode');
+    if (!material) {
+      return res.status(404).json({ message: 'QC material not found' });
+    }
+    res.json({ material });
+  } catch (error) {
+    console.error('Get QC material error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/materials', authorize('admin'), materialValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, manufacturer, level, test, testModel, analyte, unit, source, rules, notes, lots } = req.body;
+    const material = new QCMaterial({
+      name, manufacturer, level, test, testModel, analyte, unit, source, rules, notes,
+      lots: lots || [],
+      createdBy: req.user._id || req.user.userId
+    });
+    await material.save();
+
+    res.status(201).json({
+      message: 'QC material created successfully',
+      material
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create QC material error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/materials/:id', authorize('admin'), materialValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const material = await QCMaterial.findById(req.params.id);
+    if (!material) {
+      return res.status(404).json({ message: 'QC material not found' });
+    }
+
+    ['name', 'manufacturer', 'level', 'test', 'testModel', 'analyte', 'unit', 'source', 'rules', 'active', 'notes'].forEach(key => {
+      if (req.body[key] !== undefined) material.set(key, req.body[key]);
+    });
+    material.lastModifiedBy = req.user._id || req.user.userId;
+    await material.save();
+
+    res.json({
+      message: 'QC material updated successfully',
+      material
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update QC material error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add a lot; it becomes the current lot for new QC values
+router.post('/materials/:id/lots', authorize('admin'), lotValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const material = await QCMaterial.findById(req.params.id);
+    if (!material) {
+      return res.status(404).json({ message: 'QC material not found' });
+    }
+
+    const { lotNumber, expirationDate, mean, sd } = req.body;
+    material.lots.push({ lotNumber, expirationDate: expirationDate || undefined, mean, sd });
+    material.lastModifiedBy = req.user._id || req.user.userId;
+    await material.save();
+
+    res.status(201).json({
+      message: `Lot ${lotNumber} added`,
+      material
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add QC lot error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update a lot's targets or retire it. Recorded values keep the targets they were scored against.
+router.put('/materials/:id/lots/:lotId', authorize('admin'), lotValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const material = await QCMaterial.findById(req.params.id);
+    const lot = material && material.lots.id(req.params.lotId);
+    if (!lot) {
+      return res.status(404).json({ message: 'QC lot not found' });
+    }
+
+    ['lotNumber', 'mean', 'sd', 'active'].forEach(key => {
+      if (req.body[key] !== undefined) lot.set(key, req.body[key]);
+    });
+    lot.expirationDate = req.body.expirationDate || undefined;
+    material.lastModifiedBy = req.user._id || req.user.userId;
+    await material.save();
+
+    res.json({
+      message: `Lot ${lot.lotNumber} updated`,
+      material
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update QC lot error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Levey-Jennings chart data for a lot (current lot by default)
+router.get('/materials/:id/levey-jennings', [
+  query('lot').optional().isMongoId(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const material = await QCMaterial.findById(req.params.id);
+    if (!material) {
+      return res.status(404).json({ message: 'QC material not found' });
+    }
+
+    const chart = await leveyJennings(material, {
+      lotId: req.query.lot,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+    res.json(chart);
+  } catch (error) {
+    if (error instanceof QCError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Levey-Jennings error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ============= QC VALUES =============
+
+router.get('/records', [
+  query('material').optional().isMongoId(),
+  query('test').optional().isMongoId(),
+  query('status').optional().isIn(['accepted', 'warning', 'rejected']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const filter = {};
+    if (req.query.material) filter.material = req.query.material;
+    if (req.query.test) filter.test = req.query.test;
+    if (req.query.status) filter.status = req.query.status;
+
+    const [records, total] = await Promise.all([
+      QCRecord.find(filter)
+        .populate('material', 'name level unit')
+        .populate('test', 'testName testCode')
+        .populate('performedBy resolvedBy', 'firstName lastName')
+        .sort({ runDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      QCRecord.countDocuments(filter)
+    ]);
+
+    res.json({
+      records,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get QC records error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Enter a QC value; the response says which Westgard rules it violated
+router.post('/records', authorize('admin', 'lab_technician'), [
+  body('material').isMongoId().withMessage('QC material is required'),
+  body('value').isFloat().withMessage('A numeric QC value is required'),
+  body('lot').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('runDate').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('comment').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const material = await QCMaterial.findById(req.body.material);
+    if (!material) {
+      return res.status(404).json({ message: 'QC material not found' });
+    }
+
+    const record = await recordValue(material, {
+      value: parseFloat(req.body.value),
+      lotId: req.body.lot || undefined,
+      runDate: req.body.runDate ? new Date(req.body.runDate) : undefined,
+      comment: req.body.comment
+    }, req.user._id || req.user.userId);
+
+    const rules = record.violations.map(v => v.rule).join(', ');
+    res.status(201).json({
+      message: record.status === 'rejected'
+        ? `QC rejected (${rules}); result release for this test is locked`
+        : record.status === 'warning' ? `QC warning (${rules})` : 'QC accepted',
+      record
+    });
+  } catch (error) {
+    if (error instanceof QCError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Record QC value error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Open rejections, i.e. tests whose results cannot currently be released
+router.get('/locks', async (req, res) => {
+  try {
+    const records = await QCRecord.find({ status: 'rejected', resolvedAt: null })
+      .populate('material', 'name level unit')
+      .populate('test', 'testName testCode')
+      .populate('performedBy', 'firstName lastName')
+      .sort({ runDate: -1 });
+
+    res.json({ records });
+  } catch (error) {
+    console.error('Get QC locks error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Open rejections for one test
+router.get('/locks/test/:testId', async (req, res) => {
+  try {
+    const records = await openRejections(req.params.testId);
+    res.json({ locked: records.length > 0, records });
+  } catch (error) {
+    console.error('Get QC test lock error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Record the corrective action for a rejection; releases the lock once none remain
+router.post('/records/:id/resolve', authorize('admin', 'lab_technician'), [
+  body('correctiveAction').trim().notEmpty().withMessage('Corrective action is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await QCRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: 'QC record not found' });
+    }
+
+    await resolveRejection(record, req.body.correctiveAction, req.user._id || req.user.userId);
+    const remaining = await QCRecord.countDocuments({ test: record.test, status: 'rejected', resolvedAt: null });
+
+    res.json({
+      message: remaining === 0
+        ? 'Corrective action recorded; results for this test can be released'
+        : `Corrective action recorded; ${remaining} other rejection(s) still lock this test`,
+      record
+    });
+  } catch (error) {
+    if (error instanceof QCError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Resolve QC rejection error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
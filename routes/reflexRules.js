@@ -0,0 +1,149 @@
+// routes/reflexRules.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ReflexRule = require('../models/ReflexRule');
+const { applyReflexRules } = require('../services/reflexTesting');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const ruleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('triggerTest').isMongoId().withMessage('Valid trigger test is required'),
+  body('triggerTestModel').optional().isIn(['PCRTest', 'Test']),
+  body('reflexTest').isMongoId().withMessage('Valid reflex test is required'),
+  body('reflexTestModel').optional().isIn(['PCRTest', 'Test']),
+  body('reason').trim().notEmpty().withMessage('Reflex reason is required'),
+  body('conditions.overallResult').optional({ nullable: true, checkFalsy: true })
+    .isIn(['Positive', 'Negative', 'Indeterminate', 'Invalid', 'Partially Positive']),
+  body('conditions.targetsDetected').optional().isArray(),
+  body('conditions.targetMatch').optional().isIn(['all', 'any']),
+  body('conditions.markersDetected').optional().isArray(),
+  body('conditions.parameter').optional().trim(),
+  body('conditions.parameterFlags').optional().isArray(),
+  body('conditions.parameterFlags.*').isIn(['high', 'low', 'critical_high', 'critical_low', 'abnormal']),
+  body('active').optional().isBoolean()
+];
+
+// Normalize blank optional conditions from the form to "not set"
+function ruleFields(body) {
+  const fields = { ...body };
+  const conditions = { ...(body.conditions || {}) };
+  if (!conditions.overallResult) conditions.overallResult = undefined;
+  if (!conditions.parameter) conditions.parameter = undefined;
+  fields.conditions = conditions;
+  delete fields._id;
+  delete fields.createdBy;
+  return fields;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const rules = await ReflexRule.find()
+      .populate('triggerTest', 'testName testCode')
+      .populate('reflexTest', 'testName testCode')
+      .sort({ name: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get reflex rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/', authorize('admin'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = new ReflexRule({
+      ...ruleFields(req.body),
+      createdBy: req.user._id || req.user.userId
+    });
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Reflex rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create reflex rule error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/:id', authorize('admin'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await ReflexRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Reflex rule not found' });
+    }
+
+    const fields = ruleFields(req.body);
+    ['name', 'triggerTest', 'triggerTestModel', 'reflexTest', 'reflexTestModel', 'reason', 'conditions', 'active'].forEach(key => {
+      if (fields[key] !== undefined) rule.set(key, fields[key]);
+    });
+    rule.lastModifiedBy = req.user._id || req.user.userId;
+    await rule.save();
+
+    res.json({
+      message: 'Reflex rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update reflex rule error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ReflexRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Reflex rule not found' });
+    }
+
+    res.json({ message: 'Reflex rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete reflex rule error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Re-run the rules against a released result, e.g. after adding a rule
+router.post('/apply/:resultModel/:resultId', authorize('admin', 'lab_technician'), async (req, res) => {
+  try {
+    if (!['PCRResult', 'Result'].includes(req.params.resultModel)) {
+      return res.status(400).json({ message: 'Result model must be PCRResult or Result' });
+    }
+
+    const added = await applyReflexRules(req.params.resultId, req.params.resultModel);
+
+    res.json({
+      message: added.length > 0
+        ? `${added.length} reflex test(s) added to the order`
+        : 'No reflex rules matched this result',
+      added
+    });
+  } catch (error) {
+    console.error('Apply reflex rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+// routes/rejections.js
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const RejectionNotice = require('../models/RejectionNotice');
+const Order = require('../models/Order');
+const {
+  RejectionError,
+  renderNotice,
+  sendNotice,
+  markSent,
+  outstandingByOffice
+} = require('../services/rejections');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// GET /api/rejections - Rejection notices, e.g. the fax queue
+router.get('/', [
+  query('status').optional().isIn(['queued', 'sent', 'failed']),
+  query('method').optional().isIn(['email', 'fax', 'phone']),
+  query('recollectionStatus').optional().isIn(['outstanding', 'received', 'cancelled']),
+  query('medicalOffice').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.method) filter['contact.method'] = req.query.method;
+    if (req.query.recollectionStatus) filter.recollectionStatus = req.query.recollectionStatus;
+    if (req.query.medicalOffice) filter.medicalOffice = req.query.medicalOffice;
+
+    const [notices, total] = await Promise.all([
+      RejectionNotice.find(filter)
+        .populate({ path: 'order', select: 'orderNumber accessionNumber patient', populate: { path: 'patient', select: 'firstName lastName patientId' } })
+        .populate('recollectionOrder', 'orderNumber status accessionNumber receivedDate')
+        .populate('medicalOffice', 'name officeCode')
+        .populate('sentBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RejectionNotice.countDocuments(filter)
+    ]);
+
+    res.json({
+      notices,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get rejection notices error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/rejections/outstanding - Outstanding recollections per office
+router.get('/outstanding', async (req, res) => {
+  try {
+    const offices = await outstandingByOffice();
+    res.json({ offices });
+  } catch (error) {
+    console.error('Get outstanding recollections error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/rejections/:id/pdf - Rejection notice for fax or print
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const notice = await RejectionNotice.findById(req.params.id);
+    if (!notice) {
+      return res.status(404).json({ message: 'Rejection notice not found' });
+    }
+
+    const { pdf, order } = await renderNotice(notice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="rejection-${order.orderNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    if (error instanceof RejectionError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Rejection notice PDF error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/rejections/:id/send - Retry an email notice now
+router.post('/:id/send', authorize('admin', 'lab_technician', 'receptionist'), async (req, res) => {
+  try {
+    const notice = await RejectionNotice.findById(req.params.id);
+    if (!notice) {
+      return res.status(404).json({ message: 'Rejection notice not found' });
+    }
+
+    await sendNotice(notice);
+    if (notice.status !== 'sent') {
+      return res.status(502).json({ message: `Email failed: ${notice.lastError}`, notice });
+    }
+
+    res.json({
+      message: `Notice emailed to ${notice.contact.email}`,
+      notice
+    });
+  } catch (error) {
+    if (error instanceof RejectionError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Send rejection notice error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/rejections/:id/mark-sent - Record a faxed or phoned notice
+router.post('/:id/mark-sent', authorize('admin', 'lab_technician', 'receptionist'), [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notice = await RejectionNotice.findById(req.params.id);
+    if (!notice) {
+      return res.status(404).json({ message: 'Rejection notice not found' });
+    }
+
+    await markSent(notice, req.user._id || req.user.userId, req.body.notes);
+
+    res.json({
+      message: 'Notice recorded as sent',
+      notice
+    });
+  } catch (error) {
+    if (error instanceof RejectionError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Mark rejection notice sent error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/rejections/:id/cancel-recollection - Office will not recollect
+router.post('/:id/cancel-recollection', authorize('admin', 'lab_technician', 'receptionist'), [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notice = await RejectionNotice.findById(req.params.id);
+    if (!notice) {
+      return res.status(404).json({ message: 'Rejection notice not found' });
+    }
+    if (notice.recollectionStatus !== 'outstanding') {
+      return res.status(400).json({ message: `Recollection is already ${notice.recollectionStatus}` });
+    }
+
+    notice.recollectionStatus = 'cancelled';
+    notice.recollectionCancelReason = req.body.reason;
+    await notice.save();
+
+    // The placeholder order is cancelled unless a specimen has already arrived
+    if (notice.recollectionOrder) {
+      await Order.updateOne(
+        { _id: notice.recollectionOrder, status: 'pending' },
+        { status: 'cancelled', 'tests.$[].status': 'cancelled' }
+      );
+    }
+
+    res.json({
+      message: 'Recollection cancelled',
+      notice
+    });
+  } catch (error) {
+    console.error('Cancel recollection error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,10 @@ const { query, validationResult } = require('express-validator');
 const Result = require('../models/Result');
 const Order = require('../models/Order');
 const Patient = require('../models/Patient');
+const PCRResult = require('../models/PCRResult');
+const LaboratorySettings = require('../models/LaboratorySettings');
+const { buildPCRResultReport, buildCumulativeReport } = require('../services/pdfReports');
+const { qcSummary } = require('../services/qualityControl');
 const { authenticateToken, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -11,13 +15,50 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Generate patient report
-router.get('/patient/:patientId', async (req, res) => {
+// ?mode=cumulative pivots parameters by date; add &format=pdf for a printable copy
+router.get('/patient/:patientId', [
+  query('mode').optional().isIn(['standard', 'cumulative']),
+  query('format').optional().isIn(['json', 'pdf']),
+  query('test').optional().isMongoId(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const patient = await Patient.findById(req.params.patientId);
     if (!patient) {
       return res.status(404).json({ message: 'Patient not found' });
     }
 
+    if (req.query.mode === 'cumulative') {
+      const cumulative = await Result.getCumulative(patient._id, {
+        test: req.query.test,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      if (req.query.format === 'pdf') {
+        const settings = await LaboratorySettings.getCurrent();
+        const pdf = await buildCumulativeReport(patient, cumulative, settings);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="cumulative-${patient.patientId}.pdf"`);
+        return res.send(pdf);
+      }
+
+      return res.json({
+        patient,
+        mode: 'cumulative',
+        cumulative,
+        generatedAt: new Date(),
+        generatedBy: req.user._id
+      });
+    }
+
     const results = await Result.find({ 
       patient: req.params.patientId,
       status: { $in: ['final', 'amended'] }
@@ -68,6 +109,35 @@ router.get('/order/:orderId', async (req, res) => {
   }
 });
 
+// Generate signed PDF report for a finalized PCR result
+router.get('/pcr/:resultId/pdf', async (req, res) => {
+  try {
+    const result = await PCRResult.findById(req.params.resultId)
+      .populate('patient', 'firstName lastName patientId dateOfBirth gender')
+      .populate('test')
+      .populate('order', 'orderNumber accessionNumber orderingPhysician')
+      .populate('performedBy approvedBy', 'firstName lastName');
+
+    if (!result) {
+      return res.status(404).json({ message: 'PCR result not found' });
+    }
+
+    if (!['Final', 'Amended'].includes(result.status)) {
+      return res.status(400).json({ message: 'Only Final or Amended results can be reported' });
+    }
+
+    const settings = await LaboratorySettings.getCurrent();
+    const pdf = await buildPCRResultReport(result, settings);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${result.resultNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Generate PCR PDF report error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Generate lab statistics report
 router.get('/statistics', [
   authorize('admin', 'doctor'),
@@ -297,6 +367,9 @@ router.get('/quality-control', [
       }
     ]);
 
+    // Westgard performance of the QC materials (observed vs. target, rule violations)
+    const westgard = await qcSummary({ startDate, endDate });
+
     res.json({
       reportType: 'quality_control',
       dateRange: { startDate, endDate },
@@ -304,7 +377,8 @@ router.get('/quality-control', [
       generatedBy: req.user._id,
       data: {
         overallStats: qcStats[0] || {},
-        technicianPerformance: technicianStats
+        technicianPerformance: technicianStats,
+        westgard
       }
     });
   } catch (error) {
@@ -2,6 +2,13 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Result = require('../models/Result');
 const Order = require('../models/Order');
+const { sendLabResult } = require('../services/hl7Outbound');
+const { raiseCriticalValues } = require('../services/criticalValues');
+const { applyReferenceRanges } = require('../services/referenceRanges');
+const { applyReflexRules } = require('../services/reflexTesting');
+const { DeltaCheckError, checkResultDeltas, acknowledgeDelta, describeFailures } = require('../services/deltaChecks');
+const { releaseBlock } = require('../services/qualityControl');
+const { InstrumentError, applyResultInstrument } = require('../services/instruments');
 const { authenticateToken, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -9,6 +16,9 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Fields a result update may change
+const UPDATABLE_FIELDS = ['parameters', 'overallResult', 'interpretation', 'recommendations', 'qualityControl'];
+
 // Get all results with pagination and search
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
@@ -125,16 +135,11 @@ router.post('/', [
       performedDate: new Date()
     });
 
-    // Check for critical values
-    const criticalValues = result.checkCriticalValues();
-    if (criticalValues.length > 0) {
-      result.criticalValues = criticalValues.map(cv => ({
-        ...cv,
-        notificationTime: new Date()
-      }));
-    }
-
+    await applyResultInstrument(result);
+    await applyReferenceRanges(result);
+    await checkResultDeltas(result);
     await result.save();
+    await raiseCriticalValues(result);
     await result.populate('patient', 'firstName lastName patientId')
                  .populate('test', 'testName testCode')
                  .populate('order', 'orderNumber')
@@ -154,6 +159,9 @@ router.post('/', [
       result
     });
   } catch (error) {
+    if (error instanceof InstrumentError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Create result error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -165,7 +173,8 @@ router.put('/:id', [
   body('parameters').optional().isArray({ min: 1 }),
   body('overallResult').optional().isIn(['normal', 'abnormal', 'inconclusive', 'critical']),
   body('interpretation').optional().trim(),
-  body('recommendations').optional().trim()
+  body('recommendations').optional().trim(),
+  body('qualityControl').optional().isObject()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -177,6 +186,18 @@ router.put('/:id', [
     if (!result) {
       return res.status(404).json({ message: 'Result not found' });
     }
+    if (['final', 'amended'].includes(result.status)) {
+      const qcBlock = await releaseBlock(result.test);
+      if (qcBlock) {
+        return res.status(400).json({ message: qcBlock });
+      }
+    }
+
+    // Status, delta check and sign-off fields are only changed by their own routes
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
     // Store previous values for amendment tracking
     const previousValues = {
@@ -187,30 +208,57 @@ router.put('/:id', [
     };
 
     // Update result
-    Object.assign(result, req.body);
+    Object.assign(result, updates);
+    if (updates.qualityControl) {
+      await applyResultInstrument(result);
+    }
+    if (updates.parameters) {
+      await applyReferenceRanges(result);
+      await checkResultDeltas(result);
+    }
 
     // Add amendment record if status is final
+    let held = false;
     if (result.status === 'final') {
       result.amendments.push({
         reason: req.body.amendmentReason || 'Result updated',
         changedBy: req.user._id,
         changedAt: new Date(),
         previousValues,
-        newValues: req.body
+        newValues: updates
       });
-      result.status = 'amended';
+      if (result.deltaCheck && result.deltaCheck.status === 'failed') {
+        // Held like a new result: acknowledge the delta, then approve the amendment
+        result.status = 'preliminary';
+        result.approvedBy = undefined;
+        result.approvedDate = undefined;
+        held = true;
+      } else {
+        result.status = 'amended';
+      }
     }
 
     await result.save();
+    await raiseCriticalValues(result);
+
+    if (result.status === 'amended' && !held) {
+      sendLabResult(result._id).catch(error => console.error('HL7 result delivery error:', error));
+    }
+
     await result.populate('patient', 'firstName lastName patientId')
                  .populate('test', 'testName testCode')
                  .populate('performedBy', 'firstName lastName username');
 
     res.json({
-      message: 'Result updated successfully',
+      message: held
+        ? `Amendment held: delta check failed (${describeFailures(result.deltaCheck)}); acknowledge it and approve the result to release the amendment`
+        : 'Result updated successfully',
       result
     });
   } catch (error) {
+    if (error instanceof InstrumentError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update result error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -234,7 +282,20 @@ router.put('/:id/review', [
     }
 
     if (req.body.approved) {
-      result.status = 'final';
+      if (result.status !== 'preliminary') {
+        return res.status(400).json({ message: `Result is already ${result.status}; update it to amend it` });
+      }
+      if (result.deltaCheck && result.deltaCheck.status === 'failed') {
+        return res.status(400).json({
+          message: `Delta check failed (${describeFailures(result.deltaCheck)}); a technologist must acknowledge it before release`
+        });
+      }
+      const qcBlock = await releaseBlock(result.test);
+      if (qcBlock) {
+        return res.status(400).json({ message: qcBlock });
+      }
+      // A held amendment is released as amended
+      result.status = result.amendments.length > 0 ? 'amended' : 'final';
       result.approvedBy = req.user._id;
       result.approvedDate = new Date();
       result.reportedDate = new Date();
@@ -245,12 +306,21 @@ router.put('/:id/review', [
     }
 
     await result.save();
+
+    if (req.body.approved) {
+      // Delivery runs in the background; failures are retried from the HL7 message log
+      sendLabResult(result._id).catch(error => console.error('HL7 result delivery error:', error));
+      if (result.status === 'final') {
+        applyReflexRules(result._id, 'Result').catch(error => console.error('Reflex testing error:', error));
+      }
+    }
+
     await result.populate('patient', 'firstName lastName patientId')
                  .populate('test', 'testName testCode')
                  .populate('approvedBy', 'firstName lastName username');
 
     res.json({
-      message: result.status === 'final' ? 'Result approved successfully' : 'Result reviewed successfully',
+      message: req.body.approved ? 'Result approved successfully' : 'Result reviewed successfully',
       result
     });
   } catch (error) {
@@ -259,6 +329,38 @@ router.put('/:id/review', [
   }
 });
 
+// Acknowledge a failed delta check so the result can be released
+router.put('/:id/delta-check/acknowledge', [
+  authorize('admin', 'lab_technician'),
+  body('comment').trim().notEmpty().withMessage('Explain why the change is expected')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await Result.findById(req.params.id);
+    if (!result) {
+      return res.status(404).json({ message: 'Result not found' });
+    }
+
+    acknowledgeDelta(result, req.user._id, req.body.comment);
+    await result.save();
+
+    res.json({
+      message: 'Delta check acknowledged',
+      deltaCheck: result.deltaCheck
+    });
+  } catch (error) {
+    if (error instanceof DeltaCheckError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Acknowledge delta check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get results by patient
 router.get('/patient/:patientId', async (req, res) => {
   try {
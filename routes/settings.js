@@ -6,6 +6,7 @@ const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const LaboratorySettings = require('../models/LaboratorySettings');
+const { DATE_PARTS, describeSequences } = require('../services/sequences');
 const { authenticateToken, authorize } = require('../middleware/auth');
 
 // Configure multer for logo upload
@@ -52,6 +53,17 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Number formats with an example of each
+router.get('/sequences', authenticateToken, async (req, res) => {
+  try {
+    const settings = await LaboratorySettings.getCurrent();
+    res.json({ sequences: describeSequences(settings), dateParts: DATE_PARTS });
+  } catch (error) {
+    console.error('Get sequences error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Update laboratory settings (Admin only)
 router.put('/', [
   authenticateToken,
@@ -66,7 +78,15 @@ router.put('/', [
   body('cliaNumber').matches(/^[A-Z0-9]{10}$/).withMessage('Valid CLIA number required (10 characters)'),
   body('npiNumber').matches(/^\d{10}$/).withMessage('Valid NPI number required (10 digits)'),
   body('phone.main').trim().notEmpty().withMessage('Main phone number is required'),
-  body('fax').trim().notEmpty().withMessage('Fax number is required')
+  body('fax').trim().notEmpty().withMessage('Fax number is required'),
+  body('elr.outboundDirectory')
+    .if(body('elr.enabled').equals('true'))
+    .trim().notEmpty().withMessage('ELR outbound directory is required when reporting is enabled'),
+  body('sequences.*.prefix').optional().trim().toUpperCase()
+    .matches(/^[A-Z0-9-]{0,10}$/).withMessage('Number prefixes may only contain letters, digits and dashes (max 10)'),
+  body('sequences.*.datePart').optional().isIn(DATE_PARTS).withMessage('Invalid date part'),
+  body('sequences.*.width').optional().isInt({ min: 1, max: 12 }).withMessage('Number width must be 1-12 digits'),
+  body('sequences.*.checkDigit').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
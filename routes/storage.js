@@ -0,0 +1,357 @@
+// routes/storage.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const StorageLocation = require('../models/StorageLocation');
+const Accession = require('../models/Accession');
+const {
+  StorageError,
+  checkIn,
+  checkOut,
+  discard,
+  discardList,
+  locate,
+  boxMap,
+  boxOccupants,
+  boxUsage,
+  refreshDescendants
+} = require('../services/storage');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const locationValidation = [
+  body('name').trim().notEmpty().withMessage('Location name is required'),
+  body('level').isIn(StorageLocation.LEVELS).withMessage('Valid level is required'),
+  body('parent').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('temperatureClass').optional({ nullable: true, checkFalsy: true }).isIn(['room', 'refrigerated', 'frozen', '-80']),
+  body('capacity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }),
+  body('rows').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 26 }),
+  body('columns').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 50 }),
+  body('barcode').optional().trim(),
+  body('active').optional().isBoolean()
+];
+
+// Normalize blank optional fields from the form to "not set"
+function locationFields(body) {
+  const fields = {};
+  ['name', 'level', 'parent', 'temperatureClass', 'capacity', 'rows', 'columns', 'barcode', 'active', 'notes'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' || body[key] === null ? undefined : body[key];
+  });
+  return fields;
+}
+
+// A parent with a capacity cannot take more child locations
+async function checkParentCapacity(parentId, excludeId) {
+  if (!parentId) return null;
+  const parent = await StorageLocation.findById(parentId);
+  if (!parent || !parent.capacity) return null;
+  const count = await StorageLocation.countDocuments({ parent: parent._id, _id: { $ne: excludeId } });
+  return count >= parent.capacity ? `${parent.name} is full (capacity ${parent.capacity})` : null;
+}
+
+// ============= LOCATIONS =============
+
+router.get('/locations', [
+  query('level').optional().isIn(StorageLocation.LEVELS),
+  query('parent').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.level) filter.level = req.query.level;
+    if (req.query.parent) filter.parent = req.query.parent;
+
+    const locations = await StorageLocation.find(filter).sort({ path: 1 }).lean();
+
+    const usedByBox = await boxUsage();
+    locations.forEach(location => {
+      if (location.level === 'box') {
+        location.used = usedByBox[String(location._id)] || 0;
+        location.positions = location.rows * location.columns;
+      }
+    });
+
+    res.json({ locations });
+  } catch (error) {
+    console.error('Get storage locations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/locations', authorize('admin'), locationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const full = await checkParentCapacity(req.body.parent);
+    if (full) {
+      return res.status(400).json({ message: full });
+    }
+
+    const location = new StorageLocation({
+      ...locationFields(req.body),
+      createdBy: req.user._id || req.user.userId
+    });
+    await location.save();
+
+    res.status(201).json({
+      message: 'Storage location created successfully',
+      location
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create storage location error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/locations/:id', authorize('admin'), locationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const location = await StorageLocation.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Storage location not found' });
+    }
+
+    const fields = locationFields(req.body);
+    if (fields.level && fields.level !== location.level) {
+      return res.status(400).json({ message: 'The level of a location cannot be changed' });
+    }
+    if (String(fields.parent || '') !== String(location.parent || '')) {
+      const newParent = fields.parent && await StorageLocation.findById(fields.parent);
+      if (newParent && (newParent._id.equals(location._id) || newParent.path.startsWith(`${location.path} / `))) {
+        return res.status(400).json({ message: 'A location cannot be moved inside itself' });
+      }
+      const full = await checkParentCapacity(fields.parent, location._id);
+      if (full) {
+        return res.status(400).json({ message: full });
+      }
+    }
+    if (location.level === 'box' && (Number(fields.rows) < location.rows || Number(fields.columns) < location.columns)) {
+      const inUse = await boxOccupants(location._id);
+      if (inUse.length > 0) {
+        return res.status(400).json({ message: 'A box cannot be made smaller while it holds specimens' });
+      }
+    }
+
+    location.set(fields);
+    await location.save();
+    await refreshDescendants(location);
+
+    res.json({
+      message: 'Storage location updated successfully',
+      location
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update storage location error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/locations/:id', authorize('admin'), async (req, res) => {
+  try {
+    const location = await StorageLocation.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Storage location not found' });
+    }
+
+    const [children, specimens] = await Promise.all([
+      StorageLocation.countDocuments({ parent: location._id }),
+      boxOccupants(location._id)
+    ]);
+    if (children > 0 || specimens.length > 0) {
+      return res.status(400).json({ message: 'Only an empty location can be deleted; deactivate it instead' });
+    }
+
+    await location.deleteOne();
+
+    res.json({ message: 'Storage location deleted successfully' });
+  } catch (error) {
+    console.error('Delete storage location error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/locations/:id/map', async (req, res) => {
+  try {
+    const map = await boxMap(req.params.id);
+    res.json(map);
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Get box map error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ============= SPECIMENS =============
+
+// "Where is ACC2410190012?" - also accepts order number or specimen barcode
+router.get('/search', [
+  query('q').trim().notEmpty().withMessage('Search term is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await locate(req.query.q);
+    if (!found) {
+      return res.status(404).json({ message: `No specimen found for ${req.query.q}` });
+    }
+
+    res.json({ specimen: found });
+  } catch (error) {
+    console.error('Storage search error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/check-in', authorize('admin', 'lab_technician'), [
+  body('accessionNumber').trim().notEmpty().withMessage('Accession number or aliquot ID is required'),
+  body('box').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+  body('position').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { accession, storage } = await checkIn(req.body.accessionNumber, {
+      box: req.body.box,
+      position: req.body.position,
+      notes: req.body.notes
+    }, req.user._id || req.user.userId);
+
+    res.json({
+      message: `${req.body.accessionNumber} stored at ${storage.path} ${storage.position}`,
+      storage,
+      retainUntil: accession.retainUntil
+    });
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Storage check-in error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/check-out', authorize('admin', 'lab_technician'), [
+  body('accessionNumber').trim().notEmpty().withMessage('Accession number or aliquot ID is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { storage } = await checkOut(req.body.accessionNumber, req.body.reason, req.user._id || req.user.userId);
+
+    res.json({
+      message: `${req.body.accessionNumber} checked out; ${storage.path} ${storage.position} is held for its return`,
+      storage
+    });
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Storage check-out error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Extend (or shorten) how long a specimen is kept, e.g. for a pending repeat
+router.put('/specimens/:accessionNumber/retention', authorize('admin', 'lab_technician'), [
+  body('retainUntil').isISO8601().withMessage('Valid date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accession = await Accession.findOneAndUpdate(
+      { accessionNumber: req.params.accessionNumber },
+      { retainUntil: new Date(req.body.retainUntil) },
+      { new: true }
+    );
+    if (!accession) {
+      return res.status(404).json({ message: 'Specimen not found in storage records' });
+    }
+
+    res.json({
+      message: 'Retention date updated',
+      retainUntil: accession.retainUntil
+    });
+  } catch (error) {
+    console.error('Update retention error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ============= RETENTION =============
+
+router.get('/discard-list', [
+  query('date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const specimens = await discardList(req.query.date ? new Date(req.query.date) : new Date());
+
+    res.json({ specimens });
+  } catch (error) {
+    console.error('Get discard list error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/discard', authorize('admin', 'lab_technician'), [
+  body('accessionNumbers').isArray({ min: 1 }).withMessage('At least one specimen is required'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await discard(req.body.accessionNumbers, req.user._id || req.user.userId, req.body.notes);
+
+    res.json({
+      message: `${result.discarded.length} specimen(s) discarded`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Discard specimens error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { equipmentStatus } = require('../services/instruments');
 
 router.use(authenticateToken);
 
@@ -37,9 +38,14 @@ router.get('/status', async (req, res) => {
       status.labelPrinter = 'ready';
     }
 
-    // Lab equipment would require actual integration
-    // For now, marking as not connected
-    status.labEquipment = 'not_connected';
+    // Lab equipment state comes from instrument heartbeats
+    if (status.database === 'online') {
+      const equipment = await equipmentStatus();
+      status.labEquipment = equipment.status;
+      status.instruments = equipment.counts;
+    } else {
+      status.labEquipment = 'unknown';
+    }
 
     res.json(status);
   } catch (error) {
@@ -8,6 +8,36 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Delta check limits: each entry needs a parameter and an absolute or percent limit
+const deltaCheckValidation = [
+  body('deltaChecks').optional().isArray().withMessage('deltaChecks must be an array'),
+  body('deltaChecks.*.parameter').trim().notEmpty().withMessage('Delta check parameter is required'),
+  body('deltaChecks.*.absolute').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('deltaChecks.*.percent').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('deltaChecks.*.windowDays').optional().isInt({ min: 1 }),
+  body('deltaChecks.*').custom(check => {
+    if (check.absolute == null && check.percent == null) {
+      throw new Error(`Delta check for ${check.parameter} needs an absolute or percent limit`);
+    }
+    return true;
+  })
+];
+
+// Reference ranges: optional precise age band, sex and critical limits
+const normalRangeValidation = [
+  body('normalRanges').optional().isArray().withMessage('normalRanges must be an array'),
+  body('normalRanges.*.parameter').trim().notEmpty().withMessage('Reference range parameter is required'),
+  body('normalRanges.*.minValue').optional({ nullable: true }).isFloat(),
+  body('normalRanges.*.maxValue').optional({ nullable: true }).isFloat(),
+  body('normalRanges.*.criticalLow').optional({ nullable: true }).isFloat(),
+  body('normalRanges.*.criticalHigh').optional({ nullable: true }).isFloat(),
+  body('normalRanges.*.ageGroup').optional().isIn(['neonatal', 'pediatric', 'adult', 'geriatric', 'all']),
+  body('normalRanges.*.ageMin').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('normalRanges.*.ageMax').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('normalRanges.*.ageUnit').optional().isIn(['days', 'months', 'years']),
+  body('normalRanges.*.gender').optional().isIn(['male', 'female', 'all'])
+];
+
 // Get all tests with pagination and search
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -90,7 +120,9 @@ router.post('/', [
   body('testName').trim().notEmpty().withMessage('Test name is required'),
   body('category').isIn(['hematology', 'biochemistry', 'microbiology', 'immunology', 'pathology', 'radiology', 'molecular']).withMessage('Valid category is required'),
   body('sampleType').isIn(['blood', 'urine', 'serum', 'plasma', 'stool', 'saliva', 'tissue', 'swab', 'other']).withMessage('Valid sample type is required'),
-  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  ...normalRangeValidation,
+  ...deltaCheckValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -133,7 +165,9 @@ router.put('/:id', [
   authorize('admin'),
   body('testName').optional().trim().notEmpty().withMessage('Test name cannot be empty'),
   body('category').optional().isIn(['hematology', 'biochemistry', 'microbiology', 'immunology', 'pathology', 'radiology', 'molecular']),
-  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  ...normalRangeValidation,
+  ...deltaCheckValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
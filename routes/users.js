@@ -156,7 +156,9 @@ router.put('/:id', [
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('role').optional().isIn(['admin', 'lab_technician', 'doctor', 'receptionist']),
   body('department').optional().isIn(['hematology', 'biochemistry', 'microbiology', 'immunology', 'pathology', 'radiology', 'general']),
-  body('isActive').optional().isBoolean()
+  body('isActive').optional().isBoolean(),
+  body('labDirector').optional().isBoolean(),
+  body('testingStartDate').optional({ nullable: true }).isISO8601()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
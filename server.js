@@ -26,8 +26,22 @@ const organizationRoutes = require('./routes/organizations');
 const medicalOfficeRoutes = require('./routes/medicalOffices');
 const doctorRoutes = require('./routes/doctors');
 const pcrRoutes = require('./routes/pcrTests');
+const pcrRunRoutes = require('./routes/pcrRuns');
 const accessionRoutes = require('./routes/accession');
 const systemStatusRoutes = require('./routes/system-status');
+const hl7Routes = require('./routes/hl7');
+const fhirRoutes = require('./routes/fhir');
+const elrRoutes = require('./routes/elr');
+const criticalValueRoutes = require('./routes/criticalValues');
+const reflexRuleRoutes = require('./routes/reflexRules');
+const storageRoutes = require('./routes/storage');
+const manifestRoutes = require('./routes/manifests');
+const rejectionRoutes = require('./routes/rejections');
+const qualityControlRoutes = require('./routes/qualityControl');
+const inventoryRoutes = require('./routes/inventory');
+const instrumentRoutes = require('./routes/instruments');
+const competencyRoutes = require('./routes/competency');
+const proficiencyTestingRoutes = require('./routes/proficiencyTesting');
 
 
 // Security middleware - disabled CSP for development
@@ -126,8 +140,24 @@ app.use('/api/organizations', organizationRoutes);
 app.use('/api/medical-offices', medicalOfficeRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/pcr', pcrRoutes);
+app.use('/api/pcr-runs', pcrRunRoutes);
 app.use('/api/accession', accessionRoutes);
 app.use('/api/system', systemStatusRoutes);
+app.use('/api/hl7', hl7Routes);
+app.use('/api/elr', elrRoutes);
+app.use('/api/critical-values', criticalValueRoutes);
+app.use('/api/reflex-rules', reflexRuleRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/manifests', manifestRoutes);
+app.use('/api/rejections', rejectionRoutes);
+app.use('/api/qc', qualityControlRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/instruments', instrumentRoutes);
+app.use('/api/competency', competencyRoutes);
+app.use('/api/proficiency-testing', proficiencyTestingRoutes);
+
+// FHIR R4 API
+app.use('/fhir/R4', fhirRoutes);
 
 
 
@@ -195,6 +225,15 @@ app.get('/pcr-tests', (req, res) => {
 app.get('/pcr-results', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'pcr-results.html'));
 });
+// PCR run and run review page routes
+app.get('/pcr-runs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'pcr-runs.html'));
+});
+
+app.get('/pcr-review', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'pcr-review.html'));
+});
+
 // Accession page route
 app.get('/accession', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'accession.html'));
@@ -221,6 +260,66 @@ app.get('/label-print', (req, res) => {
 });
 
 
+// HL7 interface message log
+app.get('/interface-messages', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'interface-messages.html'));
+});
+
+// Public health ELR submission log
+app.get('/elr-submissions', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'elr-submissions.html'));
+});
+
+// Critical value call-backs and catalog
+app.get('/critical-values', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'critical-values.html'));
+});
+
+// Reflex testing rules
+app.get('/reflex-rules', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reflex-rules.html'));
+});
+
+// Biorepository storage, box maps and discard list
+app.get('/storage', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'storage.html'));
+});
+
+// Courier pickup manifests and shipment receiving
+app.get('/manifests', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'manifests.html'));
+});
+
+// Rejection notices and outstanding recollections
+app.get('/rejections', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'rejections.html'));
+});
+
+// QC materials, Westgard rule review and Levey-Jennings charts
+app.get('/quality-control', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'quality-control.html'));
+});
+
+// Reagent and consumable stock, lot expiry and recall tracing
+app.get('/inventory', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'inventory.html'));
+});
+
+// Instrument registry, maintenance and calibration schedules, downtime
+app.get('/instruments', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'instruments.html'));
+});
+
+// Staff training records and competency assessments
+app.get('/competency', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'competency.html'));
+});
+
+// Proficiency testing events, results, grading and corrective actions
+app.get('/proficiency-testing', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'proficiency-testing.html'));
+});
+
 app.get('/pending-results', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'pending-results.html'));
 });
@@ -241,4 +340,26 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Local access: http://localhost:${PORT}`);
   console.log(`Network access: http://0.0.0.0:${PORT}`);
-});
\ No newline at end of file
+});
+
+// HL7 inbound order interface (MLLP) - only started when a port is configured
+if (process.env.HL7_MLLP_PORT) {
+  const { createMLLPServer } = require('./services/mllpServer');
+  const { handleInboundMessage } = require('./services/hl7Inbound');
+
+  createMLLPServer(handleInboundMessage).listen(process.env.HL7_MLLP_PORT, '0.0.0.0', () => {
+    console.log(`HL7 MLLP listener on port ${process.env.HL7_MLLP_PORT}`);
+  });
+}
+
+// Retry failed outbound HL7 result deliveries
+require('./services/hl7Outbound').startRetryWorker();
+
+// Write queued public health reports to the ELR outbound directory
+require('./services/elr').startELRWorker();
+
+// Escalate critical value call-backs that are not acknowledged in time
+require('./services/criticalValues').startCriticalValueWorker();
+
+// Retry rejection notice emails that failed to send
+require('./services/rejections').startRejectionNoticeWorker();
@@ -0,0 +1,102 @@
+// services/addOnTests.js
+// Adding tests to an already-accessioned specimen, e.g. when an office calls
+// after the fact. Every requested test must suit the specimen on hand.
+const Test = require('../models/Test');
+const PCRTest = require('../models/PCRTest');
+const { evaluateSpecimen } = require('./specimenStability');
+
+class AddOnError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
+async function findTest(testId) {
+  const pcrTest = await PCRTest.findById(testId);
+  if (pcrTest) return { test: pcrTest, testModel: 'PCRTest' };
+  const test = await Test.findById(testId);
+  return test ? { test, testModel: 'Test' } : null;
+}
+
+// Validate and append the add-on tests to the order (not saved). All tests
+// are checked first; nothing is added unless every one passes.
+async function addOnTests(order, { tests, requestedBy, requestMethod, reason }, userId) {
+  if (!order.accessionNumber) {
+    throw new AddOnError('Add-on tests can only be requested for an accessioned specimen');
+  }
+  if (['cancelled', 'rejected'].includes(order.status)) {
+    throw new AddOnError(`Cannot add tests to a ${order.status} order`);
+  }
+
+  const problems = [];
+  const found = [];
+
+  for (const testId of tests) {
+    const match = await findTest(testId);
+    if (!match) {
+      problems.push(`Test ${testId} not found`);
+      continue;
+    }
+    const { test } = match;
+    if (!test.isActive) {
+      problems.push(`${test.testName} is not active`);
+      continue;
+    }
+    const onOrder = order.tests.some(t => String(t.test) === String(test._id) && t.status !== 'cancelled');
+    if (onOrder || found.some(f => String(f.test._id) === String(test._id))) {
+      problems.push(`${test.testName} is already on this order`);
+      continue;
+    }
+    found.push(match);
+  }
+
+  // Stability is checked at the temperature the specimen arrived at
+  const evaluation = evaluateSpecimen(order, found.map(f => f.test), { temperature: order.transportTemperature });
+  evaluation.problems.forEach(p => problems.push(p.message));
+
+  if (problems.length > 0) {
+    throw new AddOnError('Add-on request cannot be accepted', problems);
+  }
+
+  order.addOns.push({
+    tests: found.map(({ test, testModel }) => ({
+      test: test._id,
+      testModel,
+      testCode: test.testCode,
+      testName: test.testName
+    })),
+    requestedBy,
+    requestMethod,
+    reason,
+    specimenAgeHours: evaluation.specimenAgeHours,
+    enteredBy: userId,
+    enteredAt: new Date()
+  });
+  const addOn = order.addOns[order.addOns.length - 1];
+
+  // The specimen is already in the lab, so the new items start as collected
+  found.forEach(({ test, testModel }) => {
+    order.tests.push({
+      test: test._id,
+      testModel,
+      status: 'collected',
+      priority: order.priority,
+      sampleCollectedAt: order.collectionDate,
+      notes: `Add-on requested by ${requestedBy.name} (${requestMethod || 'phone'})`,
+      addOn: addOn._id
+    });
+  });
+
+  await order.calculateTotal();
+  if (order.status !== 'hold') order.updateStatus();
+  // New items need labels
+  order.labelPrinted = false;
+
+  return addOn;
+}
+
+module.exports = {
+  AddOnError,
+  addOnTests
+};
@@ -0,0 +1,157 @@
+// services/aliquots.js
+// Splitting an accessioned specimen into aliquots and tracking each aliquot's
+// use and disposal. Volumes are checked here for a clear message and again by
+// the Accession model, and saves are version-checked so concurrent splits
+// cannot both draw on the same remaining volume.
+const { findOrCreateAccession, resolveSpecimen } = require('./storage');
+
+class AliquotError extends Error {}
+
+// Attempts at a change when another user changed the same specimen meanwhile
+const MAX_ATTEMPTS = 3;
+
+// Run change() (which loads, checks and saves the accession), starting over
+// when a concurrent change wins. Saves use increment() so they only apply to
+// the version that was checked; a simultaneous first split of a new
+// accession shows up as a duplicate key instead.
+async function retryOnConflict(change) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await change();
+    } catch (error) {
+      const conflict = error.name === 'VersionError' || error.code === 11000;
+      if (!conflict) throw error;
+      if (attempt >= MAX_ATTEMPTS) {
+        throw new AliquotError('The specimen is being changed by someone else; try again');
+      }
+    }
+  }
+}
+
+function roundVolume(volume) {
+  return Math.round(volume * 1000) / 1000;
+}
+
+// Split the order's specimen. The primary volume must be recorded before the
+// first split; later splits draw on what remains.
+function createAliquots(order, split, userId) {
+  return retryOnConflict(() => splitSpecimen(order, split, userId));
+}
+
+async function splitSpecimen(order, { volume, unit, aliquots }, userId) {
+  if (!order.accessionNumber) {
+    throw new AliquotError('Only accessioned specimens can be aliquoted');
+  }
+  if (['cancelled', 'rejected'].includes(order.status)) {
+    throw new AliquotError(`Cannot aliquot a ${order.status} specimen`);
+  }
+
+  const accession = await findOrCreateAccession(order.accessionNumber, userId);
+  if (accession.storage && accession.storage.status === 'discarded') {
+    throw new AliquotError(`${accession.accessionNumber} has been discarded`);
+  }
+
+  if (accession.volume === undefined || accession.volume === null) {
+    if (!volume) {
+      throw new AliquotError('Record the primary specimen volume before the first aliquot');
+    }
+    accession.volume = volume;
+    accession.remainingVolume = volume;
+    if (unit) accession.volumeUnit = unit;
+  } else if (volume && volume !== accession.volume && accession.aliquots.length > 0) {
+    throw new AliquotError(`The primary volume (${accession.volume} ${accession.volumeUnit}) cannot be changed once aliquots exist`);
+  }
+  if (unit && unit !== accession.volumeUnit) {
+    throw new AliquotError(`Volumes for ${accession.accessionNumber} are recorded in ${accession.volumeUnit}`);
+  }
+
+  const requested = roundVolume(aliquots.reduce((sum, a) => sum + a.volume, 0));
+  if (requested > accession.remainingVolume) {
+    throw new AliquotError(`${requested} ${accession.volumeUnit} requested but only ${accession.remainingVolume} ${accession.volumeUnit} of ${accession.accessionNumber} remains`);
+  }
+
+  const created = aliquots.map(a => accession.createAliquot(a.volume, accession.volumeUnit, a.location, userId));
+  accession.chainOfCustody.push({
+    action: 'processed',
+    performedBy: userId,
+    timestamp: new Date(),
+    notes: `Aliquoted into ${created.map(a => `${a.aliquotId} (${a.volume} ${a.unit})`).join(', ')}`
+  });
+
+  accession.increment();
+  await accession.save();
+  return { accession, aliquots: created };
+}
+
+async function findAliquot(aliquotId) {
+  const { accession, aliquot } = await resolveSpecimen(aliquotId);
+  if (!aliquot) {
+    throw new AliquotError(`No aliquot ${aliquotId}`);
+  }
+  if (aliquot.status !== 'available') {
+    throw new AliquotError(`${aliquotId} was ${aliquot.status}`);
+  }
+  return { accession, aliquot };
+}
+
+// Take volume from an aliquot for testing; when it runs out the aliquot is
+// consumed and its storage position freed
+function useAliquot(aliquotId, volume, purpose, userId) {
+  return retryOnConflict(() => drawFromAliquot(aliquotId, volume, purpose, userId));
+}
+
+async function drawFromAliquot(aliquotId, volume, purpose, userId) {
+  const { accession, aliquot } = await findAliquot(aliquotId);
+  if (volume > aliquot.remainingVolume) {
+    throw new AliquotError(`${aliquotId} has only ${aliquot.remainingVolume} ${aliquot.unit} left`);
+  }
+
+  aliquot.remainingVolume = roundVolume(aliquot.remainingVolume - volume);
+  aliquot.usage.push({ volume, purpose, usedAt: new Date(), usedBy: userId });
+  let notes = `${aliquotId}: used ${volume} ${aliquot.unit}${purpose ? ` for ${purpose}` : ''}`;
+  if (aliquot.remainingVolume === 0) {
+    aliquot.status = 'consumed';
+    if (aliquot.storage && aliquot.storage.status) aliquot.storage.status = 'discarded';
+    notes += '; consumed';
+  }
+  accession.chainOfCustody.push({
+    action: 'processed',
+    performedBy: userId,
+    timestamp: new Date(),
+    notes
+  });
+
+  accession.increment();
+  await accession.save();
+  return { accession, aliquot };
+}
+
+async function discardAliquot(aliquotId, reason, userId) {
+  const { accession, aliquot } = await findAliquot(aliquotId);
+  const location = aliquot.storage && aliquot.storage.status
+    ? `${aliquot.storage.path} ${aliquot.storage.position}`
+    : aliquot.location;
+
+  aliquot.status = 'discarded';
+  aliquot.discardedAt = new Date();
+  aliquot.discardedBy = userId;
+  aliquot.discardReason = reason;
+  if (aliquot.storage && aliquot.storage.status) aliquot.storage.status = 'discarded';
+  accession.chainOfCustody.push({
+    action: 'discarded',
+    performedBy: userId,
+    timestamp: new Date(),
+    location,
+    notes: `${aliquotId}: ${reason}`
+  });
+
+  await accession.save();
+  return { accession, aliquot };
+}
+
+module.exports = {
+  AliquotError,
+  createAliquots,
+  useAliquot,
+  discardAliquot
+};
@@ -0,0 +1,141 @@
+// services/autoVerification.js
+// Releases clean Preliminary PCR results per the test's auto-verification
+// rules; everything else is routed to the manual review queue
+const PCRResult = require('../models/PCRResult');
+const PCRTest = require('../models/PCRTest');
+const PCRRun = require('../models/PCRRun');
+const User = require('../models/User');
+const { deliverPCRResult } = require('./resultDelivery');
+const { findCriticalValues } = require('./criticalValues');
+const { describeFailures } = require('./deltaChecks');
+const { releaseBlock } = require('./qualityControl');
+
+// Criteria a rule failed for this result; empty when the rule passes.
+// criticalFindings come from the critical value catalog (findCriticalValues).
+function ruleFailures(rule, result, criticalFindings = []) {
+  const failures = [];
+  const qc = result.qualityControl || {};
+  const overall = result.overallResult && result.overallResult.status;
+
+  if (!(rule.allowedResults || []).includes(overall)) {
+    failures.push(`Overall result ${overall} is not auto-released`);
+  }
+
+  if (rule.requireInternalControlPass && qc.internalControlResult !== 'Pass') {
+    failures.push(`Internal control ${qc.internalControlResult || 'not recorded'}`);
+  }
+  const hasCtRange = typeof rule.internalControlCtMin === 'number' || typeof rule.internalControlCtMax === 'number';
+  if (hasCtRange) {
+    if (typeof qc.internalControlCt !== 'number') {
+      failures.push('Internal control Ct not recorded');
+    } else if (typeof rule.internalControlCtMin === 'number' && qc.internalControlCt < rule.internalControlCtMin) {
+      failures.push(`Internal control Ct ${qc.internalControlCt} below ${rule.internalControlCtMin}`);
+    } else if (typeof rule.internalControlCtMax === 'number' && qc.internalControlCt > rule.internalControlCtMax) {
+      failures.push(`Internal control Ct ${qc.internalControlCt} above ${rule.internalControlCtMax}`);
+    }
+  }
+
+  if (rule.requireRunControlsPass) {
+    if (qc.positiveControlResult !== 'Pass') failures.push(`Positive control ${qc.positiveControlResult || 'not recorded'}`);
+    if (qc.negativeControlResult !== 'Pass') failures.push(`Negative control ${qc.negativeControlResult || 'not recorded'}`);
+  }
+
+  if (rule.disallowIndeterminate) {
+    const indeterminate = [...(result.targetResults || []), ...(result.resistanceResults || [])]
+      .filter(t => t.interpretation === 'Indeterminate');
+    if (indeterminate.length > 0) {
+      failures.push(`Indeterminate: ${indeterminate.map(t => t.targetName || t.markerName).join(', ')}`);
+    }
+  }
+
+  if (rule.disallowCriticalPathogens) {
+    if (criticalFindings.length > 0) {
+      failures.push(`Critical pathogen detected: ${criticalFindings.map(c => c.pathogen).join(', ')}`);
+    }
+  }
+
+  if (rule.requireAdequateSample && result.sampleInfo && result.sampleInfo.sampleQuality !== 'Adequate') {
+    failures.push(`Sample quality ${result.sampleInfo.sampleQuality}`);
+  }
+
+  return failures;
+}
+
+// First enabled rule the result satisfies, or the reasons none did
+async function evaluate(result, test) {
+  const rules = (test.autoVerification.rules || []).filter(r => r.enabled);
+  if (rules.length === 0) {
+    return { rule: null, reasons: ['No auto-verification rules are enabled for this test'] };
+  }
+
+  // Checks no rule can waive
+  const blocking = [];
+  if (result.overallResult && result.overallResult.status === 'Invalid') blocking.push('Result is Invalid');
+  if (result.deltaCheck && result.deltaCheck.status === 'failed') {
+    blocking.push(`Delta check failed: ${describeFailures(result.deltaCheck)}`);
+  }
+  if (result.run) {
+    const run = await PCRRun.findById(result.run).select('runNumber status');
+    if (run && run.status === 'failed') blocking.push(`Run ${run.runNumber} failed its controls`);
+  }
+  const qcBlock = await releaseBlock(result.test);
+  if (qcBlock) blocking.push(qcBlock);
+  if (blocking.length > 0) return { rule: null, reasons: blocking };
+
+  const criticalFindings = await findCriticalValues(result);
+  const reasons = [];
+  for (const rule of rules) {
+    const failures = ruleFailures(rule, result, criticalFindings);
+    if (failures.length === 0) return { rule, reasons: [] };
+    failures.forEach(f => reasons.push(`${rule.name}: ${f}`));
+  }
+  return { rule: null, reasons };
+}
+
+// Evaluate a result and release it when a rule passes. Results already signed
+// off by a person, or not Preliminary, are left alone. Resolves to the
+// autoVerification record, or null when the test has auto-verification off.
+async function autoVerifyResult(resultOrId) {
+  const result = resultOrId instanceof PCRResult ? resultOrId : await PCRResult.findById(resultOrId);
+  if (!result || result.status !== 'Preliminary' || result.approvedBy) return null;
+
+  const test = await PCRTest.findById(result.test).select('autoVerification');
+  if (!test || !test.autoVerification || !test.autoVerification.enabled) return null;
+
+  const { rule, reasons } = await evaluate(result, test);
+  const now = new Date();
+
+  if (rule) {
+    const systemUser = await User.getSystemUser('autoverification', 'Auto', 'Verification');
+    result.reviewedBy = systemUser._id;
+    result.reviewedDate = now;
+    result.approvedBy = systemUser._id;
+    result.approvedDate = now;
+    result.status = 'Final';
+    result.reportedDate = now;
+    result.autoVerification = { status: 'released', rule: rule.name, ruleId: rule._id, reasons: [], evaluatedAt: now };
+  } else {
+    result.autoVerification = { status: 'manual_review', reasons, evaluatedAt: now };
+  }
+
+  await result.save();
+  if (rule) deliverPCRResult(result._id);
+
+  return result.autoVerification;
+}
+
+async function autoVerifyResults(resultIds) {
+  const summary = { released: 0, manualReview: 0 };
+  for (const id of resultIds) {
+    const outcome = await autoVerifyResult(id);
+    if (outcome && outcome.status === 'released') summary.released++;
+    if (outcome && outcome.status === 'manual_review') summary.manualReview++;
+  }
+  return summary;
+}
+
+module.exports = {
+  ruleFailures,
+  autoVerifyResult,
+  autoVerifyResults
+};
@@ -0,0 +1,287 @@
+// services/competency.js
+// Personnel training and CLIA competency. Trainings are required per
+// department/role and may need renewal; competency is assessed per user and
+// test system on the six CLIA elements and becomes effective when the
+// laboratory director signs it off. Optionally, approving PCR results
+// requires a current competency on the test.
+const User = require('../models/User');
+const TrainingRequirement = require('../models/TrainingRequirement');
+const TrainingRecord = require('../models/TrainingRecord');
+const CompetencyAssessment = require('../models/CompetencyAssessment');
+const LaboratorySettings = require('../models/LaboratorySettings');
+
+const { COMPETENCY_ELEMENTS } = CompetencyAssessment;
+
+// Records expiring within this many days are flagged
+const EXPIRY_WARNING_DAYS = 30;
+
+// Months a signed-off competency is valid, by assessment type. Initial and
+// semiannual assessments cover the first year; annual thereafter.
+const VALIDITY_MONTHS = {
+  initial: 6,
+  semiannual: 6,
+  retraining: 6,
+  annual: 12
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CompetencyError extends Error {}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+// current, expiring, expired or missing
+function expiryStatus(expiresAt, at = new Date(), days = EXPIRY_WARNING_DAYS) {
+  if (!expiresAt) return 'current';
+  if (expiresAt < at) return 'expired';
+  if (expiresAt - at <= days * DAY_MS) return 'expiring';
+  return 'current';
+}
+
+// ============= TRAINING =============
+
+async function recordTraining(user, requirement, { completedAt, trainer, notes }, recordedBy) {
+  const completed = completedAt ? new Date(completedAt) : new Date();
+  if (completed > new Date()) {
+    throw new CompetencyError('Completion date cannot be in the future');
+  }
+  if (!requirement.appliesTo(user)) {
+    throw new CompetencyError(`${requirement.name} is not required for ${user.firstName} ${user.lastName}`);
+  }
+
+  return TrainingRecord.create({
+    user: user._id,
+    requirement: requirement._id,
+    completedAt: completed,
+    expiresAt: requirement.renewalMonths ? addMonths(completed, requirement.renewalMonths) : undefined,
+    trainer,
+    notes,
+    recordedBy
+  });
+}
+
+// Each required training for the user with its latest record and status
+async function trainingStatus(user, requirements, at = new Date()) {
+  const applicable = (requirements || await TrainingRequirement.find({ active: true }))
+    .filter(r => r.appliesTo(user));
+  const records = await TrainingRecord.find({ user: user._id, requirement: { $in: applicable.map(r => r._id) } })
+    .sort({ completedAt: -1 });
+
+  return applicable.map(requirement => {
+    const record = records.find(r => String(r.requirement) === String(requirement._id)) || null;
+    return {
+      requirement: { _id: requirement._id, name: requirement.name, renewalMonths: requirement.renewalMonths },
+      record,
+      status: record ? expiryStatus(record.expiresAt, at) : 'missing'
+    };
+  });
+}
+
+// ============= COMPETENCY =============
+
+// Merge assessed elements into the assessment; an element assessed again replaces the earlier entry
+function applyElements(assessment, elements = [], assessorId) {
+  elements.forEach(entry => {
+    const existing = assessment.elements.find(e => e.element === entry.element);
+    const values = {
+      element: entry.element,
+      satisfactory: entry.satisfactory,
+      method: entry.method,
+      notes: entry.notes,
+      assessedAt: entry.assessedAt ? new Date(entry.assessedAt) : new Date(),
+      assessedBy: assessorId
+    };
+    if (existing) existing.set(values);
+    else assessment.elements.push(values);
+  });
+}
+
+async function startAssessment({ user, test, testModel, assessmentType, elements }, assessorId) {
+  if (String(user._id) === String(assessorId)) {
+    throw new CompetencyError('You cannot assess your own competency');
+  }
+  const open = await CompetencyAssessment.findOne({ user: user._id, test, status: { $in: ['in_progress', 'awaiting_signoff'] } });
+  if (open) {
+    throw new CompetencyError('An assessment for this test is already open for this user');
+  }
+
+  const assessment = new CompetencyAssessment({ user: user._id, test, testModel, assessmentType, assessedBy: assessorId });
+  applyElements(assessment, elements, assessorId);
+  await assessment.save();
+  return assessment;
+}
+
+async function updateAssessment(assessment, elements, assessorId) {
+  if (assessment.status !== 'in_progress') {
+    throw new CompetencyError('Only assessments in progress can be changed');
+  }
+  if (String(assessment.user) === String(assessorId)) {
+    throw new CompetencyError('You cannot assess your own competency');
+  }
+  applyElements(assessment, elements, assessorId);
+  await assessment.save();
+  return assessment;
+}
+
+// Hand the assessment to the director once all six elements are assessed
+async function submitAssessment(assessment) {
+  if (assessment.status !== 'in_progress') {
+    throw new CompetencyError('Assessment has already been submitted');
+  }
+  const missing = Object.keys(COMPETENCY_ELEMENTS).filter(key => !assessment.elements.some(e => e.element === key));
+  if (missing.length > 0) {
+    throw new CompetencyError(`Not yet assessed: ${missing.join(', ')}`);
+  }
+  assessment.status = 'awaiting_signoff';
+  assessment.submittedAt = new Date();
+  await assessment.save();
+  return assessment;
+}
+
+// Director sign-off. Competent requires every element satisfactory; not
+// competent requires a corrective action.
+async function signOff(assessment, signer, { competent, comment, correctiveAction }) {
+  if (!signer.labDirector) {
+    throw new CompetencyError('Only the laboratory director can sign off competency');
+  }
+  if (assessment.status !== 'awaiting_signoff') {
+    throw new CompetencyError('Assessment is not awaiting sign-off');
+  }
+  if (String(assessment.user) === String(signer._id)) {
+    throw new CompetencyError('You cannot sign off your own competency');
+  }
+
+  const unsatisfactory = assessment.elements.filter(e => !e.satisfactory).map(e => e.element);
+  if (competent && unsatisfactory.length > 0) {
+    throw new CompetencyError(`Cannot sign off as competent: unsatisfactory ${unsatisfactory.join(', ')}`);
+  }
+  if (!competent && !correctiveAction) {
+    throw new CompetencyError('Describe the corrective action (e.g. retraining) for a not competent decision');
+  }
+
+  const now = new Date();
+  assessment.status = competent ? 'competent' : 'not_competent';
+  assessment.signedOffBy = signer._id;
+  assessment.signedOffAt = now;
+  assessment.signOffComment = comment;
+  assessment.correctiveAction = correctiveAction;
+  assessment.expiresAt = competent ? addMonths(now, VALIDITY_MONTHS[assessment.assessmentType]) : undefined;
+  await assessment.save();
+  return assessment;
+}
+
+// Latest signed-off decision per test for the user. A later not-competent
+// decision overrides an earlier competent one.
+async function latestCompetencies(userId) {
+  const assessments = await CompetencyAssessment.find({ user: userId, status: { $in: ['competent', 'not_competent'] } })
+    .populate('test', 'testName testCode')
+    .populate('signedOffBy', 'firstName lastName')
+    .sort({ signedOffAt: -1 });
+
+  const latest = new Map();
+  assessments.forEach(a => {
+    const key = String(a.test && a.test._id ? a.test._id : a.test);
+    if (!latest.has(key)) latest.set(key, a);
+  });
+  return Array.from(latest.values());
+}
+
+// Signed-off, unexpired competency of the user on the test, or null
+async function currentCompetency(userId, testId, at = new Date()) {
+  const latest = await CompetencyAssessment.findOne({ user: userId, test: testId, status: { $in: ['competent', 'not_competent'] } })
+    .sort({ signedOffAt: -1 });
+  if (!latest || latest.status !== 'competent' || latest.expiresAt < at) return null;
+  return latest;
+}
+
+// Reason the user may not approve results for the test, or null. Only
+// enforced when enabled in laboratory settings.
+async function approvalBlock(userId, testId) {
+  const settings = await LaboratorySettings.getCurrent();
+  if (!settings.competency || !settings.competency.enforceForApproval) return null;
+  if (await currentCompetency(userId, testId)) return null;
+  return 'You do not have a current signed-off competency assessment for this test';
+}
+
+// ============= COMPLIANCE =============
+
+// Training and competency standing of each active testing user
+async function staffCompliance(filter = {}) {
+  const [users, requirements] = await Promise.all([
+    User.find({ isActive: true, role: { $in: ['admin', 'lab_technician'] }, ...filter })
+      .select('firstName lastName username role department labDirector testingStartDate')
+      .sort({ lastName: 1 }),
+    TrainingRequirement.find({ active: true })
+  ]);
+
+  const now = new Date();
+  return Promise.all(users.map(async user => {
+    const [trainings, competencies] = await Promise.all([
+      trainingStatus(user, requirements, now),
+      latestCompetencies(user._id)
+    ]);
+    const competencyStatus = c => (c.status === 'not_competent' ? 'not_competent' : expiryStatus(c.expiresAt, now));
+
+    return {
+      user,
+      trainings,
+      competencies: competencies.map(c => ({
+        assessment: c,
+        test: c.test,
+        status: competencyStatus(c)
+      })),
+      overdue: trainings.some(t => ['missing', 'expired'].includes(t.status)) ||
+        competencies.some(c => ['expired', 'not_competent'].includes(competencyStatus(c)))
+    };
+  }));
+}
+
+// Overdue and soon-due training and competency across staff, plus
+// assessments waiting for the director
+async function competencyAlerts() {
+  const [staff, awaitingSignoff] = await Promise.all([
+    staffCompliance(),
+    CompetencyAssessment.find({ status: 'awaiting_signoff' })
+      .populate('user', 'firstName lastName')
+      .populate('test', 'testName testCode')
+      .sort({ submittedAt: 1 })
+  ]);
+
+  const alerts = { overdue: [], dueSoon: [], awaitingSignoff };
+  staff.forEach(({ user, trainings, competencies }) => {
+    const name = `${user.firstName} ${user.lastName}`;
+    trainings.forEach(t => {
+      const entry = { user: user._id, name, kind: 'training', item: t.requirement.name, status: t.status, expiresAt: t.record && t.record.expiresAt };
+      if (['missing', 'expired'].includes(t.status)) alerts.overdue.push(entry);
+      else if (t.status === 'expiring') alerts.dueSoon.push(entry);
+    });
+    competencies.forEach(c => {
+      const entry = { user: user._id, name, kind: 'competency', item: c.test ? c.test.testCode : '', status: c.status, expiresAt: c.assessment.expiresAt };
+      if (['expired', 'not_competent'].includes(c.status)) alerts.overdue.push(entry);
+      else if (c.status === 'expiring') alerts.dueSoon.push(entry);
+    });
+  });
+  return alerts;
+}
+
+module.exports = {
+  COMPETENCY_ELEMENTS,
+  VALIDITY_MONTHS,
+  EXPIRY_WARNING_DAYS,
+  CompetencyError,
+  recordTraining,
+  trainingStatus,
+  startAssessment,
+  updateAssessment,
+  submitAssessment,
+  signOff,
+  latestCompetencies,
+  currentCompetency,
+  approvalBlock,
+  staffCompliance,
+  competencyAlerts
+};
@@ -0,0 +1,238 @@
+// services/criticalValues.js
+// Critical value detection against the catalog and the call-back workflow:
+// who was notified, read-back, time to notify and timed escalation
+const CriticalValueRule = require('../models/CriticalValueRule');
+const CriticalNotification = require('../models/CriticalNotification');
+const PCRResult = require('../models/PCRResult');
+const Result = require('../models/Result');
+const Order = require('../models/Order');
+const Doctor = require('../models/Doctor');
+const MedicalOffice = require('../models/MedicalOffice');
+const LaboratorySettings = require('../models/LaboratorySettings');
+const { isProficiencyResult } = require('./proficiencyTesting');
+
+// Used for flag-only findings that no catalog rule covers
+const DEFAULT_NOTIFY_MINUTES = 30;
+
+class CriticalValueError extends Error {}
+
+const findingKey = finding => finding.pathogen || finding.parameter;
+
+// Proficiency testing samples have no patient to call back about
+async function evaluate(result) {
+  if (await isProficiencyResult(result)) return { rules: [], findings: [] };
+  const rules = await CriticalValueRule.activeFor(result.test && result.test._id ? result.test._id : result.test);
+  return { rules, findings: result.checkCriticalValues(rules) };
+}
+
+// Critical findings for a result without recording anything
+async function findCriticalValues(result) {
+  const { findings } = await evaluate(result);
+  return findings;
+}
+
+// People to call, in escalation order. The ordering physician is skipped when
+// their critical-result preference is 'none', and the office when it has
+// opted out; the laboratory director is always last.
+async function contactChain(orderId) {
+  const chain = [];
+  const order = orderId ? await Order.findById(orderId).select('orderingPhysician medicalOffice') : null;
+
+  if (order) {
+    const physician = order.orderingPhysician || {};
+    const doctor = physician.doctorId
+      ? await Doctor.findById(physician.doctorId).select('firstName lastName phone email preferences')
+      : null;
+    const preference = doctor?.preferences?.resultNotification?.critical || 'phone';
+    if (preference !== 'none') {
+      chain.push({
+        role: 'physician',
+        name: doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : physician.name,
+        method: preference,
+        phone: doctor ? (doctor.phone.mobile || doctor.phone.office) : physician.phone,
+        email: doctor ? doctor.email.primary : physician.email
+      });
+    }
+
+    const office = order.medicalOffice
+      ? await MedicalOffice.findById(order.medicalOffice).select('name phone email contactPerson criticalValueNotification')
+      : null;
+    if (office && office.criticalValueNotification?.enabled !== false) {
+      chain.push({
+        role: 'office',
+        name: office.contactPerson?.name ? `${office.name} (${office.contactPerson.name})` : office.name,
+        method: office.criticalValueNotification?.method || 'phone',
+        phone: office.contactPerson?.phone || office.phone?.main,
+        email: office.email?.results || office.contactPerson?.email || office.email?.general
+      });
+    }
+  }
+
+  const settings = await LaboratorySettings.getCurrent();
+  const director = settings.labDirector || {};
+  chain.push({
+    role: 'supervisor',
+    name: director.lastName ? `${director.title ? director.title + ' ' : ''}${director.firstName} ${director.lastName}` : 'Laboratory director',
+    method: 'phone',
+    phone: settings.phone?.main,
+    email: settings.email?.results || settings.email?.general
+  });
+
+  return chain;
+}
+
+// Record newly found critical values on the result and open (or extend) the
+// call-back for them. Call after the result has been saved. Resolves to the
+// notification, or null when nothing on the result is critical.
+async function raiseCriticalValues(result) {
+  const { rules, findings } = await evaluate(result);
+  if (findings.length === 0) return null;
+
+  const isPCR = result.constructor.modelName === 'PCRResult';
+  const known = new Set(result.criticalValues.map(cv => cv.pathogen || cv.parameter));
+  const fresh = findings.filter(f => !known.has(findingKey(f)));
+
+  if (fresh.length === 0) {
+    return CriticalNotification.findOne({ result: result._id, status: { $ne: 'cancelled' } }).sort({ createdAt: -1 });
+  }
+
+  fresh.forEach(f => {
+    result.criticalValues.push(isPCR
+      ? { pathogen: f.pathogen, rule: f.rule }
+      : { parameter: f.parameter, value: f.value, rule: f.rule });
+  });
+  await result.save();
+
+  const newFindings = fresh.map(f => ({
+    description: findingKey(f),
+    value: isPCR ? 'Detected' : `${f.value} (${f.flag === 'critical_low' ? 'critical low' : 'critical high'})`,
+    rule: f.rule
+  }));
+
+  const open = await CriticalNotification.findOne({ result: result._id, status: 'open' });
+  if (open) {
+    open.findings.push(...newFindings);
+    await open.save();
+    return open;
+  }
+
+  const minutes = Math.min(...fresh.map(f => {
+    const rule = f.rule && rules.find(r => String(r._id) === String(f.rule));
+    return rule ? rule.notifyWithinMinutes : DEFAULT_NOTIFY_MINUTES;
+  }));
+  const chain = await contactChain(result.order);
+  const now = new Date();
+
+  return CriticalNotification.create({
+    result: result._id,
+    resultModel: isPCR ? 'PCRResult' : 'Result',
+    resultNumber: result.resultNumber,
+    order: result.order && result.order._id ? result.order._id : result.order,
+    patient: result.patient && result.patient._id ? result.patient._id : result.patient,
+    findings: newFindings,
+    detectedAt: now,
+    notifyWithinMinutes: minutes,
+    dueAt: new Date(now.getTime() + minutes * 60 * 1000),
+    currentContact: chain[0]
+  });
+}
+
+// Log a call-back attempt. Reaching someone who reads the values back
+// completes the notification and is copied onto the result's criticalValues.
+async function recordAttempt(notification, attempt, userId) {
+  if (notification.status !== 'open') {
+    throw new CriticalValueError(`This call-back is already ${notification.status}`);
+  }
+  if (attempt.outcome === 'reached' && !attempt.readBack) {
+    throw new CriticalValueError('The person notified must read back the critical values before the call-back is complete');
+  }
+
+  const now = new Date();
+  notification.attempts.push({ ...attempt, attemptedBy: userId, attemptedAt: now });
+
+  if (attempt.outcome === 'reached') {
+    notification.status = 'acknowledged';
+    notification.notifiedTo = attempt.contactName;
+    notification.notificationMethod = attempt.method;
+    notification.readBackConfirmed = true;
+    notification.notifiedBy = userId;
+    notification.notifiedAt = now;
+    notification.minutesToNotify = Math.round((now - notification.detectedAt) / 60000);
+  }
+  await notification.save();
+
+  if (notification.status === 'acknowledged') {
+    const Model = notification.resultModel === 'PCRResult' ? PCRResult : Result;
+    const result = await Model.findById(notification.result);
+    if (result) {
+      const covered = new Set(notification.findings.map(f => f.description));
+      result.criticalValues.forEach(cv => {
+        if (!covered.has(cv.pathogen || cv.parameter)) return;
+        cv.notifiedTo = attempt.contactName;
+        cv.notificationTime = now;
+        cv.notificationMethod = attempt.method;
+        cv.readBack = true;
+        cv.acknowledgment = `Read back by ${attempt.contactName}${attempt.notes ? ` - ${attempt.notes}` : ''}`;
+      });
+      await result.save();
+    }
+  }
+
+  return notification;
+}
+
+// Hand the call-back to the next contact in the chain and restart the clock.
+// Past the end of the chain it stays with the laboratory director.
+async function escalate(notification, reason, now = new Date()) {
+  const chain = await contactChain(notification.order);
+  const currentLevel = chain.findIndex(c => c.role === notification.currentContact?.role);
+  const nextLevel = Math.min((currentLevel === -1 ? notification.escalationLevel : currentLevel) + 1, chain.length - 1);
+
+  notification.escalations.push({
+    from: notification.currentContact,
+    to: chain[nextLevel],
+    reason,
+    escalatedAt: now
+  });
+  notification.escalationLevel = nextLevel;
+  notification.currentContact = chain[nextLevel];
+  notification.dueAt = new Date(now.getTime() + notification.notifyWithinMinutes * 60 * 1000);
+  await notification.save();
+  return notification;
+}
+
+async function processEscalations(now = new Date()) {
+  const overdue = await CriticalNotification.find({ status: 'open', dueAt: { $lte: now } });
+  for (const notification of overdue) {
+    await escalate(notification, `Not acknowledged within ${notification.notifyWithinMinutes} minutes`, now);
+  }
+  return { escalated: overdue.length };
+}
+
+function startCriticalValueWorker(intervalMs = 60 * 1000) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processEscalations();
+    } catch (error) {
+      console.error('Critical value escalation worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  CriticalValueError,
+  findCriticalValues,
+  contactChain,
+  raiseCriticalValues,
+  recordAttempt,
+  escalate,
+  processEscalations,
+  startCriticalValueWorker
+};
@@ -0,0 +1,173 @@
+// services/deltaChecks.js
+// Delta checks against the patient's previous final results. A large change
+// (or a PCR target flipping) is a classic sign of a mislabeled specimen, so
+// failures hold the result until a technologist acknowledges them.
+const Result = require('../models/Result');
+const Test = require('../models/Test');
+const PCRResult = require('../models/PCRResult');
+const PCRTest = require('../models/PCRTest');
+const { isProficiencyResult } = require('./proficiencyTesting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only a clean call in both directions counts as a flip
+const PCR_DELTA_INTERPRETATIONS = ['Detected', 'Not Detected'];
+
+class DeltaCheckError extends Error {}
+
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+function recordOutcome(result, failures) {
+  result.deltaCheck = {
+    status: failures.length > 0 ? 'failed' : 'passed',
+    failures,
+    evaluatedAt: new Date()
+  };
+  return result.deltaCheck;
+}
+
+// Compare each numeric parameter of a Result with the patient's most recent
+// final value for it. Sets result.deltaCheck (not saved); resolves to it, or
+// null when the test has no delta checks configured.
+async function checkResultDeltas(result) {
+  const test = await Test.findById(result.test && result.test._id ? result.test._id : result.test).select('deltaChecks');
+  const checks = (test && test.deltaChecks) || [];
+  if (checks.length === 0) {
+    result.deltaCheck = undefined;
+    return null;
+  }
+
+  const performed = result.performedDate || new Date();
+  const longestWindow = Math.max(...checks.map(c => c.windowDays));
+  const previous = await Result.find({
+    patient: result.patient && result.patient._id ? result.patient._id : result.patient,
+    _id: { $ne: result._id },
+    status: { $in: ['final', 'amended'] },
+    performedDate: { $gte: new Date(performed.getTime() - longestWindow * DAY_MS), $lt: performed }
+  })
+    .sort({ performedDate: -1 })
+    .select('resultNumber performedDate parameters')
+    .lean();
+
+  const failures = [];
+  result.parameters.forEach(param => {
+    const current = parseFloat(param.value);
+    const check = checks.find(c => sameName(c.parameter, param.name));
+    if (!check || isNaN(current)) return;
+
+    const since = performed.getTime() - check.windowDays * DAY_MS;
+    let prior = null;
+    let priorValue;
+    for (const candidate of previous) {
+      if (candidate.performedDate.getTime() < since) break;
+      const match = (candidate.parameters || []).find(p => sameName(p.name, param.name) && !isNaN(parseFloat(p.value)));
+      if (match) {
+        prior = candidate;
+        priorValue = parseFloat(match.value);
+        break;
+      }
+    }
+    if (!prior) return;
+
+    const change = current - priorValue;
+    const percentChange = priorValue !== 0 ? Math.abs(change) / Math.abs(priorValue) * 100 : null;
+    const exceeded = [];
+    if (typeof check.absolute === 'number' && Math.abs(change) > check.absolute) {
+      exceeded.push(`±${check.absolute}`);
+    }
+    if (typeof check.percent === 'number' && percentChange !== null && percentChange > check.percent) {
+      exceeded.push(`±${check.percent}%`);
+    }
+
+    if (exceeded.length > 0) {
+      failures.push({
+        parameter: param.name,
+        previousValue: priorValue,
+        currentValue: current,
+        change: Math.round(change * 1000) / 1000,
+        percentChange: percentChange === null ? undefined : Math.round(percentChange * 10) / 10,
+        limit: exceeded.join(' and '),
+        previousResult: prior._id,
+        previousResultNumber: prior.resultNumber,
+        previousDate: prior.performedDate
+      });
+    }
+  });
+
+  return recordOutcome(result, failures);
+}
+
+// Flag PCR targets that flipped between Detected and Not Detected against the
+// patient's most recent final result for the same test within the window.
+// Sets result.deltaCheck (not saved); null when the test has it disabled or
+// the result is for a proficiency testing sample.
+async function checkPCRDeltas(result) {
+  const testId = result.test && result.test._id ? result.test._id : result.test;
+  const test = await PCRTest.findById(testId).select('deltaCheck');
+  if (!test || !test.deltaCheck || !test.deltaCheck.enabled || await isProficiencyResult(result)) {
+    result.deltaCheck = undefined;
+    return null;
+  }
+
+  const performed = result.performedDate || new Date();
+  const previous = await PCRResult.findOne({
+    patient: result.patient && result.patient._id ? result.patient._id : result.patient,
+    test: testId,
+    _id: { $ne: result._id },
+    status: { $in: ['Final', 'Amended'] },
+    performedDate: { $gte: new Date(performed.getTime() - test.deltaCheck.windowDays * DAY_MS), $lt: performed }
+  })
+    .sort({ performedDate: -1 })
+    .select('resultNumber performedDate targetResults')
+    .lean();
+
+  const failures = [];
+  if (previous) {
+    result.targetResults.forEach(target => {
+      if (!PCR_DELTA_INTERPRETATIONS.includes(target.interpretation)) return;
+      const prior = (previous.targetResults || []).find(t =>
+        sameName(t.targetName, target.targetName) && PCR_DELTA_INTERPRETATIONS.includes(t.interpretation)
+      );
+      if (prior && prior.interpretation !== target.interpretation) {
+        failures.push({
+          targetName: target.targetName,
+          previousInterpretation: prior.interpretation,
+          currentInterpretation: target.interpretation,
+          previousResult: previous._id,
+          previousResultNumber: previous.resultNumber,
+          previousDate: previous.performedDate
+        });
+      }
+    });
+  }
+
+  return recordOutcome(result, failures);
+}
+
+// Technologist sign-off that the delta is explained (e.g. treatment, recollection)
+function acknowledgeDelta(result, userId, comment) {
+  if (!result.deltaCheck || result.deltaCheck.status !== 'failed') {
+    throw new DeltaCheckError('This result has no failed delta check to acknowledge');
+  }
+  result.deltaCheck.status = 'acknowledged';
+  result.deltaCheck.acknowledgedBy = userId;
+  result.deltaCheck.acknowledgedDate = new Date();
+  result.deltaCheck.comment = comment;
+  return result.deltaCheck;
+}
+
+// Summary line for error messages, e.g. "Potassium 3.9 -> 6.8"
+function describeFailures(deltaCheck) {
+  return (deltaCheck.failures || []).map(f => f.targetName
+    ? `${f.targetName} ${f.previousInterpretation} -> ${f.currentInterpretation}`
+    : `${f.parameter} ${f.previousValue} -> ${f.currentValue}`
+  ).join(', ');
+}
+
+module.exports = {
+  DeltaCheckError,
+  checkResultDeltas,
+  checkPCRDeltas,
+  acknowledgeDelta,
+  describeFailures
+};
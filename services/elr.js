@@ -0,0 +1,354 @@
+// services/elr.js - Electronic lab reporting (HL7 2.5.1 ELR) to public health
+const fs = require('fs');
+const path = require('path');
+const PCRResult = require('../models/PCRResult');
+const ELRSubmission = require('../models/ELRSubmission');
+const LaboratorySettings = require('../models/LaboratorySettings');
+const reportableConditions = require('../data/reportableConditions');
+const { buildSegment, buildMessage, buildMSH, formatTimestamp, generateControlId } = require('./hl7');
+const {
+  SENDING_APPLICATION,
+  INTERPRETATION_CODES,
+  buildPID,
+  providerXCN,
+  sendingFacility
+} = require('./hl7Outbound');
+const { version } = require('../package.json');
+
+const MAX_ATTEMPTS = 5;
+
+class ELRError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ELRError';
+  }
+}
+
+// ELR 2.5.1 receiver profile (MSH-21)
+const ELR_PROFILE = ['PHLabReport-NoAck', 'ELR_Receiver', '2.16.840.1.113883.9.11', 'ISO'];
+
+const STATE_CODES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC',
+  'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL',
+  'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA',
+  'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+  'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK', 'oregon': 'OR',
+  'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+  'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+  'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
+  'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI'
+};
+const VALID_CODES = new Set(Object.values(STATE_CODES));
+
+// Normalize a free-text state ("ca", "California") to its two-letter code
+function stateCode(state) {
+  if (!state) return null;
+  const text = String(state).trim();
+  if (VALID_CODES.has(text.toUpperCase())) return text.toUpperCase();
+  return STATE_CODES[text.toLowerCase()] || null;
+}
+
+// Reportable conditions among the targets of a result. Only detected targets
+// qualify, plus any previously reported so a correction can retract them.
+function detectReportable(result, previouslyReported = []) {
+  const conditions = [];
+  (result.targetResults || []).forEach(target => {
+    const entry = reportableConditions.find(c => c.pattern.test(target.targetName));
+    if (!entry) return;
+    if (!target.detected && !previouslyReported.includes(target.targetName)) return;
+    conditions.push({
+      condition: entry.condition,
+      pathogen: entry.pathogen,
+      targetName: target.targetName,
+      interpretation: target.interpretation,
+      loinc: entry.loinc,
+      snomed: entry.snomed
+    });
+  });
+  return conditions;
+}
+
+// The patient's home state decides the jurisdiction; fall back to the
+// ordering office and then the laboratory when no address is on file
+function jurisdictionFor(patient, office, settings) {
+  const fromPatient = stateCode(patient.address && patient.address.state);
+  if (fromPatient) return { jurisdiction: fromPatient, source: 'patient' };
+
+  const fromOffice = stateCode(office && office.address && office.address.state);
+  if (fromOffice) return { jurisdiction: fromOffice, source: 'provider' };
+
+  const fromLab = stateCode(settings.address && settings.address.state);
+  if (fromLab) return { jurisdiction: fromLab, source: 'laboratory' };
+
+  return null;
+}
+
+function buildXAD(address = {}) {
+  return [address.street, address.suite || '', address.city, address.state, address.zipCode, address.country || 'USA'];
+}
+
+// Performing laboratory as XON (name, CLIA identifier)
+function performingOrganization(settings) {
+  return [settings.labName, '', '', '', '', ['CLIA', '2.16.840.1.113883.4.7', 'ISO'], 'XX', '', '', settings.cliaNumber];
+}
+
+function observationValue(condition) {
+  if (condition.interpretation === 'Detected' && condition.snomed) {
+    return [condition.snomed, condition.pathogen, 'SCT'];
+  }
+  return INTERPRETATION_CODES[condition.interpretation] || ['', condition.interpretation, ''];
+}
+
+// HL7 2.5.1 ORU^R01 ELR message: one OBX per reportable target, coded with
+// the organism-specific LOINC where known and the panel LOINC otherwise
+function buildELRMessage(result, conditions, { settings, jurisdiction, controlId, resultStatus }) {
+  const test = result.test;
+  const order = result.order;
+  const office = order.medicalOffice || {};
+  const panelLoinc = test.billingCodes && test.billingCodes.loincCode;
+  const collectionDate = result.sampleInfo && result.sampleInfo.collectionDate;
+  const director = settings.labDirector || {};
+  const elr = settings.elr || {};
+
+  const segments = [
+    buildMSH({
+      sendingApplication: SENDING_APPLICATION,
+      sendingFacility: sendingFacility(settings),
+      receivingApplication: elr.receivingApplication || 'ELR',
+      receivingFacility: `${jurisdiction}DOH`,
+      messageType: ['ORU', 'R01', 'ORU_R01'],
+      controlId,
+      profile: ELR_PROFILE
+    }),
+    buildSegment('SFT', [settings.labName, version, SENDING_APPLICATION, version]),
+    buildPID(result.patient, settings.labName),
+    buildSegment('ORC', [
+      'RE',
+      order.placerOrderNumber ? [order.placerOrderNumber, order.orderSource] : '',
+      [order.orderNumber, SENDING_APPLICATION],
+      '',
+      'CM',
+      '', '', '', '', '', '',
+      providerXCN(order),
+      '', '', '', '', '', '', '', '',
+      office.name || order.orderingPhysician.facility || '',
+      office.address ? buildXAD(office.address) : '',
+      office.phone ? [office.phone.main, 'WPN', 'PH'] : '',
+      office.address ? buildXAD(office.address) : ''
+    ]),
+    buildSegment('OBR', [
+      '1',
+      order.placerOrderNumber ? [order.placerOrderNumber, order.orderSource] : '',
+      [order.orderNumber, SENDING_APPLICATION],
+      panelLoinc ? [panelLoinc, test.testName, 'LN', test.testCode, test.testName, 'L'] : [test.testCode, test.testName, 'L'],
+      '', '',
+      collectionDate ? formatTimestamp(collectionDate) : '',
+      '', '', '', '', '', '', '', '',
+      providerXCN(order),
+      '', '', '', '', '',
+      formatTimestamp(result.reportedDate || new Date()),
+      '', '',
+      resultStatus
+    ])
+  ];
+
+  conditions.forEach((condition, index) => {
+    const identifier = condition.loinc
+      ? [condition.loinc, `${condition.pathogen} NAA`, 'LN', test.testCode, condition.targetName, 'L']
+      : panelLoinc
+        ? [panelLoinc, `${test.testName}: ${condition.targetName}`, 'LN', test.testCode, condition.targetName, 'L']
+        : [test.testCode, `${test.testName}: ${condition.targetName}`, 'L'];
+
+    segments.push(buildSegment('OBX', [
+      String(index + 1),
+      'CWE',
+      identifier,
+      String(index + 1),
+      observationValue(condition),
+      '',
+      '',
+      condition.interpretation === 'Detected' ? 'A' : 'N',
+      '', '',
+      resultStatus,
+      '', '',
+      collectionDate ? formatTimestamp(collectionDate) : '',
+      '', '', '', '',
+      formatTimestamp(result.performedDate || new Date()),
+      '', '', '',
+      performingOrganization(settings),
+      buildXAD(settings.address),
+      director.lastName ? ['', director.lastName, director.firstName] : ''
+    ]));
+  });
+
+  segments.push(buildSegment('SPM', [
+    '1',
+    ['', [result.sampleInfo.sampleId || order.accessionNumber || order.orderNumber, SENDING_APPLICATION]],
+    '',
+    ['', result.sampleInfo.sampleType, 'L'],
+    '', '', '', '', '', '', '', '', '', '', '', '',
+    collectionDate ? formatTimestamp(collectionDate) : '',
+    result.sampleInfo.receivedDate ? formatTimestamp(result.sampleInfo.receivedDate) : ''
+  ]));
+
+  return buildMessage(segments);
+}
+
+// Queue an ELR submission for a Final or Amended result with reportable
+// findings. Amendments to previously reported results are sent as corrections.
+// Proficiency testing results are never reported.
+async function queueResultReport(resultId) {
+  const settings = await LaboratorySettings.getCurrent();
+  if (!settings.elr || !settings.elr.enabled) return null;
+
+  const result = await PCRResult.findById(resultId)
+    .populate('patient')
+    .populate('test')
+    .populate({
+      path: 'order',
+      populate: [
+        { path: 'orderingPhysician.doctorId', select: 'npiNumber firstName lastName' },
+        { path: 'medicalOffice', select: 'name address phone' }
+      ]
+    });
+  if (!result || !['Final', 'Amended'].includes(result.status)) return null;
+  // Proficiency testing samples are not patient specimens
+  if (result.order.isProficiencyTest()) return null;
+
+  const previous = await ELRSubmission.find({ pcrResult: result._id, status: 'submitted' });
+  const previouslyReported = [...new Set(previous.flatMap(s => s.conditions.map(c => c.targetName)))];
+  const conditions = detectReportable(result, previouslyReported);
+  if (conditions.length === 0) return null;
+
+  // Without a state the report is logged as failed so staff can fix the
+  // address and resend it, rather than it being dropped
+  const target = jurisdictionFor(result.patient, result.order.medicalOffice, settings) ||
+    { jurisdiction: '', source: null };
+
+  const resultStatus = previous.length > 0 ? 'C' : 'F';
+  const controlId = generateControlId();
+  const submission = new ELRSubmission({
+    pcrResult: result._id,
+    order: result.order._id,
+    patient: result.patient._id,
+    jurisdiction: target.jurisdiction,
+    jurisdictionSource: target.source,
+    conditions,
+    resultStatus,
+    controlId,
+    raw: buildELRMessage(result, conditions, { settings, jurisdiction: target.jurisdiction, controlId, resultStatus })
+  });
+  if (!target.jurisdiction) {
+    submission.status = 'failed';
+    submission.errorMessage = 'No jurisdiction: patient, ordering office and laboratory have no state';
+  }
+
+  // A queued report that has not gone out yet is superseded by this one
+  await ELRSubmission.updateMany(
+    { pcrResult: result._id, status: { $in: ['queued', 'failed'] } },
+    { status: 'cancelled', errorMessage: 'Superseded by a later report' }
+  );
+
+  await submission.save();
+  return submission;
+}
+
+// Write one queued submission to its jurisdiction's outbound directory
+async function writeSubmission(submission, outboundDirectory) {
+  submission.attempts = (submission.attempts || 0) + 1;
+  submission.lastAttemptAt = new Date();
+
+  try {
+    if (!outboundDirectory) throw new Error('No ELR outbound directory configured');
+    const directory = path.join(outboundDirectory, submission.jurisdiction);
+    const filename = `ELR_${submission.jurisdiction}_${submission.controlId}.hl7`;
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, filename), submission.raw, 'latin1');
+
+    submission.status = 'submitted';
+    submission.filename = path.join(submission.jurisdiction, filename);
+    submission.submittedAt = new Date();
+    submission.errorMessage = undefined;
+  } catch (error) {
+    submission.status = 'failed';
+    submission.errorMessage = error.message;
+  }
+
+  await submission.save();
+  return submission;
+}
+
+// Write out everything queued, jurisdiction by jurisdiction. Failed writes are
+// retried on later passes until MAX_ATTEMPTS.
+async function processQueue() {
+  const settings = await LaboratorySettings.getCurrent();
+  const elr = settings.elr || {};
+  if (!elr.enabled) return { submitted: 0, failed: 0, jurisdictions: {} };
+
+  const pending = await ELRSubmission.find({
+    $or: [
+      { status: 'queued' },
+      { status: 'failed', attempts: { $lt: MAX_ATTEMPTS }, jurisdiction: { $ne: '' } }
+    ]
+  }).sort({ jurisdiction: 1, createdAt: 1 }).limit(200);
+
+  const summary = { submitted: 0, failed: 0, jurisdictions: {} };
+  for (const submission of pending) {
+    await writeSubmission(submission, elr.outboundDirectory);
+    const counts = summary.jurisdictions[submission.jurisdiction] ||
+      (summary.jurisdictions[submission.jurisdiction] = { submitted: 0, failed: 0 });
+    const key = submission.status === 'submitted' ? 'submitted' : 'failed';
+    counts[key]++;
+    summary[key]++;
+  }
+  return summary;
+}
+
+// Manually resubmit a logged report, e.g. after the jurisdiction lost a file.
+// A report that had no jurisdiction is rebuilt from the result, so a state
+// added to the patient or office since is picked up. Resolves to the
+// submission that was written (or the original when nothing could be sent).
+async function resubmit(submission, userId) {
+  const settings = await LaboratorySettings.getCurrent();
+  if (!submission.jurisdiction) {
+    const rebuilt = await queueResultReport(submission.pcrResult);
+    if (!rebuilt) return submission;
+    if (!rebuilt.jurisdiction) return rebuilt;
+    submission = rebuilt;
+  }
+  submission.resubmittedBy = userId;
+  return writeSubmission(submission, settings.elr && settings.elr.outboundDirectory);
+}
+
+// Periodically flush the queue. The timer does not keep the process alive.
+function startELRWorker(intervalMs = 5 * 60 * 1000) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processQueue();
+    } catch (error) {
+      console.error('ELR worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  ELRError,
+  stateCode,
+  detectReportable,
+  jurisdictionFor,
+  buildELRMessage,
+  queueResultReport,
+  processQueue,
+  resubmit,
+  startELRWorker
+};
@@ -0,0 +1,566 @@
+// services/fhir.js - Mapping between LIS records and FHIR R4 resources
+
+const FHIR_VERSION = '4.0.1';
+
+const SYSTEMS = {
+  patientId: 'urn:lis:patient-id',
+  orderNumber: 'urn:lis:order-number',
+  accessionNumber: 'urn:lis:accession-number',
+  specimenBarcode: 'urn:lis:specimen-barcode',
+  resultNumber: 'urn:lis:result-number',
+  testCode: 'urn:lis:test-code',
+  npi: 'http://hl7.org/fhir/sid/us-npi',
+  loinc: 'http://loinc.org',
+  snomed: 'http://snomed.info/sct',
+  identifierType: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+  diagnosticService: 'http://terminology.hl7.org/CodeSystem/v2-0074',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation'
+};
+
+// Errors that map directly to an OperationOutcome response
+class FhirError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function operationOutcome(severity, code, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity, code, diagnostics }]
+  };
+}
+
+function isoDate(date) {
+  return date ? new Date(date).toISOString().substring(0, 10) : undefined;
+}
+
+function isoDateTime(date) {
+  return date ? new Date(date).toISOString() : undefined;
+}
+
+function meta(doc) {
+  return doc.updatedAt ? { lastUpdated: isoDateTime(doc.updatedAt) } : undefined;
+}
+
+function reference(type, id, display) {
+  return id ? { reference: `${type}/${id}`, display } : undefined;
+}
+
+function identifierType(code, display) {
+  return { coding: [{ system: SYSTEMS.identifierType, code, display }] };
+}
+
+function idOf(value) {
+  return value && value._id ? value._id.toString() : (value ? value.toString() : undefined);
+}
+
+function personDisplay(person) {
+  return person && person.firstName ? `${person.firstName} ${person.lastName}` : undefined;
+}
+
+// Drop undefined values and empty arrays so resources stay compact
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact).filter(v => v !== undefined);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const out = {};
+    Object.keys(value).forEach(key => {
+      const v = compact(value[key]);
+      if (v === undefined || v === '' || (Array.isArray(v) && v.length === 0)) return;
+      if (v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0) return;
+      out[key] = v;
+    });
+    return out;
+  }
+  return value === null ? undefined : value;
+}
+
+// ============= PATIENT =============
+
+function toPatient(patient) {
+  const address = patient.address || {};
+  return compact({
+    resourceType: 'Patient',
+    id: idOf(patient),
+    meta: meta(patient),
+    identifier: [
+      { use: 'usual', type: identifierType('MR', 'Medical record number'), system: SYSTEMS.patientId, value: patient.patientId }
+    ].concat((patient.externalIdentifiers || []).map(identifier => ({
+      type: identifierType(identifier.type || 'MR'),
+      system: identifier.assigningAuthority,
+      value: identifier.value
+    }))),
+    active: patient.isActive !== false,
+    name: [{ use: 'official', family: patient.lastName, given: [patient.firstName] }],
+    telecom: [
+      patient.phone ? { system: 'phone', value: patient.phone, use: 'home' } : undefined,
+      patient.email ? { system: 'email', value: patient.email } : undefined
+    ],
+    gender: patient.gender,
+    birthDate: isoDate(patient.dateOfBirth),
+    address: address.street || address.city ? [{
+      line: address.street ? [address.street] : undefined,
+      city: address.city,
+      state: address.state,
+      postalCode: address.zipCode,
+      country: address.country
+    }] : undefined
+  });
+}
+
+// Patient model fields from a FHIR Patient (create and full update)
+function fromPatient(resource) {
+  if (!resource || resource.resourceType !== 'Patient') {
+    throw new FhirError(400, 'invalid', 'Resource must be a Patient');
+  }
+
+  const name = (resource.name || []).find(n => n.use === 'official') || (resource.name || [])[0] || {};
+  const telecom = resource.telecom || [];
+  const phone = telecom.find(t => t.system === 'phone');
+  const email = telecom.find(t => t.system === 'email');
+  const address = (resource.address || [])[0];
+
+  const fields = {
+    firstName: (name.given || [])[0],
+    lastName: name.family,
+    dateOfBirth: resource.birthDate ? new Date(`${resource.birthDate.substring(0, 10)}T00:00:00Z`) : undefined,
+    gender: resource.gender ? (['male', 'female'].includes(resource.gender) ? resource.gender : 'other') : undefined,
+    phone: phone && phone.value,
+    email: email && email.value,
+    address: address ? {
+      street: (address.line || []).join(', ') || undefined,
+      city: address.city,
+      state: address.state,
+      zipCode: address.postalCode,
+      country: address.country || 'USA'
+    } : undefined,
+    externalIdentifiers: (resource.identifier || [])
+      .filter(identifier => identifier.value && identifier.system !== SYSTEMS.patientId)
+      .map(identifier => ({
+        value: identifier.value,
+        assigningAuthority: identifier.system,
+        type: (identifier.type && identifier.type.coding && identifier.type.coding[0] && identifier.type.coding[0].code) || 'MR'
+      }))
+  };
+
+  if (fields.dateOfBirth && isNaN(fields.dateOfBirth)) {
+    throw new FhirError(400, 'invalid', 'Patient.birthDate is not a valid date');
+  }
+  const missing = ['firstName', 'lastName', 'dateOfBirth', 'gender', 'phone'].filter(f => !fields[f]);
+  if (missing.length > 0) {
+    throw new FhirError(400, 'required', `Patient requires name.given, name.family, birthDate, gender and a phone telecom (missing: ${missing.join(', ')})`);
+  }
+
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+}
+
+// ============= SERVICE REQUEST / SPECIMEN =============
+
+const ORDER_STATUS = {
+  pending: 'active',
+  accessioned: 'active',
+  partial: 'active',
+  hold: 'on-hold',
+  completed: 'completed',
+  cancelled: 'revoked',
+  rejected: 'revoked'
+};
+
+// Order statuses matching a ServiceRequest.status search value
+function orderStatusesFor(fhirStatus) {
+  return Object.keys(ORDER_STATUS).filter(status => ORDER_STATUS[status] === fhirStatus);
+}
+
+// Codings for a Test or PCRTest: LOINC when known, plus the local test code
+function testCodings(test) {
+  if (!test) return [];
+  const codings = [];
+  const loinc = test.billingCodes && test.billingCodes.loincCode;
+  if (loinc) codings.push({ system: SYSTEMS.loinc, code: loinc, display: test.testName });
+  codings.push({ system: SYSTEMS.testCode, code: test.testCode, display: test.testName });
+  return codings;
+}
+
+function requesterOf(order) {
+  const physician = order.orderingPhysician || {};
+  const doctor = physician.doctorId && physician.doctorId.npiNumber ? physician.doctorId : null;
+  return compact({
+    identifier: doctor ? { system: SYSTEMS.npi, value: doctor.npiNumber } : undefined,
+    display: physician.name
+  });
+}
+
+function toServiceRequest(order) {
+  const tests = (order.tests || []).map(t => t.test).filter(t => t && t.testCode);
+  return compact({
+    resourceType: 'ServiceRequest',
+    id: idOf(order),
+    meta: meta(order),
+    identifier: [
+      order.placerOrderNumber ? { type: identifierType('PLAC', 'Placer Identifier'), system: order.orderSource, value: order.placerOrderNumber } : undefined,
+      { type: identifierType('FILL', 'Filler Identifier'), system: SYSTEMS.orderNumber, value: order.orderNumber }
+    ],
+    status: ORDER_STATUS[order.status] || 'unknown',
+    intent: 'order',
+    priority: order.priority,
+    // Each ordered test contributes its codings; one order may hold several tests
+    code: {
+      coding: tests.reduce((all, test) => all.concat(testCodings(test)), []),
+      text: tests.map(t => t.testName).join(', ')
+    },
+    subject: reference('Patient', idOf(order.patient), personDisplay(order.patient)),
+    occurrenceDateTime: isoDateTime(order.collectionDate || order.scheduledDate),
+    authoredOn: isoDateTime(order.createdAt),
+    requester: requesterOf(order),
+    reasonCode: order.clinicalInfo && order.clinicalInfo.diagnosis ? [{ text: order.clinicalInfo.diagnosis }] : undefined,
+    specimen: order.accessionNumber ? [reference('Specimen', idOf(order))] : undefined,
+    note: order.clinicalInfo && order.clinicalInfo.symptoms ? [{ text: order.clinicalInfo.symptoms }] : undefined
+  });
+}
+
+// The specimen for an accessioned order; orders share their id with it
+function toSpecimen(order) {
+  const rejected = order.status === 'rejected';
+  return compact({
+    resourceType: 'Specimen',
+    id: idOf(order),
+    meta: meta(order),
+    identifier: [
+      order.specimenBarcode ? { system: SYSTEMS.specimenBarcode, value: order.specimenBarcode } : undefined,
+      order.labBarcode ? { system: SYSTEMS.accessionNumber, value: order.labBarcode } : undefined
+    ],
+    accessionIdentifier: { system: SYSTEMS.accessionNumber, value: order.accessionNumber },
+    status: rejected ? 'unsatisfactory' : 'available',
+    type: order.specimenType ? { text: order.specimenType.replace(/_/g, ' ') } : undefined,
+    subject: reference('Patient', idOf(order.patient), personDisplay(order.patient)),
+    receivedTime: isoDateTime(order.receivedDate || order.accessionDate),
+    request: [reference('ServiceRequest', idOf(order))],
+    collection: order.collectionDate ? { collectedDateTime: isoDateTime(order.collectionDate) } : undefined,
+    condition: order.specimenCondition && order.specimenCondition !== 'good' ? [{ text: order.specimenCondition }] : undefined,
+    note: rejected && order.rejectionReason
+      ? [{ text: `Rejected: ${order.rejectionReason}${order.rejectionComments ? ` - ${order.rejectionComments}` : ''}` }]
+      : undefined
+  });
+}
+
+// ============= OBSERVATION / DIAGNOSTIC REPORT =============
+
+// PCRResult statuses use capitalized names, Result statuses are already FHIR codes
+const PCR_STATUS = {
+  Preliminary: 'preliminary',
+  Final: 'final',
+  Amended: 'amended',
+  Cancelled: 'cancelled',
+  Rejected: 'cancelled'
+};
+
+function pcrStatusesFor(fhirStatus) {
+  const status = fhirStatus === 'corrected' ? 'amended' : fhirStatus;
+  return Object.keys(PCR_STATUS).filter(s => PCR_STATUS[s] === status);
+}
+
+const PCR_INTERPRETATIONS = {
+  'Detected': { code: ['260373001', 'Detected'], flag: ['POS', 'Positive'] },
+  'Not Detected': { code: ['260415000', 'Not detected'], flag: ['NEG', 'Negative'] },
+  'Indeterminate': { code: ['82334004', 'Indeterminate'], flag: ['IND', 'Indeterminate'] },
+  'Invalid': { code: ['455371000124106', 'Invalid result'] },
+  'Inhibited': { code: ['455371000124106', 'Invalid result'] }
+};
+
+const PARAMETER_FLAGS = {
+  normal: ['N', 'Normal'],
+  high: ['H', 'High'],
+  low: ['L', 'Low'],
+  critical_high: ['HH', 'Critical high'],
+  critical_low: ['LL', 'Critical low'],
+  abnormal: ['A', 'Abnormal']
+};
+
+function interpretation(flag) {
+  return flag ? [{ coding: [{ system: SYSTEMS.interpretation, code: flag[0], display: flag[1] }] }] : undefined;
+}
+
+const LABORATORY_CATEGORY = [{
+  coding: [{ system: SYSTEMS.observationCategory, code: 'laboratory', display: 'Laboratory' }]
+}];
+
+// Observation ids are "<resultId>-<t|r|p><index>" for PCR targets, PCR
+// resistance markers and general result parameters respectively
+function observationId(resultId, kind, index) {
+  return `${resultId}-${kind}${index}`;
+}
+
+function parseObservationId(id) {
+  const match = /^([a-f0-9]{24})-([trp])(\d+)$/i.exec(id || '');
+  return match ? { resultId: match[1], kind: match[2].toLowerCase(), index: Number(match[3]) } : null;
+}
+
+function pcrObservationCode(test, name) {
+  const codings = testCodings(test).map(coding => Object.assign({}, coding, { display: `${test.testName}: ${name}` }));
+  return { coding: codings, text: name };
+}
+
+function pcrObservationBase(result, id) {
+  const order = result.order;
+  return {
+    resourceType: 'Observation',
+    id,
+    meta: meta(result),
+    identifier: [{ system: SYSTEMS.resultNumber, value: `${result.resultNumber}-${id.split('-').pop()}` }],
+    basedOn: [reference('ServiceRequest', idOf(order))],
+    status: PCR_STATUS[result.status] || 'unknown',
+    category: LABORATORY_CATEGORY,
+    subject: reference('Patient', idOf(result.patient), personDisplay(result.patient)),
+    effectiveDateTime: isoDateTime(result.sampleInfo && result.sampleInfo.collectionDate),
+    issued: isoDateTime(result.reportedDate || result.performedDate),
+    specimen: order && order.accessionNumber ? reference('Specimen', idOf(order)) : undefined
+  };
+}
+
+function pcrObservations(result) {
+  const resultId = idOf(result);
+  const test = result.test || {};
+  const observations = [];
+
+  (result.targetResults || []).forEach((target, index) => {
+    const meaning = PCR_INTERPRETATIONS[target.interpretation] || {};
+    const components = [];
+    if (typeof target.ctValue === 'number') {
+      components.push({ code: { text: 'Cycle threshold (Ct)' }, valueQuantity: { value: target.ctValue } });
+    }
+    if (target.quantification && typeof target.quantification.value === 'number') {
+      components.push({
+        code: { text: 'Quantity' },
+        valueQuantity: { value: target.quantification.value, unit: target.quantification.unit }
+      });
+    }
+
+    const id = observationId(resultId, 't', index);
+    observations.push(compact(Object.assign(pcrObservationBase(result, id), {
+      code: pcrObservationCode(test, target.targetName),
+      valueCodeableConcept: meaning.code
+        ? { coding: [{ system: SYSTEMS.snomed, code: meaning.code[0], display: meaning.code[1] }], text: target.interpretation }
+        : { text: target.interpretation },
+      interpretation: interpretation(meaning.flag),
+      note: target.clinicalSignificance ? [{ text: target.clinicalSignificance }] : undefined,
+      component: components
+    })));
+  });
+
+  (result.resistanceResults || []).forEach((marker, index) => {
+    const meaning = PCR_INTERPRETATIONS[marker.interpretation] || {};
+    const id = observationId(resultId, 'r', index);
+    observations.push(compact(Object.assign(pcrObservationBase(result, id), {
+      code: pcrObservationCode(test, `${marker.markerName} resistance marker`),
+      valueCodeableConcept: meaning.code
+        ? { coding: [{ system: SYSTEMS.snomed, code: meaning.code[0], display: meaning.code[1] }], text: marker.interpretation }
+        : { text: marker.interpretation },
+      interpretation: interpretation(meaning.flag),
+      note: marker.implication ? [{ text: marker.implication }] : undefined
+    })));
+  });
+
+  return observations;
+}
+
+function labObservations(result) {
+  const resultId = idOf(result);
+  const test = result.test || {};
+  const order = result.order;
+
+  return (result.parameters || []).map((parameter, index) => {
+    const numeric = parameter.value !== '' && parameter.value !== null && !isNaN(Number(parameter.value));
+    const range = parameter.referenceRange || {};
+    const id = observationId(resultId, 'p', index);
+
+    return compact({
+      resourceType: 'Observation',
+      id,
+      meta: meta(result),
+      identifier: [{ system: SYSTEMS.resultNumber, value: `${result.resultNumber}-p${index}` }],
+      basedOn: [reference('ServiceRequest', idOf(order))],
+      status: result.status,
+      category: LABORATORY_CATEGORY,
+      code: {
+        coding: [{ system: SYSTEMS.testCode, code: `${test.testCode}.${parameter.name}`, display: parameter.name }],
+        text: parameter.name
+      },
+      subject: reference('Patient', idOf(result.patient), personDisplay(result.patient)),
+      effectiveDateTime: isoDateTime((order && order.collectionDate) || result.performedDate),
+      issued: isoDateTime(result.reportedDate || result.performedDate),
+      valueQuantity: numeric ? { value: Number(parameter.value), unit: parameter.unit } : undefined,
+      valueString: numeric ? undefined : String(parameter.value),
+      interpretation: interpretation(PARAMETER_FLAGS[parameter.flag]),
+      referenceRange: range.min !== undefined || range.max !== undefined || range.text ? [{
+        low: range.min !== undefined ? { value: range.min, unit: parameter.unit } : undefined,
+        high: range.max !== undefined ? { value: range.max, unit: parameter.unit } : undefined,
+        text: range.text
+      }] : undefined,
+      note: parameter.notes ? [{ text: parameter.notes }] : undefined,
+      specimen: order && order.accessionNumber ? reference('Specimen', idOf(order)) : undefined
+    });
+  });
+}
+
+// DiagnosticReport for a finalized PCRResult (isPCR) or Result
+function toDiagnosticReport(result, { isPCR, baseUrl }) {
+  const resultId = idOf(result);
+  const order = result.order;
+  const observations = isPCR ? pcrObservations(result) : labObservations(result);
+  const status = isPCR ? PCR_STATUS[result.status] : result.status;
+  const conclusion = isPCR
+    ? result.overallResult && (result.overallResult.clinicalInterpretation || result.overallResult.summary)
+    : result.interpretation;
+
+  return compact({
+    resourceType: 'DiagnosticReport',
+    id: resultId,
+    meta: meta(result),
+    identifier: [{ system: SYSTEMS.resultNumber, value: result.resultNumber }],
+    basedOn: [reference('ServiceRequest', idOf(order))],
+    status,
+    category: [{
+      coding: [{ system: SYSTEMS.diagnosticService, code: isPCR ? 'MB' : 'LAB', display: isPCR ? 'Microbiology' : 'Laboratory' }]
+    }],
+    code: { coding: testCodings(result.test), text: result.test && result.test.testName },
+    subject: reference('Patient', idOf(result.patient), personDisplay(result.patient)),
+    effectiveDateTime: isoDateTime(isPCR
+      ? result.sampleInfo && result.sampleInfo.collectionDate
+      : (order && order.collectionDate) || result.performedDate),
+    issued: isoDateTime(result.reportedDate || result.approvedDate),
+    resultsInterpreter: result.approvedBy ? [{ display: personDisplay(result.approvedBy) }] : undefined,
+    specimen: order && order.accessionNumber ? [reference('Specimen', idOf(order))] : undefined,
+    result: observations.map(o => reference('Observation', o.id, o.code.text)),
+    conclusion,
+    presentedForm: isPCR && baseUrl ? [{
+      contentType: 'application/pdf',
+      url: `${baseUrl}/api/reports/pcr/${resultId}/pdf`,
+      title: `${result.test ? result.test.testName : 'PCR'} report ${result.resultNumber}`
+    }] : undefined
+  });
+}
+
+// ============= BUNDLES / CAPABILITY =============
+
+// An OperationOutcome passed as outcome is added as a search.mode=outcome entry
+function searchBundle(resources, { total, selfUrl, nextUrl, baseUrl, outcome }) {
+  const entry = resources.map(resource => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: 'match' }
+  }));
+  if (outcome) entry.push({ resource: outcome, search: { mode: 'outcome' } });
+
+  return compact({
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    link: [
+      { relation: 'self', url: selfUrl },
+      nextUrl ? { relation: 'next', url: nextUrl } : undefined
+    ],
+    entry
+  });
+}
+
+function capabilityStatement(baseUrl) {
+  const search = (name, type, documentation) => ({ name, type, documentation });
+  const common = [search('_id', 'token'), search('_count', 'number'), search('_offset', 'number', 'Number of matches to skip')];
+
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'Laboratory Information System' },
+    implementation: { description: 'LIS FHIR R4 API', url: baseUrl },
+    fhirVersion: FHIR_VERSION,
+    format: ['application/fhir+json', 'json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        service: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'OAuth' }] }],
+        description: 'Bearer token from POST /api/auth/login'
+      },
+      resource: [
+        {
+          type: 'Patient',
+          interaction: [{ code: 'read' }, { code: 'search-type' }, { code: 'create' }, { code: 'update' }],
+          searchParam: common.concat([
+            search('identifier', 'token'),
+            search('name', 'string'),
+            search('family', 'string'),
+            search('given', 'string'),
+            search('birthdate', 'date'),
+            search('gender', 'token')
+          ])
+        },
+        {
+          type: 'ServiceRequest',
+          interaction: [{ code: 'read' }, { code: 'search-type' }, { code: 'create' }],
+          searchParam: common.concat([
+            search('patient', 'reference'),
+            search('identifier', 'token'),
+            search('status', 'token'),
+            search('authored', 'date')
+          ])
+        },
+        {
+          type: 'Specimen',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: common.concat([
+            search('patient', 'reference'),
+            search('identifier', 'token', 'Accession number or specimen barcode'),
+            search('collected', 'date')
+          ])
+        },
+        {
+          type: 'Observation',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: common.concat([
+            search('patient', 'reference'),
+            search('status', 'token'),
+            search('date', 'date'),
+            search('code', 'token', 'Test code or LOINC of the ordered test')
+          ])
+        },
+        {
+          type: 'DiagnosticReport',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: common.concat([
+            search('patient', 'reference'),
+            search('identifier', 'token'),
+            search('status', 'token'),
+            search('date', 'date'),
+            search('code', 'token')
+          ])
+        }
+      ]
+    }]
+  };
+}
+
+module.exports = {
+  FHIR_VERSION,
+  SYSTEMS,
+  FhirError,
+  operationOutcome,
+  toPatient,
+  fromPatient,
+  toServiceRequest,
+  orderStatusesFor,
+  toSpecimen,
+  pcrObservations,
+  labObservations,
+  pcrStatusesFor,
+  parseObservationId,
+  toDiagnosticReport,
+  searchBundle,
+  capabilityStatement
+};
@@ -0,0 +1,259 @@
+// services/hl7.js - Minimal HL7 v2.x parsing and message building
+const crypto = require('crypto');
+
+const SEGMENT_SEPARATOR = '\r';
+const DEFAULT_ENCODING = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&'
+};
+
+// MLLP framing characters
+const MLLP_START = '\x0b';
+const MLLP_END = '\x1c\r';
+
+function unescapeValue(value, enc) {
+  if (!value || value.indexOf(enc.escape) === -1) return value;
+  const e = enc.escape.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+  return value
+    .replace(new RegExp(`${e}F${e}`, 'g'), enc.field)
+    .replace(new RegExp(`${e}S${e}`, 'g'), enc.component)
+    .replace(new RegExp(`${e}R${e}`, 'g'), enc.repetition)
+    .replace(new RegExp(`${e}T${e}`, 'g'), enc.subcomponent)
+    .replace(new RegExp(`${e}E${e}`, 'g'), enc.escape);
+}
+
+function escapeValue(value, enc = DEFAULT_ENCODING) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/[\r\n]+/g, ' ')
+    .split(enc.escape).join(`${enc.escape}E${enc.escape}`)
+    .split(enc.field).join(`${enc.escape}F${enc.escape}`)
+    .split(enc.component).join(`${enc.escape}S${enc.escape}`)
+    .split(enc.repetition).join(`${enc.escape}R${enc.escape}`)
+    .split(enc.subcomponent).join(`${enc.escape}T${enc.escape}`);
+}
+
+// A parsed segment. Fields are numbered as in the HL7 spec, so for MSH
+// field 1 is the field separator and field 2 the encoding characters.
+class Segment {
+  constructor(name, fields, encoding) {
+    this.name = name;
+    this.fields = fields;
+    this.encoding = encoding;
+  }
+
+  // Raw field string (all repetitions)
+  field(index) {
+    return this.fields[index] || '';
+  }
+
+  // Repetitions of a field, each split into components
+  repetitions(index) {
+    const raw = this.field(index);
+    if (!raw) return [];
+    return raw.split(this.encoding.repetition).map(rep =>
+      rep.split(this.encoding.component).map(c => unescapeValue(c, this.encoding))
+    );
+  }
+
+  // Value of field.component.subcomponent (1-based) from the first repetition
+  get(index, component = 1, subcomponent = 1) {
+    const raw = this.field(index);
+    if (!raw) return '';
+    if (this.name === 'MSH' && index <= 2) return raw;
+    const rep = raw.split(this.encoding.repetition)[0];
+    const comp = rep.split(this.encoding.component)[component - 1] || '';
+    const sub = comp.split(this.encoding.subcomponent)[subcomponent - 1] || '';
+    return unescapeValue(sub, this.encoding).trim();
+  }
+}
+
+class HL7Message {
+  constructor(segments, encoding, raw) {
+    this.segments = segments;
+    this.encoding = encoding;
+    this.raw = raw;
+  }
+
+  segment(name) {
+    return this.segments.find(s => s.name === name) || null;
+  }
+
+  all(name) {
+    return this.segments.filter(s => s.name === name);
+  }
+
+  get msh() {
+    return this.segment('MSH');
+  }
+
+  get messageType() {
+    const msh = this.msh;
+    return msh ? `${msh.get(9, 1)}^${msh.get(9, 2)}` : '';
+  }
+
+  get controlId() {
+    return this.msh ? this.msh.get(10) : '';
+  }
+
+  get version() {
+    return this.msh ? this.msh.get(12) : '';
+  }
+}
+
+function parseMessage(raw) {
+  if (!raw || typeof raw !== 'string') {
+    throw new Error('Empty HL7 message');
+  }
+
+  const text = raw
+    .replace(new RegExp(`^${MLLP_START}`), '')
+    .replace(/\x1c\r?$/, '')
+    .replace(/\r\n|\n/g, SEGMENT_SEPARATOR)
+    .trim();
+
+  if (!text.startsWith('MSH')) {
+    throw new Error('HL7 message must begin with an MSH segment');
+  }
+
+  const fieldSep = text.charAt(3);
+  const encodingChars = text.substring(4, 8);
+  const encoding = {
+    field: fieldSep,
+    component: encodingChars.charAt(0) || DEFAULT_ENCODING.component,
+    repetition: encodingChars.charAt(1) || DEFAULT_ENCODING.repetition,
+    escape: encodingChars.charAt(2) || DEFAULT_ENCODING.escape,
+    subcomponent: encodingChars.charAt(3) || DEFAULT_ENCODING.subcomponent
+  };
+
+  const segments = text
+    .split(SEGMENT_SEPARATOR)
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      const parts = line.split(fieldSep);
+      const name = parts[0];
+      if (name === 'MSH') {
+        // Re-number so MSH-1 is the separator itself
+        return new Segment(name, [name, fieldSep].concat(parts.slice(1)), encoding);
+      }
+      return new Segment(name, parts, encoding);
+    });
+
+  return new HL7Message(segments, encoding, text);
+}
+
+// Build a segment from field values. Each field may be a string, an array of
+// components, or { repetitions: [...] } for a repeating field.
+function buildSegment(name, fields, enc = DEFAULT_ENCODING) {
+  const encodeComponent = c => Array.isArray(c)
+    ? c.map(s => escapeValue(s, enc)).join(enc.subcomponent)
+    : escapeValue(c, enc);
+  const encodeField = f => {
+    if (f && Array.isArray(f.repetitions)) return f.repetitions.map(encodeField).join(enc.repetition);
+    if (Array.isArray(f)) return f.map(encodeComponent).join(enc.component).replace(/\^+$/, '');
+    return escapeValue(f, enc);
+  };
+
+  if (name === 'MSH') {
+    // fields[0] is MSH-3
+    const encodingChars = `${enc.component}${enc.repetition}${enc.escape}${enc.subcomponent}`;
+    return ['MSH', encodingChars].concat(fields.map(encodeField)).join(enc.field);
+  }
+  return [name].concat(fields.map(encodeField)).join(enc.field).replace(/\|+$/, '');
+}
+
+function buildMessage(segments) {
+  return segments.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+}
+
+function formatTimestamp(date = new Date()) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+function formatDate(date) {
+  return date ? formatTimestamp(date).substring(0, 8) : '';
+}
+
+// Parse an HL7 TS/DTM value (YYYY[MM[DD[HH[MM[SS]]]]]) as local time
+function parseTimestamp(value) {
+  if (!value) return null;
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(value);
+  if (!match) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00'] = match;
+  const date = new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  return isNaN(date) ? null : date;
+}
+
+function generateControlId() {
+  return `${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+// Standard MSH fields (MSH-3 onward) for an outgoing message
+function buildMSH({ sendingApplication, sendingFacility, receivingApplication, receivingFacility, messageType, controlId, version = '2.5.1', profile }) {
+  const fields = [
+    sendingApplication,
+    sendingFacility,
+    receivingApplication,
+    receivingFacility,
+    formatTimestamp(),
+    '',
+    messageType,
+    controlId || generateControlId(),
+    'P',
+    version
+  ];
+  if (profile) {
+    fields.push('', '', 'AL', 'NE', '', '', '', '', profile);
+  }
+  return buildSegment('MSH', fields);
+}
+
+// Build an ACK for an inbound message. code is AA, AE or AR.
+function buildAck(message, code, text, options = {}) {
+  const msh = message && message.msh;
+  const triggerEvent = msh ? msh.get(9, 2) : '';
+  const segments = [
+    buildMSH({
+      sendingApplication: options.sendingApplication || (msh ? msh.repetitions(5)[0] : ''),
+      sendingFacility: options.sendingFacility || (msh ? msh.repetitions(6)[0] : ''),
+      receivingApplication: msh ? msh.repetitions(3)[0] : '',
+      receivingFacility: msh ? msh.repetitions(4)[0] : '',
+      messageType: ['ACK', triggerEvent, 'ACK'],
+      version: (msh && msh.get(12)) || '2.5.1'
+    }),
+    buildSegment('MSA', [code, message ? message.controlId : '', text || ''])
+  ];
+  if (code !== 'AA' && text) {
+    // ERR-3 error code, ERR-4 severity
+    segments.push(buildSegment('ERR', ['', '', code === 'AR' ? ['200', 'Unsupported message type', 'HL70357'] : ['207', 'Application internal error', 'HL70357'], 'E', '', '', '', text]));
+  }
+  return buildMessage(segments);
+}
+
+function frame(message) {
+  return `${MLLP_START}${message}${MLLP_END}`;
+}
+
+module.exports = {
+  MLLP_START,
+  MLLP_END,
+  DEFAULT_ENCODING,
+  Segment,
+  HL7Message,
+  parseMessage,
+  buildSegment,
+  buildMessage,
+  buildMSH,
+  buildAck,
+  escapeValue,
+  formatTimestamp,
+  formatDate,
+  parseTimestamp,
+  generateControlId,
+  frame
+};
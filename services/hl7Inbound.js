@@ -0,0 +1,403 @@
+// services/hl7Inbound.js - Inbound HL7 v2 order interface (ORM^O01)
+const Order = require('../models/Order');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const MedicalOffice = require('../models/MedicalOffice');
+const PCRTest = require('../models/PCRTest');
+const Test = require('../models/Test');
+const User = require('../models/User');
+const HL7Message = require('../models/HL7Message');
+const { parseMessage, parseTimestamp, buildAck } = require('./hl7');
+
+const INTERFACE_USERNAME = 'hl7-interface';
+
+// Problems with message content; reported back to the sender as AE
+class HL7ProcessingError extends Error {}
+
+// HL7 table 0070/0487 specimen codes mapped to Order.specimenType
+const SPECIMEN_CODES = {
+  UR: 'urine', URN: 'urine', URINE: 'urine',
+  BLD: 'blood', WB: 'blood',
+  SER: 'serum',
+  PLAS: 'plasma', PLS: 'plasma',
+  STL: 'stool', FECES: 'stool',
+  SPT: 'sputum', SPUT: 'sputum',
+  NAIL: 'nail_clipping',
+  NP: 'nasopharyngeal_swab', NPS: 'nasopharyngeal_swab',
+  WND: 'wound_swab', WOUND: 'wound_swab',
+  SWB: 'swab', SWAB: 'swab',
+  TISS: 'tissue', TIS: 'tissue'
+};
+
+const SEX_CODES = { M: 'male', F: 'female', O: 'other', U: 'other', A: 'other' };
+
+function mapPriority(code) {
+  switch ((code || '').toUpperCase()) {
+    case 'S': return 'stat';
+    case 'A':
+    case 'P': return 'urgent';
+    default: return 'routine';
+  }
+}
+
+function mapSpecimenType(code) {
+  if (!code) return undefined;
+  const upper = code.toUpperCase();
+  if (SPECIMEN_CODES[upper]) return SPECIMEN_CODES[upper];
+  const specimenEnum = Order.schema.path('specimenType').enumValues;
+  return specimenEnum.includes(code.toLowerCase()) ? code.toLowerCase() : 'other';
+}
+
+// HL7 dates of birth carry no time zone; store them as UTC midnight like the web forms do
+function parseDateOfBirth(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function resolvePatient(pid, createdBy) {
+  const identifiers = pid.repetitions(3)
+    .filter(cx => cx[0])
+    .map(cx => ({
+      value: cx[0],
+      assigningAuthority: (cx[3] || '').split('&')[0] || undefined,
+      type: cx[4] || 'MR'
+    }));
+
+  const lastName = pid.get(5, 1);
+  const firstName = pid.get(5, 2);
+  const dateOfBirth = parseDateOfBirth(pid.get(7));
+  if (!lastName || !firstName || !dateOfBirth) {
+    throw new HL7ProcessingError('PID-5 patient name and PID-7 date of birth are required');
+  }
+
+  let patient = null;
+  for (const identifier of identifiers) {
+    patient = await Patient.findOne({
+      externalIdentifiers: {
+        $elemMatch: { value: identifier.value, assigningAuthority: identifier.assigningAuthority }
+      }
+    });
+    if (patient) break;
+  }
+
+  if (!patient) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const candidates = await Patient.find({
+      firstName: new RegExp(`^${escapeRegex(firstName)}$`, 'i'),
+      lastName: new RegExp(`^${escapeRegex(lastName)}$`, 'i'),
+      dateOfBirth: {
+        $gte: new Date(dateOfBirth.getTime() - dayMs),
+        $lte: new Date(dateOfBirth.getTime() + dayMs)
+      },
+      isActive: true
+    });
+    const dobKey = dateOfBirth.toISOString().substring(0, 10);
+    patient = candidates.find(p => p.dateOfBirth.toISOString().substring(0, 10) === dobKey) || null;
+  }
+
+  if (patient) {
+    // Remember identifiers we have not seen for this patient before
+    let changed = false;
+    identifiers.forEach(identifier => {
+      const known = (patient.externalIdentifiers || []).some(e =>
+        e.value === identifier.value && e.assigningAuthority === identifier.assigningAuthority
+      );
+      if (!known) {
+        patient.externalIdentifiers.push(identifier);
+        changed = true;
+      }
+    });
+    if (changed) await patient.save();
+    return { patient, created: false };
+  }
+
+  const phone = pid.get(13, 1) || [pid.get(13, 6), pid.get(13, 7)].filter(Boolean).join('') || pid.get(14, 1);
+  if (!phone) {
+    throw new HL7ProcessingError('PID-13 phone number is required to register a new patient');
+  }
+
+  patient = new Patient({
+    patientId: await Patient.generatePatientId(),
+    firstName,
+    lastName,
+    dateOfBirth,
+    gender: SEX_CODES[pid.get(8).toUpperCase()] || 'other',
+    phone,
+    email: pid.get(13, 4) || undefined,
+    address: {
+      street: pid.get(11, 1) || undefined,
+      city: pid.get(11, 3) || undefined,
+      state: pid.get(11, 4) || undefined,
+      zipCode: pid.get(11, 5) || undefined,
+      country: pid.get(11, 6) || 'USA'
+    },
+    externalIdentifiers: identifiers,
+    createdBy
+  });
+  await patient.save();
+  return { patient, created: true };
+}
+
+// Ordering provider as XCN: ID (NPI)^Family^Given
+async function resolveDoctor(xcnSegment, index) {
+  const npi = xcnSegment.get(index, 1);
+  const lastName = xcnSegment.get(index, 2);
+  const firstName = xcnSegment.get(index, 3);
+
+  const doctor = /^\d{10}$/.test(npi) ? await Doctor.findOne({ npiNumber: npi }) : null;
+  return {
+    doctor,
+    npi,
+    name: doctor ? doctor.fullName : [firstName, lastName].filter(Boolean).join(' ')
+  };
+}
+
+async function resolveMedicalOffice(message, orc, doctor) {
+  const candidates = [];
+  if (orc) {
+    // ORC-21 ordering facility (XON): name, ..., ORC-21.10 organization identifier
+    candidates.push(orc.get(21, 10), orc.get(21, 1), orc.get(17, 1));
+  }
+  candidates.push(message.msh.get(4, 1));
+
+  for (const candidate of candidates.filter(Boolean)) {
+    const office = await MedicalOffice.findOne({
+      $or: [
+        { officeCode: candidate.toUpperCase() },
+        { name: new RegExp(`^${escapeRegex(candidate)}$`, 'i') }
+      ]
+    });
+    if (office) return office;
+  }
+
+  if (doctor && doctor.primaryOffice) {
+    return MedicalOffice.findById(doctor.primaryOffice);
+  }
+  return null;
+}
+
+// Universal service ID (OBR-4): code^text^coding system
+async function resolveTest(obr) {
+  const code = obr.get(4, 1);
+  const altCode = obr.get(4, 4);
+
+  for (const candidate of [code, altCode].filter(Boolean)) {
+    const pcrTest = await PCRTest.findOne({
+      $or: [{ testCode: candidate.toUpperCase() }, { 'billingCodes.loincCode': candidate }],
+      isActive: true
+    });
+    if (pcrTest) return { test: pcrTest, testModel: 'PCRTest' };
+
+    const test = await Test.findOne({ testCode: candidate.toUpperCase(), isActive: true });
+    if (test) return { test, testModel: 'Test' };
+  }
+  return null;
+}
+
+async function cancelOrder(placerOrderNumber, orderSource, userId) {
+  // Orders received without a placer number are stored with a blank one
+  if (!placerOrderNumber) {
+    throw new HL7ProcessingError('Placer order number is required to cancel');
+  }
+  const order = await Order.findOne({ placerOrderNumber, orderSource });
+  if (!order) {
+    throw new HL7ProcessingError(`Order ${placerOrderNumber} not found`);
+  }
+  if (order.status !== 'pending') {
+    throw new HL7ProcessingError(`Order ${placerOrderNumber} is ${order.status} and can no longer be cancelled`);
+  }
+  order.status = 'cancelled';
+  order.modifiedBy = userId;
+  await order.save();
+  return { order, text: `Order ${order.orderNumber} cancelled` };
+}
+
+async function processORM(message) {
+  const msh = message.msh;
+  const pid = message.segment('PID');
+  const orc = message.segment('ORC');
+  const obrs = message.all('OBR');
+
+  if (!pid) throw new HL7ProcessingError('PID segment is required');
+  if (!orc) throw new HL7ProcessingError('ORC segment is required');
+
+  const systemUser = await User.getSystemUser(INTERFACE_USERNAME, 'HL7', 'Interface');
+  const orderSource = `HL7:${msh.get(4, 1) || msh.get(3, 1)}`;
+  const placerOrderNumber = orc.get(2, 1) || (obrs[0] && obrs[0].get(2, 1));
+  const orderControl = orc.get(1).toUpperCase();
+
+  if (orderControl === 'CA') {
+    return cancelOrder(placerOrderNumber, orderSource, systemUser._id);
+  }
+  if (orderControl !== 'NW') {
+    throw new HL7ProcessingError(`Order control ${orderControl || '(blank)'} is not supported`);
+  }
+  if (obrs.length === 0) {
+    throw new HL7ProcessingError('At least one OBR segment is required');
+  }
+
+  if (placerOrderNumber) {
+    const existing = await Order.findOne({ placerOrderNumber, orderSource });
+    if (existing) {
+      return { order: existing, text: `Order already received as ${existing.orderNumber}`, warnings: ['Duplicate placer order number'] };
+    }
+  }
+
+  // Resolve tests before touching patient records so a bad code creates nothing
+  const tests = [];
+  const unknownCodes = [];
+  for (const obr of obrs) {
+    const resolved = await resolveTest(obr);
+    if (!resolved) {
+      unknownCodes.push(obr.get(4, 1) || '(blank)');
+      continue;
+    }
+    const tq1 = message.segment('TQ1');
+    tests.push({
+      test: resolved.test._id,
+      testModel: resolved.testModel,
+      status: 'pending',
+      priority: mapPriority(obr.get(27, 6) || (tq1 && tq1.get(9, 1)) || orc.get(7, 6))
+    });
+  }
+  if (unknownCodes.length > 0) {
+    throw new HL7ProcessingError(`Unknown test code(s): ${unknownCodes.join(', ')}`);
+  }
+
+  const warnings = [];
+  const firstObr = obrs[0];
+  const provider = orc.field(12)
+    ? await resolveDoctor(orc, 12)
+    : await resolveDoctor(firstObr, 16);
+  if (!provider.name) {
+    throw new HL7ProcessingError('Ordering provider (ORC-12 or OBR-16) is required');
+  }
+  if (!provider.doctor) {
+    warnings.push(`Ordering provider NPI ${provider.npi || '(blank)'} not found; stored by name only`);
+  }
+
+  const medicalOffice = await resolveMedicalOffice(message, orc, provider.doctor);
+  if (!medicalOffice) {
+    warnings.push('Ordering facility could not be matched to a medical office');
+  }
+
+  const { patient, created } = await resolvePatient(pid, systemUser._id);
+  if (created) {
+    warnings.push(`Registered new patient ${patient.patientId}`);
+  }
+
+  const spm = message.segment('SPM');
+  const diagnoses = message.all('DG1')
+    .map(dg1 => [dg1.get(3, 1), dg1.get(3, 2)].filter(Boolean).join(' '))
+    .filter(Boolean);
+
+  const priorities = ['routine', 'urgent', 'stat'];
+  const order = new Order({
+    orderNumber: await Order.generateOrderNumber(),
+    patient: patient._id,
+    tests,
+    orderingPhysician: {
+      doctorId: provider.doctor ? provider.doctor._id : undefined,
+      name: provider.name,
+      license: provider.doctor ? provider.doctor.licenseNumber : undefined,
+      phone: provider.doctor ? provider.doctor.phone.office : undefined,
+      email: provider.doctor ? provider.doctor.email.primary : undefined,
+      facility: medicalOffice ? medicalOffice.name : undefined
+    },
+    medicalOffice: medicalOffice ? medicalOffice._id : undefined,
+    clinicalInfo: {
+      diagnosis: diagnoses.join('; ') || undefined,
+      symptoms: firstObr.get(13) || undefined
+    },
+    priority: tests.reduce((highest, t) =>
+      priorities.indexOf(t.priority) > priorities.indexOf(highest) ? t.priority : highest, 'routine'),
+    collectionDate: parseTimestamp((spm && spm.get(17, 1)) || firstObr.get(7)) || undefined,
+    specimenType: mapSpecimenType((spm && spm.get(4, 1)) || firstObr.get(15, 1)),
+    specimenBarcode: (spm && spm.get(2, 1)) || undefined,
+    status: 'pending',
+    orderType: 'electronic',
+    orderSource,
+    placerOrderNumber,
+    createdBy: systemUser._id
+  });
+  await order.calculateTotal();
+  await order.save();
+
+  return {
+    order,
+    patient,
+    medicalOffice,
+    warnings,
+    text: `Order ${order.orderNumber} created`
+  };
+}
+
+// Entry point for the MLLP listener. Always resolves to an ACK message.
+async function handleInboundMessage(raw, context = {}) {
+  let message;
+  try {
+    message = parseMessage(raw);
+  } catch (error) {
+    await HL7Message.create({
+      direction: 'inbound',
+      raw: raw || '(empty)',
+      remoteAddress: context.remote,
+      status: 'rejected',
+      ackCode: 'AR',
+      errorMessage: error.message
+    }).catch(logError => console.error('HL7 message log error:', logError));
+    return buildAck(null, 'AR', error.message);
+  }
+
+  const log = new HL7Message({
+    direction: 'inbound',
+    messageType: message.messageType,
+    controlId: message.controlId,
+    sendingApplication: message.msh.get(3, 1),
+    sendingFacility: message.msh.get(4, 1),
+    remoteAddress: context.remote,
+    raw: message.raw
+  });
+
+  let ack;
+  if (message.messageType !== 'ORM^O01') {
+    log.status = 'rejected';
+    log.ackCode = 'AR';
+    log.errorMessage = `Unsupported message type ${message.messageType}`;
+    ack = buildAck(message, 'AR', log.errorMessage);
+  } else {
+    try {
+      const outcome = await processORM(message);
+      log.status = 'processed';
+      log.ackCode = 'AA';
+      log.order = outcome.order && outcome.order._id;
+      log.patient = outcome.patient && outcome.patient._id;
+      log.medicalOffice = outcome.medicalOffice && outcome.medicalOffice._id;
+      log.warnings = outcome.warnings || [];
+      ack = buildAck(message, 'AA', outcome.text);
+    } catch (error) {
+      if (!(error instanceof HL7ProcessingError)) {
+        console.error('HL7 ORM processing error:', error);
+      }
+      log.status = 'error';
+      log.ackCode = 'AE';
+      log.errorMessage = error instanceof HL7ProcessingError ? error.message : 'Internal error processing order';
+      ack = buildAck(message, 'AE', log.errorMessage);
+    }
+  }
+
+  log.ack = ack;
+  log.processedAt = new Date();
+  await log.save().catch(error => console.error('HL7 message log error:', error));
+  return ack;
+}
+
+module.exports = {
+  handleInboundMessage,
+  INTERFACE_USERNAME
+};
@@ -0,0 +1,476 @@
+// services/hl7Outbound.js - Outbound HL7 v2 result interface (ORU^R01)
+const fs = require('fs');
+const path = require('path');
+const PCRResult = require('../models/PCRResult');
+const Result = require('../models/Result');
+const MedicalOffice = require('../models/MedicalOffice');
+const LaboratorySettings = require('../models/LaboratorySettings');
+const HL7Message = require('../models/HL7Message');
+const { parseMessage, buildSegment, buildMessage, buildMSH, formatTimestamp, generateControlId } = require('./hl7');
+const { sendMLLPMessage } = require('./mllpClient');
+
+const SENDING_APPLICATION = 'LIS';
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const SEX_CODES = { male: 'M', female: 'F', other: 'O' };
+
+// Result.parameters[].flag mapped to HL7 table 0078 abnormal flags
+const FLAG_CODES = {
+  normal: 'N',
+  high: 'H',
+  low: 'L',
+  critical_high: 'HH',
+  critical_low: 'LL',
+  abnormal: 'A'
+};
+
+// PCR interpretations as SNOMED CT qualifier values
+const INTERPRETATION_CODES = {
+  'Detected': ['260373001', 'Detected', 'SCT'],
+  'Not Detected': ['260415000', 'Not detected', 'SCT'],
+  'Indeterminate': ['82334004', 'Indeterminate', 'SCT'],
+  'Invalid': ['455371000124106', 'Invalid result', 'SCT'],
+  'Inhibited': ['455371000124106', 'Invalid result', 'SCT']
+};
+
+// Dates of birth are stored as UTC midnight; format without a local time shift
+function formatDateOfBirth(date) {
+  return date ? new Date(date).toISOString().substring(0, 10).replace(/-/g, '') : '';
+}
+
+function sendingFacility(settings) {
+  return settings.cliaNumber ? [settings.labName, settings.cliaNumber, 'CLIA'] : settings.labName;
+}
+
+function buildPID(patient, assigningAuthority) {
+  const identifiers = [[patient.patientId, '', '', assigningAuthority, 'MR']];
+  (patient.externalIdentifiers || []).forEach(identifier => {
+    identifiers.push([identifier.value, '', '', identifier.assigningAuthority, identifier.type]);
+  });
+
+  const address = patient.address || {};
+  return buildSegment('PID', [
+    '1',
+    '',
+    { repetitions: identifiers },
+    '',
+    [patient.lastName, patient.firstName],
+    '',
+    formatDateOfBirth(patient.dateOfBirth),
+    SEX_CODES[patient.gender] || 'U',
+    '',
+    '',
+    [address.street, '', address.city, address.state, address.zipCode, address.country],
+    '',
+    [patient.phone, 'PRN', 'PH', patient.email]
+  ]);
+}
+
+// Ordering provider as XCN: NPI^Family^Given
+function providerXCN(order) {
+  const physician = order.orderingPhysician || {};
+  const doctor = physician.doctorId && physician.doctorId.npiNumber ? physician.doctorId : null;
+  if (doctor) {
+    return [doctor.npiNumber, doctor.lastName, doctor.firstName, '', '', '', '', '', 'NPI'];
+  }
+  const parts = (physician.name || '').replace(/^Dr\.?\s+/i, '').split(/\s+/).filter(Boolean);
+  return ['', parts.slice(1).join(' ') || parts[0] || '', parts.length > 1 ? parts[0] : ''];
+}
+
+function buildORC(order, reportedDate) {
+  return buildSegment('ORC', [
+    'RE',
+    order.placerOrderNumber ? [order.placerOrderNumber, order.orderSource] : '',
+    [order.orderNumber, SENDING_APPLICATION],
+    '',
+    'CM',
+    '',
+    '',
+    '',
+    formatTimestamp(reportedDate || new Date()),
+    '',
+    '',
+    providerXCN(order)
+  ]);
+}
+
+function buildOBR(order, serviceId, options) {
+  return buildSegment('OBR', [
+    '1',
+    order.placerOrderNumber ? [order.placerOrderNumber, order.orderSource] : '',
+    [order.orderNumber, SENDING_APPLICATION],
+    serviceId,
+    '',
+    '',
+    options.collectionDate ? formatTimestamp(options.collectionDate) : '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    '',
+    providerXCN(order),
+    '',
+    '',
+    '',
+    '',
+    '',
+    formatTimestamp(options.reportedDate || new Date()),
+    '',
+    '',
+    options.resultStatus
+  ]);
+}
+
+function buildOBX(setId, fields) {
+  return buildSegment('OBX', [
+    String(setId),
+    fields.valueType,
+    fields.identifier,
+    fields.subId || '',
+    fields.value,
+    fields.units || '',
+    fields.referenceRange || '',
+    fields.abnormalFlag || '',
+    '',
+    '',
+    fields.status,
+    '',
+    '',
+    fields.observedAt ? formatTimestamp(fields.observedAt) : ''
+  ]);
+}
+
+function buildNTE(setId, text) {
+  return buildSegment('NTE', [String(setId), 'L', text]);
+}
+
+function headerFor(office, settings, controlId) {
+  const iface = office.resultInterface || {};
+  return buildMSH({
+    sendingApplication: SENDING_APPLICATION,
+    sendingFacility: sendingFacility(settings),
+    receivingApplication: iface.receivingApplication || '',
+    receivingFacility: iface.receivingFacility || office.officeCode || office.name,
+    messageType: ['ORU', 'R01', 'ORU_R01'],
+    controlId
+  });
+}
+
+// ORU^R01 for a PCR result: one OBX per target and resistance marker, coded
+// with the panel LOINC (billingCodes.loincCode) and distinguished by sub-ID
+function buildPCRResultORU(result, office, settings, controlId) {
+  const test = result.test;
+  const order = result.order;
+  const options = result.reportOptions || {};
+  const status = result.status === 'Amended' ? 'C' : 'F';
+  const loinc = test.billingCodes && test.billingCodes.loincCode;
+  const observationCode = name => loinc
+    ? [loinc, `${test.testName}: ${name}`, 'LN', test.testCode, name, 'L']
+    : [test.testCode, `${test.testName}: ${name}`, 'L'];
+
+  const segments = [
+    headerFor(office, settings, controlId),
+    buildPID(result.patient, settings.labName),
+    buildORC(order, result.reportedDate),
+    buildOBR(order, loinc ? [loinc, test.testName, 'LN', test.testCode, test.testName, 'L'] : [test.testCode, test.testName, 'L'], {
+      collectionDate: result.sampleInfo && result.sampleInfo.collectionDate,
+      reportedDate: result.reportedDate,
+      resultStatus: status
+    })
+  ];
+
+  const interpretation = result.overallResult && (result.overallResult.clinicalInterpretation || result.overallResult.summary);
+  if (interpretation) segments.push(buildNTE(1, interpretation));
+
+  let setId = 0;
+  (result.targetResults || []).forEach((target, index) => {
+    const subId = String(index + 1);
+    segments.push(buildOBX(++setId, {
+      valueType: 'CWE',
+      identifier: observationCode(target.targetName),
+      subId,
+      value: INTERPRETATION_CODES[target.interpretation] || ['', target.interpretation, ''],
+      abnormalFlag: target.detected ? 'A' : 'N',
+      status,
+      observedAt: result.performedDate
+    }));
+    if (options.includeCtValues !== false && typeof target.ctValue === 'number') {
+      segments.push(buildOBX(++setId, {
+        valueType: 'NM',
+        identifier: observationCode(`${target.targetName} Ct`),
+        subId: `${subId}.1`,
+        value: String(target.ctValue),
+        status,
+        observedAt: result.performedDate
+      }));
+    }
+    if (options.includeQuantification !== false && target.quantification && typeof target.quantification.value === 'number') {
+      segments.push(buildOBX(++setId, {
+        valueType: 'NM',
+        identifier: observationCode(`${target.targetName} load`),
+        subId: `${subId}.2`,
+        value: String(target.quantification.value),
+        units: target.quantification.unit || '',
+        status,
+        observedAt: result.performedDate
+      }));
+    }
+  });
+
+  if (options.includeResistanceProfile !== false) {
+    const offset = (result.targetResults || []).length;
+    (result.resistanceResults || []).forEach((marker, index) => {
+      segments.push(buildOBX(++setId, {
+        valueType: 'CWE',
+        identifier: observationCode(`${marker.markerName} resistance marker`),
+        subId: String(offset + index + 1),
+        value: INTERPRETATION_CODES[marker.interpretation] || ['', marker.interpretation, ''],
+        abnormalFlag: marker.detected ? 'A' : 'N',
+        status,
+        observedAt: result.performedDate
+      }));
+    });
+  }
+
+  return buildMessage(segments);
+}
+
+function referenceRangeText(range) {
+  if (!range) return '';
+  if (range.text) return range.text;
+  if (range.min !== undefined && range.max !== undefined) return `${range.min}-${range.max}`;
+  if (range.min !== undefined) return `>${range.min}`;
+  if (range.max !== undefined) return `<${range.max}`;
+  return '';
+}
+
+// ORU^R01 for a general laboratory result: one OBX per parameter
+function buildLabResultORU(result, office, settings, controlId) {
+  const test = result.test;
+  const order = result.order;
+  const status = result.status === 'amended' ? 'C' : 'F';
+
+  const segments = [
+    headerFor(office, settings, controlId),
+    buildPID(result.patient, settings.labName),
+    buildORC(order, result.reportedDate),
+    buildOBR(order, [test.testCode, test.testName, 'L'], {
+      collectionDate: order.collectionDate,
+      reportedDate: result.reportedDate,
+      resultStatus: status
+    })
+  ];
+
+  if (result.interpretation) segments.push(buildNTE(1, result.interpretation));
+
+  (result.parameters || []).forEach((parameter, index) => {
+    const numeric = parameter.value !== '' && !isNaN(Number(parameter.value));
+    segments.push(buildOBX(index + 1, {
+      valueType: numeric ? 'NM' : 'ST',
+      identifier: [test.testCode, parameter.name, 'L'],
+      subId: String(index + 1),
+      value: String(parameter.value),
+      units: parameter.unit,
+      referenceRange: referenceRangeText(parameter.referenceRange),
+      abnormalFlag: FLAG_CODES[parameter.flag] || '',
+      status,
+      observedAt: result.performedDate
+    }));
+  });
+
+  return buildMessage(segments);
+}
+
+function destinationFor(office) {
+  const iface = office.resultInterface || {};
+  return {
+    method: iface.method,
+    host: iface.host,
+    port: iface.port,
+    directory: iface.directory
+  };
+}
+
+// ACK codes in original (AA/AE/AR) or enhanced (CA/CE/CR) mode
+function normalizeAckCode(code) {
+  return { CA: 'AA', CE: 'AE', CR: 'AR' }[code] || code;
+}
+
+// Deliver a logged outbound message and record the outcome. Failures are
+// scheduled for retry with exponential backoff; rejections (AR) are not.
+async function deliverMessage(log) {
+  const destination = log.destination || {};
+  const now = new Date();
+  log.attempts = (log.attempts || 0) + 1;
+  log.lastAttemptAt = now;
+
+  let retryable = true;
+  try {
+    if (destination.method === 'file') {
+      if (!destination.directory) throw new Error('No file drop directory configured');
+      await fs.promises.mkdir(destination.directory, { recursive: true });
+      await fs.promises.writeFile(path.join(destination.directory, `${log.controlId}.hl7`), log.raw, 'latin1');
+    } else {
+      if (!destination.host || !destination.port) throw new Error('No MLLP host/port configured');
+      const ack = await sendMLLPMessage(destination.host, destination.port, log.raw);
+      const msa = parseMessage(ack).segment('MSA');
+      const code = normalizeAckCode(msa ? msa.get(1) : '');
+      log.ack = ack;
+      log.ackCode = ['AA', 'AE', 'AR'].includes(code) ? code : undefined;
+      if (code !== 'AA') {
+        retryable = code !== 'AR';
+        throw new Error((msa && msa.get(3)) || `Receiver returned ${code || 'an invalid acknowledgment'}`);
+      }
+    }
+
+    log.status = 'sent';
+    log.sentAt = now;
+    log.errorMessage = undefined;
+    log.nextAttemptAt = undefined;
+  } catch (error) {
+    log.status = 'failed';
+    log.errorMessage = error.message;
+    log.nextAttemptAt = retryable && log.attempts < MAX_ATTEMPTS
+      ? new Date(now.getTime() + RETRY_DELAY_MS * Math.pow(2, log.attempts - 1))
+      : undefined;
+  }
+
+  await log.save();
+  return log;
+}
+
+async function queueMessage({ raw, controlId, office, order, patient, pcrResult, result }) {
+  const log = new HL7Message({
+    direction: 'outbound',
+    messageType: 'ORU^R01',
+    controlId,
+    sendingApplication: SENDING_APPLICATION,
+    raw,
+    status: 'pending',
+    destination: destinationFor(office),
+    order,
+    patient,
+    medicalOffice: office._id,
+    pcrResult,
+    result
+  });
+  await log.save();
+  return deliverMessage(log);
+}
+
+async function loadOffice(order) {
+  if (!order || !order.medicalOffice) return null;
+  const office = await MedicalOffice.findById(order.medicalOffice);
+  return office && office.resultInterface && office.resultInterface.enabled ? office : null;
+}
+
+// Send a Final or Amended PCR result to the ordering office, if it has an
+// outbound interface. Resolves to the message log entry, or null.
+async function sendPCRResult(resultId) {
+  const result = await PCRResult.findById(resultId)
+    .populate('patient')
+    .populate('test')
+    .populate({ path: 'order', populate: { path: 'orderingPhysician.doctorId', select: 'npiNumber firstName lastName' } });
+  if (!result || !['Final', 'Amended'].includes(result.status)) return null;
+
+  const office = await loadOffice(result.order);
+  if (!office) return null;
+
+  const settings = await LaboratorySettings.getCurrent();
+  const controlId = generateControlId();
+  return queueMessage({
+    raw: buildPCRResultORU(result, office, settings, controlId),
+    controlId,
+    office,
+    order: result.order._id,
+    patient: result.patient._id,
+    pcrResult: result._id
+  });
+}
+
+// Send a final or amended general laboratory result, as above
+async function sendLabResult(resultId) {
+  const result = await Result.findById(resultId)
+    .populate('patient')
+    .populate('test')
+    .populate({ path: 'order', populate: { path: 'orderingPhysician.doctorId', select: 'npiNumber firstName lastName' } });
+  if (!result || !['final', 'amended'].includes(result.status)) return null;
+
+  const office = await loadOffice(result.order);
+  if (!office) return null;
+
+  const settings = await LaboratorySettings.getCurrent();
+  const controlId = generateControlId();
+  return queueMessage({
+    raw: buildLabResultORU(result, office, settings, controlId),
+    controlId,
+    office,
+    order: result.order._id,
+    patient: result.patient._id,
+    result: result._id
+  });
+}
+
+// Manually resend a logged outbound message, picking up any change to the
+// office's destination since it was first queued
+async function resendMessage(log, userId) {
+  if (log.medicalOffice) {
+    const office = await MedicalOffice.findById(log.medicalOffice);
+    if (office && office.resultInterface && office.resultInterface.enabled) {
+      log.destination = destinationFor(office);
+    }
+  }
+  log.resentBy = userId;
+  return deliverMessage(log);
+}
+
+async function retryFailedMessages() {
+  const due = await HL7Message.find({
+    direction: 'outbound',
+    status: 'failed',
+    nextAttemptAt: { $lte: new Date() }
+  }).limit(50);
+
+  for (const log of due) {
+    await deliverMessage(log);
+  }
+  return due.length;
+}
+
+// Periodically retry failed deliveries. The timer does not keep the process alive.
+function startRetryWorker(intervalMs = 60 * 1000) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryFailedMessages();
+    } catch (error) {
+      console.error('HL7 retry worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  SENDING_APPLICATION,
+  INTERPRETATION_CODES,
+  buildPID,
+  providerXCN,
+  sendingFacility,
+  buildPCRResultORU,
+  buildLabResultORU,
+  sendPCRResult,
+  sendLabResult,
+  resendMessage,
+  retryFailedMessages,
+  startRetryWorker,
+  formatDateOfBirth
+};
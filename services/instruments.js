@@ -0,0 +1,311 @@
+// services/instruments.js
+// Instrument registry: maintenance and calibration schedules, downtime and
+// heartbeats. Instruments (or their middleware) post heartbeats with a
+// per-instrument key; the connection state derived from them feeds
+// /api/system/status. Results and runs can only be recorded on instruments
+// that are in service and not down.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Instrument = require('../models/Instrument');
+const InstrumentEvent = require('../models/InstrumentEvent');
+
+// Tasks due within this many days are flagged
+const DUE_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InstrumentError extends Error {}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Create a new heartbeat key for the instrument. Only the hash is stored, so
+// the returned key must be handed to the instrument now.
+async function issueHeartbeatKey(instrument) {
+  const key = crypto.randomBytes(24).toString('hex');
+  instrument.heartbeatKeyHash = hashKey(key);
+  await instrument.save();
+  return key;
+}
+
+function scheduleNextDue(schedule, from) {
+  return new Date(new Date(from).getTime() + schedule.intervalDays * DAY_MS);
+}
+
+async function openDowntime(instrumentId) {
+  return InstrumentEvent.findOne({ instrument: instrumentId, type: 'downtime', endedAt: null }).sort({ startedAt: -1 });
+}
+
+// Record a heartbeat. An error state opens unplanned downtime; the next
+// healthy heartbeat closes it again if it was opened that way.
+async function recordHeartbeat(key, { state = 'idle', message, softwareVersion } = {}, address) {
+  if (!key) {
+    throw new InstrumentError('Instrument key is required');
+  }
+  const instrument = await Instrument.findOne({ heartbeatKeyHash: hashKey(key) });
+  if (!instrument) {
+    throw new InstrumentError('Unknown instrument key');
+  }
+  if (instrument.status === 'retired') {
+    throw new InstrumentError(`${instrument.name} is retired`);
+  }
+
+  const now = new Date();
+  instrument.heartbeat = {
+    lastSeenAt: now,
+    state,
+    message,
+    softwareVersion: softwareVersion || (instrument.heartbeat && instrument.heartbeat.softwareVersion),
+    address
+  };
+  await instrument.save();
+
+  const downtime = await openDowntime(instrument._id);
+  if (state === 'error' && !downtime) {
+    await InstrumentEvent.create({
+      instrument: instrument._id,
+      type: 'downtime',
+      downtimeCategory: 'unplanned',
+      description: message || 'Instrument reported an error',
+      startedAt: now,
+      automatic: true
+    });
+  } else if (state !== 'error' && downtime && downtime.automatic) {
+    downtime.endedAt = now;
+    await downtime.save();
+  }
+
+  return instrument;
+}
+
+// Log maintenance, calibration or a repair. Performing a scheduled task moves
+// its next due date on; a failed calibration does not.
+async function logEvent(instrument, { type, schedule: scheduleId, description, outcome, performedAt }, userId) {
+  const at = performedAt ? new Date(performedAt) : new Date();
+  if (at > new Date()) {
+    throw new InstrumentError('Performed date cannot be in the future');
+  }
+
+  let schedule = null;
+  if (scheduleId) {
+    schedule = instrument.schedules.id(scheduleId);
+    if (!schedule) {
+      throw new InstrumentError('Schedule not found on this instrument');
+    }
+    if (schedule.type !== type) {
+      throw new InstrumentError(`${schedule.name} is a ${schedule.type} task`);
+    }
+  }
+  if (type === 'calibration' && !outcome) {
+    throw new InstrumentError('Calibration outcome (pass or fail) is required');
+  }
+
+  const event = await InstrumentEvent.create({
+    instrument: instrument._id,
+    type,
+    schedule: schedule ? schedule._id : undefined,
+    description: description || (schedule ? schedule.name : undefined),
+    outcome,
+    startedAt: at,
+    endedAt: at,
+    performedBy: userId
+  });
+
+  const satisfied = outcome !== 'fail';
+  if (schedule && satisfied && (!schedule.lastPerformedAt || at > schedule.lastPerformedAt)) {
+    schedule.lastPerformedAt = at;
+    schedule.nextDueAt = scheduleNextDue(schedule, at);
+  }
+  if (type === 'calibration' && satisfied && (!instrument.lastCalibrationDate || at > instrument.lastCalibrationDate)) {
+    instrument.lastCalibrationDate = at;
+  }
+  instrument.lastModifiedBy = userId;
+  await instrument.save();
+
+  return event;
+}
+
+async function startDowntime(instrument, { downtimeCategory = 'unplanned', description, startedAt }, userId) {
+  if (await openDowntime(instrument._id)) {
+    throw new InstrumentError(`${instrument.name} already has open downtime`);
+  }
+  return InstrumentEvent.create({
+    instrument: instrument._id,
+    type: 'downtime',
+    downtimeCategory,
+    description,
+    startedAt: startedAt ? new Date(startedAt) : new Date(),
+    performedBy: userId
+  });
+}
+
+async function endDowntime(event, userId, endedAt) {
+  if (event.type !== 'downtime') {
+    throw new InstrumentError('Only downtime can be ended');
+  }
+  if (event.endedAt) {
+    throw new InstrumentError('Downtime has already ended');
+  }
+  const end = endedAt ? new Date(endedAt) : new Date();
+  if (end < event.startedAt) {
+    throw new InstrumentError('Downtime cannot end before it started');
+  }
+  event.endedAt = end;
+  event.endedBy = userId;
+  await event.save();
+  return event;
+}
+
+// Reason the instrument cannot be used right now, or null
+async function unavailableReason(instrument) {
+  if (instrument.status === 'retired') return `${instrument.name} is retired`;
+  if (instrument.status === 'out_of_service') return `${instrument.name} is out of service`;
+  const downtime = await openDowntime(instrument._id);
+  if (downtime) {
+    return `${instrument.name} is down since ${downtime.startedAt.toLocaleString()}${downtime.description ? ` (${downtime.description})` : ''}`;
+  }
+  return null;
+}
+
+// Find a registered instrument by id or serial number and check it can be
+// used (for the test, when its assays are listed). Returns null when nothing
+// is given.
+async function resolveInstrument(ref, testId) {
+  if (!ref) return null;
+  const instrument = mongoose.Types.ObjectId.isValid(ref) && String(ref).length === 24
+    ? await Instrument.findById(ref)
+    : await Instrument.findOne({ serialNumber: String(ref).trim() });
+  if (!instrument) {
+    throw new InstrumentError(`Instrument ${ref} is not registered`);
+  }
+  const reason = await unavailableReason(instrument);
+  if (reason) {
+    throw new InstrumentError(reason);
+  }
+  if (testId && instrument.assays.length > 0 && !instrument.assays.some(a => String(a.test) === String(testId))) {
+    throw new InstrumentError(`${instrument.name} is not validated for this test`);
+  }
+  return instrument;
+}
+
+// Serial numbers that are not registered stay free text
+async function isUnregisteredSerial(serialNumber) {
+  return !(await Instrument.exists({ serialNumber: String(serialNumber).trim() }));
+}
+
+// Link a lab result's instrument id to the registry and fill in the
+// calibration date from it
+async function applyResultInstrument(result) {
+  const qc = result.qualityControl || {};
+  if (!qc.instrument && (!qc.instrumentId || await isUnregisteredSerial(qc.instrumentId))) {
+    return null;
+  }
+
+  const instrument = await resolveInstrument(qc.instrument || qc.instrumentId, result.test);
+  if (!instrument) return null;
+
+  result.qualityControl.instrument = instrument._id;
+  result.qualityControl.instrumentId = instrument.serialNumber;
+  if (!qc.calibrationDate && instrument.lastCalibrationDate) {
+    result.qualityControl.calibrationDate = instrument.lastCalibrationDate;
+  }
+  return instrument;
+}
+
+// Fill a PCR run's instrument name and serial from the registry
+async function applyRunInstrument(run) {
+  const ref = run.instrument && (run.instrument.registryId || run.instrument.serialNumber);
+  if (!ref) return null;
+
+  if (!run.instrument.registryId && await isUnregisteredSerial(ref)) {
+    return null;
+  }
+
+  const instrument = await resolveInstrument(ref, run.test);
+  run.instrument = {
+    registryId: instrument._id,
+    name: instrument.name,
+    serialNumber: instrument.serialNumber
+  };
+  return instrument;
+}
+
+// Scheduled tasks overdue or due within the given number of days
+async function dueTasks(days = DUE_WARNING_DAYS) {
+  const horizon = new Date(Date.now() + days * DAY_MS);
+  const instruments = await Instrument.find({ status: { $ne: 'retired' }, 'schedules.active': true })
+    .select('name serialNumber location schedules');
+
+  const tasks = [];
+  instruments.forEach(instrument => {
+    instrument.schedules
+      .filter(s => s.active && (!s.nextDueAt || s.nextDueAt <= horizon))
+      .forEach(s => tasks.push({
+        instrument: { _id: instrument._id, name: instrument.name, serialNumber: instrument.serialNumber, location: instrument.location },
+        schedule: s._id,
+        type: s.type,
+        name: s.name,
+        nextDueAt: s.nextDueAt,
+        overdue: !s.nextDueAt || s.nextDueAt < new Date()
+      }));
+  });
+
+  return tasks.sort((a, b) => (a.nextDueAt || 0) - (b.nextDueAt || 0));
+}
+
+// Registry with each instrument's connection state and open downtime
+async function instrumentStates(filter = {}) {
+  const [instruments, downtimes] = await Promise.all([
+    Instrument.find(filter).populate('assays.test', 'testName testCode').sort({ name: 1 }),
+    InstrumentEvent.find({ type: 'downtime', endedAt: null })
+  ]);
+  const downtimeByInstrument = new Map(downtimes.map(d => [String(d.instrument), d]));
+  const now = new Date();
+
+  return instruments.map(instrument => ({
+    ...instrument.toObject(),
+    connection: instrument.connectionState(now),
+    openDowntime: downtimeByInstrument.get(String(instrument._id)) || null
+  }));
+}
+
+// Overall equipment state for the dashboard: not_connected when nothing in
+// service reports heartbeats, online when every reporting instrument is up,
+// warning when some are offline, in error or down, offline when none are up
+async function equipmentStatus() {
+  const instruments = (await instrumentStates({ status: 'in_service' }))
+    .filter(i => i.connection !== 'never_connected');
+
+  const counts = { total: instruments.length, online: 0, offline: 0, error: 0, down: 0 };
+  instruments.forEach(i => {
+    if (i.openDowntime) counts.down++;
+    else counts[i.connection]++;
+  });
+
+  let status = 'not_connected';
+  if (counts.total > 0) {
+    if (counts.online === counts.total) status = 'online';
+    else if (counts.online === 0) status = 'offline';
+    else status = 'warning';
+  }
+  return { status, counts };
+}
+
+module.exports = {
+  DUE_WARNING_DAYS,
+  InstrumentError,
+  issueHeartbeatKey,
+  scheduleNextDue,
+  recordHeartbeat,
+  logEvent,
+  startDowntime,
+  endDowntime,
+  unavailableReason,
+  resolveInstrument,
+  applyResultInstrument,
+  applyRunInstrument,
+  dueTasks,
+  instrumentStates,
+  equipmentStatus
+};
@@ -0,0 +1,332 @@
+// services/inventory.js
+// Reagent and consumable stock. Every change to a lot's quantity goes through
+// postTransaction, which decrements atomically so two users cannot draw the
+// same last units. Expired and quarantined lots cannot be received, consumed
+// or put on a run; stock is compared with each item's reorder point.
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const PCRRun = require('../models/PCRRun');
+const PCRResult = require('../models/PCRResult');
+
+// Lots expiring within this many days are flagged
+const EXPIRY_WARNING_DAYS = 30;
+
+class InventoryError extends Error {}
+
+// Lots stay usable through their expiration day (see InventoryLot.isExpired)
+function startOfToday() {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function lotLabel(lot) {
+  const name = lot.item && lot.item.name ? `${lot.item.name} ` : '';
+  return `${name}lot ${lot.lotNumber}`;
+}
+
+// Throws when the lot cannot be used at the given time
+function assertUsable(lot, at = new Date()) {
+  if (lot.status === 'quarantined') {
+    throw new InventoryError(`${lotLabel(lot)} is quarantined${lot.statusReason ? ` (${lot.statusReason})` : ''}`);
+  }
+  if (lot.isExpired(at)) {
+    throw new InventoryError(`${lotLabel(lot)} expired on ${lot.expirationDate.toLocaleDateString()}`);
+  }
+}
+
+// Apply a signed quantity to a lot and log it. Draws fail rather than going negative.
+async function postTransaction(lot, type, quantity, { pcrRun, pcrResult, reason } = {}, userId) {
+  const filter = { _id: lot._id };
+  if (quantity < 0) filter.quantityOnHand = { $gte: -quantity };
+
+  const update = { $inc: { quantityOnHand: quantity } };
+  if (type === 'receipt') update.$inc.quantityReceived = quantity;
+  if (type === 'consumption' && !lot.openedDate) update.$set = { openedDate: new Date() };
+
+  const updated = await InventoryLot.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    const current = await InventoryLot.findById(lot._id).select('quantityOnHand');
+    throw new InventoryError(`Only ${current ? current.quantityOnHand : 0} left in ${lotLabel(lot)}`);
+  }
+
+  // Depleted is derived from the balance; quarantine is left alone
+  if (updated.quantityOnHand === 0 && updated.status === 'active') {
+    updated.status = 'depleted';
+    await updated.save();
+  } else if (updated.quantityOnHand > 0 && updated.status === 'depleted') {
+    updated.status = 'active';
+    await updated.save();
+  }
+
+  const transaction = await InventoryTransaction.create({
+    item: lot.item._id || lot.item,
+    lot: lot._id,
+    type,
+    quantity,
+    balanceAfter: updated.quantityOnHand,
+    pcrRun,
+    pcrResult,
+    reason,
+    performedBy: userId
+  });
+
+  return { lot: updated, transaction };
+}
+
+// Receive stock into a new or existing lot of the item
+async function receiveLot(item, { lotNumber, expirationDate, quantity, storageLocation, notes }, userId) {
+  if (!(quantity > 0)) {
+    throw new InventoryError('Quantity received must be greater than zero');
+  }
+
+  let lot = await InventoryLot.findOne({ item: item._id, lotNumber });
+  if (lot && expirationDate && new Date(expirationDate).toDateString() !== lot.expirationDate.toDateString()) {
+    throw new InventoryError(`Lot ${lotNumber} is already on file with expiration ${lot.expirationDate.toLocaleDateString()}`);
+  }
+  if (!lot) {
+    lot = new InventoryLot({
+      item: item._id,
+      lotNumber,
+      expirationDate,
+      storageLocation,
+      notes,
+      receivedBy: userId,
+      status: 'depleted'
+    });
+  }
+  if (lot.isExpired()) {
+    throw new InventoryError(`Lot ${lotNumber} is already expired`);
+  }
+  if (lot.status === 'quarantined') {
+    throw new InventoryError(`Lot ${lotNumber} is quarantined`);
+  }
+  if (storageLocation) lot.storageLocation = storageLocation;
+  await lot.save();
+
+  return postTransaction(lot, 'receipt', quantity, { reason: notes }, userId);
+}
+
+async function consumeLot(lot, quantity, details, userId) {
+  if (!(quantity > 0)) {
+    throw new InventoryError('Quantity used must be greater than zero');
+  }
+  assertUsable(lot);
+  return postTransaction(lot, 'consumption', -quantity, details, userId);
+}
+
+// Correct the balance to a physical count
+async function adjustLot(lot, countedQuantity, reason, userId) {
+  const delta = countedQuantity - lot.quantityOnHand;
+  if (delta === 0) {
+    throw new InventoryError('Count matches the quantity on hand');
+  }
+  return postTransaction(lot, 'adjustment', delta, { reason }, userId);
+}
+
+// Write off whatever is left, e.g. an expired or contaminated lot
+async function discardLot(lot, reason, userId) {
+  if (lot.quantityOnHand === 0) {
+    throw new InventoryError(`${lotLabel(lot)} has nothing left to discard`);
+  }
+  return postTransaction(lot, 'discard', -lot.quantityOnHand, { reason }, userId);
+}
+
+// Quantity already drawn from each lot for a run or result
+async function consumedByReference(reference) {
+  const transactions = await InventoryTransaction.find({ ...reference, type: { $in: ['consumption', 'return'] } });
+  const consumed = new Map();
+  transactions.forEach(t => consumed.set(String(t.lot), (consumed.get(String(t.lot)) || 0) - t.quantity));
+  return consumed;
+}
+
+// Validate the reagent lots given for a run or result and fill in the lot
+// details from inventory. Expired, quarantined or short lots are refused;
+// free-text lots are only checked for expiry. reference is { pcrRun } or
+// { pcrResult } so quantities already drawn for it are not counted twice.
+async function resolveReagentLots(entries = [], at = new Date(), reference = null) {
+  const consumed = reference ? await consumedByReference(reference) : new Map();
+  const wanted = new Map();
+  const resolved = [];
+
+  for (const entry of entries) {
+    if (!entry.inventoryLot) {
+      if (entry.expirationDate && new InventoryLot({ expirationDate: entry.expirationDate }).isExpired(at)) {
+        throw new InventoryError(`${entry.reagent} lot ${entry.lotNumber} expired on ${new Date(entry.expirationDate).toLocaleDateString()}`);
+      }
+      resolved.push({ reagent: entry.reagent, lotNumber: entry.lotNumber, expirationDate: entry.expirationDate });
+      continue;
+    }
+
+    const lot = await InventoryLot.findById(entry.inventoryLot).populate('item', 'name');
+    if (!lot) {
+      throw new InventoryError('Reagent lot not found in inventory');
+    }
+    assertUsable(lot, at);
+
+    const quantity = Number(entry.quantity) || 0;
+    const key = String(lot._id);
+    wanted.set(key, (wanted.get(key) || 0) + quantity);
+    const needed = wanted.get(key) - (consumed.get(key) || 0);
+    if (needed > lot.quantityOnHand) {
+      throw new InventoryError(`Only ${lot.quantityOnHand} ${lot.item.name} left in lot ${lot.lotNumber}`);
+    }
+
+    resolved.push({
+      reagent: lot.item.name,
+      lotNumber: lot.lotNumber,
+      expirationDate: lot.expirationDate,
+      inventoryLot: lot._id,
+      quantity: quantity || undefined
+    });
+  }
+
+  return resolved;
+}
+
+// Bring stock in line with the lots recorded on a run or result: draws what
+// was added, returns what was removed or reduced
+async function syncConsumption(reference, entries, userId) {
+  const consumed = await consumedByReference(reference);
+  const wanted = new Map();
+  entries.filter(e => e.inventoryLot).forEach(e => {
+    const key = String(e.inventoryLot);
+    wanted.set(key, (wanted.get(key) || 0) + (e.quantity || 0));
+  });
+
+  const lotIds = new Set([...consumed.keys(), ...wanted.keys()]);
+  for (const lotId of lotIds) {
+    const delta = (wanted.get(lotId) || 0) - (consumed.get(lotId) || 0);
+    if (delta === 0) continue;
+    const lot = await InventoryLot.findById(lotId).populate('item', 'name');
+    if (!lot) continue;
+    await postTransaction(lot, delta > 0 ? 'consumption' : 'return', -delta, reference, userId);
+  }
+}
+
+// Usable (unexpired, not quarantined) and expired stock per item
+async function stockLevels(filter = {}) {
+  const now = startOfToday();
+  const levels = await InventoryLot.aggregate([
+    { $match: { quantityOnHand: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$item',
+        usable: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ['$status', 'active'] }, { $gte: ['$expirationDate', now] }] }, '$quantityOnHand', 0]
+          }
+        },
+        expired: { $sum: { $cond: [{ $lt: ['$expirationDate', now] }, '$quantityOnHand', 0] } },
+        quarantined: { $sum: { $cond: [{ $eq: ['$status', 'quarantined'] }, '$quantityOnHand', 0] } },
+        nextExpiry: {
+          $min: { $cond: [{ $and: [{ $eq: ['$status', 'active'] }, { $gte: ['$expirationDate', now] }] }, '$expirationDate', null] }
+        }
+      }
+    }
+  ]);
+  const byItem = new Map(levels.map(l => [String(l._id), l]));
+
+  const items = await InventoryItem.find(filter).sort({ name: 1 });
+  return items.map(item => {
+    const level = byItem.get(String(item._id)) || { usable: 0, expired: 0, quarantined: 0, nextExpiry: null };
+    return {
+      ...item.toObject(),
+      onHand: level.usable,
+      expiredOnHand: level.expired,
+      quarantinedOnHand: level.quarantined,
+      nextExpiry: level.nextExpiry,
+      lowStock: item.active && level.usable <= item.reorderPoint
+    };
+  });
+}
+
+// Message when the item has fallen to its reorder point, otherwise null
+async function lowStockWarning(itemId) {
+  const [item] = await stockLevels({ _id: itemId });
+  if (!item || !item.lowStock) return null;
+  return `${item.name} is low: ${item.onHand} ${item.unit} usable (reorder point ${item.reorderPoint})`;
+}
+
+// Low stock, lots expiring soon and expired lots still holding stock
+async function inventoryAlerts(days = EXPIRY_WARNING_DAYS) {
+  const now = startOfToday();
+  const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const [items, expiring, expired] = await Promise.all([
+    stockLevels({ active: true }),
+    InventoryLot.find({ status: 'active', quantityOnHand: { $gt: 0 }, expirationDate: { $gte: now, $lte: horizon } })
+      .populate('item', 'name unit')
+      .sort({ expirationDate: 1 }),
+    InventoryLot.find({ status: { $ne: 'depleted' }, quantityOnHand: { $gt: 0 }, expirationDate: { $lt: now } })
+      .populate('item', 'name unit')
+      .sort({ expirationDate: 1 })
+  ]);
+
+  return {
+    lowStock: items.filter(i => i.lowStock),
+    expiringSoon: expiring,
+    expiredWithStock: expired
+  };
+}
+
+// Recall lookup: every run and patient result that used the lot. Runs that
+// recorded the same lot number as free text (before it was in inventory) are
+// listed separately as possible matches.
+async function traceLot(lot) {
+  const [linkedRuns, unlinkedRuns] = await Promise.all([
+    PCRRun.find({ 'reagentLots.inventoryLot': lot._id }).select('runNumber runDate status test').populate('test', 'testName testCode'),
+    PCRRun.find({ reagentLots: { $elemMatch: { lotNumber: lot.lotNumber, inventoryLot: null } } })
+      .select('runNumber runDate status test').populate('test', 'testName testCode')
+  ]);
+
+  // Runs cancelled during setup returned the lot to stock and never used it
+  const returned = new Set();
+  for (const run of linkedRuns.filter(r => r.status === 'cancelled')) {
+    const consumed = await consumedByReference({ pcrRun: run._id });
+    if (!consumed.get(String(lot._id))) returned.add(String(run._id));
+  }
+  const runs = linkedRuns.filter(r => !returned.has(String(r._id)));
+
+  const results = await PCRResult.find({
+    $or: [
+      { run: { $in: runs.map(r => r._id) } },
+      { 'reagentLots.inventoryLot': lot._id }
+    ]
+  })
+    .select('resultNumber status patient order test run reportedDate overallResult.status')
+    .populate('patient', 'firstName lastName patientId')
+    .populate('order', 'orderNumber accessionNumber medicalOffice')
+    .populate('test', 'testName testCode')
+    .sort({ reportedDate: -1 });
+
+  return {
+    runs,
+    unlinkedRuns,
+    results,
+    summary: {
+      runs: runs.length,
+      results: results.length,
+      released: results.filter(r => ['Final', 'Amended'].includes(r.status)).length,
+      patients: new Set(results.map(r => String(r.patient && r.patient._id))).size
+    }
+  };
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  InventoryError,
+  assertUsable,
+  receiveLot,
+  consumeLot,
+  adjustLot,
+  discardLot,
+  startOfToday,
+  resolveReagentLots,
+  syncConsumption,
+  stockLevels,
+  lowStockWarning,
+  inventoryAlerts,
+  traceLot
+};
@@ -0,0 +1,49 @@
+// services/mailer.js
+// Outbound email over SMTP. Configured with SMTP_HOST, SMTP_PORT, SMTP_USER,
+// SMTP_PASS and SMTP_FROM; the sender falls back to the laboratory's general
+// email address in settings.
+const nodemailer = require('nodemailer');
+const LaboratorySettings = require('../models/LaboratorySettings');
+
+class MailerError extends Error {}
+
+let transport = null;
+
+function getTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new MailerError('Email is not configured (SMTP_HOST is not set)');
+  }
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+}
+
+// Resolves to the nodemailer info object; rejects when SMTP is not
+// configured or the server refuses the message
+async function sendMail({ to, subject, text, attachments }) {
+  const mailer = getTransport();
+  let from = process.env.SMTP_FROM;
+  if (!from) {
+    const settings = await LaboratorySettings.getCurrent();
+    from = settings.email && settings.email.general;
+  }
+  if (!from) {
+    throw new MailerError('No sender address (set SMTP_FROM or the laboratory email)');
+  }
+
+  return mailer.sendMail({ from, to, subject, text, attachments });
+}
+
+module.exports = {
+  MailerError,
+  sendMail
+};
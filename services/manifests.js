@@ -0,0 +1,206 @@
+// services/manifests.js
+// Building courier manifests and reconciling them on arrival. Scanning a
+// listed specimen stamps receivedDate/receivedBy on its order; specimens that
+// arrive unlisted are recorded as unexpected, and anything still unscanned
+// when the manifest is closed is flagged missing.
+const Manifest = require('../models/Manifest');
+const Order = require('../models/Order');
+
+class ManifestError extends Error {}
+
+// Orders that can be put on a manifest: not yet received and not listed on
+// another manifest that is still open
+async function eligibleOrders(medicalOfficeId, excludeManifestId) {
+  const open = await Manifest.find({
+    medicalOffice: medicalOfficeId,
+    status: { $in: ['draft', 'in_transit', 'receiving'] },
+    _id: { $ne: excludeManifestId }
+  }).select('items.order').lean();
+  const listed = open.flatMap(m => m.items.map(i => i.order));
+
+  return Order.find({
+    medicalOffice: medicalOfficeId,
+    status: 'pending',
+    receivedDate: { $exists: false },
+    _id: { $nin: listed }
+  })
+    .select('orderNumber specimenBarcode specimenType collectionDate patient')
+    .populate('patient', 'firstName lastName')
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+// Manifest items for the given order ids, all of which must be eligible
+async function buildItems(medicalOfficeId, orderIds, manifestId) {
+  const eligible = await eligibleOrders(medicalOfficeId, manifestId);
+  const byId = new Map(eligible.map(o => [String(o._id), o]));
+
+  const problems = orderIds.filter(id => !byId.has(String(id)));
+  if (problems.length > 0) {
+    throw new ManifestError(`${problems.length} order(s) are not from this office, already received or already on an open manifest`);
+  }
+
+  return orderIds.map(id => {
+    const order = byId.get(String(id));
+    return {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      specimenBarcode: order.specimenBarcode,
+      patientName: order.patient ? `${order.patient.lastName}, ${order.patient.firstName}` : undefined,
+      specimenType: order.specimenType
+    };
+  });
+}
+
+async function createManifest({ medicalOffice, orders, courier, pickupTime, transportTemperature, notes }, userId) {
+  const items = await buildItems(medicalOffice, orders);
+
+  const manifest = new Manifest({
+    manifestNumber: await Manifest.generateManifestNumber(),
+    medicalOffice,
+    courier,
+    pickupTime,
+    transportTemperature,
+    notes,
+    items,
+    createdBy: userId
+  });
+  await manifest.save();
+
+  await Order.updateMany({ _id: { $in: orders } }, { manifest: manifest._id });
+  return manifest;
+}
+
+// Draft manifests can be edited; once picked up only courier details can change
+async function updateManifest(manifest, { orders, courier, pickupTime, transportTemperature, notes }) {
+  if (['receiving', 'received'].includes(manifest.status)) {
+    throw new ManifestError(`Manifest ${manifest.manifestNumber} has already arrived`);
+  }
+
+  if (orders) {
+    if (manifest.status !== 'draft') {
+      throw new ManifestError('Specimens cannot be changed after pickup');
+    }
+    const removed = manifest.items.map(i => i.order).filter(id => !orders.some(o => String(o) === String(id)));
+    manifest.items = await buildItems(manifest.medicalOffice, orders, manifest._id);
+    await Order.updateMany({ _id: { $in: removed }, manifest: manifest._id }, { $unset: { manifest: 1 } });
+    await Order.updateMany({ _id: { $in: orders } }, { manifest: manifest._id });
+  }
+  if (courier) manifest.courier = courier;
+  if (pickupTime !== undefined) manifest.pickupTime = pickupTime;
+  if (transportTemperature !== undefined) manifest.transportTemperature = transportTemperature;
+  if (notes !== undefined) manifest.notes = notes;
+
+  await manifest.save();
+  return manifest;
+}
+
+function markPickedUp(manifest, { courier, pickupTime } = {}) {
+  if (manifest.status !== 'draft') {
+    throw new ManifestError(`Manifest ${manifest.manifestNumber} is already ${manifest.status.replace('_', ' ')}`);
+  }
+  if (manifest.items.length === 0) {
+    throw new ManifestError('A manifest needs at least one specimen');
+  }
+  if (courier) manifest.courier = courier;
+  manifest.pickupTime = pickupTime || manifest.pickupTime || new Date();
+  manifest.status = 'in_transit';
+  return manifest.save();
+}
+
+// The manifest barcode has been scanned at accessioning
+function startReceiving(manifest, userId) {
+  if (manifest.status === 'received') {
+    throw new ManifestError(`Manifest ${manifest.manifestNumber} was closed on ${manifest.closedAt.toISOString().slice(0, 10)}`);
+  }
+  if (manifest.status !== 'receiving') {
+    manifest.status = 'receiving';
+    manifest.receivingStartedAt = new Date();
+    manifest.receivedBy = userId;
+    if (!manifest.pickupTime) manifest.pickupTime = manifest.createdAt;
+  }
+  return manifest.save();
+}
+
+function matchesBarcode(item, barcode) {
+  return item.orderNumber === barcode || item.specimenBarcode === barcode;
+}
+
+async function stampReceived(order, manifest, userId, at) {
+  if (!order.receivedDate) {
+    order.receivedDate = at;
+    order.receivedBy = userId;
+  }
+  if (!order.transportTemperature && manifest.transportTemperature) {
+    order.transportTemperature = manifest.transportTemperature;
+  }
+  order.manifest = manifest._id;
+  await order.save();
+}
+
+// Reconcile one scanned specimen. Resolves to { outcome, item } where outcome
+// is received, duplicate or unexpected.
+async function scanSpecimen(manifest, barcode, userId) {
+  if (manifest.status !== 'receiving') {
+    throw new ManifestError('Scan the manifest to start receiving first');
+  }
+  barcode = String(barcode).trim();
+  const now = new Date();
+
+  const item = manifest.items.find(i => matchesBarcode(i, barcode));
+  if (item) {
+    if (item.status === 'received') {
+      return { outcome: 'duplicate', item };
+    }
+    item.status = 'received';
+    item.receivedAt = now;
+    item.receivedBy = userId;
+
+    const order = await Order.findById(item.order);
+    if (order) await stampReceived(order, manifest, userId, now);
+    await manifest.save();
+    return { outcome: 'received', item };
+  }
+
+  if (manifest.unexpected.some(u => u.barcode === barcode)) {
+    return { outcome: 'duplicate', item: manifest.unexpected.find(u => u.barcode === barcode) };
+  }
+
+  const order = await Order.findOne({
+    $or: [{ orderNumber: barcode }, { specimenBarcode: barcode }, { labBarcode: barcode }]
+  });
+  if (order) await stampReceived(order, manifest, userId, now);
+
+  manifest.unexpected.push({ barcode, order: order ? order._id : undefined, scannedAt: now, scannedBy: userId });
+  manifest.hasDiscrepancies = true;
+  await manifest.save();
+  return { outcome: 'unexpected', item: manifest.unexpected[manifest.unexpected.length - 1], order };
+}
+
+// Close the manifest: whatever was not scanned is missing
+function closeManifest(manifest, userId, notes) {
+  if (manifest.status !== 'receiving') {
+    throw new ManifestError('Only a manifest being received can be closed');
+  }
+
+  manifest.items.forEach(item => {
+    if (item.status === 'expected') item.status = 'missing';
+  });
+  manifest.hasDiscrepancies = manifest.items.some(i => i.status === 'missing') || manifest.unexpected.length > 0;
+  if (notes) manifest.discrepancyNotes = notes;
+  manifest.status = 'received';
+  manifest.closedAt = new Date();
+  manifest.closedBy = userId;
+  return manifest.save();
+}
+
+module.exports = {
+  ManifestError,
+  eligibleOrders,
+  createManifest,
+  updateManifest,
+  markPickedUp,
+  startReceiving,
+  scanSpecimen,
+  closeManifest
+};
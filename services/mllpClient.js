@@ -0,0 +1,47 @@
+// services/mllpClient.js - Send a single HL7 message over MLLP and wait for the ACK
+const net = require('net');
+const { MLLP_START } = require('./hl7');
+
+const MLLP_END_BLOCK = '\x1c';
+
+// Resolves to the unframed acknowledgment string. Rejects on connection
+// errors or when no complete ACK arrives within the timeout.
+function sendMLLPMessage(host, port, message, options = {}) {
+  const timeout = options.timeout || 30 * 1000;
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let settled = false;
+
+    const socket = net.createConnection({ host, port });
+    socket.setEncoding(options.encoding || 'latin1');
+    socket.setTimeout(timeout);
+
+    const finish = (error, ack) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(ack);
+    };
+
+    socket.on('connect', () => {
+      socket.write(`${MLLP_START}${message}${MLLP_END_BLOCK}\r`);
+    });
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const start = buffer.indexOf(MLLP_START);
+      const end = start === -1 ? -1 : buffer.indexOf(MLLP_END_BLOCK, start + 1);
+      if (start !== -1 && end !== -1) {
+        finish(null, buffer.substring(start + 1, end));
+      }
+    });
+
+    socket.on('timeout', () => finish(new Error(`No acknowledgment from ${host}:${port} within ${timeout / 1000}s`)));
+    socket.on('error', error => finish(error));
+    socket.on('close', () => finish(new Error(`Connection to ${host}:${port} closed before acknowledgment`)));
+  });
+}
+
+module.exports = { sendMLLPMessage };
@@ -0,0 +1,60 @@
+// services/mllpServer.js - TCP listener speaking the MLLP framing protocol
+const net = require('net');
+const { MLLP_START } = require('./hl7');
+
+const MLLP_END_BLOCK = '\x1c';
+
+// Start an MLLP listener. handler(rawMessage, socketInfo) must resolve to the
+// response (ACK) string, which is framed and written back on the same socket.
+function createMLLPServer(handler, options = {}) {
+  const server = net.createServer(socket => {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = '';
+
+    socket.setEncoding(options.encoding || 'latin1');
+    socket.setTimeout(options.idleTimeout || 5 * 60 * 1000);
+
+    // Frames are handled one at a time, in arrival order
+    let queue = Promise.resolve();
+    const handle = raw => {
+      queue = queue.then(async () => {
+        try {
+          const response = await handler(raw, { remote });
+          if (response && !socket.destroyed) {
+            socket.write(`${MLLP_START}${response}${MLLP_END_BLOCK}\r`);
+          }
+        } catch (error) {
+          console.error('MLLP handler error:', error);
+        }
+      });
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      let start = buffer.indexOf(MLLP_START);
+      let end = start === -1 ? -1 : buffer.indexOf(MLLP_END_BLOCK, start + 1);
+      while (start !== -1 && end !== -1) {
+        handle(buffer.substring(start + 1, end));
+        // Drop the frame and its trailing carriage return
+        buffer = buffer.substring(buffer.charAt(end + 1) === '\r' ? end + 2 : end + 1);
+        start = buffer.indexOf(MLLP_START);
+        end = start === -1 ? -1 : buffer.indexOf(MLLP_END_BLOCK, start + 1);
+      }
+
+      // Guard against a client that never closes a frame
+      if (buffer.length > (options.maxMessageSize || 10 * 1024 * 1024)) {
+        console.error(`MLLP message from ${remote} exceeded size limit, closing connection`);
+        socket.destroy();
+      }
+    });
+
+    socket.on('timeout', () => socket.end());
+    socket.on('error', error => console.error(`MLLP socket error (${remote}):`, error.message));
+  });
+
+  server.on('error', error => console.error('MLLP server error:', error));
+  return server;
+}
+
+module.exports = { createMLLPServer };
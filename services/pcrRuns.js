@@ -0,0 +1,255 @@
+// services/pcrRuns.js
+// Plate layout, plate map export and run-level QC for PCR runs
+const Order = require('../models/Order');
+const PCRRun = require('../models/PCRRun');
+const PCRResult = require('../models/PCRResult');
+const { autoVerifyResult } = require('./autoVerification');
+const { recordRunControls } = require('./qualityControl');
+
+const DEFAULT_CONTROL_WELLS = {
+  positive_control: 'A1',
+  negative_control: 'B1',
+  ntc: 'C1'
+};
+
+const CONTROL_SAMPLE_NAMES = {
+  positive_control: 'POS',
+  negative_control: 'NEG',
+  ntc: 'NTC'
+};
+
+class PlateLayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlateLayoutError';
+  }
+}
+
+// Accessioned orders for the test that are not already on an open or passed run
+async function findEligibleOrders(testId) {
+  const [onPlate, finalized] = await Promise.all([
+    PCRRun.distinct('wells.order', { test: testId, status: { $in: ['setup', 'running', 'completed'] } }),
+    PCRResult.distinct('order', { test: testId, status: { $in: ['Final', 'Amended'] } })
+  ]);
+  const exclude = [...onPlate, ...finalized].filter(Boolean);
+
+  return Order.find({
+    _id: { $nin: exclude },
+    status: { $in: ['accessioned', 'partial'] },
+    accessionNumber: { $exists: true },
+    tests: { $elemMatch: { test: testId, status: { $ne: 'cancelled' } } }
+  })
+    .populate('patient', 'firstName lastName patientId')
+    .sort({ accessionDate: 1 });
+}
+
+// Reserve the control wells, then fill specimens down each column in the given order
+function buildPlateLayout(plateFormat, orders, controlWells = {}) {
+  const positions = PCRRun.wellPositions(plateFormat);
+  if (positions.length === 0) {
+    throw new PlateLayoutError(`Unsupported plate format: ${plateFormat}`);
+  }
+
+  const controls = { ...DEFAULT_CONTROL_WELLS, ...controlWells };
+  const reserved = new Set();
+  const wells = [];
+
+  Object.entries(controls).forEach(([wellType, position]) => {
+    if (!position) return;
+    const normalized = String(position).toUpperCase();
+    if (!positions.includes(normalized)) {
+      throw new PlateLayoutError(`Control well ${position} is not on a ${plateFormat}-well plate`);
+    }
+    if (reserved.has(normalized)) {
+      throw new PlateLayoutError(`Well ${normalized} is assigned to more than one control`);
+    }
+    reserved.add(normalized);
+    wells.push({ position: normalized, wellType, sampleName: CONTROL_SAMPLE_NAMES[wellType] });
+  });
+
+  const free = positions.filter(p => !reserved.has(p));
+  if (orders.length > free.length) {
+    throw new PlateLayoutError(
+      `${orders.length} specimens do not fit on a ${plateFormat}-well plate with ${reserved.size} control wells`
+    );
+  }
+
+  orders.forEach((order, index) => {
+    wells.push({
+      position: free[index],
+      wellType: 'specimen',
+      order: order._id,
+      sampleName: order.accessionNumber
+    });
+  });
+
+  // Keep wells in load order so the plate map reads naturally
+  return wells.sort((a, b) => positions.indexOf(a.position) - positions.indexOf(b.position));
+}
+
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Plate setup CSV for the cycler: one line per well and target
+function buildPlateMap(run, test) {
+  // Cyclers number wells across each row (A1=1, A2=2 ...)
+  const columns = run.plateFormat === 384 ? 24 : 12;
+  const wellNumber = position => (position.charCodeAt(0) - 65) * columns + Number(position.slice(1));
+  const targets = [
+    ...(test.targets || []).map(t => t.name),
+    ...(test.resistanceMarkers || []).map(m => m.marker),
+    test.qualityControl?.internalControl
+  ].filter(Boolean);
+  const tasks = {
+    specimen: 'UNKNOWN',
+    positive_control: 'POSITIVE CONTROL',
+    negative_control: 'NEGATIVE CONTROL',
+    ntc: 'NTC'
+  };
+
+  const lines = [
+    ['Run', run.runNumber].map(csvValue).join(','),
+    ['Test', `${test.testCode} - ${test.testName}`].map(csvValue).join(','),
+    ['Plate Format', run.plateFormat].map(csvValue).join(','),
+    '',
+    ['Well', 'Well Position', 'Sample Name', 'Target Name', 'Task'].join(',')
+  ];
+
+  run.wells.forEach(well => {
+    targets.forEach(target => {
+      lines.push([
+        wellNumber(well.position),
+        well.position,
+        well.sampleName,
+        target,
+        tasks[well.wellType]
+      ].map(csvValue).join(','));
+    });
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Attach results for the plate's specimens to the run and its wells
+async function linkRunResults(run) {
+  const wells = run.specimenWells();
+  const results = await PCRResult.find({
+    order: { $in: wells.map(w => w.order) },
+    test: run.test,
+    status: { $ne: 'Cancelled' }
+  }).sort({ createdAt: -1 });
+
+  // A specimen re-run on a later plate belongs to that plate unless it failed too
+  const otherRunIds = results.map(r => r.run).filter(id => id && String(id) !== String(run._id));
+  const activeOtherRuns = new Set((await PCRRun.find({
+    _id: { $in: otherRunIds },
+    status: { $nin: ['failed', 'cancelled'] }
+  }).select('_id')).map(r => String(r._id)));
+
+  const linked = [];
+  for (const well of wells) {
+    const result = results.find(r => String(r.order) === String(well.order));
+    if (!result || activeOtherRuns.has(String(result.run))) continue;
+
+    well.pcrResult = result._id;
+    if (String(result.run) !== String(run._id) || result.wellPosition !== well.position) {
+      result.run = run._id;
+      result.wellPosition = well.position;
+      await result.save();
+    }
+    linked.push(result);
+  }
+
+  await run.save();
+  return linked;
+}
+
+const failedControlsNote = run => `Run ${run.runNumber} failed run controls; specimen must be re-run`;
+
+// Set every interpretation to Invalid, keeping the original to restore
+function invalidateInterpretations(entries) {
+  entries.forEach(entry => {
+    if (entry.interpretation === 'Invalid') return;
+    entry.invalidatedInterpretation = entry.interpretation;
+    entry.interpretation = 'Invalid';
+  });
+}
+
+function restoreInterpretations(entries) {
+  entries.forEach(entry => {
+    if (!entry.invalidatedInterpretation) return;
+    entry.interpretation = entry.invalidatedInterpretation;
+    entry.invalidatedInterpretation = undefined;
+  });
+}
+
+// Stamp the run controls on every result from the plate. A failed control
+// invalidates preliminary results; released results are returned for amendment.
+// Controls re-recorded as passing (e.g. after a transcription error) restore
+// the interpretations the failure replaced; sign-offs still have to be redone.
+async function applyRunControls(run) {
+  // Positive control Ct goes on the Levey-Jennings chart before anything is released
+  await recordRunControls(run, run.controls.recordedBy);
+  const results = await linkRunResults(run);
+  const failed = run.hasFailedControls();
+  const { positiveControlResult, negativeControlResult, ntcResult } = run.controls;
+  const summary = { linked: results.length, invalidated: 0, restored: 0, requiresAmendment: [] };
+  const note = failedControlsNote(run);
+
+  for (const result of results) {
+    result.qualityControl.positiveControlResult = positiveControlResult;
+    // The result only carries one negative control; a contaminated NTC fails it too
+    result.qualityControl.negativeControlResult = ntcResult === 'Fail' ? 'Fail' : negativeControlResult;
+
+    if (failed) {
+      if (result.status === 'Preliminary') {
+        invalidateInterpretations(result.targetResults);
+        invalidateInterpretations(result.resistanceResults);
+        result.markModified('targetResults');
+        // Any sign-off given before the controls were read no longer stands
+        result.reviewedBy = undefined;
+        result.reviewedDate = undefined;
+        result.approvedBy = undefined;
+        result.approvedDate = undefined;
+        if (!(result.qualityControl.notes || '').includes(note)) {
+          result.qualityControl.notes = [result.qualityControl.notes, note].filter(Boolean).join('\n');
+        }
+        summary.invalidated++;
+      } else {
+        summary.requiresAmendment.push({ resultId: result._id, resultNumber: result.resultNumber, status: result.status });
+      }
+    } else if (result.status === 'Preliminary' && (result.qualityControl.notes || '').includes(note)) {
+      restoreInterpretations(result.targetResults);
+      restoreInterpretations(result.resistanceResults);
+      result.markModified('targetResults');
+      result.qualityControl.notes = result.qualityControl.notes
+        .split('\n').filter(line => line !== note).join('\n') || undefined;
+      summary.restored++;
+    }
+
+    await result.save();
+  }
+
+  // Results that were only waiting on the run controls can now be auto-verified
+  if (!failed) {
+    summary.released = 0;
+    for (const result of results) {
+      const outcome = await autoVerifyResult(result);
+      if (outcome && outcome.status === 'released') summary.released++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_CONTROL_WELLS,
+  PlateLayoutError,
+  findEligibleOrders,
+  buildPlateLayout,
+  buildPlateMap,
+  linkRunResults,
+  applyRunControls
+};
@@ -0,0 +1,598 @@
+// services/pdfReports.js
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const LETTER = [612, 792]; // US Letter, in points
+const MARGIN = 40;
+const FOOTER_HEIGHT = 50;
+
+const COLORS = {
+  text: rgb(0.1, 0.1, 0.1),
+  muted: rgb(0.4, 0.4, 0.4),
+  accent: rgb(0.17, 0.35, 0.63),
+  positive: rgb(0.8, 0.1, 0.1),
+  warning: rgb(0.8, 0.45, 0),
+  rule: rgb(0.75, 0.75, 0.75),
+  shade: rgb(0.93, 0.95, 0.98)
+};
+
+// Standard fonts only support WinAnsi; replace anything outside it
+function sanitize(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/≥/g, '>=')
+    .replace(/≤/g, '<=')
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function formatDate(value) {
+  if (!value) return 'N/A';
+  const date = new Date(value);
+  if (isNaN(date)) return 'N/A';
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}/${date.getFullYear()}`;
+}
+
+function formatDateTime(value) {
+  if (!value) return 'N/A';
+  const date = new Date(value);
+  if (isNaN(date)) return 'N/A';
+  return `${formatDate(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function personName(person) {
+  if (!person) return '';
+  return `${person.firstName || ''} ${person.lastName || ''}`.trim();
+}
+
+function directorName(settings) {
+  const dir = settings.labDirector || {};
+  if (!dir.firstName && !dir.lastName) return '';
+  return `${dir.firstName || ''} ${dir.lastName || ''}`.trim() + (dir.title ? `, ${dir.title}` : '');
+}
+
+// Lays out a multi-page report with the laboratory letterhead on every page
+class ReportDocument {
+  constructor(pdfDoc, fonts, settings, logo, landscape, headerText) {
+    this.pdfDoc = pdfDoc;
+    this.headerText = headerText;
+    this.pageWidth = landscape ? LETTER[1] : LETTER[0];
+    this.pageHeight = landscape ? LETTER[0] : LETTER[1];
+    this.fonts = fonts;
+    this.settings = settings || {};
+    this.logo = logo;
+    this.pages = [];
+    this.page = null;
+    this.y = 0;
+  }
+
+  static async create(settings, title, options = {}) {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(sanitize(title));
+    pdfDoc.setProducer('Laboratory Information System');
+    pdfDoc.setCreator(sanitize(settings.labName || 'Laboratory Information System'));
+
+    const fonts = {
+      regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+      bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+      italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique)
+    };
+
+    let logo = null;
+    const showLogo = !settings.reportSettings || settings.reportSettings.showLogo !== false;
+    if (showLogo && settings.logo && settings.logo.filename) {
+      const logoPath = path.join(__dirname, '..', 'uploads', 'logos', path.basename(settings.logo.filename));
+      try {
+        if (fs.existsSync(logoPath)) {
+          const bytes = fs.readFileSync(logoPath);
+          const ext = path.extname(logoPath).toLowerCase();
+          if (ext === '.png') logo = await pdfDoc.embedPng(bytes);
+          else if (ext === '.jpg' || ext === '.jpeg') logo = await pdfDoc.embedJpg(bytes);
+        }
+      } catch (error) {
+        // A broken logo file should not prevent the report from rendering
+        console.error('Report logo embed error:', error.message);
+      }
+    }
+
+    const report = new ReportDocument(pdfDoc, fonts, settings, logo, options.landscape, options.headerText);
+    report.addPage();
+    return report;
+  }
+
+  get contentWidth() {
+    return this.pageWidth - MARGIN * 2;
+  }
+
+  addPage() {
+    this.page = this.pdfDoc.addPage([this.pageWidth, this.pageHeight]);
+    this.pages.push(this.page);
+    this.y = this.pageHeight - MARGIN;
+    this.drawLetterhead();
+  }
+
+  drawLetterhead() {
+    const settings = this.settings;
+    let textX = MARGIN;
+
+    if (this.logo) {
+      const scaled = this.logo.scaleToFit(90, 50);
+      this.page.drawImage(this.logo, {
+        x: MARGIN,
+        y: this.y - scaled.height,
+        width: scaled.width,
+        height: scaled.height
+      });
+      textX = MARGIN + scaled.width + 12;
+    }
+
+    const top = this.y;
+    this.drawText(settings.labName || 'Laboratory', { x: textX, size: 14, font: this.fonts.bold, color: COLORS.accent });
+    const address = settings.address || {};
+    if (address.street) {
+      this.drawText(`${address.street}${address.suite ? ', ' + address.suite : ''}, ${address.city || ''}, ${address.state || ''} ${address.zipCode || ''}`, { x: textX, size: 8 });
+    }
+    const phone = settings.phone && settings.phone.main ? `Phone: ${settings.phone.main}` : '';
+    const fax = settings.fax ? `Fax: ${settings.fax}` : '';
+    if (phone || fax) {
+      this.drawText([phone, fax].filter(Boolean).join('   '), { x: textX, size: 8 });
+    }
+    const regulatory = [
+      settings.cliaNumber ? `CLIA: ${settings.cliaNumber}` : '',
+      directorName(settings) ? `Director: ${directorName(settings)}` : ''
+    ].filter(Boolean).join('   ');
+    if (regulatory) {
+      this.drawText(regulatory, { x: textX, size: 8 });
+    }
+
+    // Keep clear of the logo if it is taller than the text block
+    this.y = Math.min(this.y, top - (this.logo ? this.logo.scaleToFit(90, 50).height : 0)) - 6;
+
+    const headerText = this.headerText ||
+      (settings.reportSettings && settings.reportSettings.headerText) || 'Laboratory Test Report';
+    this.drawText(headerText, { size: 12, font: this.fonts.bold });
+    this.rule();
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+      this.addPage();
+    }
+  }
+
+  drawText(text, options = {}) {
+    const size = options.size || 10;
+    const font = options.font || this.fonts.regular;
+    this.y -= size + 3;
+    this.page.drawText(sanitize(text), {
+      x: options.x !== undefined ? options.x : MARGIN,
+      y: this.y,
+      size,
+      font,
+      color: options.color || COLORS.text
+    });
+  }
+
+  wrapText(text, font, size, maxWidth) {
+    const words = sanitize(text).split(' ');
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  paragraph(text, options = {}) {
+    if (!text) return;
+    const size = options.size || 9;
+    const font = options.font || this.fonts.regular;
+    const x = options.x !== undefined ? options.x : MARGIN;
+    const lines = this.wrapText(text, font, size, this.pageWidth - MARGIN - x);
+    for (const line of lines) {
+      this.ensureSpace(size + 3);
+      this.drawText(line, { ...options, size, font, x });
+    }
+  }
+
+  labelValue(label, value, options = {}) {
+    this.paragraph(`${label}: ${value === undefined || value === null || value === '' ? 'N/A' : value}`, options);
+  }
+
+  sectionTitle(title) {
+    this.ensureSpace(30);
+    this.y -= 8;
+    this.page.drawRectangle({
+      x: MARGIN,
+      y: this.y - 15,
+      width: this.contentWidth,
+      height: 16,
+      color: COLORS.shade
+    });
+    this.drawText(title.toUpperCase(), { x: MARGIN + 4, size: 10, font: this.fonts.bold, color: COLORS.accent });
+    this.y -= 4;
+  }
+
+  rule() {
+    this.y -= 4;
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y },
+      end: { x: this.pageWidth - MARGIN, y: this.y },
+      thickness: 0.5,
+      color: COLORS.rule
+    });
+    this.y -= 2;
+  }
+
+  // Columns: [{ header, width (fraction of content width) }]; rows are arrays of
+  // strings or { text, bold, color } cells
+  table(columns, rows, options = {}) {
+    const size = options.size || 9;
+    const widths = columns.map(c => c.width * this.contentWidth);
+    const drawRow = (cells, header) => {
+      const wrapped = cells.map((cell, i) => {
+        const text = cell && typeof cell === 'object' ? cell.text : cell;
+        const font = header || (cell && cell.bold) ? this.fonts.bold : this.fonts.regular;
+        return this.wrapText(text === undefined || text === null ? '' : text, font, size, widths[i] - 6);
+      });
+      const lineCount = Math.max(1, ...wrapped.map(lines => lines.length));
+      const rowHeight = lineCount * (size + 3) + 4;
+      this.ensureSpace(rowHeight);
+
+      if (header) {
+        this.page.drawRectangle({
+          x: MARGIN,
+          y: this.y - rowHeight,
+          width: this.contentWidth,
+          height: rowHeight,
+          color: COLORS.shade
+        });
+      }
+
+      const top = this.y;
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        const font = header || (cell && cell.bold) ? this.fonts.bold : this.fonts.regular;
+        const color = (cell && cell.color) || COLORS.text;
+        wrapped[i].forEach((line, lineIndex) => {
+          this.page.drawText(line, {
+            x: x + 3,
+            y: top - (lineIndex + 1) * (size + 3),
+            size,
+            font,
+            color
+          });
+        });
+        x += widths[i];
+      });
+      this.y = top - rowHeight;
+      this.page.drawLine({
+        start: { x: MARGIN, y: this.y },
+        end: { x: this.pageWidth - MARGIN, y: this.y },
+        thickness: 0.25,
+        color: COLORS.rule
+      });
+    };
+
+    drawRow(columns.map(c => c.header), true);
+    if (rows.length === 0) {
+      drawRow([options.emptyText || 'None'].concat(columns.slice(1).map(() => '')), false);
+    }
+    rows.forEach(row => drawRow(row, false));
+    this.y -= 4;
+  }
+
+  async finish() {
+    const footerText = (this.settings.reportSettings && this.settings.reportSettings.footerText) ||
+      'This report is confidential and intended for the use of the addressee only.';
+    const total = this.pages.length;
+    this.pages.forEach((page, index) => {
+      page.drawLine({
+        start: { x: MARGIN, y: MARGIN + 24 },
+        end: { x: this.pageWidth - MARGIN, y: MARGIN + 24 },
+        thickness: 0.5,
+        color: COLORS.rule
+      });
+      const lines = this.wrapText(footerText, this.fonts.italic, 7, this.contentWidth - 70).slice(0, 2);
+      lines.forEach((line, lineIndex) => {
+        page.drawText(line, {
+          x: MARGIN,
+          y: MARGIN + 14 - lineIndex * 9,
+          size: 7,
+          font: this.fonts.italic,
+          color: COLORS.muted
+        });
+      });
+      const pageLabel = `Page ${index + 1} of ${total}`;
+      page.drawText(pageLabel, {
+        x: this.pageWidth - MARGIN - this.fonts.regular.widthOfTextAtSize(pageLabel, 8),
+        y: MARGIN + 14,
+        size: 8,
+        font: this.fonts.regular,
+        color: COLORS.muted
+      });
+    });
+    return Buffer.from(await this.pdfDoc.save());
+  }
+}
+
+function drawPatientBlock(report, patient, details) {
+  const half = MARGIN + report.contentWidth / 2;
+  const startY = report.y;
+  report.labelValue('Patient', personName(patient), { font: report.fonts.bold });
+  report.labelValue('Patient ID', patient && patient.patientId);
+  report.labelValue('DOB', patient && formatDate(patient.dateOfBirth));
+  report.labelValue('Sex', patient && patient.gender);
+  const leftY = report.y;
+
+  report.y = startY;
+  details.forEach(([label, value]) => report.labelValue(label, value, { x: half }));
+  report.y = Math.min(leftY, report.y);
+  report.rule();
+}
+
+// Renders a finalized PCRResult. Expects patient, test, order, approvedBy and
+// performedBy to be populated.
+async function buildPCRResultReport(result, settings) {
+  const patient = result.patient || {};
+  const test = result.test || {};
+  const order = result.order || {};
+  const options = result.reportOptions || {};
+
+  const report = await ReportDocument.create(settings, `PCR Report ${result.resultNumber}`);
+
+  drawPatientBlock(report, patient, [
+    ['Result #', result.resultNumber],
+    ['Order #', order.orderNumber],
+    ['Accession #', order.accessionNumber],
+    ['Ordering Physician', order.orderingPhysician && order.orderingPhysician.name],
+    ['Collected', formatDateTime(result.sampleInfo && result.sampleInfo.collectionDate)],
+    ['Received', formatDateTime(result.sampleInfo && result.sampleInfo.receivedDate)],
+    ['Reported', formatDateTime(result.reportedDate || result.approvedDate)],
+    ['Status', result.status === 'Amended' ? 'AMENDED' : 'FINAL']
+  ]);
+
+  report.sectionTitle(`${test.testName || 'PCR Panel'}${test.panel ? ` (${test.panel})` : ''}`);
+  report.labelValue('Specimen', result.sampleInfo && result.sampleInfo.sampleType);
+  report.labelValue('Overall Result', result.overallResult && result.overallResult.status, { font: report.fonts.bold });
+
+  // Fixed shares for the value columns; Target takes what is left
+  const valueColumns = [{ header: 'Result', width: 0.2 }];
+  if (options.includeCtValues) valueColumns.push({ header: 'Ct', width: 0.1 });
+  if (options.includeQuantification) valueColumns.push({ header: 'Quantification', width: options.includeCtValues ? 0.2 : 0.25 });
+  valueColumns.push({ header: 'Reference', width: 0.15 });
+  const columns = [{ header: 'Target', width: 1 - valueColumns.reduce((sum, c) => sum + c.width, 0) }].concat(valueColumns);
+
+  const targetRows = (result.targetResults || []).map(target => {
+    const definition = (test.targets || []).find(t => t.name === target.targetName) || {};
+    const row = [
+      target.targetName,
+      target.detected
+        ? { text: 'DETECTED', bold: true, color: COLORS.positive }
+        : target.interpretation
+    ];
+    if (options.includeCtValues) row.push(target.ctValue !== undefined && target.ctValue !== null ? target.ctValue.toFixed(1) : '');
+    if (options.includeQuantification) {
+      const quant = target.quantification || {};
+      row.push(quant.value !== undefined && quant.value !== null ? `${quant.value} ${quant.unit || ''}`.trim() : '');
+    }
+    row.push(definition.referenceValue || '');
+    return row;
+  });
+  report.table(columns, targetRows, { emptyText: 'No targets reported' });
+
+  const pathogens = (result.overallResult && result.overallResult.pathogensDetected) || [];
+  report.sectionTitle('Detected Pathogens');
+  report.paragraph(pathogens.length > 0 ? pathogens.join(', ') : 'No pathogens detected.');
+
+  if (options.includeResistanceProfile !== false && (result.resistanceResults || []).length > 0) {
+    report.sectionTitle('Antibiotic Resistance Markers');
+    report.table([
+      { header: 'Marker', width: 0.2 },
+      { header: 'Gene', width: 0.15 },
+      { header: 'Result', width: 0.2 },
+      { header: 'Affected Antibiotics', width: 0.45 }
+    ], result.resistanceResults.map(marker => [
+      marker.markerName,
+      marker.gene,
+      marker.detected
+        ? { text: 'DETECTED', bold: true, color: COLORS.warning }
+        : marker.interpretation,
+      (marker.affectedAntibiotics || []).join(', ')
+    ]));
+  }
+
+  const treatment = result.treatmentSuggestions || {};
+  const hasTreatment = ['preferred', 'alternative', 'avoid'].some(key => (treatment[key] || []).length > 0) || treatment.notes;
+  if (hasTreatment) {
+    report.sectionTitle('Treatment Suggestions');
+    if ((treatment.preferred || []).length > 0) report.labelValue('Preferred', treatment.preferred.join(', '));
+    if ((treatment.alternative || []).length > 0) report.labelValue('Alternative', treatment.alternative.join(', '));
+    if ((treatment.avoid || []).length > 0) report.labelValue('Avoid', treatment.avoid.join(', '), { color: COLORS.positive });
+    if (treatment.notes) report.paragraph(treatment.notes);
+  }
+
+  const overall = result.overallResult || {};
+  if (overall.summary || overall.clinicalInterpretation || overall.recommendations || result.physicianNotes) {
+    report.sectionTitle('Interpretation');
+    report.paragraph(overall.summary);
+    report.paragraph(overall.clinicalInterpretation);
+    if (overall.recommendations) report.labelValue('Recommendations', overall.recommendations);
+    if (result.physicianNotes) report.labelValue('Notes', result.physicianNotes);
+  }
+
+  if (options.includeMethodology) {
+    const specs = test.specifications || {};
+    report.sectionTitle('Methodology');
+    report.paragraph(`Method: ${test.testType || 'PCR'}${test.description ? ` - ${test.description}` : ''}`);
+    const performance = [
+      specs.sensitivity ? `Sensitivity ${specs.sensitivity}` : '',
+      specs.specificity ? `Specificity ${specs.specificity}` : '',
+      specs.limitOfDetection ? `LoD ${specs.limitOfDetection}` : ''
+    ].filter(Boolean).join('; ');
+    if (performance) report.paragraph(performance);
+    report.paragraph(test.interpretationGuidelines);
+  }
+
+  if (test.reportingFormat && test.reportingFormat.laboratoryDevelopedTest) {
+    report.paragraph('This test was developed and its performance characteristics determined by this laboratory. It has not been cleared or approved by the U.S. Food and Drug Administration.', { font: report.fonts.italic, size: 8 });
+  }
+
+  if (result.status === 'Amended' && (result.amendments || []).length > 0) {
+    const latest = result.amendments[result.amendments.length - 1];
+    report.sectionTitle('Amendment');
+    report.paragraph(`Amended ${formatDateTime(latest.amendedDate)}: ${latest.reason || 'No reason recorded'}`);
+  }
+
+  report.ensureSpace(60);
+  report.y -= 12;
+  report.rule();
+  report.labelValue('Performed by', personName(result.performedBy));
+  report.labelValue('Electronically signed by', `${personName(result.approvedBy) || 'N/A'} on ${formatDateTime(result.approvedDate || result.reportedDate)}`, { font: report.fonts.bold });
+  if (directorName(settings)) report.labelValue('Laboratory Director', directorName(settings));
+
+  return report.finish();
+}
+
+const FLAG_ABBREVIATIONS = {
+  high: 'H',
+  low: 'L',
+  critical_high: 'HH',
+  critical_low: 'LL',
+  abnormal: 'A'
+};
+
+const CUMULATIVE_COLUMNS_PER_TABLE = 7;
+
+// Renders the output of Result.getCumulative() as a landscape trending report
+async function buildCumulativeReport(patient, cumulative, settings) {
+  const report = await ReportDocument.create(settings, `Cumulative Report ${patient.patientId || ''}`, { landscape: true });
+
+  drawPatientBlock(report, patient, [
+    ['Report', 'Cumulative Results'],
+    ['Results Included', cumulative.columns.length],
+    ['From', cumulative.columns.length > 0 ? formatDate(cumulative.columns[0].date) : 'N/A'],
+    ['To', cumulative.columns.length > 0 ? formatDate(cumulative.columns[cumulative.columns.length - 1].date) : 'N/A']
+  ]);
+
+  if (cumulative.rows.length === 0) {
+    report.paragraph('No final or amended results on file for this patient.');
+    return report.finish();
+  }
+
+  for (let start = 0; start < cumulative.columns.length; start += CUMULATIVE_COLUMNS_PER_TABLE) {
+    const dateColumns = cumulative.columns.slice(start, start + CUMULATIVE_COLUMNS_PER_TABLE);
+    const dateWidth = 0.75 / CUMULATIVE_COLUMNS_PER_TABLE;
+    const columns = [
+      { header: 'Parameter', width: 0.17 },
+      { header: 'Units', width: 0.08 }
+    ].concat(dateColumns.map(column => ({ header: formatDateTime(column.date), width: dateWidth })));
+
+    // Skip parameters with no values in this slice of dates
+    const rows = cumulative.rows
+      .filter(row => row.values.slice(start, start + CUMULATIVE_COLUMNS_PER_TABLE).some(Boolean))
+      .map(row => [row.label, row.unit || ''].concat(
+        row.values.slice(start, start + CUMULATIVE_COLUMNS_PER_TABLE).map(cell => {
+          if (!cell) return '';
+          const flag = FLAG_ABBREVIATIONS[cell.flag];
+          const text = `${cell.value}${flag ? ` ${flag}` : ''}${cell.referenceRange ? ` (${cell.referenceRange})` : ''}`;
+          return flag
+            ? { text, bold: true, color: cell.flag.startsWith('critical') ? COLORS.positive : COLORS.warning }
+            : text;
+        })
+      ));
+
+    if (start > 0) report.sectionTitle('Cumulative Results (continued)');
+    else report.sectionTitle('Cumulative Results');
+    report.table(columns, rows, { size: 8 });
+  }
+
+  report.paragraph('Flags: H = High, L = Low, HH = Critical High, LL = Critical Low, A = Abnormal. Reference ranges shown in parentheses as reported with each result.', { font: report.fonts.italic, size: 8 });
+
+  return report.finish();
+}
+
+const INSTRUCTION_SECTIONS = [
+  ['patientPrep', 'Patient preparation'],
+  ['preCollection', 'Before collection'],
+  ['collectionMethod', 'Collection'],
+  ['handling', 'Handling and transport']
+];
+
+// Notice to the ordering office that a specimen was rejected, with the
+// collection instructions for each test so the recollection is right.
+// Expects order.patient to be populated; tests are the ordered test documents.
+async function buildRejectionNotice(notice, order, tests, recollectionOrder, settings) {
+  const report = await ReportDocument.create(settings, `Specimen Rejection ${order.orderNumber}`, {
+    headerText: 'Specimen Rejection Notice'
+  });
+
+  drawPatientBlock(report, order.patient, [
+    ['Order #', order.orderNumber],
+    ['Accession #', order.accessionNumber],
+    ['Ordering Physician', order.orderingPhysician && order.orderingPhysician.name],
+    ['Collected', formatDateTime(order.collectionDate)],
+    ['Received', formatDateTime(order.receivedDate)],
+    ['Rejected', formatDateTime(order.rejectionDate || notice.createdAt)]
+  ]);
+
+  report.sectionTitle('Reason for Rejection');
+  report.paragraph(String(notice.reason).replace(/_/g, ' '), { font: report.fonts.bold, size: 10 });
+  if (notice.comments) report.paragraph(notice.comments);
+  report.paragraph('The specimen could not be tested. Please recollect and send a new specimen.');
+
+  if (recollectionOrder) {
+    report.sectionTitle('Recollection');
+    report.labelValue('Recollection Order #', recollectionOrder.orderNumber, { font: report.fonts.bold });
+    report.paragraph('Label the new specimen with this order number so it is matched to the original request.');
+  }
+
+  tests.forEach(test => {
+    report.sectionTitle(`${test.testName}${test.testCode ? ` (${test.testCode})` : ''}`);
+    const requirements = test.sampleRequirements || {};
+    const sampleTypes = test.sampleTypes && test.sampleTypes.length ? test.sampleTypes : [test.sampleType].filter(Boolean);
+    if (sampleTypes.length) report.labelValue('Specimen', sampleTypes.join(', ').replace(/_/g, ' '));
+    if (requirements.volume && (requirements.volume.min || requirements.volume.ideal)) {
+      report.labelValue('Volume', [
+        requirements.volume.ideal ? `${requirements.volume.ideal} ${requirements.volume.unit || 'mL'} ideal` : '',
+        requirements.volume.min ? `${requirements.volume.min} ${requirements.volume.unit || 'mL'} minimum` : ''
+      ].filter(Boolean).join(', '));
+    }
+    if (requirements.storageTemperature) report.labelValue('Storage', requirements.storageTemperature);
+    if (requirements.stability) report.labelValue('Stability', requirements.stability);
+
+    const instructions = test.instructions || {};
+    INSTRUCTION_SECTIONS.forEach(([key, label]) => {
+      const steps = (instructions[key] || []).filter(Boolean);
+      if (steps.length === 0) return;
+      report.paragraph(label, { font: report.fonts.bold });
+      steps.forEach(step => report.paragraph(`- ${step}`, { x: MARGIN + 10 }));
+    });
+    if (requirements.rejectionCriteria && requirements.rejectionCriteria.length) {
+      report.paragraph(`Specimens are rejected when: ${requirements.rejectionCriteria.join('; ')}`, { font: report.fonts.italic, size: 8 });
+    }
+  });
+
+  return report.finish();
+}
+
+module.exports = {
+  ReportDocument,
+  buildPCRResultReport,
+  buildCumulativeReport,
+  buildRejectionNotice,
+  formatDate,
+  formatDateTime,
+  personName
+};
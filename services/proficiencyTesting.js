@@ -0,0 +1,305 @@
+// services/proficiencyTesting.js
+// Proficiency testing (PT) events from external providers. PT samples are
+// accessioned as orders on a placeholder patient so they go through the same
+// order and PCR result workflow as patient specimens, but they are flagged
+// on the order and left out of billing, dashboard statistics and ELR.
+// Results are collected from the PCR results, submitted to the provider,
+// graded, and every unacceptable analyte needs a completed corrective action
+// before the event can be closed.
+const ProficiencyEvent = require('../models/ProficiencyEvent');
+const Order = require('../models/Order');
+const Patient = require('../models/Patient');
+const PCRResult = require('../models/PCRResult');
+
+// Events due within this many days are flagged
+const DUE_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filter for orders that are patient work (not proficiency testing)
+const PATIENT_ORDERS = { 'proficiencyTest.event': null };
+
+class ProficiencyError extends Error {}
+
+// Whether a result is for a PT sample. All PT samples share one placeholder
+// patient, so patient-level checks (delta checks, critical call-backs) skip them.
+async function isProficiencyResult(result) {
+  const order = result.order;
+  if (!order) return false;
+  if (typeof order.isProficiencyTest === 'function') return order.isProficiencyTest();
+  return !!(await Order.exists({ _id: order, 'proficiencyTest.event': { $ne: null } }));
+}
+
+// The placeholder patient PT samples are accessioned on, created on first use
+async function proficiencyPatient(userId) {
+  const existing = await Patient.findOne({ proficiencyTesting: true });
+  if (existing) return existing;
+
+  return Patient.create({
+    patientId: await Patient.generatePatientId(),
+    firstName: 'Proficiency',
+    lastName: 'Testing',
+    dateOfBirth: new Date('2000-01-01'),
+    gender: 'other',
+    phone: '0000000000',
+    proficiencyTesting: true,
+    createdBy: userId
+  });
+}
+
+// Accession every sample not yet accessioned. Each sample becomes an
+// accessioned order for its test; no stability check or billing applies.
+async function accessionSamples(event, userId, receivedDate) {
+  if (!['registered', 'received'].includes(event.status)) {
+    throw new ProficiencyError('Samples can only be accessioned before results are submitted');
+  }
+  const pending = event.samples.filter(s => !s.order);
+  if (pending.length === 0) {
+    throw new ProficiencyError('All samples are already accessioned');
+  }
+
+  const patient = await proficiencyPatient(userId);
+  const received = receivedDate ? new Date(receivedDate) : (event.receivedDate || new Date());
+  const orders = [];
+
+  for (const sample of pending) {
+    const order = new Order({
+      orderNumber: await Order.generateOrderNumber(),
+      patient: patient._id,
+      tests: [{
+        test: sample.test,
+        testModel: 'PCRTest',
+        status: 'collected',
+        sampleCollectedAt: received,
+        sampleCollectedBy: userId
+      }],
+      orderingPhysician: { name: `${event.provider} proficiency testing` },
+      proficiencyTest: { event: event._id, sampleId: sample.sampleId },
+      specimenType: sample.specimenType,
+      collectionDate: received,
+      receivedDate: received,
+      receivedBy: userId,
+      accessionNumber: await Order.generateAccessionNumber(),
+      accessionDate: new Date(),
+      accessionedBy: userId,
+      accessionNotes: `PT ${event.provider} ${event.eventId} sample ${sample.sampleId}`,
+      status: 'accessioned',
+      orderType: 'manual',
+      orderSource: 'proficiency_testing',
+      totalAmount: 0,
+      createdBy: userId
+    });
+    await order.save();
+    sample.order = order._id;
+    orders.push(order);
+  }
+
+  event.receivedDate = received;
+  event.status = 'received';
+  await event.save();
+  return orders;
+}
+
+// Interpretation of the analyte in the PCR result, or null when not reported
+function resultFor(result, analyteName) {
+  const name = analyteName.toLowerCase();
+  const target = (result.targetResults || []).find(t => t.targetName.toLowerCase() === name);
+  if (target) return target.interpretation;
+  const marker = (result.resistanceResults || []).find(m => m.markerName.toLowerCase() === name);
+  return marker ? marker.interpretation : null;
+}
+
+// Fill in submitted results from the latest released PCR result of each
+// sample. Results already entered by hand are kept. Returns the samples that
+// still have no released result.
+async function collectResults(event) {
+  if (!['received', 'registered'].includes(event.status)) {
+    throw new ProficiencyError('Results have already been submitted');
+  }
+
+  const missing = [];
+  for (const sample of event.samples) {
+    const result = sample.order
+      ? await PCRResult.findOne({ order: sample.order, test: sample.test, status: { $in: ['Final', 'Amended'] } })
+        .sort({ updatedAt: -1 })
+      : null;
+    if (!result) {
+      missing.push(sample.sampleId);
+      continue;
+    }
+
+    sample.result = result._id;
+    sample.analytes.forEach(analyte => {
+      if (analyte.submittedResult) return;
+      const value = resultFor(result, analyte.name);
+      if (value) analyte.submittedResult = value;
+    });
+  }
+
+  await event.save();
+  return missing;
+}
+
+// Save hand-entered submitted results: [{ sampleId, analytes: [{ name, submittedResult }] }]
+async function recordResults(event, samples = []) {
+  if (!['received', 'registered'].includes(event.status)) {
+    throw new ProficiencyError('Results have already been submitted');
+  }
+
+  samples.forEach(entry => {
+    const sample = event.samples.find(s => s.sampleId === entry.sampleId);
+    if (!sample) {
+      throw new ProficiencyError(`Sample ${entry.sampleId} is not part of this event`);
+    }
+    (entry.analytes || []).forEach(({ name, submittedResult }) => {
+      const analyte = sample.analytes.find(a => a.name === name);
+      if (!analyte) {
+        throw new ProficiencyError(`${name} is not an analyte of sample ${sample.sampleId}`);
+      }
+      analyte.submittedResult = submittedResult;
+    });
+  });
+
+  await event.save();
+  return event;
+}
+
+// Record that the results went to the provider. Every analyte needs a result.
+async function submitResults(event, userId) {
+  if (event.status !== 'received') {
+    throw new ProficiencyError(event.status === 'registered'
+      ? 'Accession the samples before submitting results'
+      : 'Results have already been submitted');
+  }
+  const missing = [];
+  event.samples.forEach(sample => sample.analytes.forEach(analyte => {
+    if (!analyte.submittedResult) missing.push(`${sample.sampleId} ${analyte.name}`);
+  }));
+  if (missing.length > 0) {
+    throw new ProficiencyError(`No result for: ${missing.join(', ')}`);
+  }
+
+  event.status = 'submitted';
+  event.submittedAt = new Date();
+  event.submittedBy = userId;
+  await event.save();
+  return event;
+}
+
+// Record the provider's evaluation: [{ sampleId, name, expectedResult, grade, comment }].
+// Each unacceptable analyte opens a corrective action.
+async function recordGrades(event, grades = [], userId) {
+  if (!['submitted', 'graded'].includes(event.status)) {
+    throw new ProficiencyError('Only submitted events can be graded');
+  }
+
+  grades.forEach(entry => {
+    const sample = event.samples.find(s => s.sampleId === entry.sampleId);
+    const analyte = sample && sample.analytes.find(a => a.name === entry.name);
+    if (!analyte) {
+      throw new ProficiencyError(`${entry.name} is not an analyte of sample ${entry.sampleId}`);
+    }
+    analyte.expectedResult = entry.expectedResult;
+    analyte.grade = entry.grade;
+    analyte.comment = entry.comment;
+
+    const existing = event.correctiveActions.find(a => a.sampleId === entry.sampleId && a.analyte === entry.name);
+    if (entry.grade === 'unacceptable' && !existing) {
+      event.correctiveActions.push({ sampleId: entry.sampleId, analyte: entry.name });
+    }
+  });
+
+  const analytes = event.samples.flatMap(s => s.analytes);
+  if (analytes.some(a => a.grade === 'pending')) {
+    throw new ProficiencyError('Grade every analyte (use "not graded" for analytes the provider did not score)');
+  }
+  const graded = analytes.filter(a => a.grade !== 'not_graded');
+  event.score = graded.length > 0
+    ? Math.round(graded.filter(a => a.grade === 'acceptable').length / graded.length * 1000) / 10
+    : null;
+  event.status = 'graded';
+  event.gradedAt = new Date();
+  event.gradedBy = userId;
+  await event.save();
+  return event;
+}
+
+// Document the investigation of an unacceptable result; completing it
+// requires a root cause and the action taken
+async function updateCorrectiveAction(event, actionId, { investigation, rootCause, action, complete }, userId) {
+  const entry = event.correctiveActions.id(actionId);
+  if (!entry) {
+    throw new ProficiencyError('Corrective action not found');
+  }
+  if (entry.status === 'completed') {
+    throw new ProficiencyError('Corrective action is already completed');
+  }
+
+  if (investigation !== undefined) entry.investigation = investigation;
+  if (rootCause !== undefined) entry.rootCause = rootCause || undefined;
+  if (action !== undefined) entry.action = action;
+
+  if (complete) {
+    if (!entry.rootCause || !entry.action) {
+      throw new ProficiencyError('Root cause and the action taken are required to complete a corrective action');
+    }
+    entry.status = 'completed';
+    entry.completedAt = new Date();
+    entry.completedBy = userId;
+  }
+
+  await event.save();
+  return entry;
+}
+
+async function closeEvent(event, userId) {
+  if (event.status !== 'graded') {
+    throw new ProficiencyError('Only graded events can be closed');
+  }
+  if (event.correctiveActions.some(a => a.status !== 'completed')) {
+    throw new ProficiencyError('Complete all corrective actions before closing the event');
+  }
+
+  event.status = 'closed';
+  event.closedAt = new Date();
+  event.closedBy = userId;
+  await event.save();
+  return event;
+}
+
+// Events due soon or overdue for submission, and open corrective actions
+async function proficiencyAlerts(days = DUE_WARNING_DAYS) {
+  const now = new Date();
+  const [due, withOpenActions] = await Promise.all([
+    ProficiencyEvent.find({
+      status: { $in: ['registered', 'received'] },
+      dueDate: { $lte: new Date(now.getTime() + days * DAY_MS) }
+    }).select('provider program eventId dueDate status').sort({ dueDate: 1 }),
+    ProficiencyEvent.find({ 'correctiveActions.status': 'open' })
+      .select('provider program eventId correctiveActions')
+  ]);
+
+  return {
+    overdue: due.filter(e => e.dueDate < now),
+    dueSoon: due.filter(e => e.dueDate >= now),
+    openCorrectiveActions: withOpenActions.flatMap(e => e.correctiveActions
+      .filter(a => a.status === 'open')
+      .map(a => ({ event: e._id, provider: e.provider, eventId: e.eventId, sampleId: a.sampleId, analyte: a.analyte })))
+  };
+}
+
+module.exports = {
+  DUE_WARNING_DAYS,
+  PATIENT_ORDERS,
+  ProficiencyError,
+  isProficiencyResult,
+  proficiencyPatient,
+  accessionSamples,
+  collectResults,
+  recordResults,
+  submitResults,
+  recordGrades,
+  updateCorrectiveAction,
+  closeEvent,
+  proficiencyAlerts
+};
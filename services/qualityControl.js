@@ -0,0 +1,298 @@
+// services/qualityControl.js
+// QC values per material lot, Westgard multirule evaluation and the release
+// lock. Each value is scored as z = (value - mean) / SD against the lot's
+// targets and checked with the previous values of the same lot:
+//   1-2s  one value beyond 2 SD (warning only)
+//   1-3s  one value beyond 3 SD
+//   2-2s  two consecutive values beyond 2 SD on the same side
+//   R-4s  two consecutive values beyond 2 SD on opposite sides
+//   4-1s  four consecutive values beyond 1 SD on the same side
+//   10x   ten consecutive values on the same side of the mean
+// A rejection keeps results for the test from being released until someone
+// records the corrective action.
+const QCMaterial = require('../models/QCMaterial');
+const QCRecord = require('../models/QCRecord');
+
+const RULE_SEVERITY = {
+  '1-2s': 'warning',
+  '1-3s': 'rejection',
+  '2-2s': 'rejection',
+  'R-4s': 'rejection',
+  '4-1s': 'rejection',
+  '10x': 'rejection'
+};
+
+// Values needed to evaluate the longest rule (10x)
+const HISTORY_SIZE = 10;
+
+class QCError extends Error {}
+
+function sameSide(zScores, limit) {
+  return zScores.every(z => z > limit) || zScores.every(z => z < -limit);
+}
+
+// Rules violated by the newest z-score. zScores run oldest to newest.
+function evaluateWestgard(zScores, enabledRules = Object.keys(RULE_SEVERITY)) {
+  const last = n => (zScores.length >= n ? zScores.slice(-n) : null);
+  const current = zScores[zScores.length - 1];
+  const checks = {
+    '1-2s': () => Math.abs(current) > 2 && `Value is ${current.toFixed(2)} SD from the mean`,
+    '1-3s': () => Math.abs(current) > 3 && `Value is ${current.toFixed(2)} SD from the mean`,
+    '2-2s': () => last(2) && sameSide(last(2), 2) && 'Two consecutive values beyond 2 SD on the same side',
+    'R-4s': () => {
+      const pair = last(2);
+      return pair && Math.max(...pair) > 2 && Math.min(...pair) < -2 &&
+        'Consecutive values beyond 2 SD on opposite sides';
+    },
+    '4-1s': () => last(4) && sameSide(last(4), 1) && 'Four consecutive values beyond 1 SD on the same side',
+    '10x': () => last(10) && sameSide(last(10), 0) && 'Ten consecutive values on the same side of the mean'
+  };
+
+  const violations = [];
+  for (const rule of enabledRules) {
+    const message = checks[rule] && checks[rule]();
+    if (message) violations.push({ rule, severity: RULE_SEVERITY[rule], message });
+  }
+  return violations;
+}
+
+// Score a record against its lot and the values recorded before it
+async function evaluateRecord(record, material) {
+  record.zScore = (record.value - record.mean) / record.sd;
+
+  const history = await QCRecord.find({
+    material: record.material,
+    lot: record.lot,
+    runDate: { $lt: record.runDate },
+    _id: { $ne: record._id }
+  }).sort({ runDate: -1 }).limit(HISTORY_SIZE - 1).select('zScore');
+
+  const zScores = [...history.reverse().map(r => r.zScore), record.zScore];
+  record.violations = evaluateWestgard(zScores, material.rules);
+  if (record.violations.some(v => v.severity === 'rejection')) {
+    record.status = 'rejected';
+  } else {
+    record.status = record.violations.length > 0 ? 'warning' : 'accepted';
+  }
+}
+
+// Record a QC value. Values from a PCR run or result replace the earlier
+// value for the same run/result (e.g. when controls are re-recorded).
+async function recordValue(material, { value, runDate, lotId, comment, source, pcrRun, pcrResult }, userId) {
+  const lot = lotId ? material.lots.id(lotId) : material.currentLot();
+  if (!lot) {
+    throw new QCError(lotId ? 'Lot not found for this material' : `${material.name} has no active lot`);
+  }
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new QCError('A numeric QC value is required');
+  }
+
+  let record = null;
+  if (pcrRun) record = await QCRecord.findOne({ material: material._id, pcrRun });
+  if (pcrResult) record = await QCRecord.findOne({ material: material._id, pcrResult });
+  if (!record) {
+    record = new QCRecord({
+      material: material._id,
+      test: material.test,
+      testModel: material.testModel,
+      source: source || 'manual',
+      pcrRun,
+      pcrResult,
+      performedBy: userId
+    });
+  }
+
+  Object.assign(record, {
+    lot: lot._id,
+    lotNumber: lot.lotNumber,
+    value,
+    mean: lot.mean,
+    sd: lot.sd,
+    runDate: runDate || record.runDate || new Date(),
+    comment
+  });
+  await evaluateRecord(record, material);
+  return record.save();
+}
+
+// Feed the run positive control Ct to the test's positive control materials
+async function recordRunControls(run, userId) {
+  const ct = run.controls && run.controls.positiveControlCt;
+  if (typeof ct !== 'number') return [];
+
+  const materials = await QCMaterial.find({ test: run.test, source: 'positive_control_ct', active: true });
+  const records = [];
+  for (const material of materials) {
+    if (!material.currentLot()) continue;
+    records.push(await recordValue(material, {
+      value: ct,
+      runDate: run.controls.recordedDate || run.runDate,
+      source: 'positive_control_ct',
+      pcrRun: run._id
+    }, userId));
+  }
+  return records;
+}
+
+// Feed a result's internal control Ct to the test's internal control materials
+async function recordInternalControl(result, userId) {
+  const ct = result.qualityControl && result.qualityControl.internalControlCt;
+  if (typeof ct !== 'number') return [];
+
+  const materials = await QCMaterial.find({ test: result.test, source: 'internal_control_ct', active: true });
+  const records = [];
+  for (const material of materials) {
+    if (!material.currentLot()) continue;
+    records.push(await recordValue(material, {
+      value: ct,
+      runDate: result.performedDate || new Date(),
+      source: 'internal_control_ct',
+      pcrResult: result._id
+    }, userId));
+  }
+  return records;
+}
+
+// Unresolved rejections for a test, newest first
+function openRejections(testId) {
+  return QCRecord.find({ test: testId, status: 'rejected', resolvedAt: null })
+    .populate('material', 'name level')
+    .sort({ runDate: -1 });
+}
+
+// Why results for the test cannot be released, or null when QC is in control
+async function releaseBlock(testId) {
+  const [record] = await openRejections(testId);
+  if (!record) return null;
+  const rules = record.violations.filter(v => v.severity === 'rejection').map(v => v.rule).join(', ');
+  const material = record.material ? record.material.name : 'QC';
+  return `QC rejected (${rules}) for ${material} lot ${record.lotNumber} on ${record.runDate.toLocaleString()}; ` +
+    'record the corrective action before releasing results';
+}
+
+function resolveRejection(record, correctiveAction, userId) {
+  if (record.status !== 'rejected') {
+    throw new QCError('Only rejected QC values need a corrective action');
+  }
+  if (record.resolvedAt) {
+    throw new QCError('This rejection was already resolved');
+  }
+  record.resolvedAt = new Date();
+  record.resolvedBy = userId;
+  record.correctiveAction = correctiveAction;
+  return record.save();
+}
+
+function describeValues(values) {
+  const n = values.length;
+  if (n === 0) return { n: 0 };
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)) : null;
+  return { n, mean, sd, cv: sd !== null && mean !== 0 ? (sd / mean) * 100 : null };
+}
+
+// Levey-Jennings chart data for one lot (the current lot by default)
+async function leveyJennings(material, { lotId, startDate, endDate } = {}) {
+  const lot = lotId ? material.lots.id(lotId) : material.currentLot() || material.lots[material.lots.length - 1];
+  if (!lot) {
+    throw new QCError(`${material.name} has no lots`);
+  }
+
+  const filter = { material: material._id, lot: lot._id };
+  if (startDate || endDate) {
+    filter.runDate = {};
+    if (startDate) filter.runDate.$gte = new Date(startDate);
+    if (endDate) filter.runDate.$lte = new Date(endDate);
+  }
+  const records = await QCRecord.find(filter).sort({ runDate: 1 }).limit(500);
+
+  const limits = {};
+  [-3, -2, -1, 0, 1, 2, 3].forEach(k => {
+    limits[k === 0 ? 'mean' : `${k > 0 ? '+' : ''}${k}sd`] = lot.mean + k * lot.sd;
+  });
+
+  return {
+    material: { _id: material._id, name: material.name, level: material.level, unit: material.unit },
+    lot: { _id: lot._id, lotNumber: lot.lotNumber, mean: lot.mean, sd: lot.sd, expirationDate: lot.expirationDate },
+    limits,
+    points: records.map(r => ({
+      _id: r._id,
+      runDate: r.runDate,
+      value: r.value,
+      zScore: r.zScore,
+      status: r.status,
+      violations: r.violations.map(v => v.rule),
+      resolved: !!r.resolvedAt
+    })),
+    observed: describeValues(records.map(r => r.value))
+  };
+}
+
+// Per-material QC performance for the quality control report
+async function qcSummary({ startDate, endDate } = {}) {
+  const match = {};
+  if (startDate || endDate) {
+    match.runDate = {};
+    if (startDate) match.runDate.$gte = new Date(startDate);
+    if (endDate) match.runDate.$lte = new Date(endDate);
+  }
+
+  const [materials, violations] = await Promise.all([
+    QCRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { material: '$material', lotNumber: '$lotNumber' },
+          n: { $sum: 1 },
+          observedMean: { $avg: '$value' },
+          observedSd: { $stdDevSamp: '$value' },
+          targetMean: { $last: '$mean' },
+          targetSd: { $last: '$sd' },
+          warnings: { $sum: { $cond: [{ $eq: ['$status', 'warning'] }, 1, 0] } },
+          rejections: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          unresolved: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'rejected'] }, { $not: ['$resolvedAt'] }] }, 1, 0] }
+          }
+        }
+      },
+      { $lookup: { from: 'qcmaterials', localField: '_id.material', foreignField: '_id', as: 'material' } },
+      {
+        $project: {
+          _id: 0,
+          material: '$_id.material',
+          lotNumber: '$_id.lotNumber',
+          name: { $arrayElemAt: ['$material.name', 0] },
+          level: { $arrayElemAt: ['$material.level', 0] },
+          n: 1, observedMean: 1, observedSd: 1, targetMean: 1, targetSd: 1,
+          warnings: 1, rejections: 1, unresolved: 1
+        }
+      },
+      { $sort: { name: 1, lotNumber: 1 } }
+    ]),
+    QCRecord.aggregate([
+      { $match: match },
+      { $unwind: '$violations' },
+      { $group: { _id: '$violations.rule', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return {
+    materials,
+    violationsByRule: violations.map(v => ({ rule: v._id, count: v.count }))
+  };
+}
+
+module.exports = {
+  RULE_SEVERITY,
+  QCError,
+  evaluateWestgard,
+  recordValue,
+  recordRunControls,
+  recordInternalControl,
+  openRejections,
+  releaseBlock,
+  resolveRejection,
+  leveyJennings,
+  qcSummary
+};
@@ -0,0 +1,131 @@
+// services/referenceRanges.js
+// Server-side selection of the reference range for each result parameter from
+// Test.normalRanges, by the patient's sex and age when the result was performed
+const Test = require('../models/Test');
+const Patient = require('../models/Patient');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Coarse bands used when a range has no precise ageMin/ageMax, in days
+const AGE_GROUPS = {
+  neonatal: [0, 28],
+  pediatric: [0, 18 * 365.25],
+  adult: [18 * 365.25, 65 * 365.25],
+  geriatric: [65 * 365.25, Infinity]
+};
+
+const DAYS_PER_UNIT = { days: 1, months: 30.4375, years: 365.25 };
+
+// Age at the given date, computed the same way as the Patient age virtual
+function ageAt(dateOfBirth, at = new Date()) {
+  const birth = new Date(dateOfBirth);
+  let years = at.getFullYear() - birth.getFullYear();
+  const monthDiff = at.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && at.getDate() < birth.getDate())) {
+    years--;
+  }
+  const days = Math.max(0, Math.floor((at - birth) / DAY_MS));
+  return { days, years: Math.max(0, years) };
+}
+
+function describeAge(age) {
+  if (age.days < 28) return `${age.days} day${age.days === 1 ? '' : 's'}`;
+  if (age.years < 2) return `${Math.floor(age.days / DAYS_PER_UNIT.months)} months`;
+  return `${age.years} years`;
+}
+
+function ageMatches(range, age) {
+  const hasBand = typeof range.ageMin === 'number' || typeof range.ageMax === 'number';
+  if (hasBand) {
+    const unit = range.ageUnit || 'years';
+    // Whole years compare like the age virtual; smaller units use elapsed days
+    const value = unit === 'years' ? age.years : age.days / DAYS_PER_UNIT[unit];
+    if (typeof range.ageMin === 'number' && value < range.ageMin) return false;
+    if (typeof range.ageMax === 'number' && value >= range.ageMax) return false;
+    return true;
+  }
+  if (!range.ageGroup || range.ageGroup === 'all') return true;
+  const [min, max] = AGE_GROUPS[range.ageGroup];
+  return age.days >= min && age.days < max;
+}
+
+// Width of the age band in days, for preferring the narrowest match
+function bandWidth(range) {
+  if (typeof range.ageMin === 'number' || typeof range.ageMax === 'number') {
+    const perUnit = DAYS_PER_UNIT[range.ageUnit || 'years'];
+    return ((typeof range.ageMax === 'number' ? range.ageMax : 150) - (range.ageMin || 0)) * perUnit;
+  }
+  if (!range.ageGroup || range.ageGroup === 'all') return Infinity;
+  const [min, max] = AGE_GROUPS[range.ageGroup];
+  return (max === Infinity ? 150 * 365.25 : max) - min;
+}
+
+// Most specific range for the parameter: a sex-specific range beats 'all',
+// then the narrowest matching age band wins
+function selectRange(ranges, parameter, patient, at) {
+  const age = ageAt(patient.dateOfBirth, at);
+  const candidates = (ranges || []).filter(r =>
+    r.parameter && r.parameter.trim().toLowerCase() === parameter.trim().toLowerCase() &&
+    (!r.gender || r.gender === 'all' || r.gender === patient.gender) &&
+    ageMatches(r, age)
+  );
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => {
+    const sexA = a.gender && a.gender !== 'all' ? 1 : 0;
+    const sexB = b.gender && b.gender !== 'all' ? 1 : 0;
+    return (sexB - sexA) || (bandWidth(a) - bandWidth(b));
+  });
+  return { range: candidates[0], age };
+}
+
+// Resolve and snapshot the reference range of every parameter on a Result
+// (not saved). Parameters with no configured range keep what the client sent.
+async function applyReferenceRanges(result) {
+  const [test, patient] = await Promise.all([
+    Test.findById(result.test && result.test._id ? result.test._id : result.test).select('normalRanges'),
+    Patient.findById(result.patient && result.patient._id ? result.patient._id : result.patient).select('dateOfBirth gender')
+  ]);
+  if (!test || !patient || !patient.dateOfBirth) return result;
+
+  const at = result.performedDate || new Date();
+  const now = new Date();
+
+  result.parameters.forEach(param => {
+    const selected = selectRange(test.normalRanges, param.name, patient, at);
+    if (!selected) {
+      if (param.referenceRange && (param.referenceRange.min !== undefined || param.referenceRange.text)) {
+        param.referenceRange.source = 'client';
+      }
+      return;
+    }
+
+    const { range, age } = selected;
+    param.referenceRange = {
+      min: range.minValue,
+      max: range.maxValue,
+      criticalLow: range.criticalLow,
+      criticalHigh: range.criticalHigh,
+      text: range.text,
+      source: 'test',
+      rangeId: range._id,
+      gender: range.gender,
+      ageGroup: range.ageGroup,
+      ageMin: range.ageMin,
+      ageMax: range.ageMax,
+      ageUnit: range.ageUnit,
+      patientAge: describeAge(age),
+      patientGender: patient.gender,
+      appliedAt: now
+    };
+    if (!param.unit && range.unit) param.unit = range.unit;
+  });
+
+  return result;
+}
+
+module.exports = {
+  ageAt,
+  selectRange,
+  applyReferenceRanges
+};
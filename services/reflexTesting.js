@@ -0,0 +1,96 @@
+// services/reflexTesting.js
+// Adds reflex tests to the original order when a released result meets a
+// configured ReflexRule
+const ReflexRule = require('../models/ReflexRule');
+const Order = require('../models/Order');
+const PCRResult = require('../models/PCRResult');
+const Result = require('../models/Result');
+
+const includesName = (name, pattern) => name && name.toLowerCase().includes(pattern.toLowerCase());
+
+// Whether a result satisfies every condition of the rule
+function ruleMatches(rule, result, resultModel) {
+  const c = rule.conditions || {};
+
+  if (resultModel === 'PCRResult') {
+    if (c.overallResult && (!result.overallResult || result.overallResult.status !== c.overallResult)) return false;
+
+    const detectedTargets = (result.targetResults || []).filter(t => t.detected).map(t => t.targetName);
+    const targets = c.targetsDetected || [];
+    if (targets.length > 0) {
+      const found = targets.map(pattern => detectedTargets.some(name => includesName(name, pattern)));
+      if (c.targetMatch === 'any' ? !found.some(Boolean) : !found.every(Boolean)) return false;
+    }
+
+    const detectedMarkers = (result.resistanceResults || []).filter(r => r.detected).map(r => r.markerName);
+    if (!(c.markersDetected || []).every(pattern => detectedMarkers.some(name => includesName(name, pattern)))) return false;
+
+    return !c.parameter;
+  }
+
+  if (c.overallResult || (c.targetsDetected || []).length > 0 || (c.markersDetected || []).length > 0) return false;
+  const param = (result.parameters || []).find(p => p.name.toLowerCase() === String(c.parameter).toLowerCase());
+  return !!param && (c.parameterFlags || []).includes(param.flag);
+}
+
+// Evaluate the active rules for a released result's test and append each
+// matching reflex test to the order once. Resolves to the items added.
+async function applyReflexRules(resultId, resultModel = 'PCRResult') {
+  const Model = resultModel === 'PCRResult' ? PCRResult : Result;
+  const result = await Model.findById(resultId);
+  if (!result) return [];
+
+  const released = resultModel === 'PCRResult'
+    ? ['Final', 'Amended'].includes(result.status)
+    : ['final', 'amended'].includes(result.status);
+  if (!released) return [];
+
+  const rules = await ReflexRule.find({ triggerTest: result.test, active: true }).populate('reflexTest', 'testName testCode');
+  const matching = rules.filter(rule => ruleMatches(rule, result, resultModel));
+  if (matching.length === 0) return [];
+
+  const order = await Order.findById(result.order);
+  if (!order || ['cancelled', 'rejected'].includes(order.status)) return [];
+
+  const triggerItem = order.tests.find(t => String(t.test) === String(result.test));
+  const added = [];
+
+  for (const rule of matching) {
+    if (!rule.reflexTest) continue;
+    const reflexTestId = rule.reflexTest._id;
+    const alreadyOrdered = order.tests.some(t => String(t.test) === String(reflexTestId) && t.status !== 'cancelled');
+    if (alreadyOrdered) continue;
+
+    const reason = `${rule.reason} (reflex from result ${result.resultNumber})`;
+    // Reflex tests run on the specimen already in the lab, as add-ons do
+    order.tests.push({
+      test: reflexTestId,
+      testModel: rule.reflexTestModel,
+      status: 'collected',
+      priority: triggerItem ? triggerItem.priority : 'routine',
+      sampleCollectedAt: order.collectionDate,
+      notes: `Reflex: ${reason}`,
+      reflex: {
+        rule: rule._id,
+        sourceResult: result._id,
+        sourceResultModel: resultModel,
+        reason,
+        addedAt: new Date()
+      }
+    });
+    added.push({ rule: rule.name, test: rule.reflexTest.testName, reason });
+  }
+
+  if (added.length === 0) return [];
+
+  await order.calculateTotal();
+  if (order.status !== 'hold') order.updateStatus();
+  await order.save();
+
+  return added;
+}
+
+module.exports = {
+  ruleMatches,
+  applyReflexRules
+};
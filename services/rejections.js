@@ -0,0 +1,253 @@
+// services/rejections.js
+// Specimen rejection follow-up: a linked recollection order, a rejection
+// notice PDF, and notification of the ordering office by its preferred
+// contact method. Email goes out immediately (and is retried by the worker);
+// fax and phone notices wait for staff to send them and record it.
+const Order = require('../models/Order');
+const MedicalOffice = require('../models/MedicalOffice');
+const RejectionNotice = require('../models/RejectionNotice');
+const LaboratorySettings = require('../models/LaboratorySettings');
+const { loadOrderTests } = require('./specimenStability');
+const { buildRejectionNotice } = require('./pdfReports');
+const { sendMail } = require('./mailer');
+
+const MAX_EMAIL_ATTEMPTS = 5;
+
+class RejectionError extends Error {}
+
+// How to reach the office: its contact person's preferred method, falling
+// back to whichever channel has an address. Without an office, the ordering
+// physician is contacted.
+function resolveContact(office, order) {
+  if (!office) {
+    const physician = order.orderingPhysician || {};
+    return {
+      method: physician.email ? 'email' : 'phone',
+      name: physician.name,
+      email: physician.email,
+      phone: physician.phone
+    };
+  }
+
+  const person = office.contactPerson || {};
+  const contact = {
+    method: person.preferredContactMethod || 'phone',
+    name: person.name,
+    email: person.email || (office.email && (office.email.results || office.email.general)),
+    fax: office.fax,
+    phone: person.phone || (office.phone && office.phone.main)
+  };
+  if (contact.method === 'email' && !contact.email) contact.method = contact.fax ? 'fax' : 'phone';
+  if (contact.method === 'fax' && !contact.fax) contact.method = contact.email ? 'email' : 'phone';
+  return contact;
+}
+
+// New pending order for the same patient and tests, linked both ways
+async function createRecollectionOrder(order, userId) {
+  const recollection = new Order({
+    orderNumber: await Order.generateOrderNumber(),
+    patient: order.patient._id || order.patient,
+    tests: order.tests
+      .filter(item => item.status !== 'cancelled')
+      .map(item => ({
+        test: item.test._id || item.test,
+        testModel: item.testModel,
+        priority: item.priority,
+        notes: `Recollection of ${order.orderNumber}`
+      })),
+    orderingPhysician: order.orderingPhysician,
+    medicalOffice: order.medicalOffice && (order.medicalOffice._id || order.medicalOffice),
+    clinicalInfo: order.clinicalInfo,
+    priority: order.priority,
+    specimenType: order.specimenType,
+    orderType: order.orderType,
+    recollectionOf: order._id,
+    createdBy: userId,
+    status: 'pending'
+  });
+  await recollection.calculateTotal();
+  await recollection.save();
+  return recollection;
+}
+
+// Reject the order and start the follow-up. Resolves to the notice and the
+// recollection order; email delivery happens in the background.
+async function rejectSpecimen(order, { reason, comments }, userId) {
+  if (order.status === 'rejected') {
+    throw new RejectionError(`Order ${order.orderNumber} is already rejected`);
+  }
+  if (!reason) {
+    throw new RejectionError('A rejection reason is required');
+  }
+
+  order.status = 'rejected';
+  order.rejectionDate = new Date();
+  order.rejectedBy = userId;
+  order.rejectionReason = reason;
+  order.rejectionComments = comments;
+
+  const recollection = order.tests.some(item => item.status !== 'cancelled')
+    ? await createRecollectionOrder(order, userId)
+    : null;
+  if (recollection) order.recollectionOrder = recollection._id;
+  await order.save();
+
+  const office = order.medicalOffice && await MedicalOffice.findById(order.medicalOffice._id || order.medicalOffice);
+  const notice = new RejectionNotice({
+    order: order._id,
+    medicalOffice: office ? office._id : undefined,
+    reason,
+    comments,
+    contact: resolveContact(office, order),
+    recollectionOrder: recollection ? recollection._id : undefined,
+    recollectionStatus: recollection ? 'outstanding' : 'cancelled',
+    createdBy: userId
+  });
+  await notice.save();
+
+  if (notice.contact.method === 'email') {
+    sendNotice(notice).catch(error => console.error('Rejection notice email error:', error));
+  }
+
+  return { notice, recollection };
+}
+
+// The notice PDF for a rejected order
+async function renderNotice(notice) {
+  const [order, recollection, settings] = await Promise.all([
+    Order.findById(notice.order).populate('patient', 'firstName lastName patientId dateOfBirth gender'),
+    notice.recollectionOrder ? Order.findById(notice.recollectionOrder).select('orderNumber') : null,
+    LaboratorySettings.getCurrent()
+  ]);
+  if (!order) {
+    throw new RejectionError('The rejected order no longer exists');
+  }
+
+  const tests = await loadOrderTests({ tests: order.tests.map(item => ({ ...item.toObject(), status: 'pending' })) });
+  const pdf = await buildRejectionNotice(notice, order, tests, recollection, settings);
+  return { pdf, order, recollection };
+}
+
+// Email the notice with its PDF attached, recording the outcome
+async function sendNotice(notice) {
+  if (notice.contact.method !== 'email') {
+    throw new RejectionError(`This notice goes out by ${notice.contact.method}; record it once sent`);
+  }
+
+  notice.attempts += 1;
+  try {
+    const { pdf, order, recollection } = await renderNotice(notice);
+    await sendMail({
+      to: notice.contact.email,
+      subject: `Specimen rejected - order ${order.orderNumber}`,
+      text: [
+        `Dear ${notice.contact.name || 'colleague'},`,
+        '',
+        `The specimen for order ${order.orderNumber} could not be tested: ${notice.reason.replace(/_/g, ' ')}.`,
+        notice.comments ? notice.comments : null,
+        recollection ? `Please recollect under order ${recollection.orderNumber}.` : 'Please recollect the specimen.',
+        'Collection instructions are in the attached notice.'
+      ].filter(line => line !== null).join('\n'),
+      attachments: [{ filename: `rejection-${order.orderNumber}.pdf`, content: pdf }]
+    });
+    notice.status = 'sent';
+    notice.sentAt = new Date();
+    notice.lastError = undefined;
+  } catch (error) {
+    notice.status = 'failed';
+    notice.lastError = error.message;
+  }
+  return notice.save();
+}
+
+// Record that a faxed or phoned notice was sent
+function markSent(notice, userId, notes) {
+  if (notice.status === 'sent') {
+    throw new RejectionError('Notice was already sent');
+  }
+  notice.status = 'sent';
+  notice.sentAt = new Date();
+  notice.sentBy = userId;
+  notice.sentNotes = notes;
+  return notice.save();
+}
+
+// Called when an order is accessioned: closes the recollection it fulfils
+async function markRecollectionReceived(order) {
+  if (!order.recollectionOf) return null;
+  return RejectionNotice.findOneAndUpdate(
+    { recollectionOrder: order._id, recollectionStatus: 'outstanding' },
+    { recollectionStatus: 'received', recollectionReceivedAt: order.receivedDate || new Date() },
+    { new: true }
+  );
+}
+
+// Outstanding recollections per office, oldest first within each
+async function outstandingByOffice() {
+  return RejectionNotice.aggregate([
+    { $match: { recollectionStatus: 'outstanding' } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$medicalOffice',
+        outstanding: { $sum: 1 },
+        oldest: { $first: '$createdAt' }
+      }
+    },
+    { $lookup: { from: 'medicaloffices', localField: '_id', foreignField: '_id', as: 'office' } },
+    {
+      $project: {
+        outstanding: 1,
+        oldest: 1,
+        officeName: { $ifNull: [{ $arrayElemAt: ['$office.name', 0] }, 'No office'] }
+      }
+    },
+    { $sort: { outstanding: -1 } }
+  ]);
+}
+
+// Retry failed emails. New notices are left to the send started at rejection.
+async function processNoticeQueue() {
+  const pending = await RejectionNotice.find({
+    'contact.method': 'email',
+    status: { $in: ['queued', 'failed'] },
+    attempts: { $lt: MAX_EMAIL_ATTEMPTS },
+    createdAt: { $lt: new Date(Date.now() - 60 * 1000) }
+  }).limit(50);
+
+  for (const notice of pending) {
+    await sendNotice(notice);
+  }
+  return pending.length;
+}
+
+// Periodically retry email notices. The timer does not keep the process alive.
+function startRejectionNoticeWorker(intervalMs = 10 * 60 * 1000) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processNoticeQueue();
+    } catch (error) {
+      console.error('Rejection notice worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RejectionError,
+  resolveContact,
+  rejectSpecimen,
+  renderNotice,
+  sendNotice,
+  markSent,
+  markRecollectionReceived,
+  outstandingByOffice,
+  processNoticeQueue,
+  startRejectionNoticeWorker
+};
@@ -0,0 +1,18 @@
+// services/resultDelivery.js
+// Everything that happens once a PCR result is released (Final or Amended)
+const { sendPCRResult } = require('./hl7Outbound');
+const { queueResultReport } = require('./elr');
+const { applyReflexRules } = require('./reflexTesting');
+
+// Send the result over the office's HL7 interface, queue any public health
+// report and add reflex tests without holding up the caller; delivery
+// failures are logged and retried from the message and ELR submission logs
+function deliverPCRResult(resultId) {
+  sendPCRResult(resultId).catch(error => console.error('HL7 result delivery error:', error));
+  queueResultReport(resultId).catch(error => console.error('ELR queue error:', error));
+  applyReflexRules(resultId, 'PCRResult').catch(error => console.error('Reflex testing error:', error));
+}
+
+module.exports = {
+  deliverPCRResult
+};
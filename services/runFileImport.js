@@ -0,0 +1,433 @@
+// services/runFileImport.js - qPCR instrument run-file import (QuantStudio / CFX exports)
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Order = require('../models/Order');
+const PCRTest = require('../models/PCRTest');
+const PCRResult = require('../models/PCRResult');
+const { findCriticalValues, raiseCriticalValues } = require('./criticalValues');
+const { checkPCRDeltas } = require('./deltaChecks');
+const { recordInternalControl } = require('./qualityControl');
+
+// Ct cut-off for resistance markers, which carry no threshold of their own
+const DEFAULT_REPORTING_THRESHOLD = 35;
+
+// Target names instruments commonly use for the internal control
+const INTERNAL_CONTROL_ALIASES = ['ic', 'ipc', 'internal control', 'rnase p', 'rnasep', 'rp', 'ms2', 'xeno'];
+
+// Column headings by meaning, in order of preference
+const COLUMNS = {
+  well: ['well position', 'well'],
+  sampleId: ['sample name', 'sample', 'sample id', 'sampleid'],
+  target: ['target name', 'target', 'detector name', 'detector'],
+  ct: ['ct', 'cq', 'crt', 'ct value', 'cq value', 'cт'],
+  content: ['task', 'content', 'sample type']
+};
+
+// Well roles that are not patient specimens (QuantStudio "Task", CFX "Content")
+const CONTROL_CONTENT = /(ntc|neg|pos|std|standard|ctrl|control|blank)/i;
+
+class RunFileError extends Error {}
+
+function normalize(value) {
+  return String(value === undefined || value === null ? '' : value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Minimal RFC 4180 parser; the delimiter is taken from the header line
+function parseDelimited(text) {
+  const lines = text.replace(/^﻿/, '').split(/\r\n|\n|\r/);
+  const headerLine = lines.find(line => /sample/i.test(line) && /(ct|cq)/i.test(line)) || lines[0] || '';
+  const delimiter = ['\t', ';', ','].reduce((best, d) =>
+    headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function parseWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new RunFileError(`Could not read workbook: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets.find(ws => /^results$/i.test(ws.name))
+    || workbook.worksheets.find(ws => /cq results|results/i.test(ws.name))
+    || workbook.worksheets[0];
+  if (!sheet) throw new RunFileError('Workbook contains no worksheets');
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, r => {
+    const values = [];
+    r.eachCell({ includeEmpty: true }, (cell, col) => {
+      values[col - 1] = cell.text;
+    });
+    rows.push(values);
+  });
+  return rows;
+}
+
+function parseCt(value) {
+  const text = normalize(value);
+  if (!text || /^(undetermined|n\/a|na|nan|no ct|no cq|-)$/.test(text)) return null;
+  const ct = parseFloat(text);
+  return isNaN(ct) ? null : ct;
+}
+
+// Parse a run export into { rows: [{ well, sampleId, target, ct }], controls }
+async function parseRunFile(buffer, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  let table;
+  if (ext === '.xlsx') {
+    table = await parseWorkbook(buffer);
+  } else if (['.csv', '.txt', '.tsv'].includes(ext)) {
+    table = parseDelimited(buffer.toString('utf8'));
+  } else {
+    throw new RunFileError('Run file must be .csv, .txt, .tsv or .xlsx');
+  }
+
+  // Instrument exports start with a block of run metadata; find the result header
+  let headerIndex = -1;
+  let columns = null;
+  for (let i = 0; i < table.length && headerIndex === -1; i++) {
+    const headings = (table[i] || []).map(normalize);
+    const found = {};
+    Object.keys(COLUMNS).forEach(key => {
+      const match = COLUMNS[key].map(name => headings.indexOf(name)).find(index => index !== -1);
+      if (match !== undefined) found[key] = match;
+    });
+    if (found.sampleId !== undefined && found.target !== undefined && found.ct !== undefined) {
+      headerIndex = i;
+      columns = found;
+    }
+  }
+  if (headerIndex === -1) {
+    throw new RunFileError('Could not find a header row with sample, target and Ct/Cq columns');
+  }
+
+  const rows = [];
+  let controls = 0;
+  table.slice(headerIndex + 1).forEach(cells => {
+    if (!cells) return;
+    const cell = key => (columns[key] !== undefined ? String(cells[columns[key]] || '').trim() : '');
+    const sampleId = cell('sampleId');
+    const target = cell('target');
+    if (!sampleId || !target) return;
+
+    const content = cell('content');
+    if (content && CONTROL_CONTENT.test(content)) {
+      controls++;
+      return;
+    }
+
+    rows.push({
+      well: cell('well'),
+      sampleId,
+      target,
+      ct: parseCt(cell('ct'))
+    });
+  });
+
+  if (rows.length === 0) {
+    throw new RunFileError('Run file contains no specimen wells');
+  }
+  return { rows, controls };
+}
+
+function isInternalControl(targetName, test) {
+  const name = normalize(targetName);
+  const configured = test.qualityControl && normalize(test.qualityControl.internalControl);
+  if (configured && name === configured) return true;
+  return INTERNAL_CONTROL_ALIASES.includes(name);
+}
+
+function byName(list, key, name) {
+  const wanted = normalize(name);
+  return list.find(item => normalize(item[key]) === wanted || (item.gene && normalize(item.gene) === wanted));
+}
+
+// When the same target appears in replicate wells keep the earliest amplification
+function lowestCt(a, b) {
+  if (a === null || a === undefined) return b;
+  if (b === null || b === undefined) return a;
+  return Math.min(a, b);
+}
+
+// Build target/resistance/internal control values for one PCR test from a
+// specimen's rows. Rows claimed here are removed from the pending set.
+function mapRowsToTest(rows, test, pending) {
+  const targets = new Map();
+  const markers = new Map();
+  let internalControlCt;
+  let hasInternalControl = false;
+
+  rows.forEach(row => {
+    if (isInternalControl(row.target, test)) {
+      hasInternalControl = true;
+      internalControlCt = lowestCt(internalControlCt, row.ct);
+      pending.delete(row);
+      return;
+    }
+
+    const target = byName(test.targets, 'name', row.target);
+    if (target) {
+      const existing = targets.get(target.name);
+      targets.set(target.name, { target, ct: lowestCt(existing ? existing.ct : undefined, row.ct) });
+      pending.delete(row);
+      return;
+    }
+
+    const marker = byName(test.resistanceMarkers, 'marker', row.target);
+    if (marker) {
+      const existing = markers.get(marker.marker);
+      markers.set(marker.marker, { marker, ct: lowestCt(existing ? existing.ct : undefined, row.ct) });
+      pending.delete(row);
+    }
+  });
+
+  const targetResults = Array.from(targets.values()).map(({ target, ct }) => {
+    const threshold = target.reportingThreshold || DEFAULT_REPORTING_THRESHOLD;
+    const detected = ct !== null && ct !== undefined && ct <= threshold;
+    return {
+      targetName: target.name,
+      targetCategory: target.category,
+      detected,
+      ctValue: ct === null || ct === undefined ? undefined : ct,
+      interpretation: detected ? 'Detected' : 'Not Detected',
+      clinicalSignificance: detected ? target.clinicalSignificance : undefined
+    };
+  });
+
+  const resistanceResults = Array.from(markers.values()).map(({ marker, ct }) => {
+    const detected = ct !== null && ct !== undefined && ct <= DEFAULT_REPORTING_THRESHOLD;
+    return {
+      markerName: marker.marker,
+      gene: marker.gene,
+      detected,
+      interpretation: detected ? 'Detected' : 'Not Detected',
+      implication: detected ? marker.clinicalImplication : undefined,
+      affectedAntibiotics: detected ? marker.antibioticClass : []
+    };
+  });
+
+  return { targetResults, resistanceResults, hasInternalControl, internalControlCt };
+}
+
+// Replace entries with the same name, keep the rest
+function mergeByName(existing, incoming, key) {
+  const names = incoming.map(item => normalize(item[key]));
+  return existing
+    .map(item => (item.toObject ? item.toObject() : item))
+    .filter(item => !names.includes(normalize(item[key])))
+    .concat(incoming);
+}
+
+// An internal control that did not amplify invalidates negative targets
+// (possible inhibition); detected targets stand on their own amplification.
+function applyInternalControl(result, mapped) {
+  if (mapped.hasInternalControl) {
+    result.qualityControl.internalControlCt = mapped.internalControlCt === null ? undefined : mapped.internalControlCt;
+    result.qualityControl.internalControlResult = mapped.internalControlCt === null ? 'Fail' : 'Pass';
+  } else if (!result.qualityControl.internalControlResult) {
+    result.qualityControl.internalControlResult = result.targetResults.some(t => t.detected) ? 'Pass' : 'Invalid';
+    result.technicalNotes = [result.technicalNotes, 'No internal control well found in run file'].filter(Boolean).join('\n');
+  }
+
+  if (result.qualityControl.internalControlResult !== 'Pass') {
+    result.targetResults.forEach(target => {
+      if (!target.detected) target.interpretation = 'Inhibited';
+    });
+  }
+}
+
+// Match parsed rows to accessioned orders and create or update preliminary
+// PCR results. Every result is validated before any is saved; if one fails
+// (e.g. a Ct above the model's limit) a RunFileError listing the rows is
+// thrown and nothing is saved. With dryRun nothing is saved and invalid rows
+// are reported in the preview.
+async function importRunResults(rows, { userId, dryRun = false, filename, run = null }) {
+  const bySample = new Map();
+  rows.forEach(row => {
+    if (!bySample.has(row.sampleId)) bySample.set(row.sampleId, []);
+    bySample.get(row.sampleId).push(row);
+  });
+
+  const summary = { samples: bySample.size, matched: 0, created: 0, updated: 0, skipped: 0, invalid: 0 };
+  const samples = [];
+  const validated = [];
+
+  for (const [sampleId, sampleRows] of bySample) {
+    const entry = { sampleId, wells: sampleRows.map(r => r.well).filter(Boolean), results: [], warnings: [] };
+    samples.push(entry);
+
+    const order = await Order.findOne({ $or: [{ accessionNumber: sampleId }, { labBarcode: sampleId }] });
+    if (!order) {
+      entry.status = 'unmatched';
+      entry.warnings.push('No order with this accession number or lab barcode');
+      summary.skipped++;
+      continue;
+    }
+    entry.order = { _id: order._id, orderNumber: order.orderNumber, accessionNumber: order.accessionNumber };
+    if (['cancelled', 'rejected'].includes(order.status)) {
+      entry.status = 'skipped';
+      entry.warnings.push(`Order is ${order.status}`);
+      summary.skipped++;
+      continue;
+    }
+
+    const testIds = order.tests.filter(t => t.testModel === 'PCRTest').map(t => t.test);
+    const tests = await PCRTest.find({ _id: { $in: testIds } });
+    if (tests.length === 0) {
+      entry.status = 'skipped';
+      entry.warnings.push('Order has no PCR tests');
+      summary.skipped++;
+      continue;
+    }
+
+    summary.matched++;
+    const pending = new Set(sampleRows);
+
+    for (const test of tests) {
+      const mapped = mapRowsToTest(sampleRows.filter(r => pending.has(r) || isInternalControl(r.target, test)), test, pending);
+      if (mapped.targetResults.length === 0 && mapped.resistanceResults.length === 0) continue;
+
+      let result = await PCRResult.findOne({ order: order._id, test: test._id, status: { $ne: 'Cancelled' } }).sort({ createdAt: -1 });
+      if (result && result.status !== 'Preliminary') {
+        entry.results.push({ test: test.testCode, action: 'skipped' });
+        entry.warnings.push(`${test.testCode} result ${result.resultNumber} is ${result.status}; amend it instead`);
+        continue;
+      }
+
+      const action = result ? 'updated' : 'created';
+      if (!result) {
+        const receivedDate = order.receivedDate || order.accessionDate || new Date();
+        result = new PCRResult({
+          order: order._id,
+          patient: order.patient,
+          test: test._id,
+          // Numbered when saved, once the whole file has validated
+          resultNumber: '(new)',
+          sampleInfo: {
+            sampleType: order.specimenType || test.preferredSampleType || 'other',
+            collectionDate: order.collectionDate || receivedDate,
+            receivedDate,
+            sampleId
+          },
+          qualityControl: {},
+          overallResult: {},
+          performedBy: userId
+        });
+      }
+
+      result.targetResults = mergeByName(result.targetResults, mapped.targetResults, 'targetName');
+      result.resistanceResults = mergeByName(result.resistanceResults, mapped.resistanceResults, 'markerName');
+      applyInternalControl(result, mapped);
+      result.overallResult.status = result.determineOverallStatus();
+      result.technicalNotes = [result.technicalNotes, `Imported from run file ${filename || ''}`.trim()]
+        .filter(Boolean).join('\n');
+      result.performedDate = new Date();
+      if (run && String(run.test) === String(test._id)) {
+        const well = run.wells.find(w => String(w.order) === String(order._id));
+        if (well) {
+          result.run = run._id;
+          result.wellPosition = well.position;
+        } else {
+          entry.warnings.push(`Specimen is not on run ${run.runNumber}`);
+        }
+      }
+
+      const deltaCheck = await checkPCRDeltas(result);
+      if (deltaCheck && deltaCheck.status === 'failed') {
+        deltaCheck.failures.forEach(f => entry.warnings.push(
+          `Delta check: ${f.targetName} was ${f.previousInterpretation} on ${f.previousResultNumber}, now ${f.currentInterpretation}`
+        ));
+      }
+
+      const invalid = result.validateSync();
+      if (invalid) {
+        summary.invalid++;
+        entry.results.push({ test: test.testCode, action: 'invalid' });
+        Object.values(invalid.errors).forEach(e => entry.warnings.push(`${test.testCode}: ${e.message}`));
+        continue;
+      }
+
+      summary[action]++;
+      const item = {
+        test: test.testCode,
+        action,
+        resultNumber: action === 'created' ? undefined : result.resultNumber,
+        overallResult: result.overallResult.status,
+        internalControl: result.qualityControl.internalControlResult,
+        internalControlCt: result.qualityControl.internalControlCt,
+        targets: mapped.targetResults.map(t => ({ name: t.targetName, ct: t.ctValue, detected: t.detected })),
+        resistance: mapped.resistanceResults.map(r => ({ name: r.markerName, detected: r.detected })),
+        critical: dryRun ? (await findCriticalValues(result)).map(c => c.pathogen) : []
+      };
+      entry.results.push(item);
+      validated.push({ result, item });
+    }
+
+    pending.forEach(row => entry.warnings.push(`Target "${row.target}" is not part of any PCR test on this order`));
+    entry.status = entry.results.some(r => r.action === 'invalid')
+      ? 'invalid'
+      : entry.results.some(r => r.action !== 'skipped') ? 'imported' : 'skipped';
+  }
+
+  if (dryRun) return { summary, samples };
+  if (summary.invalid > 0) {
+    const error = new RunFileError(`${summary.invalid} result(s) failed validation; nothing was imported`);
+    error.samples = samples.filter(s => s.status === 'invalid');
+    throw error;
+  }
+
+  for (const { result, item } of validated) {
+    if (item.action === 'created') result.resultNumber = await PCRResult.generateResultNumber();
+    await result.save();
+    await recordInternalControl(result, userId);
+    await raiseCriticalValues(result);
+    item.resultId = result._id;
+    item.resultNumber = result.resultNumber;
+    item.critical = result.criticalValues.map(c => c.pathogen);
+  }
+
+  return { summary, samples };
+}
+
+module.exports = {
+  RunFileError,
+  parseRunFile,
+  importRunResults
+};
@@ -0,0 +1,176 @@
+// services/sequences.js
+// Numbers for orders, accessions, results, runs, patients and manifests, taken
+// from atomic counters so concurrent requests never get the same value. Each
+// sequence is formatted as <prefix><date part><number>[check digit]; formats
+// are configured in LaboratorySettings.sequences and default to the layouts
+// used before counters existed. The number is zero-padded to the width and
+// simply grows past it rather than wrapping.
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const LaboratorySettings = require('../models/LaboratorySettings');
+
+const DATE_PARTS = ['none', 'YYYY', 'YYMM', 'YYMMDD', 'YYYYMMDD'];
+
+// model/field are used once per new counter, to continue after numbers that
+// were issued before the counter existed
+const SEQUENCES = {
+  order: {
+    label: 'Order number',
+    model: 'Order', field: 'orderNumber',
+    defaults: { prefix: '', datePart: 'YYMMDD', width: 3, checkDigit: false }
+  },
+  accession: {
+    label: 'Accession number',
+    model: 'Order', field: 'accessionNumber',
+    defaults: { prefix: 'ACC', datePart: 'YYMMDD', width: 4, checkDigit: false }
+  },
+  result: {
+    label: 'Result number',
+    model: 'Result', field: 'resultNumber',
+    defaults: { prefix: 'RES', datePart: 'YYYYMMDD', width: 4, checkDigit: false }
+  },
+  pcrResult: {
+    label: 'PCR result number',
+    model: 'PCRResult', field: 'resultNumber',
+    defaults: { prefix: 'PCR', datePart: 'YYYYMMDD', width: 4, checkDigit: false }
+  },
+  pcrRun: {
+    label: 'PCR run number',
+    model: 'PCRRun', field: 'runNumber',
+    defaults: { prefix: 'RUN', datePart: 'YYYYMMDD', width: 3, checkDigit: false }
+  },
+  patient: {
+    label: 'Patient ID',
+    model: 'Patient', field: 'patientId',
+    defaults: { prefix: '', datePart: 'none', width: 5, checkDigit: false },
+    start: 10001
+  },
+  manifest: {
+    label: 'Manifest number',
+    model: 'Manifest', field: 'manifestNumber',
+    defaults: { prefix: 'MAN', datePart: 'YYMMDD', width: 3, checkDigit: false }
+  }
+};
+
+class SequenceError extends Error {}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatDatePart(datePart, date) {
+  const yyyy = String(date.getFullYear());
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  switch (datePart) {
+    case 'YYYY': return yyyy;
+    case 'YYMM': return `${yyyy.slice(-2)}${mm}`;
+    case 'YYMMDD': return `${yyyy.slice(-2)}${mm}${dd}`;
+    case 'YYYYMMDD': return `${yyyy}${mm}${dd}`;
+    default: return '';
+  }
+}
+
+// Luhn (mod 10) digit over all digits in the number
+function checkDigit(text) {
+  const digits = text.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// The configured format for a sequence, over its defaults
+function resolveFormat(name, settings) {
+  const sequence = SEQUENCES[name];
+  if (!sequence) {
+    throw new SequenceError(`Unknown sequence: ${name}`);
+  }
+  const configured = (settings && settings.sequences && settings.sequences[name]) || {};
+  const format = { ...sequence.defaults };
+  for (const key of Object.keys(format)) {
+    if (configured[key] !== undefined && configured[key] !== null) format[key] = configured[key];
+  }
+  return format;
+}
+
+function formatNumber(format, seq, date = new Date()) {
+  const number = `${format.prefix}${formatDatePart(format.datePart, date)}${String(seq).padStart(format.width, '0')}`;
+  return format.checkDigit ? `${number}${checkDigit(number)}` : number;
+}
+
+// Highest number already issued under this prefix and date part. Numbers
+// issued before counters existed all have exactly the configured width.
+async function existingMax(name, format, stem) {
+  const { model, field } = SEQUENCES[name];
+  const digits = format.width + (format.checkDigit ? 1 : 0);
+  const last = await mongoose.model(model).findOne(
+    { [field]: new RegExp(`^${escapeRegex(stem)}\\d{${digits}}$`) },
+    { [field]: 1 }
+  ).sort({ [field]: -1 });
+  if (!last) return 0;
+
+  const number = last[field].slice(stem.length, stem.length + format.width);
+  return parseInt(number) || 0;
+}
+
+// Create the counter if needed, starting after any existing numbers. Two
+// processes may race here; the loser's duplicate key error is harmless.
+async function seedCounter(key, name, format, stem) {
+  if (await Counter.exists({ _id: key })) return;
+
+  const start = SEQUENCES[name].start || 1;
+  const seq = Math.max(start - 1, await existingMax(name, format, stem));
+  try {
+    await Counter.updateOne({ _id: key }, { $setOnInsert: { seq } }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Issue the next number in a sequence
+async function nextNumber(name, date = new Date()) {
+  const settings = await LaboratorySettings.getCurrent();
+  const format = resolveFormat(name, settings);
+  const stem = `${format.prefix}${formatDatePart(format.datePart, date)}`;
+  const key = `${name}:${stem}`;
+
+  await seedCounter(key, name, format, stem);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return formatNumber(format, counter.seq, date);
+}
+
+// Every sequence with its current format and an example number, for settings
+function describeSequences(settings) {
+  return Object.entries(SEQUENCES).map(([name, sequence]) => {
+    const format = resolveFormat(name, settings);
+    return {
+      name,
+      label: sequence.label,
+      format,
+      example: formatNumber(format, sequence.start || 1)
+    };
+  });
+}
+
+module.exports = {
+  DATE_PARTS,
+  SEQUENCES,
+  SequenceError,
+  checkDigit,
+  resolveFormat,
+  formatNumber,
+  nextNumber,
+  describeSequences
+};
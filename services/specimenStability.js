@@ -0,0 +1,209 @@
+// services/specimenStability.js
+// Specimen type and stability checks against a test's sample requirements.
+// Stability is modelled per storage temperature; tests without explicit
+// stabilityLimits have them parsed from the free-text stability statement.
+const Test = require('../models/Test');
+const PCRTest = require('../models/PCRTest');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Same classes as Accession.storageTemperature
+const TEMPERATURES = ['room', 'refrigerated', 'frozen', '-80'];
+
+const TEMPERATURE_LABELS = {
+  room: 'at room temperature',
+  refrigerated: 'refrigerated',
+  frozen: 'frozen',
+  '-80': 'at -80°C'
+};
+
+const HOURS_PER_UNIT = {
+  min: 1 / 60, mins: 1 / 60, minute: 1 / 60, minutes: 1 / 60,
+  h: 1, hr: 1, hrs: 1, hour: 1, hours: 1,
+  d: 24, day: 24, days: 24,
+  wk: 168, wks: 168, week: 168, weeks: 168,
+  month: 730, months: 730,
+  yr: 8766, yrs: 8766, year: 8766, years: 8766
+};
+
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?|h|days?|d|weeks?|wks?|months?|years?|yrs?)\b/gi;
+
+// Checked in order, so "-80" is not mistaken for frozen or "2-8" for -80
+const TEMPERATURE_PATTERNS = [
+  ['-80', /(?<![\d\s])\s*-\s*(70|80)\s*°?\s*C?|ultra[- ]?low/i],
+  ['frozen', /(?<![\d\s])\s*-\s*20\s*°?\s*C?|frozen|freez/i],
+  ['refrigerated', /2\s*-\s*8\s*°?\s*C?|refrigerat|\bfridge\b|\b4\s*°\s*C/i],
+  ['room', /room|ambient|\bRT\b|(15|18|20)\s*-\s*(25|30)\s*°?\s*C?/i]
+];
+
+// Temperature class named in free text such as "2-8°C", or null
+function temperatureClass(text) {
+  if (!text) return null;
+  const match = TEMPERATURE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function longestDuration(text) {
+  let longest = null;
+  for (const [, amount, unit] of String(text).matchAll(DURATION_PATTERN)) {
+    const hours = parseFloat(amount) * HOURS_PER_UNIT[unit.toLowerCase()];
+    if (longest === null || hours > longest) longest = hours;
+  }
+  return longest;
+}
+
+// Parse "48 hours at room temperature; 7 days at 2-8°C" into
+// [{ temperature: 'room', hours: 48 }, { temperature: 'refrigerated', hours: 168 }].
+// A clause with no temperature takes defaultTemperature; null means any.
+function parseStability(text, defaultTemperature = null) {
+  if (!text) return [];
+  const limits = [];
+  String(text).split(/[;,\n]|\band\b|\bor\b/i).forEach(clause => {
+    const hours = longestDuration(clause);
+    if (hours === null) return;
+    const temperature = temperatureClass(clause) || defaultTemperature;
+    const existing = limits.find(l => l.temperature === temperature);
+    if (existing) {
+      existing.hours = Math.max(existing.hours, hours);
+    } else {
+      limits.push({ temperature, hours });
+    }
+  });
+  return limits;
+}
+
+// Stability limits for a test: explicit stabilityLimits, else parsed from text
+function stabilityLimits(test) {
+  const requirements = test.sampleRequirements || {};
+  if (Array.isArray(requirements.stabilityLimits) && requirements.stabilityLimits.length > 0) {
+    return requirements.stabilityLimits.map(l => ({ temperature: l.temperature || null, hours: l.hours }));
+  }
+  return parseStability(requirements.stability, temperatureClass(requirements.storageTemperature));
+}
+
+// Hours the specimen may be held at the temperature: undefined when the test
+// has no limits, null when it is not stable at that temperature at all
+function allowedHours(limits, temperature) {
+  if (limits.length === 0) return undefined;
+  if (!temperature) return Math.max(...limits.map(l => l.hours));
+  const exact = limits.find(l => l.temperature === temperature);
+  if (exact) return exact.hours;
+  const any = limits.find(l => !l.temperature);
+  return any ? any.hours : null;
+}
+
+function describeLimits(limits) {
+  return limits.map(l => `${l.hours} h${l.temperature ? ` ${TEMPERATURE_LABELS[l.temperature]}` : ''}`).join(', ');
+}
+
+// Hours from collection to the given time, or null when collection is unknown
+function specimenAgeHours(order, at = new Date()) {
+  if (!order.collectionDate) return null;
+  return Math.round((new Date(at) - new Date(order.collectionDate)) / HOUR_MS * 10) / 10;
+}
+
+// Sample types the test accepts: PCRTest.sampleTypes or Test.sampleType
+function acceptedSampleTypes(test) {
+  if (Array.isArray(test.sampleTypes) && test.sampleTypes.length > 0) return test.sampleTypes;
+  return test.sampleType ? [test.sampleType] : [];
+}
+
+// A generic 'swab' on either side matches any specific swab type
+function sampleTypeMatches(specimenType, accepted) {
+  if (!specimenType) return false;
+  return accepted.some(type =>
+    type === specimenType ||
+    (type === 'swab' && specimenType.endsWith('_swab')) ||
+    (specimenType === 'swab' && type.endsWith('_swab'))
+  );
+}
+
+// Test documents for the order's active items
+async function loadOrderTests(order) {
+  const tests = [];
+  for (const item of order.tests) {
+    if (item.status === 'cancelled') continue;
+    const Model = item.testModel === 'Test' ? Test : PCRTest;
+    const test = await Model.findById(item.test && item.test._id ? item.test._id : item.test).lean();
+    if (test) tests.push(test);
+  }
+  return tests;
+}
+
+// Evaluate the specimen against each test's type and stability requirements.
+// Problems carry an Accession rejectionReason (wrong_tube, temperature or
+// expired) and block; missing information only produces warnings.
+function evaluateSpecimen(order, tests, { temperature, at = new Date() } = {}) {
+  const ageHours = specimenAgeHours(order, at);
+  const problems = [];
+  const warnings = [];
+  let shortest = null;
+
+  tests.forEach(test => {
+    const accepted = acceptedSampleTypes(test);
+    if (accepted.length > 0 && !sampleTypeMatches(order.specimenType, accepted)) {
+      problems.push({
+        test: test._id,
+        testName: test.testName,
+        rejectionReason: 'wrong_tube',
+        message: `${test.testName} requires ${accepted.join(' or ').replace(/_/g, ' ')}; specimen is ${order.specimenType ? order.specimenType.replace(/_/g, ' ') : 'not recorded'}`
+      });
+      return;
+    }
+
+    const limits = stabilityLimits(test);
+    const hours = allowedHours(limits, temperature);
+    if (hours === undefined) return;
+
+    if (hours === null) {
+      problems.push({
+        test: test._id,
+        testName: test.testName,
+        rejectionReason: 'temperature',
+        message: `${test.testName} is not stable ${TEMPERATURE_LABELS[temperature]} (stable ${describeLimits(limits)})`
+      });
+      return;
+    }
+    if (!temperature) {
+      warnings.push(`Transport temperature not declared; ${test.testName} checked against its longest stability (${describeLimits(limits)})`);
+    }
+    if (ageHours === null) {
+      warnings.push(`Collection time not recorded; ${test.testName} stability (${describeLimits(limits)}) cannot be checked`);
+      return;
+    }
+    if (ageHours > hours) {
+      problems.push({
+        test: test._id,
+        testName: test.testName,
+        rejectionReason: 'expired',
+        message: `${test.testName} specimen is ${ageHours} hours old, beyond its ${hours} hour stability${temperature ? ` ${TEMPERATURE_LABELS[temperature]}` : ''}`
+      });
+      return;
+    }
+    if (shortest === null || hours < shortest) shortest = hours;
+  });
+
+  return {
+    status: problems.length > 0 ? 'failed' : warnings.length > 0 ? 'warning' : 'passed',
+    temperature,
+    specimenAgeHours: ageHours,
+    expiresAt: shortest !== null && order.collectionDate
+      ? new Date(new Date(order.collectionDate).getTime() + shortest * HOUR_MS)
+      : undefined,
+    problems,
+    warnings,
+    evaluatedAt: new Date()
+  };
+}
+
+module.exports = {
+  TEMPERATURES,
+  temperatureClass,
+  parseStability,
+  stabilityLimits,
+  specimenAgeHours,
+  acceptedSampleTypes,
+  sampleTypeMatches,
+  loadOrderTests,
+  evaluateSpecimen
+};
@@ -0,0 +1,360 @@
+// services/storage.js
+// Biorepository check-in/check-out, lookup and retention for accessioned
+// specimens and their aliquots. Anywhere an accession number is accepted an
+// aliquot ID (ACC...-1) may be given instead. Every movement is appended to
+// the Accession chain of custody.
+const Accession = require('../models/Accession');
+const Order = require('../models/Order');
+const StorageLocation = require('../models/StorageLocation');
+const { specimenRetention, DEFAULT_RETENTION_DAYS } = require('../data/specimenRetention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StorageError extends Error {}
+
+// The Accession record for an accession number, created from the order the
+// first time the specimen is stored
+async function findOrCreateAccession(accessionNumber, userId) {
+  const existing = await Accession.findOne({ accessionNumber });
+  if (existing) return existing;
+
+  const order = await Order.findOne({ accessionNumber });
+  if (!order) {
+    throw new StorageError(`No accessioned specimen ${accessionNumber}`);
+  }
+
+  return new Accession({
+    order: order._id,
+    accessionNumber,
+    accessionedBy: order.accessionedBy || userId,
+    accessionDate: order.accessionDate || new Date(),
+    specimenCondition: order.specimenCondition,
+    status: order.status === 'rejected' ? 'rejected' : 'accessioned',
+    storageTemperature: order.transportTemperature,
+    retainUntil: retentionDate(order)
+  });
+}
+
+function retentionDate(order) {
+  const days = specimenRetention[order.specimenType] || DEFAULT_RETENTION_DAYS;
+  const from = order.collectionDate || order.accessionDate || new Date();
+  return new Date(new Date(from).getTime() + days * DAY_MS);
+}
+
+// The accession and, for an aliquot ID, the aliquot. With create, an
+// accessioned order without an Accession record gets one.
+async function resolveSpecimen(label, userId, { create = false } = {}) {
+  const accession = await Accession.findOne({ accessionNumber: label });
+  if (accession) return { accession, aliquot: null };
+
+  const parent = await Accession.findOne({ 'aliquots.aliquotId': label });
+  if (parent) return { accession: parent, aliquot: parent.aliquots.find(a => a.aliquotId === label) };
+
+  if (create) return { accession: await findOrCreateAccession(label, userId), aliquot: null };
+  return { accession: null, aliquot: null };
+}
+
+const OCCUPYING = ['stored', 'checked_out'];
+
+// Everything holding a position in a box (stored or checked out)
+async function boxOccupants(boxId) {
+  const accessions = await Accession.find({
+    $or: [
+      { 'storage.box': boxId, 'storage.status': { $in: OCCUPYING } },
+      { aliquots: { $elemMatch: { 'storage.box': boxId, 'storage.status': { $in: OCCUPYING } } } }
+    ]
+  }).select('accessionNumber storage retainUntil aliquots.aliquotId aliquots.storage').lean();
+
+  const occupants = [];
+  const inBox = storage => storage && String(storage.box) === String(boxId) && OCCUPYING.includes(storage.status);
+  accessions.forEach(accession => {
+    if (inBox(accession.storage)) {
+      occupants.push({ label: accession.accessionNumber, storage: accession.storage, retainUntil: accession.retainUntil });
+    }
+    (accession.aliquots || []).forEach(aliquot => {
+      if (inBox(aliquot.storage)) {
+        occupants.push({ label: aliquot.aliquotId, aliquot: true, storage: aliquot.storage, retainUntil: accession.retainUntil });
+      }
+    });
+  });
+  return occupants;
+}
+
+// Positions in use per box id
+async function boxUsage() {
+  const [specimens, aliquots] = await Promise.all([
+    Accession.aggregate([
+      { $match: { 'storage.status': { $in: OCCUPYING } } },
+      { $group: { _id: '$storage.box', used: { $sum: 1 } } }
+    ]),
+    Accession.aggregate([
+      { $match: { 'aliquots.storage.status': { $in: OCCUPYING } } },
+      { $unwind: '$aliquots' },
+      { $match: { 'aliquots.storage.status': { $in: OCCUPYING } } },
+      { $group: { _id: '$aliquots.storage.box', used: { $sum: 1 } } }
+    ])
+  ]);
+
+  const usage = {};
+  [...specimens, ...aliquots].forEach(u => {
+    usage[String(u._id)] = (usage[String(u._id)] || 0) + u.used;
+  });
+  return usage;
+}
+
+function custodyNotes(aliquot, notes) {
+  if (!aliquot) return notes;
+  return notes ? `${aliquot.aliquotId}: ${notes}` : aliquot.aliquotId;
+}
+
+// Store the specimen in a box position, or return a checked-out specimen to
+// its previous position when no box is given
+async function checkIn(label, { box: boxId, position, notes } = {}, userId) {
+  const { accession, aliquot } = await resolveSpecimen(label, userId, { create: true });
+  const target = aliquot || accession;
+  const current = target.storage || {};
+  if (aliquot && aliquot.status !== 'available') {
+    throw new StorageError(`${label} was ${aliquot.status}`);
+  }
+  if (current.status === 'discarded') {
+    throw new StorageError(`${label} was discarded${target.discardedAt ? ` on ${target.discardedAt.toISOString().slice(0, 10)}` : ''}`);
+  }
+  if (current.status === 'stored') {
+    throw new StorageError(`${label} is already stored at ${current.path} ${current.position}`);
+  }
+
+  const returning = !boxId && current.status === 'checked_out';
+  if (returning) {
+    boxId = current.box;
+    position = current.position;
+  }
+  if (!boxId || !position) {
+    throw new StorageError('A box and position are required');
+  }
+
+  const box = await StorageLocation.findById(boxId);
+  if (!box || box.level !== 'box' || !box.active) {
+    throw new StorageError('Specimens can only be stored in an active box');
+  }
+  position = String(position).toUpperCase();
+  if (!box.positionLabels().includes(position)) {
+    throw new StorageError(`${box.name} has no position ${position}`);
+  }
+  // Aliquots are commonly frozen for later testing, so only the primary
+  // specimen is held to its storage temperature
+  if (!aliquot && accession.storageTemperature && box.temperatureClass && accession.storageTemperature !== box.temperatureClass) {
+    throw new StorageError(`${label} must be stored ${accession.storageTemperature}; ${box.path} is ${box.temperatureClass}`);
+  }
+
+  const occupant = (await boxOccupants(box._id)).find(o => o.storage.position === position);
+  if (occupant && occupant.label !== label) {
+    throw new StorageError(`${box.name} ${position} is occupied by ${occupant.label}${occupant.storage.status === 'checked_out' ? ' (checked out)' : ''}`);
+  }
+
+  target.storage = {
+    status: 'stored',
+    box: box._id,
+    position,
+    path: box.path,
+    checkedInAt: new Date(),
+    checkedInBy: userId
+  };
+  if (!aliquot && !accession.storageTemperature) accession.storageTemperature = box.temperatureClass;
+  accession.chainOfCustody.push({
+    action: 'checked_in',
+    performedBy: userId,
+    timestamp: new Date(),
+    location: `${box.path} ${position}`,
+    notes: custodyNotes(aliquot, returning ? `Returned${notes ? `: ${notes}` : ''}` : notes)
+  });
+
+  await accession.save();
+  return { accession, aliquot, storage: target.storage };
+}
+
+// Take the specimen out (e.g. for repeat testing); its position stays reserved
+async function checkOut(label, reason, userId) {
+  const { accession, aliquot } = await resolveSpecimen(label);
+  const target = aliquot || accession;
+  if (!target || !target.storage || target.storage.status !== 'stored') {
+    throw new StorageError(`${label} is not in storage`);
+  }
+
+  target.storage.status = 'checked_out';
+  target.storage.checkedOutAt = new Date();
+  target.storage.checkedOutBy = userId;
+  target.storage.checkedOutReason = reason;
+  accession.chainOfCustody.push({
+    action: 'checked_out',
+    performedBy: userId,
+    timestamp: new Date(),
+    location: `${target.storage.path} ${target.storage.position}`,
+    notes: custodyNotes(aliquot, reason)
+  });
+
+  await accession.save();
+  return { accession, aliquot, storage: target.storage };
+}
+
+// Discard stored specimens or aliquots, freeing their positions. Resolves to
+// the labels discarded and those that could not be.
+async function discard(labels, userId, notes) {
+  const discarded = [];
+  const skipped = [];
+
+  for (const label of labels) {
+    const { accession, aliquot } = await resolveSpecimen(label);
+    const target = aliquot || accession;
+    if (!target || !target.storage || target.storage.status !== 'stored') {
+      skipped.push({ label, reason: 'Not in storage' });
+      continue;
+    }
+
+    const location = `${target.storage.path} ${target.storage.position}`;
+    target.storage.status = 'discarded';
+    if (aliquot) {
+      aliquot.status = 'discarded';
+      aliquot.discardedAt = new Date();
+      aliquot.discardedBy = userId;
+      aliquot.discardReason = notes || 'Retention period ended';
+    } else {
+      accession.discardedAt = new Date();
+      accession.discardedBy = userId;
+    }
+    accession.chainOfCustody.push({
+      action: 'discarded',
+      performedBy: userId,
+      timestamp: new Date(),
+      location,
+      notes: custodyNotes(aliquot, notes)
+    });
+    await accession.save();
+    discarded.push(label);
+  }
+
+  return { discarded, skipped };
+}
+
+// Stored specimens and aliquots whose retention ends on or before the date,
+// in box order so they can be pulled in one pass
+async function discardList(date = new Date()) {
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const accessions = await Accession.find({
+    $or: [{ 'storage.status': 'stored' }, { 'aliquots.storage.status': 'stored' }],
+    retainUntil: { $lte: endOfDay }
+  })
+    .select('accessionNumber order storage retainUntil aliquots.aliquotId aliquots.storage')
+    .populate({ path: 'order', select: 'orderNumber specimenType patient', populate: { path: 'patient', select: 'firstName lastName' } })
+    .lean();
+
+  const due = [];
+  accessions.forEach(accession => {
+    const entry = { accessionNumber: accession.accessionNumber, order: accession.order, retainUntil: accession.retainUntil };
+    if (accession.storage && accession.storage.status === 'stored') {
+      due.push({ ...entry, label: accession.accessionNumber, storage: accession.storage });
+    }
+    (accession.aliquots || []).forEach(aliquot => {
+      if (aliquot.storage && aliquot.storage.status === 'stored') {
+        due.push({ ...entry, label: aliquot.aliquotId, aliquot: true, storage: aliquot.storage });
+      }
+    });
+  });
+
+  return due.sort((a, b) =>
+    a.storage.path.localeCompare(b.storage.path) ||
+    a.storage.position.localeCompare(b.storage.position, undefined, { numeric: true })
+  );
+}
+
+// Where a specimen is, by accession, aliquot, order or specimen barcode
+async function locate(query) {
+  let { accession, aliquot } = await resolveSpecimen(query);
+  if (!accession) {
+    const order = await Order.findOne({
+      $or: [{ orderNumber: query }, { specimenBarcode: query }, { labBarcode: query }]
+    }).select('accessionNumber');
+    if (order && order.accessionNumber) {
+      accession = await Accession.findOne({ accessionNumber: order.accessionNumber });
+      if (!accession) return { label: order.accessionNumber, accessionNumber: order.accessionNumber, stored: false };
+    }
+  }
+  if (!accession) return null;
+
+  const target = aliquot || accession;
+  await accession.populate('chainOfCustody.performedBy', 'firstName lastName');
+  return {
+    label: aliquot ? aliquot.aliquotId : accession.accessionNumber,
+    accessionNumber: accession.accessionNumber,
+    aliquot: aliquot || undefined,
+    stored: !!target.storage && !!target.storage.status,
+    storage: target.storage,
+    retainUntil: accession.retainUntil,
+    storageTemperature: accession.storageTemperature,
+    chainOfCustody: aliquot
+      ? accession.chainOfCustody.filter(c => c.notes && c.notes.startsWith(aliquot.aliquotId))
+      : accession.chainOfCustody
+  };
+}
+
+// Grid of a box's positions and their occupants
+async function boxMap(boxId) {
+  const box = await StorageLocation.findById(boxId);
+  if (!box || box.level !== 'box') {
+    throw new StorageError('Location is not a box');
+  }
+
+  const occupants = await boxOccupants(box._id);
+  const byPosition = {};
+  occupants.forEach(o => { byPosition[o.storage.position] = o; });
+
+  const rows = [];
+  for (let r = 0; r < box.rows; r++) {
+    const row = [];
+    for (let c = 1; c <= box.columns; c++) {
+      const position = `${String.fromCharCode(65 + r)}${c}`;
+      const occupant = byPosition[position];
+      row.push({
+        position,
+        label: occupant ? occupant.label : null,
+        aliquot: occupant ? !!occupant.aliquot : false,
+        status: occupant ? occupant.storage.status : 'empty',
+        retainUntil: occupant ? occupant.retainUntil : null
+      });
+    }
+    rows.push(row);
+  }
+
+  return {
+    box,
+    rows,
+    used: occupants.length,
+    capacity: box.rows * box.columns
+  };
+}
+
+// Re-derive the path (and inherited temperature) of everything below a
+// renamed or moved location
+async function refreshDescendants(location) {
+  const children = await StorageLocation.find({ parent: location._id });
+  for (const child of children) {
+    await child.save();
+    await refreshDescendants(child);
+  }
+}
+
+module.exports = {
+  StorageError,
+  findOrCreateAccession,
+  resolveSpecimen,
+  boxOccupants,
+  boxUsage,
+  checkIn,
+  checkOut,
+  discard,
+  discardList,
+  locate,
+  boxMap,
+  refreshDescendants
+};
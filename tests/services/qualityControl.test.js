@@ -0,0 +1,51 @@
+// tests/services/qualityControl.test.js
+const { evaluateWestgard } = require('../../services/qualityControl');
+
+const rules = zScores => evaluateWestgard(zScores).map(v => v.rule);
+
+describe('evaluateWestgard', () => {
+  test('accepts values within 2 SD', () => {
+    expect(evaluateWestgard([0.5, -1.2, 1.9])).toEqual([]);
+  });
+
+  test('1-2s is a warning at just over 2 SD', () => {
+    const violations = evaluateWestgard([0.1, 2.01]);
+    expect(violations).toEqual([expect.objectContaining({ rule: '1-2s', severity: 'warning' })]);
+  });
+
+  test('exactly 2 SD does not count as beyond 2 SD', () => {
+    expect(rules([2, 2.5])).not.toContain('2-2s');
+    expect(rules([-2, 2.5])).not.toContain('R-4s');
+  });
+
+  test('2-2s needs both values beyond 2 SD on the same side', () => {
+    expect(rules([2.1, 2.5])).toContain('2-2s');
+    expect(rules([-2.1, -2.5])).toContain('2-2s');
+    expect(rules([1.9, 2.5])).not.toContain('2-2s');
+  });
+
+  test('R-4s needs the pair beyond 2 SD on opposite sides', () => {
+    expect(rules([2.1, -2.1])).toEqual(['1-2s', 'R-4s']);
+    expect(rules([-2.5, 2.5])).toContain('R-4s');
+    expect(rules([1.9, -2.5])).not.toContain('R-4s');
+  });
+
+  test('a single value needs history for the multi-value rules', () => {
+    expect(rules([3.5])).toEqual(['1-2s', '1-3s']);
+  });
+
+  test('10x needs ten values on the same side of the mean', () => {
+    expect(rules(Array(9).fill(0.5))).toEqual([]);
+    expect(rules(Array(10).fill(0.5))).toEqual(['10x']);
+    expect(rules([...Array(9).fill(0.5), -0.5])).toEqual([]);
+  });
+
+  test('4-1s needs four values beyond 1 SD on the same side', () => {
+    expect(rules([1.5, 1.2, 1.1])).toEqual([]);
+    expect(rules([1.5, 1.2, 1.1, 1.3])).toEqual(['4-1s']);
+  });
+
+  test('only evaluates the enabled rules', () => {
+    expect(evaluateWestgard([2.1, 2.5], ['R-4s'])).toEqual([]);
+  });
+});
@@ -0,0 +1,33 @@
+// tests/services/sequences.test.js
+const { checkDigit, formatNumber } = require('../../services/sequences');
+
+describe('checkDigit', () => {
+  test('computes the Luhn digit', () => {
+    expect(checkDigit('7992739871')).toBe('3');
+    expect(checkDigit('4111111111111111'.slice(0, -1))).toBe('1');
+  });
+
+  test('ignores the prefix and other non-digits', () => {
+    expect(checkDigit('ACC7992739871')).toBe(checkDigit('7992739871'));
+  });
+});
+
+describe('formatNumber', () => {
+  const date = new Date(2026, 9, 19);
+
+  test('pads the number to the width after the prefix and date part', () => {
+    expect(formatNumber({ prefix: 'ACC', datePart: 'YYMMDD', width: 4, checkDigit: false }, 7, date))
+      .toBe('ACC2610190007');
+  });
+
+  test('grows past the width rather than wrapping', () => {
+    expect(formatNumber({ prefix: 'RUN', datePart: 'none', width: 3, checkDigit: false }, 1234, date))
+      .toBe('RUN1234');
+  });
+
+  test('appends the check digit over the whole number', () => {
+    const format = { prefix: 'P', datePart: 'none', width: 10, checkDigit: true };
+    expect(formatNumber(format, 7992739871, date)).toBe('P79927398713');
+    expect(formatNumber(format, 1, date)).toBe('P0000000001' + checkDigit('0000000001'));
+  });
+});
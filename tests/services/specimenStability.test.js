@@ -0,0 +1,48 @@
+// tests/services/specimenStability.test.js
+const { temperatureClass, parseStability } = require('../../services/specimenStability');
+
+describe('temperatureClass', () => {
+  test('tells 2-8°C, -20°C and -80°C apart', () => {
+    expect(temperatureClass('2-8°C')).toBe('refrigerated');
+    expect(temperatureClass('-20°C')).toBe('frozen');
+    expect(temperatureClass('-80°C')).toBe('-80');
+    expect(temperatureClass('-70 C')).toBe('-80');
+  });
+
+  test('recognises room temperature wording', () => {
+    expect(temperatureClass('room temperature')).toBe('room');
+    expect(temperatureClass('15-25°C')).toBe('room');
+    expect(temperatureClass('on the bench')).toBeNull();
+  });
+});
+
+describe('parseStability', () => {
+  test('parses a limit per temperature', () => {
+    expect(parseStability('48 hours at room temperature; 7 days at 2-8°C; 30 days at -20°C; 1 year at -80°C'))
+      .toEqual([
+        { temperature: 'room', hours: 48 },
+        { temperature: 'refrigerated', hours: 168 },
+        { temperature: 'frozen', hours: 720 },
+        { temperature: '-80', hours: 8766 }
+      ]);
+  });
+
+  test('does not read the dash in "2-8°C" as a minus sign', () => {
+    expect(parseStability('Stable 5 days at 2-8°C')).toEqual([{ temperature: 'refrigerated', hours: 120 }]);
+  });
+
+  test('keeps the longest duration for a temperature', () => {
+    expect(parseStability('24 hours at 2-8°C or 3 days refrigerated'))
+      .toEqual([{ temperature: 'refrigerated', hours: 72 }]);
+  });
+
+  test('uses the default temperature for clauses without one', () => {
+    expect(parseStability('72 hours', 'refrigerated')).toEqual([{ temperature: 'refrigerated', hours: 72 }]);
+    expect(parseStability('72 hours')).toEqual([{ temperature: null, hours: 72 }]);
+  });
+
+  test('returns no limits for empty text', () => {
+    expect(parseStability('')).toEqual([]);
+    expect(parseStability(null)).toEqual([]);
+  });
+});